@@ -13,9 +13,6 @@ async function removeColumns() {
   try {
     console.log('Removing unwanted columns from raw_inventory...');
     
-    await pool.query('ALTER TABLE raw_inventory DROP COLUMN IF EXISTS warranty_end_date');
-    console.log('  - Removed warranty_end_date');
-    
     await pool.query('ALTER TABLE raw_inventory DROP COLUMN IF EXISTS sales_order_number');
     console.log('  - Removed sales_order_number');
     
@@ -29,6 +29,7 @@ const tables = {
       support_end_date DATE,
       date_introduced DATE,
       end_of_sale_date DATE,
+      end_of_sw_maintenance_date DATE,
       end_of_sw_vulnerability_maintenance_date DATE,
       last_day_of_support_date DATE,
       end_of_life_date DATE,
@@ -40,6 +41,8 @@ const tables = {
       business_entity VARCHAR(255),
       asset_type VARCHAR(255),
       service_contract VARCHAR(255),
+      row_number INTEGER,
+      row_data JSONB,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`,
 
@@ -61,10 +64,14 @@ const tables = {
       support_coverage_percent DECIMAL(5,2),
       purchase_dates JSONB,
       end_of_sale_date DATE,
+      end_of_sw_maintenance_date DATE,
+      end_of_sw_vulnerability_maintenance_date DATE,
       last_day_of_support_date DATE,
       end_of_life_date DATE,
       warranty_end_date DATE,
       lifecycle_status VARCHAR(50),
+      next_milestone VARCHAR(20),
+      next_milestone_date DATE,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       UNIQUE(tenant_id, job_id, product_id)
@@ -74,6 +81,7 @@ const tables = {
     CREATE TABLE IF NOT EXISTS upload_jobs (
       job_id VARCHAR(255) PRIMARY KEY,
       tenant_id VARCHAR(255) NOT NULL,
+      customer_name VARCHAR(255),
       original_filename VARCHAR(255),
       file_path TEXT,
       file_size_bytes INTEGER,
@@ -84,6 +92,17 @@ const tables = {
       total_rows_processed INTEGER,
       total_products_identified INTEGER,
       total_inventory_value DECIMAL(15,2),
+      sheet_name VARCHAR(255),
+      header_row INTEGER,
+      column_mapping JSONB,
+      mapping_profile_id VARCHAR(255),
+      job_options JSONB,
+      file_data BYTEA,
+      attempts INTEGER DEFAULT 0,
+      locked_by VARCHAR(255),
+      lease_until TIMESTAMP,
+      summary JSONB,
+      analytics JSONB,
       errors JSONB,
       warnings JSONB,
       started_at TIMESTAMP,
@@ -105,9 +124,110 @@ const tables = {
       file_size_bytes INTEGER,
       report_config JSONB,
       generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+  mapping_profiles: `
+    CREATE TABLE IF NOT EXISTS mapping_profiles (
+      profile_id VARCHAR(255) PRIMARY KEY,
+      tenant_id VARCHAR(255) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      source_system VARCHAR(255),
+      customer_name VARCHAR(255),
+      header_fingerprint VARCHAR(64) NOT NULL,
+      headers JSONB NOT NULL,
+      mapping JSONB NOT NULL,
+      times_used INTEGER DEFAULT 0,
+      last_used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+  successor_catalog: `
+    CREATE TABLE IF NOT EXISTS successor_catalog (
+      id SERIAL PRIMARY KEY,
+      tenant_id VARCHAR(255) NOT NULL,
+      product_id VARCHAR(255) NOT NULL,
+      successor_product_id VARCHAR(255) NOT NULL,
+      successor_description TEXT,
+      unit_list_price DECIMAL(15,2),
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(tenant_id, product_id)
+    )`,
+
+  eox_catalog: `
+    CREATE TABLE IF NOT EXISTS eox_catalog (
+      id SERIAL PRIMARY KEY,
+      tenant_id VARCHAR(255) NOT NULL,
+      manufacturer VARCHAR(255) NOT NULL,
+      product_id VARCHAR(255) NOT NULL,
+      description TEXT,
+      eol_announcement DATE,
+      end_of_sale DATE,
+      end_of_sw_maintenance DATE,
+      end_of_vuln_support DATE,
+      last_day_support DATE,
+      bulletin_url TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+  manufacturer_rules: `
+    CREATE TABLE IF NOT EXISTS manufacturer_rules (
+      id SERIAL PRIMARY KEY,
+      tenant_id VARCHAR(255) NOT NULL,
+      manufacturer VARCHAR(255) NOT NULL,
+      match_type VARCHAR(30) NOT NULL,
+      pattern TEXT NOT NULL,
+      priority INTEGER NOT NULL DEFAULT 50,
+      confidence INTEGER NOT NULL,
+      enabled BOOLEAN DEFAULT TRUE,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+  category_overrides: `
+    CREATE TABLE IF NOT EXISTS category_overrides (
+      id SERIAL PRIMARY KEY,
+      tenant_id VARCHAR(255) NOT NULL,
+      customer_name VARCHAR(255) NOT NULL,
+      product_id VARCHAR(255) NOT NULL,
+      category VARCHAR(255) NOT NULL,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`
 };
 
+// Columns added after the first release - CREATE TABLE IF NOT EXISTS skips existing tables
+const migrations = [
+  'ALTER TABLE raw_inventory ADD COLUMN IF NOT EXISTS row_number INTEGER',
+  'ALTER TABLE raw_inventory ADD COLUMN IF NOT EXISTS row_data JSONB',
+  'ALTER TABLE upload_jobs ADD COLUMN IF NOT EXISTS customer_name VARCHAR(255)',
+  'ALTER TABLE upload_jobs ADD COLUMN IF NOT EXISTS sheet_name VARCHAR(255)',
+  'ALTER TABLE upload_jobs ADD COLUMN IF NOT EXISTS header_row INTEGER',
+  'ALTER TABLE upload_jobs ADD COLUMN IF NOT EXISTS column_mapping JSONB',
+  'ALTER TABLE upload_jobs ADD COLUMN IF NOT EXISTS mapping_profile_id VARCHAR(255)',
+  'ALTER TABLE upload_jobs ADD COLUMN IF NOT EXISTS summary JSONB',
+  'ALTER TABLE upload_jobs ADD COLUMN IF NOT EXISTS analytics JSONB',
+  'ALTER TABLE upload_jobs ADD COLUMN IF NOT EXISTS job_options JSONB',
+  'ALTER TABLE upload_jobs ADD COLUMN IF NOT EXISTS file_data BYTEA',
+  'ALTER TABLE upload_jobs ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0',
+  'ALTER TABLE upload_jobs ADD COLUMN IF NOT EXISTS locked_by VARCHAR(255)',
+  'ALTER TABLE upload_jobs ADD COLUMN IF NOT EXISTS lease_until TIMESTAMP',
+  'ALTER TABLE raw_inventory ADD COLUMN IF NOT EXISTS end_of_sw_maintenance_date DATE',
+  'ALTER TABLE inventory_analysis ADD COLUMN IF NOT EXISTS end_of_sw_maintenance_date DATE',
+  'ALTER TABLE inventory_analysis ADD COLUMN IF NOT EXISTS end_of_sw_vulnerability_maintenance_date DATE',
+  'ALTER TABLE inventory_analysis ADD COLUMN IF NOT EXISTS next_milestone VARCHAR(20)',
+  'ALTER TABLE inventory_analysis ADD COLUMN IF NOT EXISTS next_milestone_date DATE',
+  'ALTER TABLE raw_inventory ADD COLUMN IF NOT EXISTS service_contract VARCHAR(255)',
+  'ALTER TABLE raw_inventory ADD COLUMN IF NOT EXISTS support_start_date DATE',
+  'ALTER TABLE raw_inventory ADD COLUMN IF NOT EXISTS support_end_date DATE',
+  'ALTER TABLE raw_inventory ADD COLUMN IF NOT EXISTS warranty_end_date DATE'
+];
+
 const indexes = [
   'CREATE INDEX IF NOT EXISTS idx_raw_inventory_tenant ON raw_inventory(tenant_id)',
   'CREATE INDEX IF NOT EXISTS idx_raw_inventory_job ON raw_inventory(job_id)',
@@ -115,8 +235,17 @@ const indexes = [
   'CREATE INDEX IF NOT EXISTS idx_inventory_analysis_job ON inventory_analysis(job_id)',
   'CREATE INDEX IF NOT EXISTS idx_upload_jobs_tenant ON upload_jobs(tenant_id)',
   'CREATE INDEX IF NOT EXISTS idx_upload_jobs_status ON upload_jobs(status)',
+  'CREATE INDEX IF NOT EXISTS idx_upload_jobs_queue ON upload_jobs(status, created_at)',
+  'CREATE INDEX IF NOT EXISTS idx_upload_jobs_created ON upload_jobs(tenant_id, created_at DESC)',
   'CREATE INDEX IF NOT EXISTS idx_lifecycle_reports_tenant ON lifecycle_reports(tenant_id)',
-  'CREATE INDEX IF NOT EXISTS idx_lifecycle_reports_job ON lifecycle_reports(job_id)'
+  'CREATE INDEX IF NOT EXISTS idx_lifecycle_reports_job ON lifecycle_reports(job_id)',
+  'CREATE INDEX IF NOT EXISTS idx_mapping_profiles_tenant ON mapping_profiles(tenant_id)',
+  'CREATE INDEX IF NOT EXISTS idx_mapping_profiles_fingerprint ON mapping_profiles(header_fingerprint)',
+  'CREATE INDEX IF NOT EXISTS idx_successor_catalog_tenant ON successor_catalog(tenant_id)',
+  // Manufacturer names arrive as "Cisco", "CISCO" or "cisco" - one entry per product regardless
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_eox_catalog_product ON eox_catalog(tenant_id, LOWER(manufacturer), product_id)',
+  'CREATE INDEX IF NOT EXISTS idx_manufacturer_rules_tenant ON manufacturer_rules(tenant_id)',
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_category_overrides_product ON category_overrides(tenant_id, LOWER(customer_name), product_id)'
 ];
 
 async function setupDatabase() {
@@ -136,6 +265,13 @@ async function setupDatabase() {
       console.log(`✅ Table ${tableName} created/verified`);
     }
     
+    // Bring existing tables up to date
+    console.log('🔧 Applying column migrations...');
+    for (const migrationSQL of migrations) {
+      await client.query(migrationSQL);
+    }
+    console.log('✅ Columns up to date');
+    
     // Create indexes
     console.log('📑 Creating indexes...');
     for (const indexSQL of indexes) {
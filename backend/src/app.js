@@ -3,6 +3,14 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const uploadRoutes = require('./routes/upload.routes');
+const mappingProfileRoutes = require('./routes/mappingProfiles.routes');
+const jobRoutes = require('./routes/jobs.routes');
+const phase2Routes = require('./routes/phase2.routes');
+const phase3Routes = require('./routes/phase3.routes');
+const successorCatalogRoutes = require('./routes/successorCatalog.routes');
+const eoxCatalogRoutes = require('./routes/eoxCatalog.routes');
+const manufacturerRuleRoutes = require('./routes/manufacturerRules.routes');
+const categoryRoutes = require('./routes/categories.routes');
 
 const app = express();
 
@@ -18,6 +26,14 @@ app.get('/health', (req, res) => {
 
 // API Routes - Mount the upload routes at /api/phase1
 app.use('/api/phase1', uploadRoutes);
+app.use('/api/phase1/mapping-profiles', mappingProfileRoutes);
+app.use('/api/phase1/jobs', jobRoutes);
+app.use('/api/phase1/eox-catalog', eoxCatalogRoutes);
+app.use('/api/phase1/manufacturer-rules', manufacturerRuleRoutes);
+app.use('/api/phase1/categories', categoryRoutes);
+app.use('/api/phase2', phase2Routes);
+app.use('/api/phase3/catalog', successorCatalogRoutes);
+app.use('/api/phase3', phase3Routes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
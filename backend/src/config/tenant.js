@@ -0,0 +1,7 @@
+// backend/src/config/tenant.js
+// Single-tenant for now - every row is written under this tenant id
+const DEFAULT_TENANT_ID = process.env.TENANT_ID || 'default-tenant';
+
+module.exports = {
+  DEFAULT_TENANT_ID
+};
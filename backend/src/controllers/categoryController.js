@@ -0,0 +1,95 @@
+// backend/src/controllers/categoryController.js
+const categoryClassifier = require('../services/categoryClassifier');
+const categoryOverrides = require('../services/categoryOverrides');
+
+// The category tree, its paths and the built-in classification rules
+const getTree = (req, res) => {
+  res.json({
+    tree: categoryClassifier.CATEGORY_TREE,
+    paths: categoryClassifier.CATEGORY_PATHS,
+    rule_fields: Object.keys(categoryClassifier.RULE_FIELDS),
+    rules: categoryClassifier.DEFAULT_RULES
+  });
+};
+
+/**
+ * Classify a sample row { product_id, description, product_family,
+ * product_type, business_entity, customer_name } the way an upload would,
+ * including the customer's overrides
+ */
+const classify = async (req, res) => {
+  const body = req.body || {};
+  const row = {
+    product_id: body.product_id,
+    description: body.description,
+    product_family: body.product_family,
+    type: body.product_type,
+    business_entity: body.business_entity
+  };
+  if (Object.values(row).every(value => !value)) {
+    return res.status(400).json({ error: 'Send at least one of product_id, description, product_family, product_type or business_entity' });
+  }
+
+  try {
+    const overrides = await categoryOverrides.loadOverrides(body.customer_name);
+    res.json(categoryClassifier.classifyRow(row, { overrides }));
+  } catch (error) {
+    console.error('Classify product error:', error);
+    res.status(500).json({ error: 'Failed to classify product', details: error.message });
+  }
+};
+
+// List overrides - ?customer= narrows to one customer
+const listOverrides = async (req, res) => {
+  try {
+    const overrides = await categoryOverrides.listOverrides({ customerName: req.query.customer });
+    res.json({ overrides });
+  } catch (error) {
+    console.error('List category overrides error:', error);
+    res.status(500).json({ error: 'Failed to list category overrides', details: error.message });
+  }
+};
+
+/**
+ * Set a customer's category for one Product ID. Applies to uploads
+ * processed from now on; earlier results keep the category they had.
+ */
+const saveOverride = async (req, res) => {
+  const { override, errors } = categoryOverrides.validateOverride({
+    ...req.body,
+    customer_name: req.params.customerName,
+    product_id: req.params.productId
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid category override', details: errors });
+  }
+
+  try {
+    const saved = await categoryOverrides.saveOverride(override);
+    res.status(saved.created ? 201 : 200).json(saved.override);
+  } catch (error) {
+    console.error('Save category override error:', error);
+    res.status(500).json({ error: 'Failed to save category override', details: error.message });
+  }
+};
+
+const deleteOverride = async (req, res) => {
+  try {
+    const deleted = await categoryOverrides.deleteOverride(req.params.customerName, req.params.productId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'No category override for this customer and Product ID' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Delete category override error:', error);
+    res.status(500).json({ error: 'Failed to delete category override', details: error.message });
+  }
+};
+
+module.exports = {
+  getTree,
+  classify,
+  listOverrides,
+  saveOverride,
+  deleteOverride
+};
@@ -0,0 +1,209 @@
+// backend/src/controllers/eoxCatalogController.js
+const multer = require('multer');
+const path = require('path');
+const Papa = require('papaparse');
+const fileParser = require('../services/fileParser');
+const eoxCatalog = require('../services/eoxCatalog');
+
+// EoX bulletins come as spreadsheets or as JSON saved from the Cisco EoX API
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['.csv', '.xlsx', '.xlsb', '.xls', '.json'];
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (allowedTypes.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type'), false);
+    }
+  }
+}).single('file');
+
+// Optional integer query parameter within a range; NaN marks an invalid value
+const readInteger = (value, min, max) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : NaN;
+};
+
+/**
+ * Records of a JSON import - a bare array, { entries: [...] } or an EoX API
+ * response { EOXRecord: [...] }. API records for unknown Product IDs only
+ * carry an EOXError and are left out.
+ * @returns {Array|null} - null when the JSON holds no record list
+ */
+const readJsonRecords = (body) => {
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.entries)) return body.entries;
+  if (body && Array.isArray(body.EOXRecord)) return body.EOXRecord.filter(record => !record.EOXError);
+  return null;
+};
+
+// List catalog entries - ?search=&manufacturer=&limit=&offset=
+const listEntries = async (req, res) => {
+  const limit = readInteger(req.query.limit, 1, eoxCatalog.MAX_PAGE_SIZE);
+  const offset = readInteger(req.query.offset, 0, Number.MAX_SAFE_INTEGER);
+  const errors = [];
+  if (Number.isNaN(limit)) errors.push(`limit must be a whole number between 1 and ${eoxCatalog.MAX_PAGE_SIZE}`);
+  if (Number.isNaN(offset)) errors.push('offset must be a non-negative whole number');
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid catalog query', details: errors });
+  }
+
+  try {
+    const result = await eoxCatalog.listEntries({
+      search: req.query.search,
+      manufacturer: req.query.manufacturer,
+      limit,
+      offset
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('List EoX catalog error:', error);
+    res.status(500).json({ error: 'Failed to list EoX catalog', details: error.message });
+  }
+};
+
+const getEntry = async (req, res) => {
+  try {
+    const entry = await eoxCatalog.getEntry(req.params.manufacturer, req.params.productId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Product ID not in EoX catalog' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('Get EoX catalog entry error:', error);
+    res.status(500).json({ error: 'Failed to load catalog entry', details: error.message });
+  }
+};
+
+const createEntry = async (req, res) => {
+  const { entry, errors } = eoxCatalog.validateEntry(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid catalog entry', details: errors });
+  }
+
+  try {
+    if (await eoxCatalog.getEntry(entry.manufacturer, entry.product_id)) {
+      return res.status(409).json({ error: `${entry.manufacturer} ${entry.product_id} is already in the EoX catalog` });
+    }
+    const saved = await eoxCatalog.saveEntry(entry);
+    res.status(201).json(saved.entry);
+  } catch (error) {
+    console.error('Create EoX catalog entry error:', error);
+    res.status(500).json({ error: 'Failed to save catalog entry', details: error.message });
+  }
+};
+
+// Replace the milestone dates of one manufacturer and Product ID, adding it when missing
+const updateEntry = async (req, res) => {
+  const { entry, errors } = eoxCatalog.validateEntry({
+    ...req.body,
+    manufacturer: req.params.manufacturer,
+    product_id: req.params.productId
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid catalog entry', details: errors });
+  }
+
+  try {
+    const saved = await eoxCatalog.saveEntry(entry);
+    res.status(saved.created ? 201 : 200).json(saved.entry);
+  } catch (error) {
+    console.error('Update EoX catalog entry error:', error);
+    res.status(500).json({ error: 'Failed to update catalog entry', details: error.message });
+  }
+};
+
+const deleteEntry = async (req, res) => {
+  try {
+    const deleted = await eoxCatalog.deleteEntry(req.params.manufacturer, req.params.productId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Product ID not in EoX catalog' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Delete EoX catalog entry error:', error);
+    res.status(500).json({ error: 'Failed to delete catalog entry', details: error.message });
+  }
+};
+
+/**
+ * Bulk import from an EoX bulletin file (multipart field "file": CSV, Excel
+ * or JSON) or a JSON body. A "manufacturer" field applies to rows without
+ * one, since vendor bulletins rarely name the vendor per row. Nothing is
+ * saved unless every row is valid.
+ */
+const importEntries = async (req, res) => {
+  try {
+    let rows;
+    if (req.file) {
+      const ext = path.extname(req.file.originalname).toLowerCase();
+      if (ext === '.json') {
+        let body;
+        try {
+          body = JSON.parse(req.file.buffer.toString('utf8'));
+        } catch {
+          return res.status(400).json({ error: 'The catalog file is not valid JSON' });
+        }
+        rows = readJsonRecords(body);
+      } else {
+        rows = (await fileParser.parseWorkbook(req.file.buffer, ext)).data;
+      }
+    } else {
+      rows = readJsonRecords(req.body);
+    }
+
+    if (!rows) {
+      return res.status(400).json({ error: 'Upload a catalog file or send an entries array' });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'The catalog import is empty' });
+    }
+
+    const manufacturer = Array.isArray(req.body) ? undefined : req.body.manufacturer;
+    const { entries, errors } = eoxCatalog.readImportRows(rows, { manufacturer });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid catalog import',
+        details: errors.map(({ row, errors: rowErrors }) => `Row ${row}: ${rowErrors.join(', ')}`)
+      });
+    }
+
+    const result = await eoxCatalog.importEntries(entries);
+    res.json({ imported: entries.length, ...result });
+  } catch (error) {
+    console.error('Import EoX catalog error:', error);
+    res.status(error.status || 500).json({ error: 'Catalog import failed', details: error.message });
+  }
+};
+
+// Download the whole catalog as CSV in the import format
+const exportEntries = async (req, res) => {
+  try {
+    const entries = await eoxCatalog.listAllEntries();
+    const csv = Papa.unparse({
+      fields: eoxCatalog.CATALOG_COLUMNS.map(column => column.header),
+      data: entries.map(entry => eoxCatalog.CATALOG_COLUMNS.map(column => entry[column.field] ?? ''))
+    });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="eox_catalog_${new Date().toISOString().split('T')[0]}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Export EoX catalog error:', error);
+    res.status(500).json({ error: 'Catalog export failed', details: error.message });
+  }
+};
+
+module.exports = {
+  upload,
+  listEntries,
+  getEntry,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  importEntries,
+  exportEntries
+};
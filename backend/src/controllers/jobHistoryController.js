@@ -0,0 +1,139 @@
+// backend/src/controllers/jobHistoryController.js
+const jobStore = require('../services/jobStore');
+const { compareJobs } = require('../services/jobComparison');
+
+const JOB_STATUSES = ['queued', ...jobStore.ACTIVE_STATES, ...jobStore.FINAL_STATES];
+const MAX_PAGE_SIZE = 100;
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+// List entry - enough to find a job again without loading its results
+const toHistoryEntry = (job) => {
+  const summary = job.summary || {};
+  return {
+    job_id: job.jobId,
+    customer_name: job.customerName,
+    filename: job.filename,
+    sheet_name: job.sheetName,
+    status: job.status,
+    progress: job.progress,
+    rows_uploaded: job.rows_uploaded,
+    rows_processed: job.rows_processed,
+    products_identified: job.products_identified,
+    total_quantity: summary.total_quantity,
+    support_coverage: summary.supportCoverage,
+    created_at: job.timestamp,
+    completed_at: job.completedAt
+  };
+};
+
+// List and search jobs - ?customer=&filename=&q=&status=&from=&to=&limit=&offset=
+const listJobs = async (req, res) => {
+  const { customer, filename, q, status, from, to } = req.query;
+  const errors = [];
+
+  if (status && String(status).split(',').some(s => !JOB_STATUSES.includes(s))) {
+    errors.push(`status must be one of ${JOB_STATUSES.join(', ')}`);
+  }
+  if (from && !isIsoDate(from)) errors.push('from must be a date (YYYY-MM-DD)');
+  if (to && !isIsoDate(to)) errors.push('to must be a date (YYYY-MM-DD)');
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid job filter', details: errors });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 25, MAX_PAGE_SIZE);
+  const offset = parseInt(req.query.offset) || 0;
+
+  try {
+    const { jobs, total } = await jobStore.listJobs({
+      customerName: customer,
+      filename,
+      search: q,
+      status,
+      from,
+      to,
+      limit,
+      offset
+    });
+    res.json({
+      jobs: jobs.map(toHistoryEntry),
+      pagination: { total, limit, offset }
+    });
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ error: 'Failed to list jobs', details: error.message });
+  }
+};
+
+const getJob = async (req, res) => {
+  try {
+    const job = await jobStore.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({
+      ...toHistoryEntry(job),
+      header_row: job.headerRow,
+      column_mapping: job.columnMapping,
+      mapping_profile_id: job.mappingProfileId,
+      warnings: job.warnings || [],
+      errors: job.errors || []
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Failed to load job', details: error.message });
+  }
+};
+
+// Month-over-month comparison - ?base=&current= (the earlier job is used as base)
+const compareJobResults = async (req, res) => {
+  const { base, current } = req.query;
+  if (!base || !current) {
+    return res.status(400).json({ error: 'Invalid comparison', details: ['base and current job IDs are required'] });
+  }
+  if (base === current) {
+    return res.status(400).json({ error: 'Invalid comparison', details: ['base and current must be different jobs'] });
+  }
+
+  try {
+    const jobs = await Promise.all([jobStore.getJob(base), jobStore.getJob(current)]);
+    const missing = [base, current].filter((jobId, index) => !jobs[index]);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Job not found', details: missing });
+    }
+    const unfinished = jobs.filter(job => job.status !== 'completed');
+    if (unfinished.length > 0) {
+      return res.status(409).json({
+        error: 'Both jobs must be completed',
+        details: unfinished.map(job => `${job.jobId} is ${job.status}`)
+      });
+    }
+
+    const [baseJob, currentJob] = [...jobs].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const [baseRows, currentRows] = await Promise.all([
+      jobStore.getJobRows(baseJob.jobId),
+      jobStore.getJobRows(currentJob.jobId)
+    ]);
+
+    const comparison = compareJobs(
+      { rows: baseRows, date: baseJob.timestamp },
+      { rows: currentRows, date: currentJob.timestamp }
+    );
+
+    res.json({
+      base: toHistoryEntry(baseJob),
+      current: toHistoryEntry(currentJob),
+      same_customer: (baseJob.customerName || '').trim().toLowerCase() === (currentJob.customerName || '').trim().toLowerCase(),
+      ...comparison
+    });
+  } catch (error) {
+    console.error('Compare jobs error:', error);
+    res.status(500).json({ error: 'Failed to compare jobs', details: error.message });
+  }
+};
+
+module.exports = {
+  listJobs,
+  getJob,
+  compareJobResults
+};
@@ -0,0 +1,123 @@
+// backend/src/controllers/manufacturerRuleController.js
+const manufacturerRules = require('../services/manufacturerRules');
+const { matchManufacturer } = require('../services/manufacturerIdentifier');
+
+// Rule ids are serial integers; anything else cannot name a rule
+const readRuleId = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// Rules in evaluation order - the built-in set until the first edit
+const listRules = async (req, res) => {
+  try {
+    res.json(await manufacturerRules.listRules());
+  } catch (error) {
+    console.error('List manufacturer rules error:', error);
+    res.status(500).json({ error: 'Failed to list manufacturer rules', details: error.message });
+  }
+};
+
+const getRule = async (req, res) => {
+  const ruleId = readRuleId(req.params.ruleId);
+  try {
+    const rule = ruleId && await manufacturerRules.getRule(ruleId);
+    if (!rule) {
+      return res.status(404).json({ error: 'Manufacturer rule not found' });
+    }
+    res.json(rule);
+  } catch (error) {
+    console.error('Get manufacturer rule error:', error);
+    res.status(500).json({ error: 'Failed to load manufacturer rule', details: error.message });
+  }
+};
+
+const createRule = async (req, res) => {
+  const { rule, errors } = manufacturerRules.validateRule(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid manufacturer rule', details: errors });
+  }
+
+  try {
+    res.status(201).json(await manufacturerRules.createRule(rule));
+  } catch (error) {
+    console.error('Create manufacturer rule error:', error);
+    res.status(500).json({ error: 'Failed to save manufacturer rule', details: error.message });
+  }
+};
+
+const updateRule = async (req, res) => {
+  const ruleId = readRuleId(req.params.ruleId);
+  if (!ruleId) {
+    return res.status(404).json({ error: 'Manufacturer rule not found' });
+  }
+  const { rule, errors } = manufacturerRules.validateRule(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid manufacturer rule', details: errors });
+  }
+
+  try {
+    const saved = await manufacturerRules.updateRule(ruleId, rule);
+    if (!saved) {
+      return res.status(404).json({ error: 'Manufacturer rule not found' });
+    }
+    res.json(saved);
+  } catch (error) {
+    console.error('Update manufacturer rule error:', error);
+    res.status(500).json({ error: 'Failed to update manufacturer rule', details: error.message });
+  }
+};
+
+const deleteRule = async (req, res) => {
+  const ruleId = readRuleId(req.params.ruleId);
+  try {
+    const deleted = ruleId && await manufacturerRules.deleteRule(ruleId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Manufacturer rule not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Delete manufacturer rule error:', error);
+    res.status(500).json({ error: 'Failed to delete manufacturer rule', details: error.message });
+  }
+};
+
+// Discard the tenant's rules and use the built-in set again
+const resetRules = async (req, res) => {
+  try {
+    const removed = await manufacturerRules.resetRules();
+    res.json({ removed });
+  } catch (error) {
+    console.error('Reset manufacturer rules error:', error);
+    res.status(500).json({ error: 'Failed to reset manufacturer rules', details: error.message });
+  }
+};
+
+/**
+ * Try the current rules on a sample row { product_id, description, product_family }
+ * without uploading a file - handy while tuning patterns
+ */
+const identify = async (req, res) => {
+  const { product_id: productId, description, product_family: productFamily } = req.body || {};
+  if (!productId && !description && !productFamily) {
+    return res.status(400).json({ error: 'Send a product_id, description or product_family' });
+  }
+
+  try {
+    const rules = await manufacturerRules.loadRules();
+    res.json(matchManufacturer({ product_id: productId, description, product_family: productFamily }, rules));
+  } catch (error) {
+    console.error('Identify manufacturer error:', error);
+    res.status(500).json({ error: 'Failed to identify manufacturer', details: error.message });
+  }
+};
+
+module.exports = {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  resetRules,
+  identify
+};
@@ -0,0 +1,119 @@
+// backend/src/controllers/mappingProfileController.js
+const mappingProfiles = require('../services/mappingProfiles');
+const columnMapper = require('../utils/columnMapper');
+
+// Validate the body of a create/update request. A partial update that changes
+// the mapping but not the headers is checked against the stored headers.
+const validateProfileBody = (body, { partial = false, storedHeaders = [] } = {}) => {
+  const errors = [];
+  if (!partial || body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) {
+      errors.push('name is required');
+    }
+  }
+  if (!partial || body.headers !== undefined) {
+    if (!Array.isArray(body.headers) || body.headers.length === 0) {
+      errors.push('headers must be a non-empty array');
+    }
+  }
+  if (!partial || body.mapping !== undefined) {
+    const headers = Array.isArray(body.headers) ? body.headers : storedHeaders;
+    errors.push(...columnMapper.validateMapping(body.mapping, headers));
+  }
+  return errors;
+};
+
+const fromBody = (body) => ({
+  name: body.name ? String(body.name).trim() : undefined,
+  sourceSystem: body.source_system,
+  customerName: body.customer_name,
+  headers: body.headers,
+  mapping: body.mapping
+});
+
+// List saved profiles, optionally limited to one customer (plus generic ones)
+const listProfiles = async (req, res) => {
+  try {
+    const profiles = await mappingProfiles.listProfiles({ customerName: req.query.customer });
+    res.json({ profiles });
+  } catch (error) {
+    console.error('List mapping profiles error:', error);
+    res.status(500).json({ error: 'Failed to list mapping profiles', details: error.message });
+  }
+};
+
+const getProfile = async (req, res) => {
+  try {
+    const profile = await mappingProfiles.getProfile(req.params.profileId);
+    if (!profile) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error('Get mapping profile error:', error);
+    res.status(500).json({ error: 'Failed to load mapping profile', details: error.message });
+  }
+};
+
+const createProfile = async (req, res) => {
+  const errors = validateProfileBody(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid mapping profile', details: errors });
+  }
+
+  try {
+    const profile = await mappingProfiles.createProfile(fromBody(req.body));
+    res.status(201).json(profile);
+  } catch (error) {
+    console.error('Create mapping profile error:', error);
+    res.status(500).json({ error: 'Failed to save mapping profile', details: error.message });
+  }
+};
+
+const updateProfile = async (req, res) => {
+  try {
+    let storedHeaders;
+    if (req.body.mapping !== undefined && req.body.headers === undefined) {
+      const existing = await mappingProfiles.getProfile(req.params.profileId);
+      if (!existing) {
+        return res.status(404).json({ error: 'Mapping profile not found' });
+      }
+      storedHeaders = existing.headers || [];
+    }
+
+    const errors = validateProfileBody(req.body, { partial: true, storedHeaders });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid mapping profile', details: errors });
+    }
+
+    const profile = await mappingProfiles.updateProfile(req.params.profileId, fromBody(req.body));
+    if (!profile) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error('Update mapping profile error:', error);
+    res.status(500).json({ error: 'Failed to update mapping profile', details: error.message });
+  }
+};
+
+const deleteProfile = async (req, res) => {
+  try {
+    const deleted = await mappingProfiles.deleteProfile(req.params.profileId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Delete mapping profile error:', error);
+    res.status(500).json({ error: 'Failed to delete mapping profile', details: error.message });
+  }
+};
+
+module.exports = {
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile
+};
@@ -0,0 +1,280 @@
+// backend/src/controllers/phase2Controller.js
+const Papa = require('papaparse');
+const ExcelJS = require('exceljs');
+const jobStore = require('../services/jobStore');
+const {
+  forecastRefreshBudget,
+  REFRESH_POLICIES,
+  MAX_HORIZON_YEARS
+} = require('../services/refreshBudget');
+const {
+  analyzeContracts,
+  parseRenewalWindows,
+  DEFAULT_WINDOWS,
+  MAX_WINDOW_DAYS
+} = require('../services/contractRenewals');
+const { analyzeWarranty } = require('../services/warrantyAnalysis');
+const { DEFAULT_EXPIRING_DAYS, MAX_EXPIRING_DAYS } = require('../services/supportCoverage');
+const { FISCAL_CALENDARS, resolveCalendar, describeCalendar } = require('../utils/fiscalCalendar');
+const {
+  buildServiceOpportunity,
+  addOpportunitySheets,
+  OPPORTUNITY_COLUMNS
+} = require('../services/serviceOpportunity');
+const { summarizeSites, DEFAULT_HORIZON_MONTHS, MAX_HORIZON_MONTHS } = require('../services/siteSummary');
+
+const MAX_LIFESPAN_YEARS = 20;
+
+// Optional integer query parameter within a range; NaN marks an invalid value
+const readInteger = (value, min, max) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : NaN;
+};
+
+/**
+ * Fiscal calendar from ?calendar=&fyStartMonth=, else the one the job was
+ * analyzed with, else the configured default
+ * @returns {Object|null} - null when the query names an unknown calendar or month
+ */
+const calendarOf = (query, job) => {
+  const startMonth = readInteger(query.fyStartMonth, 1, 12);
+  if (Number.isNaN(startMonth)) return null;
+  const options = (job && job.options) || {};
+  return resolveCalendar(query.calendar || options.fiscalCalendar || undefined, {
+    startMonth: startMonth !== undefined ? startMonth : options.fiscalYearStartMonth || undefined
+  });
+};
+
+const CALENDAR_ERROR = `calendar must be one of ${Object.keys(FISCAL_CALENDARS).join(', ')} and fyStartMonth a month between 1 and 12`;
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+// Refresh budget forecast - ?policy=&years=&startYear=&lifespan=&calendar=&fyStartMonth=
+const getRefreshForecast = async (req, res) => {
+  const { policy } = req.query;
+  const years = readInteger(req.query.years, 1, MAX_HORIZON_YEARS);
+  const startYear = readInteger(req.query.startYear, 2000, 2100);
+  const lifespanYears = readInteger(req.query.lifespan, 1, MAX_LIFESPAN_YEARS);
+  const errors = [];
+
+  if (policy && !REFRESH_POLICIES[policy]) {
+    errors.push(`policy must be one of ${Object.keys(REFRESH_POLICIES).join(', ')}`);
+  }
+  if (Number.isNaN(years)) errors.push(`years must be a whole number between 1 and ${MAX_HORIZON_YEARS}`);
+  if (Number.isNaN(startYear)) errors.push('startYear must be a year between 2000 and 2100');
+  if (Number.isNaN(lifespanYears)) errors.push(`lifespan must be a whole number of years between 1 and ${MAX_LIFESPAN_YEARS}`);
+  if (!calendarOf(req.query)) errors.push(CALENDAR_ERROR);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid forecast options', details: errors });
+  }
+
+  try {
+    const job = await jobStore.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Job is ${job.status}` });
+    }
+
+    const rows = await jobStore.getJobRows(job.jobId);
+    const calendar = calendarOf(req.query, job);
+    const forecast = forecastRefreshBudget(rows, { policy, years, startYear, lifespanYears, calendar });
+
+    res.json({
+      job_id: job.jobId,
+      customer_name: job.customerName,
+      ...forecast
+    });
+  } catch (error) {
+    console.error('Refresh forecast error:', error);
+    res.status(500).json({ error: 'Failed to build refresh forecast', details: error.message });
+  }
+};
+
+// Contracts, renewal calendar and co-termination - ?windows=30,60,90,180&target=YYYY-MM-DD&calendar=&fyStartMonth=
+const getContractRenewals = async (req, res) => {
+  const windows = req.query.windows ? parseRenewalWindows(req.query.windows) : DEFAULT_WINDOWS;
+  const { target } = req.query;
+  const errors = [];
+
+  if (!windows) errors.push(`windows must be a comma-separated list of days between 1 and ${MAX_WINDOW_DAYS}`);
+  if (target && !isIsoDate(target)) errors.push('target must be a date in YYYY-MM-DD format');
+  if (!calendarOf(req.query)) errors.push(CALENDAR_ERROR);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid contract renewal options', details: errors });
+  }
+
+  try {
+    const job = await jobStore.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Job is ${job.status}` });
+    }
+
+    const rows = await jobStore.getJobRows(job.jobId);
+    const calendar = calendarOf(req.query, job);
+    res.json({
+      job_id: job.jobId,
+      customer_name: job.customerName,
+      fiscal_calendar: describeCalendar(calendar),
+      ...analyzeContracts(rows, { windows, targetDate: target ? new Date(target) : null, calendar })
+    });
+  } catch (error) {
+    console.error('Contract renewals error:', error);
+    res.status(500).json({ error: 'Failed to analyze contracts', details: error.message });
+  }
+};
+
+/**
+ * Service opportunity of a completed job, answering the request itself
+ * when the job is missing or not finished
+ * @returns {Object|null} - { job, opportunity }
+ */
+const loadOpportunity = async (req, res) => {
+  const job = await jobStore.getJob(req.params.jobId);
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  if (job.status !== 'completed') {
+    res.status(409).json({ error: `Job is ${job.status}` });
+    return null;
+  }
+
+  const rows = await jobStore.getJobRows(job.jobId);
+  return { job, opportunity: buildServiceOpportunity(rows) };
+};
+
+// Uncovered assets to put under contract, and those past LDOS to replace instead
+const getServiceOpportunity = async (req, res) => {
+  try {
+    const loaded = await loadOpportunity(req, res);
+    if (!loaded) return;
+
+    res.json({
+      job_id: loaded.job.jobId,
+      customer_name: loaded.job.customerName,
+      ...loaded.opportunity
+    });
+  } catch (error) {
+    console.error('Service opportunity error:', error);
+    res.status(500).json({ error: 'Failed to build service opportunity', details: error.message });
+  }
+};
+
+// Opportunity line items (and rollups in Excel) - ?format=csv|xlsx
+const exportServiceOpportunity = async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'xlsx', 'excel'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid export options', details: ['format must be csv or xlsx'] });
+  }
+
+  try {
+    const loaded = await loadOpportunity(req, res);
+    if (!loaded) return;
+
+    const { job, opportunity } = loaded;
+    const items = [...opportunity.coverable.items, ...opportunity.replace.items];
+    const basename = `service_opportunity_${job.customerName.replace(/[^a-z0-9]/gi, '_')}_${new Date().toISOString().split('T')[0]}`;
+
+    if (format === 'csv') {
+      const csv = Papa.unparse({
+        fields: OPPORTUNITY_COLUMNS.map(column => column.header),
+        data: items.map(item => OPPORTUNITY_COLUMNS.map(column => item[column.key] ?? ''))
+      });
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${basename}.csv"`);
+      return res.send(csv);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    addOpportunitySheets(workbook, opportunity);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${basename}.xlsx"`);
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error('Service opportunity export error:', error);
+    res.status(500).json({ error: 'Service opportunity export failed', details: error.message });
+  }
+};
+
+// Warranty-only assets, expiring warranties and contract/warranty overlap - ?days=90
+const getWarrantyAnalysis = async (req, res) => {
+  const expiringDays = readInteger(req.query.days, 1, MAX_EXPIRING_DAYS);
+  if (Number.isNaN(expiringDays)) {
+    return res.status(400).json({
+      error: 'Invalid warranty options',
+      details: [`days must be a whole number between 1 and ${MAX_EXPIRING_DAYS}`]
+    });
+  }
+
+  try {
+    const job = await jobStore.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Job is ${job.status}` });
+    }
+
+    // Without ?days the job's own window applies, matching its stored coverage classification
+    const rows = await jobStore.getJobRows(job.jobId);
+    res.json({
+      job_id: job.jobId,
+      customer_name: job.customerName,
+      ...analyzeWarranty(rows, { expiringDays: expiringDays || job.options.expiringDays || DEFAULT_EXPIRING_DAYS })
+    });
+  } catch (error) {
+    console.error('Warranty analysis error:', error);
+    res.status(500).json({ error: 'Failed to analyze warranties', details: error.message });
+  }
+};
+
+/**
+ * Install site rollup of a completed job - asset counts, coverage, LDOS
+ * exposure and refresh cost per location
+ * Query: months - LDOS horizon for the refresh cost
+ */
+const getSiteSummary = async (req, res) => {
+  const horizonMonths = readInteger(req.query.months, 1, MAX_HORIZON_MONTHS);
+  if (Number.isNaN(horizonMonths)) {
+    return res.status(400).json({
+      error: 'Invalid site options',
+      details: [`months must be a whole number between 1 and ${MAX_HORIZON_MONTHS}`]
+    });
+  }
+
+  try {
+    const job = await jobStore.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Job is ${job.status}` });
+    }
+
+    const rows = await jobStore.getJobRows(job.jobId);
+    res.json({
+      job_id: job.jobId,
+      customer_name: job.customerName,
+      ...summarizeSites(rows, { horizonMonths: horizonMonths || DEFAULT_HORIZON_MONTHS })
+    });
+  } catch (error) {
+    console.error('Site summary error:', error);
+    res.status(500).json({ error: 'Failed to summarize sites', details: error.message });
+  }
+};
+
+module.exports = {
+  getRefreshForecast,
+  getContractRenewals,
+  getServiceOpportunity,
+  exportServiceOpportunity,
+  getWarrantyAnalysis,
+  getSiteSummary
+};
@@ -0,0 +1,148 @@
+// backend/src/controllers/phase3Controller.js
+const Papa = require('papaparse');
+const ExcelJS = require('exceljs');
+const jobStore = require('../services/jobStore');
+const successorCatalog = require('../services/successorCatalog');
+const {
+  buildReplacementPlan,
+  buildBom,
+  PLAN_SCOPES,
+  DEFAULT_SCOPE
+} = require('../services/replacementPlan');
+
+const BOM_COLUMNS = [
+  { header: 'Line', key: 'line', width: 6 },
+  { header: 'Part Number', key: 'part_number', width: 24 },
+  { header: 'Description', key: 'description', width: 40 },
+  { header: 'Quantity', key: 'quantity', width: 10 },
+  { header: 'Unpriced Quantity', key: 'unpriced_quantity', width: 18 },
+  { header: 'Unit List Price', key: 'unit_list_price', width: 15 },
+  { header: 'Extended List Price', key: 'extended_list_price', width: 18 },
+  { header: 'Price Source', key: 'price_source', width: 12 },
+  { header: 'Replaces', key: 'replaces', width: 30 },
+  { header: 'Install Sites', key: 'sites', width: 30 }
+];
+
+/**
+ * Build the replacement plan of a completed job, answering the request
+ * itself when the scope is invalid or the job cannot be planned
+ * @returns {Object|null} - { job, plan }
+ */
+const loadPlan = async (req, res) => {
+  const scope = req.query.scope || DEFAULT_SCOPE;
+  if (!PLAN_SCOPES[scope]) {
+    res.status(400).json({
+      error: 'Invalid replacement plan options',
+      details: [`scope must be one of ${Object.keys(PLAN_SCOPES).join(', ')}`]
+    });
+    return null;
+  }
+
+  const job = await jobStore.getJob(req.params.jobId);
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  if (job.status !== 'completed') {
+    res.status(409).json({ error: `Job is ${job.status}` });
+    return null;
+  }
+
+  const rows = await jobStore.getJobRows(job.jobId);
+  const catalog = await successorCatalog.findSuccessors(rows.map(row => row.product_id));
+  return { job, plan: buildReplacementPlan(rows, catalog, { scope }) };
+};
+
+// Per-asset replacement plan - ?scope=eol|all
+const getReplacementPlan = async (req, res) => {
+  try {
+    const loaded = await loadPlan(req, res);
+    if (!loaded) return;
+
+    res.json({
+      job_id: loaded.job.jobId,
+      customer_name: loaded.job.customerName,
+      ...loaded.plan,
+      bom: buildBom(loaded.plan.items)
+    });
+  } catch (error) {
+    console.error('Replacement plan error:', error);
+    res.status(500).json({ error: 'Failed to build replacement plan', details: error.message });
+  }
+};
+
+// Quote-ready bill of materials - ?scope=&format=csv|xlsx
+const exportBom = async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'xlsx', 'excel'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid export options', details: ['format must be csv or xlsx'] });
+  }
+
+  try {
+    const loaded = await loadPlan(req, res);
+    if (!loaded) return;
+
+    const { job, plan } = loaded;
+    const bom = buildBom(plan.items);
+    const basename = `bom_${job.customerName.replace(/[^a-z0-9]/gi, '_')}_${new Date().toISOString().split('T')[0]}`;
+
+    if (format === 'csv') {
+      const csv = Papa.unparse({
+        fields: BOM_COLUMNS.map(column => column.header),
+        data: bom.map(line => BOM_COLUMNS.map(column => line[column.key] ?? ''))
+      });
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${basename}.csv"`);
+      return res.send(csv);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Bill of Materials');
+    worksheet.columns = BOM_COLUMNS;
+    bom.forEach(line => worksheet.addRow(line));
+    const totalRow = worksheet.addRow({
+      description: 'Total',
+      quantity: bom.reduce((sum, line) => sum + line.quantity, 0),
+      unpriced_quantity: bom.reduce((sum, line) => sum + line.unpriced_quantity, 0),
+      extended_list_price: Math.round(bom.reduce((sum, line) => sum + (line.extended_list_price || 0), 0) * 100) / 100
+    });
+    totalRow.font = { bold: true };
+    worksheet.getColumn('unit_list_price').numFmt = '$#,##0.00';
+    worksheet.getColumn('extended_list_price').numFmt = '$#,##0.00';
+
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFE0E0E0' }
+    };
+
+    // Assets the quote does not cover yet, so nothing is silently dropped
+    if (plan.unmatched.length > 0) {
+      const unmatchedSheet = workbook.addWorksheet('No Known Successor');
+      unmatchedSheet.columns = [
+        { header: 'Product ID', key: 'product_id', width: 24 },
+        { header: 'Description', key: 'description', width: 40 },
+        { header: 'Category', key: 'category', width: 20 },
+        { header: 'Lifecycle Status', key: 'lifecycle_status', width: 24 },
+        { header: 'Last Support', key: 'last_day_support', width: 12 },
+        { header: 'Quantity', key: 'quantity', width: 10 }
+      ];
+      plan.unmatched.forEach(product => unmatchedSheet.addRow(product));
+      unmatchedSheet.getRow(1).font = { bold: true };
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${basename}.xlsx"`);
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    console.error('BOM export error:', error);
+    res.status(500).json({ error: 'BOM export failed', details: error.message });
+  }
+};
+
+module.exports = {
+  getReplacementPlan,
+  exportBom
+};
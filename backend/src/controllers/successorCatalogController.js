@@ -0,0 +1,156 @@
+// backend/src/controllers/successorCatalogController.js
+const path = require('path');
+const Papa = require('papaparse');
+const fileParser = require('../services/fileParser');
+const successorCatalog = require('../services/successorCatalog');
+
+// Optional integer query parameter within a range; NaN marks an invalid value
+const readInteger = (value, min, max) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : NaN;
+};
+
+// List catalog entries - ?search=&limit=&offset=
+const listEntries = async (req, res) => {
+  const limit = readInteger(req.query.limit, 1, successorCatalog.MAX_PAGE_SIZE);
+  const offset = readInteger(req.query.offset, 0, Number.MAX_SAFE_INTEGER);
+  const errors = [];
+  if (Number.isNaN(limit)) errors.push(`limit must be a whole number between 1 and ${successorCatalog.MAX_PAGE_SIZE}`);
+  if (Number.isNaN(offset)) errors.push('offset must be a non-negative whole number');
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid catalog query', details: errors });
+  }
+
+  try {
+    const result = await successorCatalog.listEntries({ search: req.query.search, limit, offset });
+    res.json(result);
+  } catch (error) {
+    console.error('List successor catalog error:', error);
+    res.status(500).json({ error: 'Failed to list successor catalog', details: error.message });
+  }
+};
+
+const getEntry = async (req, res) => {
+  try {
+    const entry = await successorCatalog.getEntry(req.params.productId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Product ID not in successor catalog' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('Get successor catalog entry error:', error);
+    res.status(500).json({ error: 'Failed to load catalog entry', details: error.message });
+  }
+};
+
+const createEntry = async (req, res) => {
+  const { entry, errors } = successorCatalog.validateEntry(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid catalog entry', details: errors });
+  }
+
+  try {
+    if (await successorCatalog.getEntry(entry.product_id)) {
+      return res.status(409).json({ error: `${entry.product_id} is already in the successor catalog` });
+    }
+    const saved = await successorCatalog.saveEntry(entry);
+    res.status(201).json(saved.entry);
+  } catch (error) {
+    console.error('Create successor catalog entry error:', error);
+    res.status(500).json({ error: 'Failed to save catalog entry', details: error.message });
+  }
+};
+
+// Replace the successor of one Product ID, adding it when missing
+const updateEntry = async (req, res) => {
+  const { entry, errors } = successorCatalog.validateEntry({ ...req.body, product_id: req.params.productId });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid catalog entry', details: errors });
+  }
+
+  try {
+    const saved = await successorCatalog.saveEntry(entry);
+    res.status(saved.created ? 201 : 200).json(saved.entry);
+  } catch (error) {
+    console.error('Update successor catalog entry error:', error);
+    res.status(500).json({ error: 'Failed to update catalog entry', details: error.message });
+  }
+};
+
+const deleteEntry = async (req, res) => {
+  try {
+    const deleted = await successorCatalog.deleteEntry(req.params.productId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Product ID not in successor catalog' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Delete successor catalog entry error:', error);
+    res.status(500).json({ error: 'Failed to delete catalog entry', details: error.message });
+  }
+};
+
+/**
+ * Bulk import from a CSV/Excel file (multipart field "file") or a JSON body
+ * { entries: [...] }. Nothing is saved unless every row is valid.
+ */
+const importEntries = async (req, res) => {
+  try {
+    let rows;
+    if (req.file) {
+      const ext = path.extname(req.file.originalname).toLowerCase();
+      rows = (await fileParser.parseWorkbook(req.file.buffer, ext)).data;
+    } else if (Array.isArray(req.body.entries)) {
+      rows = req.body.entries;
+    } else {
+      return res.status(400).json({ error: 'Upload a catalog file or send an entries array' });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'The catalog import is empty' });
+    }
+
+    const { entries, errors } = successorCatalog.readImportRows(rows);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid catalog import',
+        details: errors.map(({ row, errors: rowErrors }) => `Row ${row}: ${rowErrors.join(', ')}`)
+      });
+    }
+
+    const result = await successorCatalog.importEntries(entries);
+    res.json({ imported: entries.length, ...result });
+  } catch (error) {
+    console.error('Import successor catalog error:', error);
+    res.status(error.status || 500).json({ error: 'Catalog import failed', details: error.message });
+  }
+};
+
+// Download the whole catalog as CSV in the import format
+const exportEntries = async (req, res) => {
+  try {
+    const entries = await successorCatalog.listAllEntries();
+    const csv = Papa.unparse({
+      fields: successorCatalog.CATALOG_COLUMNS.map(column => column.header),
+      data: entries.map(entry => successorCatalog.CATALOG_COLUMNS.map(column => entry[column.field] ?? ''))
+    });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="successor_catalog_${new Date().toISOString().split('T')[0]}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Export successor catalog error:', error);
+    res.status(500).json({ error: 'Catalog export failed', details: error.message });
+  }
+};
+
+module.exports = {
+  listEntries,
+  getEntry,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  importEntries,
+  exportEntries
+};
@@ -4,90 +4,21 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const Papa = require('papaparse');
 const ExcelJS = require('exceljs');
-
-// Import columnMapper - if this doesn't exist, the normalization functions are included below
-let processData;
-try {
-  const columnMapper = require('../utils/columnMapper');
-  processData = columnMapper.processData;
-} catch (error) {
-  console.log('Column mapper not found, using built-in processing');
-  // Built-in normalization if columnMapper doesn't exist
-  // Built-in normalization if columnMapper doesn't exist
-  processData = (data) => {
-    return data.map((row, index) => {
-      const normalizeSupport = (value) => {
-        // Handle null/undefined/empty
-        if (!value || value === '' || value === null || value === undefined) {
-          return 'Expired';
-        }
-        
-        // Convert to string and clean up
-        const strValue = value.toString().trim();
-        const upperValue = strValue.toUpperCase();
-        
-        // Handle placeholder values
-        if (strValue === '-' || strValue === '.' || strValue === '?' || strValue === '0' || strValue === '') {
-          return 'Expired';
-        }
-        
-        // ONLY these values mean Active
-        if (upperValue === 'ACTIVE' || upperValue === 'COVERED') {
-          return 'Active';
-        }
-        
-        // EVERYTHING ELSE is Expired
-        return 'Expired';
-      };
-
-      // Debug the raw quantity value
-      const rawQty = row['Item Quantity'];
-      if (index < 3) {
-        console.log(`DEBUG Row ${index + 1}: Raw 'Item Quantity' = ${rawQty}, type = ${typeof rawQty}`);
-      }
-
-      const normalizedItem = {
-        id: index + 1,
-        mfg: row.mfg || row.Manufacturer || row.manufacturer || row.vendor || '-',
-        category: row.category || row['Business Entity'] || row.business_entity || '-',
-        asset_type: row.asset_type || row['Asset Type'] || row.AssetType || '-',
-        type: row.type || row.Type || row['Product Type'] || '-',
-        product_id: row.product_id || row['Product ID'] || row.productid || row.pid || '-',
-        description: row.description || row['Product Description'] || row.product_description || '-',
-        ship_date: row.ship_date || row['Ship Date'] || row.ShipDate || row.ship_dt || '-',
-        qty: parseInt(row['Item Quantity']) || parseInt(row.qty) || parseInt(row.Qty) || parseInt(row.quantity) || parseInt(row.Quantity) || 0,
-        total_value: parseFloat(row.total_value || row['Total Value'] || row.totalvalue || row.value || 0) || 0,
-        support_coverage: (() => {
-          const coveredLineStatus = row['Covered Line Status'];
-          const coverage = row.Coverage;
-          
-          // Try Covered Line Status FIRST (exact case match)
-          if (coveredLineStatus) {
-            return normalizeSupport(coveredLineStatus);
-          }
-          
-          // Then try Coverage
-          if (coverage) {
-            return normalizeSupport(coverage);
-          }
-          
-          // Default to Expired if no coverage columns found
-          return 'Expired';
-        })(),
-        end_of_sale: row['End of Product Sale Date'] || row['End of Product Sale'] || row.end_of_sale || row.end_of_product_sale || '-',
-        last_day_support: row['Last Date of Support'] || row.last_day_support || row.last_date_of_support || row['Last Support'] || '-'
-      };
-
-      // Debug the normalized quantity
-      if (index < 3) {
-        console.log(`  -> Normalized qty = ${normalizedItem.qty}`);
-      }
-
-      return normalizedItem;
-    });
-  };;     // Closes the processData function
-}        // Closes the catch block
-
+const fileParser = require('../services/fileParser');
+const columnMapper = require('../utils/columnMapper');
+const mappingProfiles = require('../services/mappingProfiles');
+const jobStore = require('../services/jobStore');
+const jobEvents = require('../services/jobEvents');
+const dataProcessor = require('../services/dataProcessor');
+const { parseWindows, LIFECYCLE_WINDOWS } = require('../services/lifecycleMilestones');
+const { parseRiskWeights } = require('../services/riskScoring');
+const { MAX_EXPIRING_DAYS, DEFAULT_EXPIRING_DAYS } = require('../services/supportCoverage');
+const { FISCAL_CALENDARS, resolveCalendar } = require('../utils/fiscalCalendar');
+const { generateInsights } = require('../services/insightsEngine');
+const { buildServiceOpportunity, addOpportunitySheets } = require('../services/serviceOpportunity');
+const { deviceRows } = require('../services/assetHierarchy');
+const { summarizeSites, addSiteSheet } = require('../services/siteSummary');
+const pool = require('../config/database');
 
 // Store uploads in memory for processing
 const storage = multer.memoryStorage();
@@ -105,497 +36,430 @@ const upload = multer({
   }
 });
 
-// Store job data in memory (replace with database in production)
-const jobStorage = {};
-
-// Parse Excel file
-async function parseExcel(buffer) {
-  const workbook = new ExcelJS.Workbook();
-  await workbook.xlsx.load(buffer);
-  
-  const worksheet = workbook.worksheets[0]; // Get first worksheet
-  if (!worksheet) {
-    throw new Error('No worksheet found in Excel file');
+const RESULT_VIEWS = ['line_items', 'devices'];
+
+// Parse an optional JSON column mapping sent alongside a multipart upload
+const readColumnMapping = (body) => {
+  if (!body.columnMapping) return null;
+  if (typeof body.columnMapping === 'object') return body.columnMapping;
+  try {
+    return JSON.parse(body.columnMapping);
+  } catch {
+    const parseError = new Error('columnMapping must be valid JSON');
+    parseError.status = 400;
+    throw parseError;
   }
-  
-  const data = [];
-  const headers = [];
-  
-  // Get headers from first row
-  const headerRow = worksheet.getRow(1);
-  headerRow.eachCell((cell, colNumber) => {
-    headers[colNumber - 1] = cell.value ? cell.value.toString() : '';
-  });
-  
-  console.log('Excel headers found:', headers);
-  
-  // Process data rows
-  worksheet.eachRow((row, rowNumber) => {
-    if (rowNumber > 1) { // Skip header row
-      const rowData = {};
-      row.eachCell((cell, colNumber) => {
-        const header = headers[colNumber - 1];
-        if (header) {
-          // Handle different cell types
-          let value = cell.value;
-          if (cell.type === ExcelJS.ValueType.Date) {
-            value = cell.value.toISOString().split('T')[0]; // Format date as YYYY-MM-DD
-          } else if (cell.type === ExcelJS.ValueType.RichText) {
-            value = cell.value.richText.map(rt => rt.text).join('');
-          } else if (typeof value === 'object' && value !== null) {
-            value = value.toString();
-          }
-          rowData[header] = value;
-        }
-      });
-      if (Object.keys(rowData).length > 0) {
-        data.push(rowData);
-      }
-    }
-  });
-  
-  return data;
-}
+};
+
+// Look up a saved mapping profile without failing the request when the database is unavailable
+const findProfileForHeaders = async (headers, customerName) => {
+  try {
+    return await mappingProfiles.findMatchingProfile(headers, customerName);
+  } catch (error) {
+    console.warn('Mapping profile lookup failed:', error.message);
+    return null;
+  }
+};
 
-// Upload handler
-// LOCATION: backend/src/controllers/uploadController.js
-// FIND the uploadFile function (starts at line 120)
-// REPLACE the ENTIRE uploadFile function with this:
+// Preview handler - detect headers and suggest a column mapping without creating a job
+const previewUpload = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
 
-// LOCATION: backend/src/controllers/uploadController.js
-// REPLACE the ENTIRE uploadFile function (line 120) with this:
+  const fileExt = path.extname(req.file.originalname).toLowerCase();
 
+  try {
+    const workbookInfo = await fileParser.parseWorkbook(req.file.buffer, fileExt, {
+      sheetName: req.body.sheetName
+    });
+    const preview = columnMapper.buildMappingPreview(workbookInfo.data, workbookInfo.headers);
+    const profileMatch = await findProfileForHeaders(workbookInfo.headers, req.body.customerName);
+
+    if (profileMatch) {
+      const profileConfidence = Math.round(profileMatch.similarity * 100);
+      preview.suggested_mapping = preview.mapping;
+      preview.mapping = profileMatch.mapping;
+      preview.confidence = Object.fromEntries(
+        Object.entries(profileMatch.mapping).map(([field, header]) => [field, header ? profileConfidence : 0])
+      );
+      preview.matched_profile = {
+        profile_id: profileMatch.profile.profile_id,
+        name: profileMatch.profile.name,
+        source_system: profileMatch.profile.source_system,
+        customer_name: profileMatch.profile.customer_name,
+        match_type: profileMatch.matchType,
+        similarity: profileMatch.similarity
+      };
+    }
+
+    res.json({
+      filename: req.file.originalname,
+      sheet_name: workbookInfo.sheetName,
+      header_row: workbookInfo.headerRow,
+      available_sheets: workbookInfo.sheets,
+      row_count: workbookInfo.data.length,
+      ...preview
+    });
+  } catch (error) {
+    console.error('Preview error:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to preview file',
+      details: error.message,
+      fileType: fileExt
+    });
+  }
+};
+
+// Upload handler - queue the file for the job worker and answer straight away
 const uploadFile = async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    const jobId = uuidv4();
-    const { customerName } = req.body;
-    
-    console.log('Processing file:', req.file.originalname);
-    console.log('Customer:', customerName);
-    console.log('File size:', req.file.size, 'bytes');
-    
     const fileExt = path.extname(req.file.originalname).toLowerCase();
-    let parsedData = [];
-    
-    try {
-      if (fileExt === '.csv') {
-        // Parse CSV file
-        const fileContent = req.file.buffer.toString('utf8');
-        const results = await new Promise((resolve, reject) => {
-          Papa.parse(fileContent, {
-            header: true,
-            dynamicTyping: true,
-            skipEmptyLines: true,
-            complete: (results) => resolve(results.data),
-            error: (error) => reject(error)
-          });
+    if (!['.csv', '.xlsx', '.xlsb', '.xls'].includes(fileExt)) {
+      return res.status(400).json({ error: 'Unsupported file type' });
+    }
+
+    const jobId = uuidv4();
+    const { customerName, sheetName, profileId } = req.body;
+    const columnMapping = readColumnMapping(req.body);
+
+    // Optional look-ahead windows for approaching milestones, e.g. "12,24,36"
+    let lifecycleWindows = null;
+    if (req.body.lifecycleWindows) {
+      lifecycleWindows = parseWindows(req.body.lifecycleWindows);
+      if (!lifecycleWindows) {
+        return res.status(400).json({
+          error: 'Invalid lifecycle windows',
+          details: 'lifecycleWindows must be a comma-separated list of months between 1 and 120'
         });
-        parsedData = results;
-        console.log('CSV parsed rows:', parsedData.length);
-        
-      } else if (fileExt === '.xlsx' || fileExt === '.xlsb' || fileExt === '.xls') {
-        // Parse Excel file
-        parsedData = await parseExcel(req.file.buffer);
-        console.log('Excel parsed rows:', parsedData.length);
-      } else {
-        return res.status(400).json({ error: 'Unsupported file type' });
       }
-      
-      // ============ CRITICAL COLUMN DEBUG ============
-      console.log('\n🔍 CRITICAL DEBUG - RAW FILE STRUCTURE:');
-      if (parsedData.length > 0) {
-        console.log('Column names found:', Object.keys(parsedData[0]));
-        console.log('\nFirst 3 rows RAW DATA:');
-        parsedData.slice(0, 3).forEach((row, idx) => {
-          console.log(`\nRow ${idx + 1}:`);
-          Object.keys(row).forEach(key => {
-            console.log(`  "${key}": "${row[key]}"`);
-          });
+    }
+
+    // Optional risk factor weights, e.g. "ldos:40,coverage:30" or a JSON object
+    let riskWeights = null;
+    if (req.body.riskWeights) {
+      let weights = req.body.riskWeights;
+      try {
+        if (typeof weights === 'string' && weights.trim().startsWith('{')) weights = JSON.parse(weights);
+      } catch {
+        weights = null;
+      }
+      riskWeights = weights ? parseRiskWeights(weights) : null;
+      if (!riskWeights) {
+        return res.status(400).json({
+          error: 'Invalid risk weights',
+          details: 'riskWeights must map risk factors (ldos, eovss, coverage, warranty, criticality, age) to non-negative numbers'
         });
       }
-      console.log('================================\n');
+    }
 
-      // Process data with column mapper
-      const normalizedData = processData(parsedData);
-      // COMPREHENSIVE QUANTITY DEBUG
-      console.log('\n========== RAW DATA QUANTITY CHECK ==========');
-      
-      // Check what columns exist related to quantity
-      if (parsedData.length > 0) {
-        const firstRow = parsedData[0];
-        const qtyRelatedColumns = Object.keys(firstRow).filter(key => 
-          key.toLowerCase().includes('qty') || 
-          key.toLowerCase().includes('quant') ||
-          key.toLowerCase().includes('item')
-        );
-        console.log('Quantity-related columns found:', qtyRelatedColumns);
-        
-        // Show actual values for first 3 rows
-        console.log('\nFirst 3 rows - Item Quantity values:');
-        parsedData.slice(0, 3).forEach((row, idx) => {
-          console.log(`Row ${idx + 1}:`);
-          console.log(`  "Item Quantity": ${row['Item Quantity']}`);
-          console.log(`  Type of value: ${typeof row['Item Quantity']}`);
-          console.log(`  Parsed as int: ${parseInt(row['Item Quantity'])}`);
+    // Optional days ahead a contract or warranty counts as expiring, e.g. "60"
+    let expiringDays = null;
+    if (req.body.expiringDays) {
+      expiringDays = Number(req.body.expiringDays);
+      if (!Number.isInteger(expiringDays) || expiringDays < 1 || expiringDays > MAX_EXPIRING_DAYS) {
+        return res.status(400).json({
+          error: 'Invalid expiring days',
+          details: `expiringDays must be a whole number between 1 and ${MAX_EXPIRING_DAYS}`
         });
       }
-      
-      // Check normalized data
-      console.log('\nNormalized data - first 3 items:');
-      normalizedData.slice(0, 3).forEach((item, idx) => {
-        console.log(`Item ${idx + 1}: qty = ${item.qty}`);
-      });
-      
-      // Count non-zero quantities
-      const nonZero = normalizedData.filter(item => item.qty > 0).length;
-      console.log(`\nItems with qty > 0: ${nonZero} out of ${normalizedData.length}`);
-      console.log('==============================================\n');
-
-      // Debug logging to check support coverage mapping
-      console.log('First 5 rows of parsed data columns:', parsedData.slice(0, 5).map(row => Object.keys(row)));
-      console.log('First 5 rows Coverage values:', parsedData.slice(0, 5).map(row => ({
-        Coverage: row.Coverage,
-        coverage: row.coverage,
-        'Covered line status': row['Covered line status'],
-        'Support Coverage': row['Support Coverage']
-      })));
-
-      // Debug normalized support values
-      const supportValues = normalizedData.map(item => item.support_coverage);
-      const supportCounts = supportValues.reduce((acc, val) => {
-        acc[val] = (acc[val] || 0) + 1;
-        return acc;
-      }, {});
-      console.log('Support coverage distribution:', supportCounts);
-      console.log('Sample normalized items (first 3):', normalizedData.slice(0, 3).map(item => ({
-        product_id: item.product_id,
-        support_coverage: item.support_coverage
-      })));
-      console.log('Normalized rows:', normalizedData.length);
-      
-      // Calculate REFINED analytics (removed value, added service contracts and categories)
-      const totalRecords = normalizedData.length;
-      const totalQuantity = normalizedData.reduce((sum, item) => sum + (parseInt(item.qty) || 0), 0);
-      const activeSupport = normalizedData.filter(item => item.support_coverage === 'Active').length;
-      const expiredSupport = normalizedData.filter(item => item.support_coverage === 'Expired').length;
-      // NEW: Calculate End of Sale, SW Vulnerability, and Last Day Support counts
-      const currentDate = new Date();
-      const totalEndOfSale = normalizedData.filter(item => {
-        if (!item.end_of_sale || item.end_of_sale === '-') return false;
-        try {
-          const eosDate = new Date(item.end_of_sale);
-          return !isNaN(eosDate.getTime()) && eosDate <= currentDate;
-        } catch (e) {
-          return false;
-        }
-      }).length;
-      
-      const totalEndOfSWVuln = normalizedData.filter(item => {
-        const vulnField = item['End of Vulnerability/Security Support'] || 
-                         item.end_of_vulnerability_support || 
-                         item['End of Security Support'] || '-';
-        if (!vulnField || vulnField === '-') return false;
-        try {
-          const vulnDate = new Date(vulnField);
-          return !isNaN(vulnDate.getTime()) && vulnDate <= currentDate;
-        } catch (e) {
-          return false;
-        }
-      }).length;
-      
-      const totalLastDaySupport = normalizedData.filter(item => {
-        if (!item.last_day_support || item.last_day_support === '-') return false;
-        try {
-          const ldosDate = new Date(item.last_day_support);
-          return !isNaN(ldosDate.getTime()) && ldosDate <= currentDate;
-        } catch (e) {
-          return false;
-        }
-      }).length;
-      
-      // NEW: Manufacturer Breakdown
-      const manufacturerBreakdown = {};
-      normalizedData.forEach(item => {
-        const mfg = item.mfg && item.mfg !== '-' ? item.mfg : 'Unknown';
-        if (!manufacturerBreakdown[mfg]) {
-          manufacturerBreakdown[mfg] = {
-            count: 0,
-            quantity: 0,
-            activeCount: 0,
-            expiredCount: 0
-          };
-        }
-        manufacturerBreakdown[mfg].count++;
-        manufacturerBreakdown[mfg].quantity += parseInt(item.qty) || 0;
-        
-        if (item.support_coverage === 'Active') {
-          manufacturerBreakdown[mfg].activeCount++;
-        } else if (item.support_coverage === 'Expired') {
-          manufacturerBreakdown[mfg].expiredCount++;
-        }
-      });
-      // NEW: Total unique categories
-      const uniqueCategories = [...new Set(normalizedData.map(item => item.category || 'Uncategorized'))];
-      const totalCategories = uniqueCategories.length;
-      
-      // NEW: Total Service Contracts (items with Active support)
-     // NEW: Total Service Contracts (items with Active support)
-      const totalServiceContracts = activeSupport;
-      
-      // Log the calculation for verification
-      console.log(`CALCULATION CHECK: Active Support = ${activeSupport}, Total Items = ${totalRecords}`);
-      console.log(`Percentage with support: ${totalRecords > 0 ? Math.round((activeSupport / totalRecords) * 100) : 0}%`);
-      
-      // Total unique manufacturers
-      const totalManufacturers = [...new Set(normalizedData.map(item => item.mfg).filter(m => m && m !== '-'))].length;
-      
-      // REFINED: Category Breakdown - focus on quantity only
-      const categoryBreakdown = {};
-      normalizedData.forEach(item => {
-        const cat = item.category || 'Uncategorized';
-        if (!categoryBreakdown[cat]) {
-          categoryBreakdown[cat] = { 
-            count: 0,  // Number of unique items
-            quantity: 0, // Total quantity
-            activeCount: 0,
-            expiredCount: 0
-          };
-        }
-        categoryBreakdown[cat].count++;
-        categoryBreakdown[cat].quantity += parseInt(item.qty) || 0;
-        
-        if (item.support_coverage === 'Active') {
-          categoryBreakdown[cat].activeCount++;
-        } else if (item.support_coverage === 'Expired') {
-          categoryBreakdown[cat].expiredCount++;
-        }
-      });
+    }
 
-      // DEBUG category breakdown quantities
-      console.log('\n=== CATEGORY BREAKDOWN DEBUG ===');
-      Object.entries(categoryBreakdown).forEach(([cat, data]) => {
-        console.log(`${cat}: quantity=${data.quantity}, count=${data.count}`);
-      });
-      console.log('================================\n');
-      
-      // REFINED: Data Completeness - removed qty and total_value
-      const requiredFields = [
-        'mfg', 
-        'category', 
-        'product_id', 
-        'description', 
-        'support_coverage', 
-        'end_of_sale', 
-        'last_day_support', 
-        'asset_type', 
-        'ship_date'
-      ];
-      
-      const fieldCompleteness = {};
-      requiredFields.forEach(field => {
-        const filled = normalizedData.filter(item => 
-          item[field] && 
-          item[field] !== '-' && 
-          item[field] !== '' &&
-          item[field] !== 'N/A'
-        ).length;
-        fieldCompleteness[field] = Math.round((filled / normalizedData.length) * 100);
-      });
-      
-      // Lifecycle Status by Category
-// Lifecycle Status by Category - UPDATED
-      const lifecycleByCategory = {};
-      Object.keys(categoryBreakdown).forEach(category => {
-        const categoryItems = normalizedData.filter(item => 
-          (item.category || 'Uncategorized') === category
-        );
-        
-        let totalQty = 0;
-        let endOfSaleCount = 0;
-        let endOfSWVulnCount = 0;
-        let lastDaySupportCount = 0;
-        
-        categoryItems.forEach(item => {
-          totalQty += parseInt(item.qty) || 0;
-          
-          // Check End of Sale
-          if (item.end_of_sale && item.end_of_sale !== '-') {
-            try {
-              const eosDate = new Date(item.end_of_sale);
-              if (!isNaN(eosDate.getTime()) && eosDate <= currentDate) {
-                endOfSaleCount++;
-              }
-            } catch (e) {}
-          }
-          
-          // Check End of SW Vulnerability Support
-          const vulnField = item['End of Vulnerability/Security Support'] || 
-                           item.end_of_vulnerability_support || 
-                           item['End of Security Support'] || '-';
-          if (vulnField && vulnField !== '-') {
-            try {
-              const vulnDate = new Date(vulnField);
-              if (!isNaN(vulnDate.getTime()) && vulnDate <= currentDate) {
-                endOfSWVulnCount++;
-              }
-            } catch (e) {}
-          }
-          
-          // Check Last Day of Support
-          if (item.last_day_support && item.last_day_support !== '-') {
-            try {
-              const ldosDate = new Date(item.last_day_support);
-              if (!isNaN(ldosDate.getTime()) && ldosDate <= currentDate) {
-                lastDaySupportCount++;
-              }
-            } catch (e) {}
-          }
-        });
-        
-        lifecycleByCategory[category] = {
-          totalQty,
-          endOfSale: endOfSaleCount,
-          endOfSWVuln: endOfSWVulnCount,
-          lastDaySupport: lastDaySupportCount,
-          total: categoryItems.length
-        };
-      });
-      
-      // Create refined summary
-      const summary = {
-        // Keep original fields for compatibility
-        total_items: totalRecords,
-        total_quantity: totalQuantity,
-        total_value: 0, // Keep for compatibility but set to 0
-        total_manufacturers: totalManufacturers,
-        active_support: activeSupport,
-        expired_support: expiredSupport,
-        // Add new fields
-        total_categories: totalCategories,
-        total_service_contracts: totalServiceContracts,
-        totalRecords,
-        supportCoverage: totalRecords > 0 ? Math.round((activeSupport / totalRecords) * 100) : 0,
-        categoryBreakdown,
-        manufacturerBreakdown,
-        fieldCompleteness,
-        lifecycleByCategory
-      };
-      
-      // Store job data in memory with analytics
-      jobStorage[jobId] = {
-        jobId,
-        customerName: customerName || 'Unknown',
-        filename: req.file.originalname,
-        status: 'completed',
-        data: normalizedData,
-        summary,
-        analytics: {
-          categories: categoryBreakdown,
-          manufacturerBreakdown,  // Make sure this is included
-          completeness: fieldCompleteness,
-          lifecycle: lifecycleByCategory,
-          totalCategories,
-          totalServiceContracts,
-          totalEndOfSale,
-          totalEndOfSWVuln,
-          totalLastDaySupport
-        },
-        timestamp: new Date(),
-        rows_processed: normalizedData.length
-      };
-      
-      console.log('Job stored with ID:', jobId);
-      console.log('Refined summary:', summary);
-      
-      res.json({
-        job_id: jobId,
-        status: 'processing',
-        rows_uploaded: normalizedData.length,
-        message: 'File uploaded successfully'
-      });
-      
-    } catch (parseError) {
-      console.error('File parsing error:', parseError);
-      res.status(500).json({ 
-        error: 'Failed to parse file', 
-        details: parseError.message,
-        fileType: fileExt
+    // Optional fiscal calendar for milestone and renewal buckets - calendar, cisco or customer
+    const fiscalCalendar = req.body.fiscalCalendar || null;
+    const fiscalYearStartMonth = req.body.fiscalYearStartMonth ? Number(req.body.fiscalYearStartMonth) : null;
+    if ((fiscalCalendar || fiscalYearStartMonth) &&
+      !resolveCalendar(fiscalCalendar || 'customer', { startMonth: fiscalYearStartMonth || undefined })) {
+      return res.status(400).json({
+        error: 'Invalid fiscal calendar',
+        details: `fiscalCalendar must be one of ${Object.keys(FISCAL_CALENDARS).join(', ')} and fiscalYearStartMonth a month between 1 and 12`
       });
     }
-    
+
+    console.log('Queueing file:', req.file.originalname, `(${req.file.size} bytes) for`, customerName);
+
+    await jobStore.createJob({
+      jobId,
+      customerName,
+      filename: req.file.originalname,
+      fileSize: req.file.size,
+      fileType: fileExt,
+      fileData: req.file.buffer,
+      options: {
+        sheetName: sheetName || null,
+        columnMapping,
+        profileId: profileId || null,
+        lifecycleWindows,
+        riskWeights,
+        expiringDays,
+        fiscalCalendar: fiscalCalendar || (fiscalYearStartMonth ? 'customer' : null),
+        fiscalYearStartMonth
+      }
+    });
+
+    res.status(202).json({
+      job_id: jobId,
+      status: 'queued',
+      progress: 0,
+      message: 'File uploaded successfully'
+    });
   } catch (error) {
     console.error('Upload error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to queue file', details: error.message });
+  }
+};
+
+// Load a job or answer 404 - returns null when the response has been sent
+const loadJob = async (req, res) => {
+  const job = await jobStore.getJob(req.params.jobId);
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
   }
+  return job;
+};
+
+// Insights stored with the analytics. Jobs analyzed before the insights engine get
+// them from their rows once, with the job's own options, and keep the result.
+const jobInsights = async (job) => {
+  if (job.analytics && job.analytics.insights) return job.analytics.insights;
+  const options = job.options || {};
+  const insights = generateInsights(await jobStore.getJobRows(job.jobId), {
+    horizonMonths: (options.lifecycleWindows || LIFECYCLE_WINDOWS)[0],
+    expiringDays: options.expiringDays || DEFAULT_EXPIRING_DAYS
+  });
+  await jobStore.saveInsights(job.jobId, insights);
+  return insights;
 };
 
 // Status handler
 const getJobStatus = async (req, res) => {
-  const { jobId } = req.params;
-  const job = jobStorage[jobId];
-  
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    const results = job.status === 'completed'
+      ? await jobInsights(job)
+      : { opportunities: [], risks: [], findings: [], insights: [] };
+    res.json({
+      status: job.status,
+      progress: job.progress,
+      job_id: job.jobId,
+      customer_name: job.customerName,
+      filename: job.filename,
+      sheet_name: job.sheetName,
+      header_row: job.headerRow,
+      rows_uploaded: job.rows_uploaded,
+      rows_processed: job.rows_processed,
+      products_identified: job.products_identified,
+      timestamp: job.timestamp,
+      warnings: job.warnings || [],
+      errors: job.errors,
+      error: job.errors && job.errors.length > 0 ? job.errors[0].message : undefined,
+      results
+    });
+  } catch (error) {
+    console.error('Status error:', error);
+    res.status(500).json({ error: 'Failed to load job status', details: error.message });
   }
-  
-  res.json({
-    status: job.status,
-    job_id: jobId,
-    customer_name: job.customerName,
-    filename: job.filename,
-    rows_processed: job.rows_processed,
-    timestamp: job.timestamp,
-    results: {
-      findings: [
-        `Processed ${job.rows_processed} items`,
-        `${job.summary.active_support} items with active support`,
-        `${job.summary.expired_support} items with expired support`
-      ]
-    }
+};
+
+// Shape of each progress event sent to the browser
+const toProgressEvent = (job) => ({
+  job_id: job.jobId,
+  status: job.status,
+  progress: job.progress,
+  rows_uploaded: job.rows_uploaded,
+  rows_processed: job.rows_processed,
+  products_identified: job.products_identified,
+  warnings: job.warnings || [],
+  error: job.errors && job.errors.length > 0 ? job.errors[0].message : undefined
+});
+
+// Heartbeat keeps proxies from closing an idle stream
+const SSE_HEARTBEAT_MS = 15000;
+// Re-read the job now and then in case a notification was missed
+const SSE_REFRESH_MS = 5000;
+
+// Progress stream handler - Server-Sent Events, one event per job change
+const streamJobEvents = async (req, res) => {
+  let job;
+  try {
+    job = await loadJob(req, res);
+    if (!job) return;
+  } catch (error) {
+    console.error('Event stream error:', error);
+    return res.status(500).json({ error: 'Failed to load job', details: error.message });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
   });
+  res.flushHeaders();
+
+  let closed = false;
+  let lastEvent = null;
+  let unsubscribe = () => {};
+  let heartbeat = null;
+  let refreshTimer = null;
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearInterval(refreshTimer);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = (current) => {
+    if (closed) return;
+    const event = JSON.stringify(toProgressEvent(current));
+    if (event !== lastEvent) {
+      lastEvent = event;
+      res.write(`event: progress\ndata: ${event}\n\n`);
+    }
+    if (jobStore.FINAL_STATES.includes(current.status)) {
+      cleanup();
+    }
+  };
+
+  // Serialize re-reads so events always go out in order
+  let pending = Promise.resolve();
+  const refresh = () => {
+    pending = pending
+      .then(() => jobStore.getJob(job.jobId))
+      .then(current => current && send(current))
+      .catch(error => console.warn('Event stream refresh failed:', error.message));
+  };
+
+  req.on('close', cleanup);
+  send(job);
+  if (closed) return;
+
+  unsubscribe = await jobEvents.subscribe(job.jobId, refresh);
+  if (closed) {
+    unsubscribe();
+    return;
+  }
+  heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  refreshTimer = setInterval(refresh, SSE_REFRESH_MS);
+};
+
+// Cancel handler - stops a queued or running job
+const cancelJob = async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    const cancelled = await jobStore.cancelJob(job.jobId);
+    if (!cancelled) {
+      return res.status(409).json({ error: `Job is already ${job.status}` });
+    }
+
+    res.json({ job_id: job.jobId, status: 'cancelled' });
+  } catch (error) {
+    console.error('Cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel job', details: error.message });
+  }
 };
 
 // Results handler - return actual processed data
 const getResults = async (req, res) => {
-  const { jobId } = req.params;
-  const job = jobStorage[jobId];
-  
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Job is ${job.status}` });
+    }
+
+    // ?view=devices - one row per top-level device with its components rolled up
+    const view = req.query.view || 'line_items';
+    if (!RESULT_VIEWS.includes(view)) {
+      return res.status(400).json({ error: 'Invalid view', details: [`view must be one of ${RESULT_VIEWS.join(', ')}`] });
+    }
+    const deviceView = view === 'devices' && job.summary && job.summary.device_view;
+
+    const total = deviceView ? job.summary.hierarchy.devices : job.rows_processed;
+    const limit = parseInt(req.query.limit) || total;
+    const offset = parseInt(req.query.offset) || 0;
+    const rows = await jobStore.getJobRows(job.jobId, { limit, offset, devicesOnly: Boolean(deviceView) });
+    const products = deviceView ? deviceRows(rows) : rows;
+
+    // Return the processed data
+    res.json({
+      products,
+      summary: deviceView ? { ...job.summary.device_view, hierarchy: job.summary.hierarchy } : job.summary,
+      view: deviceView ? 'devices' : 'line_items',
+      pagination: {
+        total,
+        limit: limit,
+        offset: offset
+      }
+    });
+  } catch (error) {
+    console.error('Results error:', error);
+    res.status(500).json({ error: 'Failed to load results', details: error.message });
   }
-  
-  // Support pagination if needed in future
-  const limit = parseInt(req.query.limit) || job.data.length;
-  const offset = parseInt(req.query.offset) || 0;
-  
-  // Return the processed data
-  res.json({
-    products: job.data.slice(offset, offset + limit),
-    summary: job.summary,
-    pagination: {
-      total: job.data.length,
-      limit: limit,
-      offset: offset
+};
+
+// Product-level results - one row per product ID aggregated from the line items
+const getProducts = async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Job is ${job.status}` });
     }
-  });
+
+    const limit = parseInt(req.query.limit) || undefined;
+    const offset = parseInt(req.query.offset) || 0;
+    const [{ products, total }, summary] = await Promise.all([
+      dataProcessor.getProducts(job.jobId, pool, { limit, offset }),
+      dataProcessor.generateSummary(job.jobId, pool)
+    ]);
+
+    res.json({
+      products,
+      summary,
+      pagination: {
+        total,
+        limit: limit || total,
+        offset
+      }
+    });
+  } catch (error) {
+    console.error('Products error:', error);
+    res.status(500).json({ error: 'Failed to load products', details: error.message });
+  }
 };
 
+// Flatten a row's date sources for a single export cell, e.g. "end_of_sale: catalog; last_day_support: file"
+const describeDateSources = (dateSources) =>
+  Object.entries(dateSources || {}).map(([field, source]) => `${field}: ${source}`).join('; ');
+
 // Export handler
 const exportResults = async (req, res) => {
-  const { jobId } = req.params;
-  const job = jobStorage[jobId];
-  
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
-  }
-  
   try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Job is ${job.status}` });
+    }
+
+    const rows = await jobStore.getJobRows(job.jobId);
     const format = req.query.format || 'csv';
-    
+
     if (format === 'excel' || format === 'xlsx') {
       // Export as Excel
       const workbook = new ExcelJS.Workbook();
@@ -605,22 +469,47 @@ const exportResults = async (req, res) => {
       worksheet.columns = [
         { header: 'ID', key: 'id', width: 10 },
         { header: 'Manufacturer', key: 'mfg', width: 15 },
-        { header: 'Category', key: 'category', width: 20 },
+        { header: 'Manufacturer Confidence', key: 'mfg_confidence', width: 12 },
+        { header: 'Category', key: 'category', width: 36 },
+        { header: 'Category Confidence', key: 'category_confidence', width: 12 },
+        { header: 'Business Entity', key: 'business_entity', width: 20 },
         { header: 'Asset Type', key: 'asset_type', width: 15 },
         { header: 'Type', key: 'type', width: 15 },
         { header: 'Product ID', key: 'product_id', width: 20 },
         { header: 'Description', key: 'description', width: 40 },
+        { header: 'Instance ID', key: 'instance_id', width: 14 },
+        { header: 'Parent Instance ID', key: 'parent_instance_id', width: 14 },
+        { header: 'Install Site ID', key: 'install_site_id', width: 14 },
+        { header: 'Install Site', key: 'install_site', width: 28 },
+        { header: 'Install Site City', key: 'install_site_city', width: 16 },
+        { header: 'Install Site State', key: 'install_site_state', width: 8 },
+        { header: 'Install Site Country', key: 'install_site_country', width: 10 },
         { header: 'Ship Date', key: 'ship_date', width: 12 },
         { header: 'Quantity', key: 'qty', width: 10 },
         { header: 'Total Value', key: 'total_value', width: 15 },
+        { header: 'Device Components', key: 'component_count', width: 12 },
+        { header: 'Device Quantity', key: 'rollup_qty', width: 12 },
+        { header: 'Device Value', key: 'rollup_value', width: 15 },
         { header: 'Support Coverage', key: 'support_coverage', width: 15 },
+        { header: 'Covered Line Status', key: 'covered_line_status', width: 14 },
+        { header: 'Coverage End', key: 'coverage_end_date', width: 12 },
+        { header: 'Warranty Type', key: 'warranty_type', width: 18 },
+        { header: 'Warranty End', key: 'warranty_end_date', width: 12 },
+        { header: 'Warranty Status', key: 'warranty_status', width: 12 },
+        { header: 'EoL Announcement', key: 'eol_announcement', width: 14 },
         { header: 'End of Sale', key: 'end_of_sale', width: 12 },
-        { header: 'Last Support', key: 'last_day_support', width: 12 }
+        { header: 'End of SW Maintenance', key: 'end_of_sw_maintenance', width: 14 },
+        { header: 'End of Vulnerability Support', key: 'end_of_vuln_support', width: 14 },
+        { header: 'Last Support', key: 'last_day_support', width: 12 },
+        { header: 'Date Sources', key: 'date_sources', width: 40 },
+        { header: 'Risk Score', key: 'risk_score', width: 10 },
+        { header: 'Risk Level', key: 'risk_level', width: 10 },
+        { header: 'Risk Reasons', key: 'risk_reasons', width: 50 }
       ];
       
       // Add data
-      job.data.forEach(row => {
-        worksheet.addRow(row);
+      rows.forEach(row => {
+        worksheet.addRow({ ...row, date_sources: describeDateSources(row.date_sources) });
       });
       
       // Style the header row
@@ -630,6 +519,9 @@ const exportResults = async (req, res) => {
         pattern: 'solid',
         fgColor: { argb: 'FFE0E0E0' }
       };
+
+      addOpportunitySheets(workbook, buildServiceOpportunity(rows));
+      addSiteSheet(workbook, summarizeSites(rows));
       
       const filename = `export_${job.customerName.replace(/[^a-z0-9]/gi, '_')}_${new Date().toISOString().split('T')[0]}.xlsx`;
       
@@ -641,7 +533,11 @@ const exportResults = async (req, res) => {
       
     } else {
       // Export as CSV (default)
-      const csv = Papa.unparse(job.data);
+      // Per-factor points are an object - the score, level and reasons carry them in the CSV
+      const csv = Papa.unparse(rows.map(({ risk_factors, date_sources, ...row }) => ({
+        ...row,
+        date_sources: describeDateSources(date_sources)
+      })));
       const filename = `export_${job.customerName.replace(/[^a-z0-9]/gi, '_')}_${new Date().toISOString().split('T')[0]}.csv`;
       
       res.setHeader('Content-Type', 'text/csv');
@@ -654,24 +550,14 @@ const exportResults = async (req, res) => {
   }
 };
 
-// Clear old jobs from memory (cleanup function)
-const cleanupOldJobs = () => {
-  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-  Object.keys(jobStorage).forEach(jobId => {
-    if (jobStorage[jobId].timestamp < oneHourAgo) {
-      delete jobStorage[jobId];
-      console.log(`Cleaned up old job: ${jobId}`);
-    }
-  });
-};
-
-// Run cleanup every 30 minutes
-setInterval(cleanupOldJobs, 30 * 60 * 1000);
-
 module.exports = {
   upload: upload.single('file'),
+  previewUpload,
   uploadFile,
   getJobStatus,
+  streamJobEvents,
+  cancelJob,
   getResults,
+  getProducts,
   exportResults
-};
\ No newline at end of file
+};
@@ -0,0 +1,14 @@
+// backend/src/routes/categories.routes.js
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+
+router.get('/', categoryController.getTree);
+router.post('/classify', categoryController.classify);
+
+// Per-customer overrides - clients URL-encode the customer name and Product ID
+router.get('/overrides', categoryController.listOverrides);
+router.put('/overrides/:customerName/:productId', categoryController.saveOverride);
+router.delete('/overrides/:customerName/:productId', categoryController.deleteOverride);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// backend/src/routes/eoxCatalog.routes.js
+const express = require('express');
+const router = express.Router();
+const eoxCatalogController = require('../controllers/eoxCatalogController');
+
+router.get('/', eoxCatalogController.listEntries);
+router.post('/', eoxCatalogController.createEntry);
+
+// Bulk import (EoX bulletin CSV/Excel/JSON or JSON entries) and export as CSV
+router.post('/import', eoxCatalogController.upload, eoxCatalogController.importEntries);
+router.get('/export', eoxCatalogController.exportEntries);
+
+// Entries are keyed by manufacturer and Product ID - clients URL-encode both
+router.get('/:manufacturer/:productId', eoxCatalogController.getEntry);
+router.put('/:manufacturer/:productId', eoxCatalogController.updateEntry);
+router.delete('/:manufacturer/:productId', eoxCatalogController.deleteEntry);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+// backend/src/routes/jobs.routes.js
+const express = require('express');
+const router = express.Router();
+const jobHistoryController = require('../controllers/jobHistoryController');
+
+router.get('/', jobHistoryController.listJobs);
+router.get('/compare', jobHistoryController.compareJobResults);
+router.get('/:jobId', jobHistoryController.getJob);
+
+module.exports = router;
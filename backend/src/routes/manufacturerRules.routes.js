@@ -0,0 +1,14 @@
+// backend/src/routes/manufacturerRules.routes.js
+const express = require('express');
+const router = express.Router();
+const manufacturerRuleController = require('../controllers/manufacturerRuleController');
+
+router.get('/', manufacturerRuleController.listRules);
+router.post('/', manufacturerRuleController.createRule);
+router.post('/reset', manufacturerRuleController.resetRules);
+router.post('/identify', manufacturerRuleController.identify);
+router.get('/:ruleId', manufacturerRuleController.getRule);
+router.put('/:ruleId', manufacturerRuleController.updateRule);
+router.delete('/:ruleId', manufacturerRuleController.deleteRule);
+
+module.exports = router;
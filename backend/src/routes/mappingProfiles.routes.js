@@ -0,0 +1,12 @@
+// backend/src/routes/mappingProfiles.routes.js
+const express = require('express');
+const router = express.Router();
+const mappingProfileController = require('../controllers/mappingProfileController');
+
+router.get('/', mappingProfileController.listProfiles);
+router.post('/', mappingProfileController.createProfile);
+router.get('/:profileId', mappingProfileController.getProfile);
+router.put('/:profileId', mappingProfileController.updateProfile);
+router.delete('/:profileId', mappingProfileController.deleteProfile);
+
+module.exports = router;
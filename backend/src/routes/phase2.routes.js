@@ -0,0 +1,22 @@
+// backend/src/routes/phase2.routes.js
+const express = require('express');
+const router = express.Router();
+const phase2Controller = require('../controllers/phase2Controller');
+
+// Five-year refresh budget for a completed Phase 1 job
+router.get('/forecast/:jobId', phase2Controller.getRefreshForecast);
+
+// Contract renewal calendar and co-termination opportunities
+router.get('/contracts/:jobId', phase2Controller.getContractRenewals);
+
+// Uncovered-asset service opportunity and its export
+router.get('/opportunity/:jobId', phase2Controller.getServiceOpportunity);
+router.get('/opportunity/:jobId/export', phase2Controller.exportServiceOpportunity);
+
+// Warranty coverage next to service contracts
+router.get('/warranty/:jobId', phase2Controller.getWarrantyAnalysis);
+
+// Asset counts, coverage, LDOS exposure and refresh cost per install site
+router.get('/sites/:jobId', phase2Controller.getSiteSummary);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+// backend/src/routes/phase3.routes.js
+const express = require('express');
+const router = express.Router();
+const phase3Controller = require('../controllers/phase3Controller');
+
+// Replacement plan for a completed Phase 1 job
+router.get('/plan/:jobId', phase3Controller.getReplacementPlan);
+
+// Quote-ready bill of materials for the plan
+router.get('/plan/:jobId/bom', phase3Controller.exportBom);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// backend/src/routes/successorCatalog.routes.js
+const express = require('express');
+const router = express.Router();
+const uploadController = require('../controllers/uploadController');
+const successorCatalogController = require('../controllers/successorCatalogController');
+
+router.get('/', successorCatalogController.listEntries);
+router.post('/', successorCatalogController.createEntry);
+
+// Bulk import (CSV/Excel file or JSON entries) and export in the same format
+router.post('/import', uploadController.upload, successorCatalogController.importEntries);
+router.get('/export', successorCatalogController.exportEntries);
+
+// Product IDs may contain "/" (e.g. ISR4221-SEC/K9) - clients URL-encode them
+router.get('/:productId', successorCatalogController.getEntry);
+router.put('/:productId', successorCatalogController.updateEntry);
+router.delete('/:productId', successorCatalogController.deleteEntry);
+
+module.exports = router;
@@ -3,15 +3,27 @@ const express = require('express');
 const router = express.Router();
 const uploadController = require('../controllers/uploadController');
 
+// Column mapping preview endpoint - no job is created
+router.post('/preview', uploadController.upload, uploadController.previewUpload);
+
 // File upload endpoint
 router.post('/upload', uploadController.upload, uploadController.uploadFile);
 
 // Status check endpoint
 router.get('/status/:jobId', uploadController.getJobStatus);
 
+// Live progress stream (Server-Sent Events)
+router.get('/events/:jobId', uploadController.streamJobEvents);
+
+// Cancel a queued or running job
+router.post('/cancel/:jobId', uploadController.cancelJob);
+
 // Results endpoint  
 router.get('/results/:jobId', uploadController.getResults);
 
+// Product-level results endpoint
+router.get('/products/:jobId', uploadController.getProducts);
+
 // Export endpoint
 router.get('/export/:jobId', uploadController.exportResults);
 
@@ -2,20 +2,27 @@
 const app = require('./app');
 const pool = require('./config/database');
 const logger = require('./config/logger');
+const jobWorker = require('./services/jobWorker');
+const jobEvents = require('./services/jobEvents');
 
 const PORT = process.env.PORT || 3001;
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   logger.info(`Server started on port ${PORT}`);
 });
 
+// Process queued uploads in the background
+jobWorker.start();
+
 // Handle shutdown gracefully
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
+  jobWorker.stop();
+  server.close(async () => {
     logger.info('HTTP server closed');
+    await jobEvents.close();
     pool.end(() => {
       logger.info('Database connections closed');
       process.exit(0);
@@ -0,0 +1,121 @@
+// backend/src/services/assetHierarchy.js
+// Chassis/module/license tree from Instance ID and Parent Instance ID, with component quantities and values rolled up to each device
+const { present } = require('../utils/rowValues');
+
+// Cisco marks top-level lines with a parent of -1; other tools leave it blank or 0
+const NO_PARENT = new Set(['', '-', '-1', '0']);
+
+// An instance ID that links lines together, i.e. not a top-level marker
+const hasId = (value) => present(value) && !NO_PARENT.has(String(value).trim());
+
+const number = (value) => parseFloat(value) || 0;
+
+// Rows stored before the hierarchy existed count as devices of their own
+const isDevice = (row) => row.is_device !== false;
+
+/**
+ * Link every row to its parent line and top-level device. A row whose
+ * parent is not in the file (or that sits in a parent loop) is treated as
+ * a device itself. Devices get their components' lines, quantity, value
+ * and list price rolled up:
+ *   parent_row_id, top_level_id, depth, is_device on every row;
+ *   component_count, rollup_qty, rollup_value, rollup_list_price on devices
+ * @param {Array} rows - Normalized rows, changed in place
+ * @returns {Object} - { line_items, devices, components, orphans, max_depth }
+ */
+function buildHierarchy(rows) {
+  const byInstance = new Map();
+  rows.forEach(row => {
+    if (hasId(row.instance_id) && !byInstance.has(String(row.instance_id).trim())) {
+      byInstance.set(String(row.instance_id).trim(), row);
+    }
+  });
+
+  const parentOf = (row) => {
+    if (!hasId(row.parent_instance_id)) return null;
+    const parent = byInstance.get(String(row.parent_instance_id).trim());
+    return parent && parent !== row ? parent : null;
+  };
+
+  let orphans = 0;
+  let maxDepth = 0;
+  rows.forEach(row => {
+    if (hasId(row.parent_instance_id) && !parentOf(row)) orphans++;
+
+    // Walk up to the top; a chain that loops back on itself has no top
+    const seen = new Set([row]);
+    let top = row;
+    let depth = 0;
+    for (let parent = parentOf(row); parent; parent = parentOf(parent)) {
+      if (seen.has(parent)) {
+        top = row;
+        depth = 0;
+        break;
+      }
+      seen.add(parent);
+      top = parent;
+      depth++;
+    }
+
+    const parent = depth > 0 ? parentOf(row) : null;
+    row.parent_row_id = parent ? parent.id : null;
+    row.top_level_id = top.id;
+    row.depth = depth;
+    row.is_device = depth === 0;
+    maxDepth = Math.max(maxDepth, depth);
+  });
+
+  const devices = new Map(rows.filter(row => row.is_device).map(row => [row.id, row]));
+  devices.forEach(device => {
+    device.component_count = 0;
+    device.rollup_qty = parseInt(device.qty) || 0;
+    device.rollup_value = number(device.total_value);
+    device.rollup_list_price = number(device.list_price);
+  });
+  rows.forEach(row => {
+    if (row.is_device) return;
+    const device = devices.get(row.top_level_id);
+    device.component_count++;
+    device.rollup_qty += parseInt(row.qty) || 0;
+    device.rollup_value += number(row.total_value);
+    device.rollup_list_price += number(row.list_price);
+  });
+
+  return summarizeHierarchy(rows, { orphans, maxDepth });
+}
+
+/**
+ * Line item and device counts of a job
+ * @returns {Object} - { line_items, devices, components, orphans, max_depth }
+ */
+function summarizeHierarchy(rows, { orphans, maxDepth } = {}) {
+  const devices = rows.filter(isDevice).length;
+  return {
+    line_items: rows.length,
+    devices,
+    components: rows.length - devices,
+    orphans: orphans ?? rows.filter(row => isDevice(row) && hasId(row.parent_instance_id)).length,
+    max_depth: maxDepth ?? rows.reduce((max, row) => Math.max(max, row.depth || 0), 0)
+  };
+}
+
+/**
+ * The devices view - one row per top-level device, carrying the value and
+ * list price of everything installed in it
+ * @param {Array} rows - Rows passed through buildHierarchy
+ * @returns {Array} - New row objects; the line items are left as they are
+ */
+function deviceRows(rows) {
+  return rows.filter(isDevice).map(row => ({
+    ...row,
+    total_value: row.rollup_value ?? row.total_value,
+    list_price: row.rollup_list_price ?? row.list_price
+  }));
+}
+
+module.exports = {
+  isDevice,
+  buildHierarchy,
+  summarizeHierarchy,
+  deviceRows
+};
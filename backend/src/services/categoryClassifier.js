@@ -1,22 +1,196 @@
+// backend/src/services/categoryClassifier.js
+// Product category of a row in our category tree, from Product Family, Product Type, Business Entity and PID rules
+const { present } = require('../utils/rowValues');
+
+const SEPARATOR = ' > ';
+const UNCATEGORIZED = 'Uncategorized';
+
+/**
+ * Category tree. A row's category is a path through it, e.g.
+ * "Networking > Switching > Access"; rules may stop at any level.
+ */
+const CATEGORY_TREE = [
+  {
+    name: 'Networking',
+    children: [
+      { name: 'Switching', children: [{ name: 'Access' }, { name: 'Core & Distribution' }, { name: 'Data Center' }, { name: 'Industrial' }] },
+      { name: 'Routing', children: [{ name: 'Branch' }, { name: 'WAN Edge' }] },
+      { name: 'Wireless', children: [{ name: 'Access Points' }, { name: 'Controllers' }] },
+      { name: 'Optics & Transceivers' },
+      { name: 'Storage Networking' }
+    ]
+  },
+  {
+    name: 'Security',
+    children: [{ name: 'Firewall' }, { name: 'Identity & Access' }, { name: 'Security Appliances' }]
+  },
+  {
+    name: 'Collaboration',
+    children: [{ name: 'Voice' }, { name: 'Video' }]
+  },
+  {
+    name: 'Compute',
+    children: [{ name: 'Servers' }, { name: 'Hyperconverged' }]
+  },
+  {
+    name: 'Storage',
+    children: [{ name: 'SAN' }, { name: 'NAS' }]
+  },
+  {
+    name: 'Software',
+    children: [{ name: 'Licenses' }, { name: 'Virtualization' }]
+  },
+  {
+    name: 'Accessories',
+    children: [{ name: 'Power & Cabling' }, { name: 'Modules' }, { name: 'Mounting & Spares' }]
+  }
+];
+
+// Every path in the tree, parents before their children
+const flattenTree = (nodes, prefix = []) => nodes.flatMap(node => {
+  const path = [...prefix, node.name];
+  return [path.join(SEPARATOR), ...flattenTree(node.children || [], path)];
+});
+
+const CATEGORY_PATHS = flattenTree(CATEGORY_TREE);
+const CATEGORY_PATH_SET = new Set(CATEGORY_PATHS);
+
+// Row fields a rule condition can test
+const RULE_FIELDS = {
+  product_family: row => row.product_family,
+  product_type: row => row.type,
+  business_entity: row => row.business_entity,
+  product_id: row => row.product_id,
+  description: row => row.description
+};
+
+/**
+ * Built-in rules. Each condition is a case-insensitive regular expression
+ * on one field and all conditions of a rule must match. The highest
+ * priority match wins, then the highest confidence - a PID or family that
+ * names the platform is surer than the Business Entity, which only names
+ * Cisco's sales organization.
+ */
+const DEFAULT_RULES = [
+  // Parts first, so optics and power cords do not count as the switch they plug into
+  { category: 'Networking > Optics & Transceivers', when: { product_family: '^(SFP|QSFP|GBIC|XFP|CFP)' }, priority: 95, confidence: 90 },
+  { category: 'Networking > Optics & Transceivers', when: { product_id: '^(GLC-|SFP-|QSFP-|CVR-|WS-G54|XENPAK-|X2-)' }, priority: 90, confidence: 85 },
+  { category: 'Accessories > Power & Cabling', when: { product_id: '^(CAB-|PWR-|C3KX-PWR|STACK-T|CBL-)' }, priority: 90, confidence: 85 },
+  { category: 'Accessories > Power & Cabling', when: { product_type: '^CABLE$' }, priority: 85, confidence: 80 },
+  { category: 'Accessories > Mounting & Spares', when: { product_id: '(-RM-|RACK|BLANK|BRKT|-MNT)' }, priority: 85, confidence: 80 },
+  { category: 'Accessories > Modules', when: { product_id: '^(C3KX-NM|C9[23]00-NM|NIM-|HWIC-|EHWIC-|SM-X|MEM-)' }, priority: 80, confidence: 80 },
+
+  { category: 'Networking > Wireless > Controllers', when: { product_id: '^(AIR-CT|C98\\d{2})' }, priority: 80, confidence: 90 },
+  { category: 'Networking > Wireless > Access Points', when: { product_family: '^(AIR|CNWRL|MR\\d)' }, priority: 70, confidence: 85 },
+  { category: 'Networking > Wireless > Access Points', when: { product_id: '^(AIR-AP|AIR-CAP|C91\\d{2}AX|CW9\\d{3})' }, priority: 70, confidence: 85 },
+
+  { category: 'Networking > Switching > Core & Distribution', when: { product_family: '^(C9[456]00|C6[58]00|C4500|C3850)' }, priority: 70, confidence: 85 },
+  { category: 'Networking > Switching > Access', when: { product_family: '^(C9[23]00|C2960|C3560|C3750|C1[0-3]00$|CNSWTCH|3KAGG|MS\\d)' }, priority: 70, confidence: 85 },
+  { category: 'Networking > Switching > Data Center', when: { product_family: '^(N\\d{4}|NX)' }, priority: 70, confidence: 85 },
+  { category: 'Networking > Switching > Industrial', when: { product_family: '^(IE\\d|IEACCS|IR\\d)' }, priority: 70, confidence: 85 },
+  { category: 'Networking > Storage Networking', when: { product_family: '^MDS' }, priority: 70, confidence: 85 },
+  { category: 'Networking > Routing > Branch', when: { product_family: '^(\\d{4}ISR|ISR|C1100|CAT8[0-3]00|C8[0-3]00|2800)' }, priority: 70, confidence: 85 },
+  { category: 'Networking > Routing > WAN Edge', when: { product_family: '^(ASR|CAT8500|C8500)' }, priority: 70, confidence: 85 },
+  { category: 'Networking > Switching > Access', when: { product_id: '^(WS-C2|WS-C3|C9[23]00-|C1[0-3]00-)' }, priority: 65, confidence: 80 },
+  { category: 'Networking > Switching > Core & Distribution', when: { product_id: '^(WS-C45|WS-C6|C9[456]\\d{2}|C68\\d{2})' }, priority: 65, confidence: 80 },
+  { category: 'Networking > Switching > Data Center', when: { product_id: '^N[2-9]K-' }, priority: 65, confidence: 80 },
+  { category: 'Networking > Routing > Branch', when: { product_id: '^(CISCO[1-4]\\d{3}|ISR\\d|C11\\d{2}|C8[23]00)' }, priority: 65, confidence: 80 },
+  { category: 'Networking > Routing > WAN Edge', when: { product_id: '^(ASR\\d|C85\\d{2})' }, priority: 65, confidence: 80 },
+
+  { category: 'Security > Firewall', when: { product_id: '^(ASA\\d|ASA-|FPR|FP\\d|PAN-|FG-)' }, priority: 70, confidence: 90 },
+  { category: 'Security > Identity & Access', when: { product_id: '^(ISE-|SNS-)' }, priority: 70, confidence: 85 },
+  { category: 'Security > Security Appliances', when: { product_family: '^CNSEC' }, priority: 60, confidence: 70 },
+  { category: 'Collaboration > Voice', when: { product_id: '^(CP-\\d|CP-[A-Z]|VG\\d)' }, priority: 70, confidence: 85 },
+  { category: 'Collaboration > Video', when: { product_id: '^(CTS-|CS-|TTC\\d)' }, priority: 70, confidence: 85 },
+  { category: 'Compute > Servers', when: { product_id: '^(UCS[BC]-|UCSC-C|HX-)' }, priority: 70, confidence: 85 },
+  { category: 'Compute > Servers', when: { product_family: '^DNAHW' }, priority: 60, confidence: 70, notes: 'Catalyst Center appliances and their parts' },
+
+  // Descriptions - what the old keyword classifier looked at
+  { category: 'Security > Firewall', when: { description: 'firewall|firepower|fortigate' }, priority: 40, confidence: 70 },
+  { category: 'Networking > Wireless > Access Points', when: { description: 'access point' }, priority: 40, confidence: 70 },
+  { category: 'Networking > Switching', when: { description: '\\bswitch' }, priority: 35, confidence: 65 },
+  { category: 'Networking > Routing', when: { description: '\\brouter' }, priority: 35, confidence: 65 },
+  { category: 'Compute > Servers', when: { description: '\\bserver\\b|proliant|poweredge' }, priority: 35, confidence: 65 },
+  { category: 'Storage > SAN', when: { description: '\\bstorage\\b|\\bsan\\b|powervault' }, priority: 35, confidence: 60 },
+  { category: 'Software > Virtualization', when: { description: 'vmware|vsphere|virtual' }, priority: 35, confidence: 60 },
+  { category: 'Software > Licenses', when: { description: '\\blicen[cs]e|subscription|software' }, priority: 30, confidence: 60 },
+
+  // Business Entity - Cisco's organization, only a broad hint
+  { category: 'Networking > Switching > Data Center', when: { business_entity: 'data center networking' }, priority: 20, confidence: 55 },
+  { category: 'Networking > Switching', when: { business_entity: 'switching' }, priority: 10, confidence: 50 },
+  { category: 'Networking > Routing', when: { business_entity: 'routing' }, priority: 10, confidence: 50 },
+  { category: 'Networking > Wireless', when: { business_entity: 'wireless' }, priority: 10, confidence: 50 },
+  { category: 'Security', when: { business_entity: 'security' }, priority: 10, confidence: 50 },
+  { category: 'Collaboration', when: { business_entity: 'collaboration' }, priority: 10, confidence: 50 },
+  { category: 'Compute', when: { business_entity: 'comput|ucs' }, priority: 10, confidence: 50 }
+];
+
+// Confidence of a category the file supplies that no rule could place in the tree
+const FILE_CATEGORY_CONFIDENCE = 40;
+
+/**
+ * Compile rules for repeated use, in evaluation order
+ * @param {Array} rules - [{ category, when: { field: pattern }, priority, confidence }]
+ * @returns {Array} - Rules with a matches(row) function
+ * @throws {Error} - For an unknown field or a pattern that does not compile
+ */
+function compileRules(rules = DEFAULT_RULES) {
+  return rules
+    .map(rule => {
+      const conditions = Object.entries(rule.when).map(([field, pattern]) => {
+        if (!RULE_FIELDS[field]) throw new Error(`Unknown rule field: ${field}`);
+        const regex = new RegExp(pattern, 'i');
+        return row => {
+          const value = RULE_FIELDS[field](row);
+          return present(value) && regex.test(String(value).trim());
+        };
+      });
+      return { ...rule, matches: row => conditions.every(condition => condition(row)) };
+    })
+    .sort((a, b) => b.priority - a.priority || b.confidence - a.confidence);
+}
+
+const COMPILED_DEFAULTS = compileRules(DEFAULT_RULES);
+
+/**
+ * Category of one row. A customer's override for the Product ID comes
+ * first, then the best matching rule, then whatever category the file gave.
+ * @param {Object} row - Normalized row
+ * @param {Object} options - { rules (compiled), overrides: Map of Product ID -> category path }
+ * @returns {Object} - { category, confidence (0-100), source: override|rule|file|none }
+ */
+function classifyRow(row, { rules = COMPILED_DEFAULTS, overrides } = {}) {
+  const override = overrides && present(row.product_id) && overrides.get(String(row.product_id).trim().toUpperCase());
+  if (override) return { category: override, confidence: 100, source: 'override' };
+
+  const rule = rules.find(candidate => candidate.matches(row));
+  if (rule) return { category: rule.category, confidence: rule.confidence, source: 'rule' };
+
+  if (present(row.category)) return { category: row.category, confidence: FILE_CATEGORY_CONFIDENCE, source: 'file' };
+  return { category: UNCATEGORIZED, confidence: 0, source: 'none' };
+}
+
 function classifyProduct(row) {
-  const searchString = `${row.product_id || ''} ${row.description || ''}`.toLowerCase();
-  
-  if (searchString.includes('switch')) return 'Networking - Switch';
-  if (searchString.includes('router')) return 'Networking - Router';
-  if (searchString.includes('firewall')) return 'Security - Firewall';
-  if (searchString.includes('server')) return 'Server - Rack';
-  if (searchString.includes('storage')) return 'Storage - SAN';
-  if (searchString.includes('software')) return 'Software - Application';
-  if (searchString.includes('vmware') || searchString.includes('virtual')) return 'Virtualization';
-  
-  return 'Uncategorized';
+  return classifyRow(row).category;
 }
 
 function getCategoryConfidence(row, category) {
-  return category !== 'Uncategorized' ? 70 : 0;
+  const result = classifyRow(row);
+  return result.category === category ? result.confidence : 0;
 }
 
+const isCategoryPath = (value) => CATEGORY_PATH_SET.has(value);
+
 module.exports = {
+  SEPARATOR,
+  UNCATEGORIZED,
+  CATEGORY_TREE,
+  CATEGORY_PATHS,
+  RULE_FIELDS,
+  DEFAULT_RULES,
+  compileRules,
+  classifyRow,
   classifyProduct,
-  getCategoryConfidence
-};
\ No newline at end of file
+  getCategoryConfidence,
+  isCategoryPath
+};
@@ -0,0 +1,98 @@
+// backend/src/services/categoryOverrides.js
+// Per-customer category overrides - an analyst's call on a Product ID beats every classification rule
+const pool = require('../config/database');
+const { DEFAULT_TENANT_ID } = require('../config/tenant');
+const { normalizePid } = require('./successorCatalog');
+const { isCategoryPath } = require('./categoryClassifier');
+
+const toOverride = (row) => ({
+  customer_name: row.customer_name,
+  product_id: row.product_id,
+  category: row.category,
+  notes: row.notes,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+/**
+ * Normalize and check one override from a request
+ * @param {Object} input - { customer_name, product_id, category, notes }
+ * @returns {Object} - { override, errors }
+ */
+function validateOverride(input = {}) {
+  const errors = [];
+  const override = {
+    customer_name: input.customer_name ? String(input.customer_name).trim() : '',
+    product_id: normalizePid(input.product_id),
+    category: input.category ? String(input.category).trim() : '',
+    notes: input.notes ? String(input.notes).trim() : null
+  };
+
+  if (!override.customer_name) errors.push('customer_name is required');
+  if (!override.product_id) errors.push('product_id is required');
+  if (!override.category) {
+    errors.push('category is required');
+  } else if (!isCategoryPath(override.category)) {
+    errors.push(`category must be a path in the category tree, e.g. "Networking > Switching > Access"`);
+  }
+
+  return { override, errors };
+}
+
+async function listOverrides({ customerName } = {}) {
+  const params = [DEFAULT_TENANT_ID];
+  let filter = '';
+  if (customerName) {
+    params.push(customerName);
+    filter = 'AND LOWER(customer_name) = LOWER($2)';
+  }
+  const result = await pool.query(`
+    SELECT * FROM category_overrides
+    WHERE tenant_id = $1 ${filter}
+    ORDER BY customer_name, product_id
+  `, params);
+  return result.rows.map(toOverride);
+}
+
+/**
+ * Create or replace a customer's category for one Product ID
+ * @returns {Object} - { override, created }
+ */
+async function saveOverride(override) {
+  const result = await pool.query(`
+    INSERT INTO category_overrides (tenant_id, customer_name, product_id, category, notes)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (tenant_id, (LOWER(customer_name)), product_id) DO UPDATE SET
+      category = EXCLUDED.category,
+      notes = EXCLUDED.notes,
+      updated_at = NOW()
+    RETURNING *, (xmax = 0) AS inserted
+  `, [DEFAULT_TENANT_ID, override.customer_name, override.product_id, override.category, override.notes]);
+  return { override: toOverride(result.rows[0]), created: result.rows[0].inserted };
+}
+
+async function deleteOverride(customerName, productId) {
+  const result = await pool.query(
+    'DELETE FROM category_overrides WHERE tenant_id = $1 AND LOWER(customer_name) = LOWER($2) AND product_id = $3',
+    [DEFAULT_TENANT_ID, String(customerName).trim(), normalizePid(productId)]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Overrides of one customer for classification
+ * @returns {Promise<Map>} - normalized Product ID -> category path
+ */
+async function loadOverrides(customerName) {
+  if (!customerName) return new Map();
+  const overrides = await listOverrides({ customerName });
+  return new Map(overrides.map(override => [override.product_id, override.category]));
+}
+
+module.exports = {
+  validateOverride,
+  listOverrides,
+  saveOverride,
+  deleteOverride,
+  loadOverrides
+};
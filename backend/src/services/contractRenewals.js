@@ -0,0 +1,264 @@
+// backend/src/services/contractRenewals.js
+// Service contracts of a job - lines grouped per contract, upcoming renewals and co-termination
+const { resolveCalendar, fiscalPeriodOf } = require('../utils/fiscalCalendar');
+const { DAY_MS, present, toDate, formatDate, roundMoney } = require('../utils/rowValues');
+
+const DEFAULT_WINDOWS = [30, 60, 90, 180];
+const MAX_WINDOW_DAYS = 730;
+
+// End dates closer together than this are already co-termed for practical purposes
+const MIN_COTERM_SPREAD_DAYS = 30;
+
+const daysBetween = (from, to) => Math.round((to - from) / DAY_MS);
+
+const quantityOf = (row) => parseInt(row.qty) || 0;
+
+// reduce rather than Math.min(...dates) - spreading a large contract overflows the call stack
+const earliestOf = (dates) => dates.reduce((earliest, date) => (date < earliest ? date : earliest));
+const latestOf = (dates) => dates.reduce((latest, date) => (date > latest ? date : latest));
+
+/**
+ * Parse renewal windows given as "30,60,90" or [30, 60, 90]
+ * @param {string|Array} value - Days ahead to look
+ * @returns {Array|null} - Sorted unique day counts, null when any entry is invalid
+ */
+function parseRenewalWindows(value) {
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  const days = entries.map(entry => Number(String(entry).trim()));
+  if (days.length === 0 || days.some(d => !Number.isInteger(d) || d < 1 || d > MAX_WINDOW_DAYS)) {
+    return null;
+  }
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+// Yes / No when every line agrees, Mixed when they differ
+const combineFlags = (flags) => {
+  const known = [...new Set(flags.filter(flag => flag === 'Yes' || flag === 'No'))];
+  if (known.length === 0) return 'Unknown';
+  return known.length === 1 ? known[0] : 'Mixed';
+};
+
+// Distinct end dates of a set of lines, earliest first
+const endDatesOf = (lines) => {
+  const dates = {};
+  lines.forEach(line => {
+    const key = formatDate(line.endDate);
+    if (!dates[key]) dates[key] = { date: key, lines: 0, quantity: 0, contract_numbers: new Set() };
+    dates[key].lines++;
+    dates[key].quantity += quantityOf(line.row);
+    dates[key].contract_numbers.add(line.row.contract_number);
+  });
+  return Object.values(dates)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(entry => ({ ...entry, contract_numbers: [...entry.contract_numbers].sort() }));
+};
+
+/**
+ * Group contract lines per contract number
+ * @param {Array} rows - Normalized rows
+ * @param {Date} currentDate - Reference date
+ * @returns {Array} - [{ contract_number, contract_types, status, lines, active_lines, quantity,
+ *   list_value, start_date, end_date, next_end_date, end_dates, auto_renewal, sites }] -
+ *   active contracts first, soonest renewal first
+ */
+function groupContracts(rows, currentDate = new Date()) {
+  const contracts = {};
+  rows.filter(row => present(row.contract_number)).forEach(row => {
+    const number = String(row.contract_number);
+    if (!contracts[number]) contracts[number] = [];
+    contracts[number].push({ row, startDate: toDate(row.coverage_start_date), endDate: toDate(row.coverage_end_date) });
+  });
+
+  return Object.entries(contracts)
+    .map(([number, lines]) => {
+      const dated = lines.filter(line => line.endDate);
+      const active = dated.filter(line => line.endDate > currentDate);
+      const starts = lines.map(line => line.startDate).filter(Boolean);
+      const ends = dated.map(line => line.endDate);
+      return {
+        contract_number: number,
+        contract_types: [...new Set(lines.map(line => line.row.contract_type).filter(present))].sort(),
+        status: active.length > 0 ? 'Active' : 'Expired',
+        lines: lines.length,
+        active_lines: active.length,
+        quantity: lines.reduce((sum, line) => sum + quantityOf(line.row), 0),
+        list_value: roundMoney(lines.reduce((sum, line) => sum + (parseFloat(line.row.list_price) || 0), 0)),
+        start_date: starts.length > 0 ? formatDate(earliestOf(starts)) : null,
+        end_date: ends.length > 0 ? formatDate(latestOf(ends)) : null,
+        next_end_date: active.length > 0 ? formatDate(earliestOf(active.map(line => line.endDate))) : null,
+        end_dates: endDatesOf(dated).map(({ contract_numbers, ...entry }) => entry),
+        auto_renewal: combineFlags(lines.map(line => line.row.auto_renewal)),
+        sites: [...new Set(lines.map(line => line.row.install_site).filter(present))].sort()
+      };
+    })
+    .sort((a, b) => {
+      if (a.status !== b.status) return a.status === 'Active' ? -1 : 1;
+      if (a.status === 'Active') return a.next_end_date.localeCompare(b.next_end_date);
+      return (b.end_date || '').localeCompare(a.end_date || '');
+    });
+}
+
+/**
+ * Contract end dates coming up, bucketed into renewal windows and fiscal
+ * quarters. A contract whose lines end on different dates renews once per date.
+ * @returns {Object} - { windows: [{ days, from_days, renewals, contracts, lines, quantity, list_value }], later,
+ *   by_fiscal_quarter: [{ period, year, quarter, contracts, lines, quantity, list_value }] }
+ */
+function buildRenewalCalendar(rows, { currentDate = new Date(), windows = DEFAULT_WINDOWS, calendar = resolveCalendar() } = {}) {
+  const renewals = {};
+  rows.filter(row => present(row.contract_number)).forEach(row => {
+    const endDate = toDate(row.coverage_end_date);
+    if (!endDate || endDate <= currentDate) return;
+    const key = `${row.contract_number}|${formatDate(endDate)}`;
+    if (!renewals[key]) {
+      renewals[key] = {
+        contract_number: String(row.contract_number),
+        end_date: formatDate(endDate),
+        days_until: daysBetween(currentDate, endDate),
+        fiscal_period: fiscalPeriodOf(endDate, calendar).label,
+        contract_types: new Set(),
+        lines: 0,
+        quantity: 0,
+        list_value: 0,
+        flags: []
+      };
+    }
+    const renewal = renewals[key];
+    if (present(row.contract_type)) renewal.contract_types.add(row.contract_type);
+    renewal.lines++;
+    renewal.quantity += quantityOf(row);
+    renewal.list_value += parseFloat(row.list_price) || 0;
+    renewal.flags.push(row.auto_renewal);
+  });
+
+  const events = Object.values(renewals)
+    .map(({ flags, contract_types, list_value, ...renewal }) => ({
+      ...renewal,
+      contract_types: [...contract_types].sort(),
+      list_value: roundMoney(list_value),
+      auto_renewal: combineFlags(flags)
+    }))
+    .sort((a, b) => a.days_until - b.days_until || a.contract_number.localeCompare(b.contract_number));
+
+  const totals = (list) => ({
+    contracts: new Set(list.map(event => event.contract_number)).size,
+    lines: list.reduce((sum, event) => sum + event.lines, 0),
+    quantity: list.reduce((sum, event) => sum + event.quantity, 0),
+    list_value: roundMoney(list.reduce((sum, event) => sum + event.list_value, 0))
+  });
+
+  const buckets = windows.map((days, index) => {
+    const fromDays = index === 0 ? 0 : windows[index - 1];
+    const inWindow = events.filter(event => event.days_until > fromDays && event.days_until <= days);
+    return { days, from_days: fromDays, ...totals(inWindow), renewals: inWindow };
+  });
+  const later = events.filter(event => event.days_until > windows[windows.length - 1]);
+
+  const quarters = {};
+  events.forEach(event => {
+    (quarters[event.fiscal_period] = quarters[event.fiscal_period] || []).push(event);
+  });
+  const byFiscalQuarter = Object.entries(quarters).map(([period, list]) => {
+    const { year, quarter } = fiscalPeriodOf(new Date(list[0].end_date), calendar);
+    return { period, year, quarter, ...totals(list) };
+  });
+
+  return { windows: buckets, later: totals(later), by_fiscal_quarter: byFiscalQuarter };
+}
+
+// The end date most of the quantity already renews on; ties go to the later date
+const suggestTarget = (endDates) => endDates
+  .reduce((best, entry) => (!best || entry.quantity >= best.quantity ? entry : best), null).date;
+
+const coTermOpportunity = (scope, lines, targetDate) => {
+  const endDates = endDatesOf(lines);
+  const earliest = new Date(endDates[0].date);
+  const latest = new Date(endDates[endDates.length - 1].date);
+  const target = targetDate ? formatDate(targetDate) : suggestTarget(endDates);
+  const targetTime = new Date(target).getTime();
+  const toExtend = lines.filter(line => line.endDate.getTime() < targetTime);
+  const toShorten = lines.filter(line => line.endDate.getTime() > targetTime);
+
+  return {
+    scope,
+    contract_numbers: [...new Set(lines.map(line => String(line.row.contract_number)))].sort(),
+    lines: lines.length,
+    quantity: lines.reduce((sum, line) => sum + quantityOf(line.row), 0),
+    earliest_end_date: formatDate(earliest),
+    latest_end_date: formatDate(latest),
+    spread_days: daysBetween(earliest, latest),
+    target_end_date: target,
+    lines_to_extend: toExtend.length,
+    lines_to_shorten: toShorten.length,
+    // Coverage days bought or given up to land every line on the target, times quantity
+    unit_days_to_extend: toExtend.reduce((sum, line) => sum + daysBetween(line.endDate, new Date(target)) * Math.max(quantityOf(line.row), 1), 0),
+    unit_days_to_shorten: toShorten.reduce((sum, line) => sum + daysBetween(new Date(target), line.endDate) * Math.max(quantityOf(line.row), 1), 0),
+    end_dates: endDates
+  };
+};
+
+/**
+ * Co-termination opportunities over active contract lines - contracts whose
+ * lines end on several dates, and the whole portfolio when several contracts
+ * could be consolidated onto one end date
+ * @param {Array} rows - Normalized rows
+ * @param {Object} options - { currentDate, targetDate } - targetDate overrides the suggested end date
+ * @returns {Array} - Opportunities, widest spread first, the portfolio first of all
+ */
+function findCoTermOpportunities(rows, { currentDate = new Date(), targetDate = null } = {}) {
+  const active = rows
+    .filter(row => present(row.contract_number))
+    .map(row => ({ row, endDate: toDate(row.coverage_end_date) }))
+    .filter(line => line.endDate && line.endDate > currentDate);
+
+  const byContract = {};
+  active.forEach(line => {
+    const number = String(line.row.contract_number);
+    (byContract[number] = byContract[number] || []).push(line);
+  });
+
+  const opportunities = Object.values(byContract)
+    .map(lines => coTermOpportunity('contract', lines, targetDate))
+    .filter(opportunity => opportunity.spread_days >= MIN_COTERM_SPREAD_DAYS)
+    .sort((a, b) => b.spread_days - a.spread_days || b.quantity - a.quantity);
+
+  if (Object.keys(byContract).length > 1) {
+    const portfolio = coTermOpportunity('portfolio', active, targetDate);
+    if (portfolio.spread_days >= MIN_COTERM_SPREAD_DAYS) opportunities.unshift(portfolio);
+  }
+  return opportunities;
+}
+
+/**
+ * Contracts, renewal calendar and co-termination for a job
+ * @param {Array} rows - Normalized rows
+ * @param {Object} options - { currentDate, windows, targetDate, calendar } - calendar buckets renewals into fiscal quarters
+ * @returns {Object} - { summary, contracts, calendar, co_termination }
+ */
+function analyzeContracts(rows, { currentDate = new Date(), windows = DEFAULT_WINDOWS, targetDate = null, calendar = resolveCalendar() } = {}) {
+  const contracts = groupContracts(rows, currentDate);
+  const contractLines = rows.filter(row => present(row.contract_number)).length;
+
+  return {
+    summary: {
+      contracts: contracts.length,
+      active_contracts: contracts.filter(contract => contract.status === 'Active').length,
+      auto_renewing_contracts: contracts.filter(contract => contract.auto_renewal === 'Yes').length,
+      contract_lines: contractLines,
+      lines_without_contract: rows.length - contractLines
+    },
+    contracts,
+    calendar: buildRenewalCalendar(rows, { currentDate, windows, calendar }),
+    co_termination: findCoTermOpportunities(rows, { currentDate, targetDate })
+  };
+}
+
+module.exports = {
+  DEFAULT_WINDOWS,
+  MAX_WINDOW_DAYS,
+  parseRenewalWindows,
+  groupContracts,
+  buildRenewalCalendar,
+  findCoTermOpportunities,
+  analyzeContracts
+};
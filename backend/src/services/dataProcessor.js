@@ -1,51 +1,105 @@
 const logger = require('../config/logger');
+const { DEFAULT_TENANT_ID } = require('../config/tenant');
+const { classifyRow } = require('./categoryClassifier');
+const { matchManufacturer, UNKNOWN } = require('./manufacturerIdentifier');
+const { lifecycleStage } = require('./lifecycleMilestones');
 
 class DataProcessor {
+  /**
+   * Fill in manufacturer where the file had none and place every row in the
+   * category tree. mfg_confidence is 100 for a manufacturer the file names,
+   * else the confidence of the rule that identified it, else the source
+   * system's when the file is a single-vendor export (0 when none applies);
+   * category_confidence and category_source say how the category was decided.
+   * @param {Array} rows - Rows produced by columnMapper.processData
+   * @param {Object} options - { manufacturerRules, categoryOverrides, sourceSystem } - compiled
+   *   manufacturer rules (the built-in set when omitted), the customer's
+   *   category overrides by Product ID and the result of detectSourceSystem
+   * @returns {Array} - The same rows, enriched in place
+   */
+  enrichRows(rows, { manufacturerRules, categoryOverrides, sourceSystem } = {}) {
+    rows.forEach(row => {
+      if (!row.mfg || row.mfg === '-') {
+        const { manufacturer, confidence } = matchManufacturer(row, manufacturerRules);
+        if (manufacturer !== UNKNOWN) {
+          row.mfg = manufacturer;
+          row.mfg_confidence = confidence;
+        } else if (sourceSystem) {
+          row.mfg = sourceSystem.manufacturer;
+          row.mfg_confidence = sourceSystem.confidence;
+        } else {
+          row.mfg_confidence = 0;
+        }
+      } else {
+        row.mfg_confidence = 100;
+      }
+      const { category, confidence, source } = classifyRow(row, { overrides: categoryOverrides });
+      row.category = category;
+      row.category_confidence = confidence;
+      row.category_source = source;
+    });
+    return rows;
+  }
+
   async processInventory(jobId, dbClient) {
     try {
       logger.info(`Processing inventory for job: ${jobId}`);
       
-      // Aggregate products from raw_inventory
+      // Aggregate products from raw_inventory. Descriptive columns can differ
+      // between rows of the same product, so only product_id is grouped on and
+      // the rest are picked with MAX. Quantities are summed per purchase year
+      // first - jsonb_object_agg keeps only the last value for a repeated key.
       const aggregatedData = await dbClient.query(`
+        WITH by_year AS (
+          SELECT
+            COALESCE(product_id, 'Unknown') as product_id,
+            COALESCE(EXTRACT(YEAR FROM COALESCE(purchase_date, ship_date))::int::text, 'Unknown') as purchase_year,
+            SUM(COALESCE(quantity, 0)) as quantity
+          FROM raw_inventory
+          WHERE job_id = $1
+          GROUP BY 1, 2
+        ),
+        histograms AS (
+          SELECT product_id, jsonb_object_agg(purchase_year, quantity ORDER BY purchase_year) as quantities_by_year
+          FROM by_year
+          GROUP BY product_id
+        )
         SELECT 
-          product_id,
-          manufacturer,
-          description,
-          product_category,
-          product_type,
-          business_entity,
-          asset_type,
-          service_contract,
-          MIN(purchase_date) as earliest_purchase,
-          MAX(purchase_date) as latest_purchase,
-          MAX(end_of_sale_date) as end_of_sale_date,
-          MAX(last_day_of_support_date) as last_day_of_support_date,
-          MAX(end_of_life_date) as end_of_life_date,
-          SUM(quantity) as total_quantity,
-          SUM(quantity * cost) as total_value,
-          COUNT(CASE WHEN support_contract_active = true THEN 1 END) as support_count,
+          COALESCE(r.product_id, 'Unknown') as product_id,
+          MAX(r.manufacturer) as manufacturer,
+          MAX(r.description) as description,
+          MAX(r.product_category) as product_category,
+          MAX(r.product_type) as product_type,
+          MAX(r.business_entity) as business_entity,
+          MAX(r.asset_type) as asset_type,
+          MAX(r.service_contract) as service_contract,
+          MAX(r.end_of_life_date) as end_of_life_date,
+          MAX(r.end_of_sale_date) as end_of_sale_date,
+          MAX(r.end_of_sw_maintenance_date) as end_of_sw_maintenance_date,
+          MAX(r.end_of_sw_vulnerability_maintenance_date) as end_of_sw_vulnerability_maintenance_date,
+          MAX(r.last_day_of_support_date) as last_day_of_support_date,
+          SUM(COALESCE(r.quantity, 0)) as total_quantity,
+          -- cost holds the extended value of each line, not a unit price
+          SUM(COALESCE(r.cost, 0)) as total_value,
+          COUNT(CASE WHEN r.support_contract_active = true THEN 1 END) as support_count,
           COUNT(*) as total_records,
-          jsonb_object_agg(
-            COALESCE(EXTRACT(YEAR FROM purchase_date)::text, 'Unknown'),
-            quantity
-          ) as quantities_by_year
-        FROM raw_inventory
-        WHERE job_id = $1
-        GROUP BY product_id, manufacturer, description, product_category, 
-                 product_type, business_entity, asset_type, service_contract
+          MAX(h.quantities_by_year::text)::jsonb as quantities_by_year
+        FROM raw_inventory r
+        JOIN histograms h ON h.product_id = COALESCE(r.product_id, 'Unknown')
+        WHERE r.job_id = $1
+        GROUP BY COALESCE(r.product_id, 'Unknown')
       `, [jobId]);
 
       if (aggregatedData.rows.length === 0) {
         throw new Error('No data to aggregate');
       }
 
+      // Re-processing a job replaces its previous aggregation
+      await dbClient.query('DELETE FROM inventory_analysis WHERE job_id = $1', [jobId]);
+
       // Insert aggregated analysis
       for (const product of aggregatedData.rows) {
-        const lifecycleStatus = this.determineLifecycleStatus(
-          product.end_of_sale_date,
-          product.last_day_of_support_date,
-          product.end_of_life_date
-        );
+        const lifecycle = this.determineLifecycleStatus(product);
         
         const supportCoverage = product.total_records > 0 
           ? (product.support_count / product.total_records * 100).toFixed(2)
@@ -57,12 +111,13 @@ class DataProcessor {
             product_category, product_type, business_entity, asset_type,
             service_contract, total_quantity, total_value, support_coverage_percent,
             purchase_dates, end_of_sale_date, last_day_of_support_date,
-            end_of_life_date, lifecycle_status, created_at
+            end_of_life_date, end_of_sw_maintenance_date, end_of_sw_vulnerability_maintenance_date,
+            lifecycle_status, next_milestone, next_milestone_date, created_at
           ) VALUES (
-            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, NOW()
+            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, NOW()
           )`, [
             jobId,
-            'default-tenant',
+            DEFAULT_TENANT_ID,
             product.product_id,
             product.description,
             product.manufacturer,
@@ -78,7 +133,11 @@ class DataProcessor {
             product.end_of_sale_date,
             product.last_day_of_support_date,
             product.end_of_life_date,
-            lifecycleStatus
+            product.end_of_sw_maintenance_date,
+            product.end_of_sw_vulnerability_maintenance_date,
+            lifecycle.status,
+            lifecycle.nextMilestone,
+            lifecycle.nextDate
           ]);
       }
 
@@ -92,19 +151,66 @@ class DataProcessor {
     }
   }
 
-  determineLifecycleStatus(endOfSale, lastSupport, endOfLife) {
-    const today = new Date();
-    
-    if (endOfLife && new Date(endOfLife) < today) {
-      return 'End of Life';
-    }
-    if (lastSupport && new Date(lastSupport) < today) {
-      return 'End of Support';
-    }
-    if (endOfSale && new Date(endOfSale) < today) {
-      return 'End of Sale';
+  /**
+   * Lifecycle status of an aggregated product from its EoX milestone dates
+   * @param {Object} product - Row with the inventory_analysis date columns
+   * @returns {Object} - { status, nextMilestone, nextDate }
+   */
+  determineLifecycleStatus(product) {
+    return lifecycleStage({
+      eol_announcement: product.end_of_life_date,
+      end_of_sale: product.end_of_sale_date,
+      end_of_sw_maintenance: product.end_of_sw_maintenance_date,
+      end_of_vuln_support: product.end_of_sw_vulnerability_maintenance_date,
+      last_day_support: product.last_day_of_support_date
+    });
+  }
+
+  /**
+   * Read the product-level view of a job
+   * @param {string} jobId - Job to read
+   * @param {Object} dbClient - pg client or pool
+   * @param {Object} options - { limit, offset } - all products when limit is omitted
+   * @returns {Object} - { products, total }
+   */
+  async getProducts(jobId, dbClient, { limit, offset = 0 } = {}) {
+    const params = [jobId, offset];
+    let limitClause = '';
+    if (limit) {
+      params.push(limit);
+      limitClause = 'LIMIT $3';
     }
-    return 'Current';
+
+    const [products, count] = await Promise.all([
+      dbClient.query(`
+        SELECT
+          product_id, description, manufacturer, product_category, product_type,
+          business_entity, asset_type, total_quantity, total_value,
+          support_coverage_percent, purchase_dates,
+          end_of_life_date::text as end_of_life_date,
+          end_of_sale_date::text as end_of_sale_date,
+          end_of_sw_maintenance_date::text as end_of_sw_maintenance_date,
+          end_of_sw_vulnerability_maintenance_date::text as end_of_sw_vulnerability_maintenance_date,
+          last_day_of_support_date::text as last_day_of_support_date,
+          lifecycle_status, next_milestone,
+          next_milestone_date::text as next_milestone_date
+        FROM inventory_analysis
+        WHERE job_id = $1
+        ORDER BY total_quantity DESC, product_id
+        OFFSET $2 ${limitClause}
+      `, params),
+      dbClient.query('SELECT COUNT(*) as total FROM inventory_analysis WHERE job_id = $1', [jobId])
+    ]);
+
+    return {
+      products: products.rows.map(product => ({
+        ...product,
+        total_quantity: parseInt(product.total_quantity) || 0,
+        total_value: parseFloat(product.total_value) || 0,
+        support_coverage_percent: parseFloat(product.support_coverage_percent) || 0
+      })),
+      total: parseInt(count.rows[0].total) || 0
+    };
   }
 
   async generateSummary(jobId, dbClient) {
@@ -113,13 +219,28 @@ class DataProcessor {
         COUNT(DISTINCT product_id) as unique_products,
         SUM(total_quantity) as total_items,
         SUM(total_value) as total_inventory_value,
-        COUNT(CASE WHEN lifecycle_status = 'End of Life' THEN 1 END) as eol_products,
-        COUNT(CASE WHEN lifecycle_status = 'End of Support' THEN 1 END) as eos_products
+        COUNT(CASE WHEN lifecycle_status = 'EoL Announced' THEN 1 END) as eol_announced_products,
+        COUNT(CASE WHEN lifecycle_status = 'End of Sale' THEN 1 END) as end_of_sale_products,
+        COUNT(CASE WHEN lifecycle_status = 'End of SW Maintenance' THEN 1 END) as end_of_sw_maintenance_products,
+        COUNT(CASE WHEN lifecycle_status = 'End of Vulnerability Support' THEN 1 END) as end_of_vuln_support_products,
+        COUNT(CASE WHEN lifecycle_status = 'End of Support' THEN 1 END) as eos_products,
+        COUNT(CASE WHEN lifecycle_status = 'Current' THEN 1 END) as current_products
       FROM inventory_analysis 
       WHERE job_id = $1
     `, [jobId]);
     
-    return summary.rows[0];
+    const row = summary.rows[0];
+    return {
+      unique_products: parseInt(row.unique_products) || 0,
+      total_items: parseInt(row.total_items) || 0,
+      total_inventory_value: parseFloat(row.total_inventory_value) || 0,
+      eol_announced_products: parseInt(row.eol_announced_products) || 0,
+      end_of_sale_products: parseInt(row.end_of_sale_products) || 0,
+      end_of_sw_maintenance_products: parseInt(row.end_of_sw_maintenance_products) || 0,
+      end_of_vuln_support_products: parseInt(row.end_of_vuln_support_products) || 0,
+      eos_products: parseInt(row.eos_products) || 0,
+      current_products: parseInt(row.current_products) || 0
+    };
   }
 }
 
@@ -0,0 +1,307 @@
+// backend/src/services/eoxCatalog.js
+// Local EoX lifecycle catalog - milestone dates per manufacturer and Product ID, filling dates a file leaves blank
+const pool = require('../config/database');
+const logger = require('../config/logger');
+const { DEFAULT_TENANT_ID } = require('../config/tenant');
+const { MILESTONES } = require('./lifecycleMilestones');
+const { normalizePid } = require('./successorCatalog');
+const { DATE_SOURCES } = require('../utils/columnMapper');
+const { present, formatDate } = require('../utils/rowValues');
+
+/**
+ * Column order of the import/export file. Each field lists the header
+ * spellings accepted on import, compared after lowercasing and trimming -
+ * the CSV headers first, then the field names of the Cisco EoX API records.
+ */
+const CATALOG_COLUMNS = [
+  { field: 'manufacturer', header: 'Manufacturer', variations: ['manufacturer', 'mfg', 'vendor'] },
+  { field: 'product_id', header: 'Product ID', variations: ['product id', 'pid', 'eol product id', 'eolproductid'] },
+  { field: 'description', header: 'Description', variations: ['description', 'product description', 'productiddescription'] },
+  { field: 'eol_announcement', header: 'End-of-Life Announcement Date', variations: ['end-of-life announcement date', 'end of life announcement date', 'eol announcement', 'eoxexternalannouncementdate'] },
+  { field: 'end_of_sale', header: 'End of Sale Date', variations: ['end of sale date', 'end of product sale date', 'end of sale', 'endofsaledate'] },
+  { field: 'end_of_sw_maintenance', header: 'End of SW Maintenance Date', variations: ['end of sw maintenance date', 'end of sw maintenance releases date', 'end of sw maintenance', 'endofswmaintenancereleases'] },
+  { field: 'end_of_vuln_support', header: 'End of Vulnerability/Security Support Date', variations: ['end of vulnerability/security support date', 'end of vulnerability support date', 'end of vulnerability support', 'endofsecurityvulsupportdate'] },
+  { field: 'last_day_support', header: 'Last Date of Support', variations: ['last date of support', 'last day of support', 'ldos', 'lastdateofsupport'] },
+  { field: 'bulletin_url', header: 'Bulletin URL', variations: ['bulletin url', 'bulletin', 'linktoproductbulletinurl'] }
+];
+
+const MILESTONE_FIELDS = MILESTONES.map(milestone => milestone.field);
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+const normalizeManufacturer = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// node-postgres returns a DATE column as local midnight, so read the date from its
+// local parts - toISOString would give the day before east of UTC
+const fromDbDate = (value) =>
+  (value ? formatDate(new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()))) : null);
+
+const toEntry = (row) => ({
+  manufacturer: row.manufacturer,
+  product_id: row.product_id,
+  description: row.description,
+  ...Object.fromEntries(MILESTONE_FIELDS.map(field => [field, fromDbDate(row[field])])),
+  bulletin_url: row.bulletin_url,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+// EoX API records wrap dates as { value, dateFormat }; blank dates are empty strings
+const readDate = (value) => {
+  const raw = value && typeof value === 'object' && !(value instanceof Date) ? value.value : value;
+  if (raw === undefined || raw === null || String(raw).trim() === '' || String(raw).trim() === '-') return null;
+  const date = raw instanceof Date ? raw : new Date(String(raw).trim());
+  return isNaN(date.getTime()) ? NaN : formatDate(date);
+};
+
+/**
+ * Normalize and check one catalog entry from a request body or import row
+ * @param {Object} input - { manufacturer, product_id, description, <milestone dates>, bulletin_url }
+ * @returns {Object} - { entry, errors }
+ */
+function validateEntry(input = {}) {
+  const errors = [];
+  const entry = {
+    manufacturer: normalizeManufacturer(input.manufacturer),
+    product_id: normalizePid(input.product_id),
+    description: input.description ? String(input.description).trim() : null,
+    bulletin_url: input.bulletin_url ? String(input.bulletin_url).trim() : null
+  };
+  MILESTONE_FIELDS.forEach(field => {
+    entry[field] = readDate(input[field]);
+  });
+
+  if (!entry.manufacturer) errors.push('manufacturer is required');
+  if (!entry.product_id) errors.push('product_id is required');
+  MILESTONE_FIELDS.forEach(field => {
+    if (Number.isNaN(entry[field])) errors.push(`${field} must be a date`);
+  });
+  if (MILESTONE_FIELDS.every(field => entry[field] === null)) {
+    errors.push('at least one milestone date is required');
+  }
+
+  return { entry, errors };
+}
+
+/**
+ * Turn parsed import rows (keyed by file header or EoX API field) into catalog entries
+ * @param {Array} rows - Row objects from fileParser or an EoX JSON export
+ * @param {Object} options - { manufacturer } - used for rows without a manufacturer column
+ * @returns {Object} - { entries, errors: [{ row, errors }] } - row is the 1-based data row
+ */
+function readImportRows(rows, { manufacturer } = {}) {
+  const entries = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const byHeader = new Map(Object.entries(row).map(([header, value]) => [header.trim().toLowerCase(), value]));
+    const input = { manufacturer };
+    CATALOG_COLUMNS.forEach(column => {
+      const header = column.variations.find(variation => byHeader.has(variation));
+      if (header && byHeader.get(header) !== undefined && byHeader.get(header) !== '') {
+        input[column.field] = byHeader.get(header);
+      }
+    });
+
+    const { entry, errors: rowErrors } = validateEntry(input);
+    if (rowErrors.length > 0) {
+      errors.push({ row: index + 1, errors: rowErrors });
+    } else {
+      entries.push(entry);
+    }
+  });
+
+  return { entries, errors };
+}
+
+async function listEntries({ search, manufacturer, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  const params = [DEFAULT_TENANT_ID];
+  const filters = [];
+  if (manufacturer) {
+    params.push(normalizeManufacturer(manufacturer));
+    filters.push(`LOWER(manufacturer) = LOWER($${params.length})`);
+  }
+  if (search) {
+    params.push(`%${search}%`);
+    filters.push(`(product_id ILIKE $${params.length} OR description ILIKE $${params.length})`);
+  }
+  const filter = filters.map(condition => `AND ${condition}`).join(' ');
+
+  const count = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM eox_catalog WHERE tenant_id = $1 ${filter}`,
+    params
+  );
+  const pageParams = [...params, Math.min(limit, MAX_PAGE_SIZE), offset];
+  const result = await pool.query(`
+    SELECT * FROM eox_catalog
+    WHERE tenant_id = $1 ${filter}
+    ORDER BY manufacturer, product_id
+    LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}
+  `, pageParams);
+
+  return { entries: result.rows.map(toEntry), total: count.rows[0].total };
+}
+
+async function listAllEntries() {
+  const result = await pool.query(
+    'SELECT * FROM eox_catalog WHERE tenant_id = $1 ORDER BY manufacturer, product_id',
+    [DEFAULT_TENANT_ID]
+  );
+  return result.rows.map(toEntry);
+}
+
+async function getEntry(manufacturer, productId) {
+  const result = await pool.query(
+    'SELECT * FROM eox_catalog WHERE tenant_id = $1 AND LOWER(manufacturer) = LOWER($2) AND product_id = $3',
+    [DEFAULT_TENANT_ID, normalizeManufacturer(manufacturer), normalizePid(productId)]
+  );
+  return result.rows[0] ? toEntry(result.rows[0]) : null;
+}
+
+// The unique index ignores manufacturer case, so "Cisco" and "CISCO" share an entry
+const UPSERT_SQL = `
+  INSERT INTO eox_catalog (
+    tenant_id, manufacturer, product_id, description, eol_announcement, end_of_sale,
+    end_of_sw_maintenance, end_of_vuln_support, last_day_support, bulletin_url
+  ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+  ON CONFLICT (tenant_id, (LOWER(manufacturer)), product_id) DO UPDATE SET
+    description = EXCLUDED.description,
+    eol_announcement = EXCLUDED.eol_announcement,
+    end_of_sale = EXCLUDED.end_of_sale,
+    end_of_sw_maintenance = EXCLUDED.end_of_sw_maintenance,
+    end_of_vuln_support = EXCLUDED.end_of_vuln_support,
+    last_day_support = EXCLUDED.last_day_support,
+    bulletin_url = EXCLUDED.bulletin_url,
+    updated_at = NOW()
+  RETURNING *, (xmax = 0) AS inserted
+`;
+
+const upsertParams = (entry) => [
+  DEFAULT_TENANT_ID,
+  entry.manufacturer,
+  entry.product_id,
+  entry.description,
+  ...MILESTONE_FIELDS.map(field => entry[field]),
+  entry.bulletin_url
+];
+
+/**
+ * Create or replace the milestone dates of one manufacturer and Product ID
+ * @returns {Object} - { entry, created }
+ */
+async function saveEntry(entry) {
+  const result = await pool.query(UPSERT_SQL, upsertParams(entry));
+  return { entry: toEntry(result.rows[0]), created: result.rows[0].inserted };
+}
+
+async function deleteEntry(manufacturer, productId) {
+  const result = await pool.query(
+    'DELETE FROM eox_catalog WHERE tenant_id = $1 AND LOWER(manufacturer) = LOWER($2) AND product_id = $3',
+    [DEFAULT_TENANT_ID, normalizeManufacturer(manufacturer), normalizePid(productId)]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Upsert a batch of validated entries in one transaction. A manufacturer
+ * and Product ID listed twice keep their last entry.
+ * @returns {Object} - { created, updated }
+ */
+async function importEntries(entries) {
+  const unique = [...new Map(entries.map(entry => [`${entry.manufacturer.toLowerCase()}|${entry.product_id}`, entry])).values()];
+  const client = await pool.connect();
+  let created = 0;
+  try {
+    await client.query('BEGIN');
+    for (const entry of unique) {
+      const result = await client.query(UPSERT_SQL, upsertParams(entry));
+      if (result.rows[0].inserted) created++;
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  logger.info(`EoX catalog import: ${created} created, ${unique.length - created} updated`);
+  return { created, updated: unique.length - created };
+}
+
+/**
+ * Catalog entry for a row - the one for its manufacturer, or the only entry
+ * for the Product ID when the row's manufacturer is unknown
+ * @param {Map} byPid - normalized Product ID -> entries
+ */
+const entryFor = (row, byPid) => {
+  const candidates = byPid.get(normalizePid(row.product_id)) || [];
+  const manufacturer = normalizeManufacturer(row.mfg).toLowerCase();
+  const exact = candidates.find(entry => entry.manufacturer.toLowerCase() === manufacturer);
+  if (exact) return exact;
+  const unknown = !manufacturer || manufacturer === '-' || manufacturer === 'unknown';
+  return unknown && candidates.length === 1 ? candidates[0] : null;
+};
+
+/**
+ * Fill milestone dates the file left blank from the catalog, and record on
+ * each row where every milestone date came from in date_sources. A catalog
+ * date also replaces one estimated from a fiscal period column.
+ * @param {Array} rows - Normalized rows, changed in place
+ * @returns {Promise<Object>} - { rows, values } - rows enriched and dates filled
+ */
+async function enrichRows(rows) {
+  const pids = [...new Set(rows.map(row => normalizePid(row.product_id)).filter(pid => pid && pid !== '-'))];
+  const byPid = new Map();
+  if (pids.length > 0) {
+    const result = await pool.query(
+      'SELECT * FROM eox_catalog WHERE tenant_id = $1 AND product_id = ANY($2)',
+      [DEFAULT_TENANT_ID, pids]
+    );
+    result.rows.map(toEntry).forEach(entry => {
+      if (!byPid.has(entry.product_id)) byPid.set(entry.product_id, []);
+      byPid.get(entry.product_id).push(entry);
+    });
+  }
+
+  let enrichedRows = 0;
+  let values = 0;
+  rows.forEach(row => {
+    row.date_sources = row.date_sources || {};
+    const entry = byPid.size > 0 ? entryFor(row, byPid) : null;
+    let filled = 0;
+    MILESTONE_FIELDS.forEach(field => {
+      const estimated = row.date_sources[field] === DATE_SOURCES.fiscalPeriod;
+      if (entry && entry[field] && (!present(row[field]) || estimated)) {
+        row[field] = entry[field];
+        row.date_sources[field] = DATE_SOURCES.catalog;
+        filled++;
+      } else if (present(row[field]) && !row.date_sources[field]) {
+        row.date_sources[field] = DATE_SOURCES.file;
+      }
+    });
+    if (filled > 0) {
+      enrichedRows++;
+      values += filled;
+    }
+  });
+
+  if (values > 0) logger.info(`EoX catalog filled ${values} milestone dates on ${enrichedRows} rows`);
+  return { rows: enrichedRows, values };
+}
+
+module.exports = {
+  CATALOG_COLUMNS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  validateEntry,
+  readImportRows,
+  listEntries,
+  listAllEntries,
+  getEntry,
+  saveEntry,
+  deleteEntry,
+  importEntries,
+  enrichRows
+};
@@ -1,179 +1,315 @@
 const fs = require('fs').promises;
-const path = require('path');
 const Papa = require('papaparse');
 const ExcelJS = require('exceljs');
+const XLSX = require('xlsx');
 const logger = require('../config/logger');
 
-// Parse CSV files
-const parseCsv = async (filePath) => {
-  try {
-    const fileContent = await fs.readFile(filePath, 'utf-8');
-    
-    return new Promise((resolve, reject) => {
-      const results = Papa.parse(fileContent, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: true,
-        trimHeaders: true,
-        transformHeader: (header) => header.trim()
-      });
-      
-      if (results.errors.length > 0) {
-        console.warn('CSV parsing warnings:', results.errors);
-      }
-      
-      resolve(results.data);
-    });
-  } catch (error) {
-    logger.error('CSV parsing error:', error);
-    throw error;
-  }
+// Extensions ExcelJS cannot open - these go through SheetJS instead
+const BINARY_WORKBOOK_TYPES = ['.xlsb', '.xls'];
+
+// How many rows from the top of each sheet are considered as header candidates
+const MAX_HEADER_SCAN_ROWS = 25;
+
+// A header row must match at least this many known columns to be picked automatically
+const MIN_HEADER_MATCHES = 2;
+
+// Inventory columns we expect to see in a data header (Cisco Ready export first,
+// then the generic spellings other sources use)
+const KNOWN_COLUMNS = [
+  'product id', 'item quantity', 'covered line status', 'last date of support',
+  'serial number / pak number', 'coverage', 'business entity', 'product family',
+  'product description', 'asset type', 'product type', 'ship date',
+  'end of product sale date', 'end of software maintenance date',
+  'end of vulnerability/security support date', 'contract number', 'contract type',
+  'covered line start date', 'covered line end date', 'warranty end date',
+  'install site name', 'instance id', 'parent instance id', 'product list price $',
+  'manufacturer', 'mfg', 'vendor', 'pid', 'part number', 'sku', 'description',
+  'quantity', 'qty', 'serial number', 'end of sale', 'last day support', 'category'
+];
+
+const normalizeHeaderText = (value) => String(value).trim().toLowerCase().replace(/[\s_]+/g, ' ');
+
+const KNOWN_COLUMN_SET = new Set(KNOWN_COLUMNS);
+
+// Format a JS date as YYYY-MM-DD (same shape the upload pipeline has always used)
+const formatDateValue = (date) => date.toISOString().split('T')[0];
+
+// Format an Excel serial date number as YYYY-MM-DD without going through local time
+const formatSerialDate = (serial) => {
+  const parts = XLSX.SSF.parse_date_code(serial);
+  if (!parts) return serial;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${parts.y}-${pad(parts.m)}-${pad(parts.d)}`;
 };
 
-// Parse Excel files including XLSB
-const parseExcel = async (filePath, fileExtension) => {
-  try {
-    const workbook = new ExcelJS.Workbook();
-    
-    console.log(`Parsing Excel file: ${filePath}, Extension: ${fileExtension}`);
-    
-    // Read the file
-    await workbook.xlsx.readFile(filePath);
-    
-    // Debug: List all worksheets
-    console.log('Worksheets found:', workbook.worksheets.length);
-    workbook.eachSheet((worksheet, id) => {
-      console.log(`Worksheet ${id}: ${worksheet.name}, State: ${worksheet.state}`);
-    });
-    
-    // Try different methods to get worksheet
-    let worksheet = null;
-    
-    // Method 1: Get first worksheet by index
-    worksheet = workbook.getWorksheet(1);
-    
-    // Method 2: If that fails, get first worksheet from array
-    if (!worksheet && workbook.worksheets.length > 0) {
-      worksheet = workbook.worksheets[0];
-      console.log('Using first worksheet from array');
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Read an ExcelJS cell into a plain value
+const readXlsxCell = (cell) => {
+  const value = cell.value;
+  if (value === null || value === undefined) return null;
+
+  if (cell.type === ExcelJS.ValueType.Date) {
+    return formatDateValue(value);
+  }
+  if (cell.type === ExcelJS.ValueType.RichText) {
+    return value.richText.map(rt => rt.text).join('');
+  }
+  if (typeof value === 'object') {
+    if (value.result !== undefined) {
+      return value.result instanceof Date ? formatDateValue(value.result) : value.result; // Formula
     }
-    
-    // Method 3: Get first visible worksheet
-    if (!worksheet) {
-      workbook.eachSheet((ws) => {
-        if (!worksheet && ws.state === 'visible') {
-          worksheet = ws;
-          console.log(`Using visible worksheet: ${ws.name}`);
-        }
-      });
+    if (value.text !== undefined) {
+      return value.text; // Hyperlink
     }
-    
-    // Method 4: Get any worksheet
-    if (!worksheet) {
-      workbook.eachSheet((ws) => {
-        if (!worksheet) {
-          worksheet = ws;
-          console.log(`Using any worksheet: ${ws.name}`);
+    return value.toString();
+  }
+  return value;
+};
+
+// Read a SheetJS cell into the same value shape the ExcelJS path produces
+const readBinaryCell = (cell) => {
+  if (!cell || cell.v === undefined || cell.v === null) return null;
+
+  if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+    return formatSerialDate(cell.v);
+  }
+  if (cell.t === 'd' && cell.v instanceof Date) {
+    return formatDateValue(cell.v);
+  }
+  if (cell.t === 'e') {
+    return cell.w || null; // Error cells (#N/A etc.) - keep the display text
+  }
+  // Rich text cells carry the flattened text in .v already
+  return cell.v;
+};
+
+// Read CSV content into a single grid
+const readCsvSheets = async (buffer) => {
+  const fileContent = buffer.toString('utf8');
+
+  const rows = await new Promise((resolve, reject) => {
+    Papa.parse(fileContent, {
+      header: false,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      complete: (results) => {
+        if (results.errors.length > 0) {
+          console.warn('CSV parsing warnings:', results.errors.slice(0, 5));
         }
+        resolve(results.data);
+      },
+      error: (error) => reject(error)
+    });
+  });
+
+  return [{ name: 'CSV', state: 'visible', rows }];
+};
+
+// Read every worksheet of an XLSX workbook into grids with ExcelJS
+const readXlsxSheets = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  return workbook.worksheets.map(worksheet => {
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      const values = [];
+      row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+        values[colNumber - 1] = readXlsxCell(cell);
       });
+      rows[rowNumber - 1] = Array.from(values, v => (v === undefined ? null : v));
+    });
+    return {
+      name: worksheet.name,
+      state: worksheet.state,
+      rows: Array.from(rows, r => r || [])
+    };
+  });
+};
+
+// Read every worksheet of a binary workbook (XLSB, legacy XLS) into grids with SheetJS
+const readBinaryWorkbookSheets = async (buffer) => {
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellNF: true, cellDates: false });
+
+  return workbook.SheetNames.map((name, index) => {
+    const worksheet = workbook.Sheets[name];
+    const sheetInfo = (workbook.Workbook && workbook.Workbook.Sheets && workbook.Workbook.Sheets[index]) || {};
+    const rows = [];
+
+    if (worksheet && worksheet['!ref']) {
+      const range = XLSX.utils.decode_range(worksheet['!ref']);
+      // Grids always start at A1 so row/column positions match the workbook
+      for (let r = 0; r <= range.e.r; r++) {
+        const values = [];
+        for (let c = 0; c <= range.e.c; c++) {
+          values.push(r < range.s.r || c < range.s.c
+            ? null
+            : readBinaryCell(worksheet[XLSX.utils.encode_cell({ r, c })]));
+        }
+        rows.push(values);
+      }
     }
-    
-    if (!worksheet) {
-      console.error('No worksheet could be accessed');
-      throw new Error('Cannot read worksheet from this XLSB file. Please save as XLSX format in Excel.');
+
+    return { name, state: sheetInfo.Hidden ? 'hidden' : 'visible', rows };
+  });
+};
+
+// Score one row as a potential header: how many known inventory columns it names
+const scoreHeaderRow = (row) => {
+  const seen = new Set();
+  (row || []).forEach(value => {
+    if (typeof value !== 'string') return;
+    const text = normalizeHeaderText(value);
+    if (KNOWN_COLUMN_SET.has(text)) seen.add(text);
+  });
+  return seen.size;
+};
+
+const countDataRows = (rows, headerIndex) => rows
+  .slice(headerIndex + 1)
+  .filter(row => row && row.some(value => !isBlank(value)))
+  .length;
+
+// Find the most likely header row of a sheet
+const findHeaderRow = (sheet) => {
+  let best = { headerIndex: 0, matches: 0 };
+  const scanLimit = Math.min(sheet.rows.length, MAX_HEADER_SCAN_ROWS);
+
+  for (let i = 0; i < scanLimit; i++) {
+    const matches = scoreHeaderRow(sheet.rows[i]);
+    if (matches > best.matches) {
+      best = { headerIndex: i, matches };
     }
-    
-    // Check if worksheet has any data
-    const rowCount = worksheet.rowCount;
-    console.log(`Worksheet has ${rowCount} rows`);
-    
-    if (rowCount === 0) {
-      throw new Error('Worksheet appears to be empty');
+  }
+
+  return { ...best, dataRows: countDataRows(sheet.rows, best.headerIndex) };
+};
+
+/**
+ * Score every sheet and pick the one holding the inventory table.
+ * @param {Array} sheets - [{ name, state, rows }]
+ * @param {Object} options - { sheetName } to force a specific sheet
+ * @returns {Object} - { sheet, headerIndex, candidates }
+ */
+const detectDataTable = (sheets, options = {}) => {
+  const candidates = sheets.map(sheet => {
+    const header = findHeaderRow(sheet);
+    return {
+      name: sheet.name,
+      state: sheet.state,
+      headerRow: header.headerIndex + 1,
+      matchedColumns: header.matches,
+      dataRows: header.dataRows,
+      // Matched columns dominate; data volume only breaks ties
+      score: header.matches * 1000 + Math.min(header.dataRows, 999) - (sheet.state === 'visible' ? 0 : 500)
+    };
+  });
+
+  let chosen;
+  if (options.sheetName) {
+    chosen = candidates.find(c => c.name === options.sheetName);
+    if (!chosen) {
+      const error = new Error(`Sheet "${options.sheetName}" not found. Available sheets: ${sheets.map(s => s.name).join(', ')}`);
+      error.status = 400;
+      throw error;
     }
-    
-    const data = [];
-    let headers = [];
-    let hasData = false;
-    
-    // Try to read rows
-    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
-      console.log(`Processing row ${rowNumber}`);
-      
-      if (rowNumber === 1) {
-        // Extract headers
-        headers = [];
-        row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
-          const value = cell.value;
-          if (value) {
-            headers[colNumber - 1] = String(value).trim();
-          }
-        });
-        console.log('Headers found:', headers);
-      } else {
-        const rowData = {};
-        let hasValidData = false;
-        
-        row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
-          const header = headers[colNumber - 1];
-          if (header) {
-            let value = cell.value;
-            
-            // Handle different cell value types
-            if (value && typeof value === 'object') {
-              if (value.result !== undefined) {
-                value = value.result; // Formula
-              } else if (value.richText) {
-                value = value.richText.map(t => t.text).join(''); // Rich text
-              }
-            }
-            
-            rowData[header] = value;
-            if (value !== null && value !== undefined && value !== '') {
-              hasValidData = true;
-            }
-          }
-        });
-        
-        if (hasValidData) {
-          data.push(rowData);
-          hasData = true;
-        }
-      }
-    });
-    
-    if (!hasData) {
-      throw new Error('No data found in the Excel file');
+  } else {
+    chosen = [...candidates].sort((a, b) => b.score - a.score)[0];
+    if (!chosen || chosen.matchedColumns < MIN_HEADER_MATCHES) {
+      // Nothing looks like our data - fall back to the old behaviour (first sheet, row 1)
+      chosen = candidates[0];
+      if (chosen) chosen = { ...chosen, headerRow: 1 };
     }
-    
-    console.log(`Successfully parsed ${data.length} rows from Excel file`);
-    return data;
-    
-  } catch (error) {
-    console.error('Excel parsing detailed error:', error);
-    
-    // If it's a XLSB file that failed, provide specific guidance
-    if (fileExtension === '.xlsb') {
-      throw new Error('XLSB file could not be processed. Please open in Excel and save as XLSX format (File → Save As → Excel Workbook).');
+  }
+
+  if (!chosen) {
+    throw new Error('No worksheet found in Excel file');
+  }
+
+  return {
+    sheet: sheets.find(s => s.name === chosen.name),
+    headerIndex: chosen.headerRow - 1,
+    candidates: candidates.map(({ score, ...rest }) => rest)
+  };
+};
+
+// Turn a grid into row objects keyed by the header row
+const gridToObjects = (rows, headerIndex) => {
+  const headerRow = rows[headerIndex] || [];
+  const headers = headerRow.map(value => (isBlank(value) ? '' : String(value).trim()));
+
+  const data = [];
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const row = rows[i] || [];
+    const rowData = {};
+    let hasValue = false;
+
+    headers.forEach((header, col) => {
+      if (!header) return;
+      const value = row[col];
+      if (value === null || value === undefined) return;
+      rowData[header] = value;
+      if (value !== '') hasValue = true;
+    });
+
+    if (hasValue) {
+      data.push(rowData);
     }
-    
-    throw error;
   }
+
+  return { headers: headers.filter(Boolean), data };
+};
+
+const readSheets = async (buffer, ext) => {
+  if (ext === '.csv') {
+    return readCsvSheets(buffer);
+  } else if (ext === '.xlsx') {
+    return readXlsxSheets(buffer);
+  } else if (BINARY_WORKBOOK_TYPES.includes(ext)) {
+    return readBinaryWorkbookSheets(buffer);
+  }
+  throw new Error(`Unsupported file type: ${ext}`);
 };
 
-// Main parse function - THIS WAS MISSING!
-const parseFile = async (filePath, fileExtension) => {
+/**
+ * Parse an uploaded file held in memory, locating the inventory table.
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileExtension - '.csv', '.xlsx', '.xlsb' or '.xls'
+ * @param {Object} options - { sheetName } to override sheet detection
+ * @returns {Object} - { data, headers, sheetName, headerRow, sheets }
+ */
+const parseWorkbook = async (buffer, fileExtension, options = {}) => {
+  const ext = fileExtension.toLowerCase();
+
+  console.log(`Parsing file with extension: ${ext}`);
+
+  const sheets = await readSheets(buffer, ext);
+  const { sheet, headerIndex, candidates } = detectDataTable(sheets, options);
+  const { headers, data } = gridToObjects(sheet.rows, headerIndex);
+
+  console.log(`Using sheet "${sheet.name}" with header on row ${headerIndex + 1} (${data.length} data rows)`);
+
+  return {
+    data,
+    headers,
+    sheetName: ext === '.csv' ? null : sheet.name,
+    headerRow: headerIndex + 1,
+    sheets: ext === '.csv' ? [] : candidates
+  };
+};
+
+// Parse an uploaded file held in memory and return just the row objects
+const parseBuffer = async (buffer, fileExtension, options = {}) => {
+  const result = await parseWorkbook(buffer, fileExtension, options);
+  return result.data;
+};
+
+// Parse a file on disk
+const parseFile = async (filePath, fileExtension, options = {}) => {
   try {
-    const ext = fileExtension.toLowerCase();
-    
-    console.log(`Parsing file with extension: ${ext}`);
-    
-    if (ext === '.csv') {
-      return await parseCsv(filePath);
-    } else if (ext === '.xlsx' || ext === '.xls' || ext === '.xlsb') {
-      return await parseExcel(filePath, ext);
-    } else {
-      throw new Error(`Unsupported file type: ${ext}`);
-    }
+    const buffer = await fs.readFile(filePath);
+    return await parseBuffer(buffer, fileExtension, options);
   } catch (error) {
     logger.error('File parsing error:', error);
     throw error;
@@ -183,6 +319,8 @@ const parseFile = async (filePath, fileExtension) => {
 // Export all functions
 module.exports = {
   parseFile,
-  parseCsv,
-  parseExcel
-};
\ No newline at end of file
+  parseBuffer,
+  parseWorkbook,
+  detectDataTable,
+  KNOWN_COLUMNS
+};
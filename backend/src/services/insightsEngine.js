@@ -0,0 +1,310 @@
+// backend/src/services/insightsEngine.js
+// Rules-based insights - quantified opportunities, risks and findings for a job
+const { COVERAGE_STATES, isUnderContract: isCovered } = require('./supportCoverage');
+const { present, toDate, isPast, addMonths, addDays } = require('../utils/rowValues');
+
+const SEVERITY_RANK = { high: 3, medium: 2, low: 1 };
+const DEFAULT_LIMIT = 5;
+
+const isWithin = (value, currentDate, until) => {
+  const date = toDate(value);
+  return date !== null && date > currentDate && date <= until;
+};
+
+const quantityOf = (row) => parseInt(row.qty) || 0;
+const unitsOf = (rows) => rows.reduce((sum, row) => sum + quantityOf(row), 0);
+const listValueOf = (rows) => rows.reduce((sum, row) => sum + (parseFloat(row.list_price) || 0), 0);
+
+const plural = (count, singular, pluralForm = `${singular}s`) => (count === 1 ? singular : pluralForm);
+
+// $180k / $1.2M style amounts for sentences
+const formatMoney = (value) => {
+  if (value >= 1000000) return `$${(value / 1000000).toFixed(1).replace(/\.0$/, '')}M`;
+  if (value >= 1000) return `$${Math.round(value / 1000)}k`;
+  return `$${Math.round(value)}`;
+};
+
+// Rows grouped by a field, blank values under "Unknown"
+const groupBy = (rows, field) => {
+  const groups = {};
+  rows.forEach(row => {
+    const name = present(row[field]) ? String(row[field]) : 'Unknown';
+    (groups[name] = groups[name] || []).push(row);
+  });
+  return groups;
+};
+
+/**
+ * Insight rules. `evaluate` returns zero or more matches, each with the
+ * `value` compared against `threshold` (and used to rank matches of the
+ * same severity) plus the parameters its `template` needs. A rule can
+ * match more than once, e.g. once per site.
+ */
+const INSIGHT_RULES = [
+  {
+    id: 'ldos_uncovered',
+    kind: 'risk',
+    severity: 'high',
+    threshold: 1,
+    template: '{quantity} {category} {units} past LDOS with no coverage',
+    evaluate: (rows, { currentDate }) => {
+      const matches = rows.filter(row => isPast(row.last_day_support, currentDate) && !isCovered(row));
+      return Object.entries(groupBy(matches, 'category')).map(([category, group]) => {
+        const quantity = unitsOf(group);
+        return { value: quantity, params: { quantity, category, units: plural(quantity, 'asset') } };
+      });
+    }
+  },
+  {
+    id: 'eovss_passed',
+    kind: 'risk',
+    severity: 'high',
+    threshold: 1,
+    template: '{quantity} {units} no longer receive security fixes (EoVSS passed)',
+    evaluate: (rows, { currentDate }) => {
+      const quantity = unitsOf(rows.filter(row => isPast(row.end_of_vuln_support, currentDate)));
+      return [{ value: quantity, params: { quantity, units: plural(quantity, 'asset') } }];
+    }
+  },
+  {
+    id: 'uncovered_value_by_site',
+    kind: 'risk',
+    severity: 'medium',
+    threshold: 10000,
+    template: '{value} list value uncovered at {site}',
+    evaluate: (rows) => Object.entries(groupBy(rows.filter(row => !isCovered(row)), 'install_site'))
+      .map(([site, group]) => {
+        const value = listValueOf(group);
+        // Lines without an install site are grouped under "Unknown"
+        return { value, params: { value: formatMoney(value), site: site === 'Unknown' ? 'unassigned sites' : site } };
+      })
+  },
+  {
+    id: 'ldos_upcoming',
+    kind: 'risk',
+    severity: 'medium',
+    threshold: 1,
+    template: '{quantity} {units} reach LDOS within {months} months',
+    evaluate: (rows, { currentDate, horizonMonths }) => {
+      const until = addMonths(currentDate, horizonMonths);
+      const quantity = unitsOf(rows.filter(row => isWithin(row.last_day_support, currentDate, until)));
+      return [{ value: quantity, params: { quantity, units: plural(quantity, 'asset'), months: horizonMonths } }];
+    }
+  },
+  {
+    id: 'critical_risk_assets',
+    kind: 'risk',
+    severity: 'high',
+    threshold: 1,
+    template: '{count} line {items} scored Critical risk, led by {product}',
+    evaluate: (rows) => {
+      const critical = rows.filter(row => row.risk_level === 'Critical');
+      if (critical.length === 0) return [];
+      const top = critical.reduce((max, row) => (row.risk_score > max.risk_score ? row : max));
+      return [{ value: critical.length, params: { count: critical.length, items: plural(critical.length, 'item'), product: top.product_id } }];
+    }
+  },
+  {
+    id: 'warranty_only',
+    kind: 'risk',
+    severity: 'medium',
+    threshold: 1,
+    template: '{quantity} {units} rely on warranty alone, with no support contract',
+    evaluate: (rows) => {
+      const quantity = unitsOf(rows.filter(row => row.support_coverage === COVERAGE_STATES.warrantyOnly));
+      return [{ value: quantity, params: { quantity, units: plural(quantity, 'asset') } }];
+    }
+  },
+  {
+    id: 'warranty_expiring_uncovered',
+    kind: 'risk',
+    severity: 'medium',
+    threshold: 1,
+    template: '{quantity} {units} lose warranty within {days} days without a support contract',
+    evaluate: (rows, { currentDate, expiringDays }) => {
+      const until = addDays(currentDate, expiringDays);
+      const quantity = unitsOf(rows.filter(row => !isCovered(row) && isWithin(row.warranty_end_date, currentDate, until)));
+      return [{ value: quantity, params: { quantity, units: plural(quantity, 'asset'), days: expiringDays } }];
+    }
+  },
+  {
+    id: 'contracts_expiring',
+    kind: 'risk',
+    severity: 'high',
+    threshold: 1,
+    template: '{count} {contracts} {expire} within {days} days ({lines} line {items})',
+    evaluate: (rows, { currentDate, expiringDays }) => {
+      const until = addDays(currentDate, expiringDays);
+      const expiring = rows.filter(row => present(row.contract_number) && isWithin(row.coverage_end_date, currentDate, until));
+      const count = new Set(expiring.map(row => row.contract_number)).size;
+      return [{
+        value: count,
+        params: { count, contracts: plural(count, 'contract'), expire: plural(count, 'expires', 'expire'), days: expiringDays, lines: expiring.length, items: plural(expiring.length, 'item') }
+      }];
+    }
+  },
+  {
+    id: 'coverable_uncovered',
+    kind: 'opportunity',
+    severity: 'high',
+    threshold: 1,
+    template: '{quantity} uncovered {units} are still supported and can be put under contract ({value} list value)',
+    evaluate: (rows, { currentDate }) => {
+      const matches = rows.filter(row => !isCovered(row) && !isPast(row.last_day_support, currentDate));
+      const quantity = unitsOf(matches);
+      return [{ value: quantity, params: { quantity, units: plural(quantity, 'asset'), value: formatMoney(listValueOf(matches)) } }];
+    }
+  },
+  {
+    id: 'warranty_overlap',
+    kind: 'opportunity',
+    severity: 'low',
+    threshold: 1,
+    template: '{count} line {items} pay for a support contract while still under warranty',
+    evaluate: (rows, { currentDate }) => {
+      const count = rows.filter(row => isCovered(row) && toDate(row.warranty_end_date) > currentDate).length;
+      return [{ value: count, params: { count, items: plural(count, 'item') } }];
+    }
+  },
+  {
+    id: 'refresh_end_of_sale',
+    kind: 'opportunity',
+    severity: 'medium',
+    threshold: 1,
+    template: '{quantity} {units} past End of Sale are refresh candidates ({value} installed list value)',
+    evaluate: (rows, { currentDate }) => {
+      const matches = rows.filter(row => isPast(row.end_of_sale, currentDate));
+      const quantity = unitsOf(matches);
+      return [{ value: quantity, params: { quantity, units: plural(quantity, 'asset'), value: formatMoney(listValueOf(matches)) } }];
+    }
+  },
+  {
+    id: 'successor_known',
+    kind: 'opportunity',
+    severity: 'medium',
+    threshold: 1,
+    template: '{count} line {items} already list a migration PID, ready to quote as replacements',
+    evaluate: (rows) => {
+      const count = rows.filter(row => present(row.migration_pid)).length;
+      return [{ value: count, params: { count, items: plural(count, 'item') } }];
+    }
+  },
+  {
+    id: 'support_coverage_rate',
+    kind: 'finding',
+    severity: 'medium',
+    threshold: 0,
+    template: '{percent}% of line items have active support ({active} of {total})',
+    evaluate: (rows) => {
+      if (rows.length === 0) return [];
+      const active = rows.filter(isCovered).length;
+      return [{ value: rows.length, params: { percent: Math.round((active / rows.length) * 100), active, total: rows.length } }];
+    }
+  },
+  {
+    id: 'inventory_size',
+    kind: 'finding',
+    severity: 'low',
+    threshold: 1,
+    template: '{quantity} {units} across {products} {productUnits} and {sites} install {siteUnits}',
+    evaluate: (rows) => {
+      const products = new Set(rows.map(row => row.product_id).filter(present)).size;
+      const sites = new Set(rows.map(row => row.install_site).filter(present)).size;
+      const quantity = unitsOf(rows);
+      return [{
+        value: quantity,
+        params: { quantity, units: plural(quantity, 'unit'), products, productUnits: plural(products, 'product'), sites, siteUnits: plural(sites, 'site') }
+      }];
+    }
+  },
+  {
+    id: 'largest_category',
+    kind: 'finding',
+    severity: 'low',
+    threshold: 1,
+    template: '{category} is the largest category with {share}% of units',
+    evaluate: (rows) => {
+      const total = unitsOf(rows);
+      if (total === 0) return [];
+      const [category, group] = Object.entries(groupBy(rows, 'category'))
+        .sort(([, a], [, b]) => unitsOf(b) - unitsOf(a))[0];
+      return [{ value: unitsOf(group), params: { category, share: Math.round((unitsOf(group) / total) * 100) } }];
+    }
+  },
+  {
+    id: 'missing_ldos',
+    kind: 'finding',
+    severity: 'medium',
+    threshold: 10,
+    template: '{percent}% of line items have no LDOS date, so lifecycle risk may be understated',
+    evaluate: (rows) => {
+      if (rows.length === 0) return [];
+      const percent = Math.round((rows.filter(row => !toDate(row.last_day_support)).length / rows.length) * 100);
+      return [{ value: percent, params: { percent } }];
+    }
+  }
+];
+
+const INSIGHT_KINDS = {
+  opportunity: 'opportunities',
+  risk: 'risks',
+  finding: 'findings'
+};
+
+const renderTemplate = (template, params) => template.replace(/\{(\w+)\}/g, (match, key) => {
+  const value = params[key];
+  if (value === undefined) return match;
+  return typeof value === 'number' ? value.toLocaleString('en-US') : String(value);
+});
+
+/**
+ * Run every rule over a job's rows
+ * @param {Array} rows - Normalized (and risk scored) rows
+ * @param {Object} options - { currentDate, horizonMonths, expiringDays, thresholds: { [ruleId]: number }, limit }
+ * @returns {Object} - { opportunities, risks, findings } - sentences, most important first,
+ *   plus `insights`: [{ id, kind, severity, value, text }] in the same order
+ */
+function generateInsights(rows, {
+  currentDate = new Date(),
+  horizonMonths = 12,
+  expiringDays = 90,
+  thresholds = {},
+  limit = DEFAULT_LIMIT
+} = {}) {
+  const context = { currentDate, horizonMonths, expiringDays };
+  const insights = [];
+
+  INSIGHT_RULES.forEach(rule => {
+    const threshold = thresholds[rule.id] ?? rule.threshold;
+    rule.evaluate(rows, context)
+      .filter(match => match.value >= threshold)
+      .forEach(match => {
+        insights.push({
+          id: rule.id,
+          kind: rule.kind,
+          severity: rule.severity,
+          value: Math.round(match.value * 100) / 100,
+          text: renderTemplate(rule.template, match.params)
+        });
+      });
+  });
+
+  const result = { opportunities: [], risks: [], findings: [], insights: [] };
+  Object.entries(INSIGHT_KINDS).forEach(([kind, key]) => {
+    const sorted = insights
+      .filter(insight => insight.kind === kind)
+      .sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || b.value - a.value);
+    // The top match of every rule comes before a second match of any rule
+    const leads = sorted.filter((insight, index) => sorted.findIndex(other => other.id === insight.id) === index);
+    const ranked = [...leads, ...sorted.filter(insight => !leads.includes(insight))].slice(0, limit);
+    result[key] = ranked.map(insight => insight.text);
+    result.insights.push(...ranked);
+  });
+  return result;
+}
+
+module.exports = {
+  INSIGHT_RULES,
+  generateInsights,
+  formatMoney
+};
@@ -0,0 +1,227 @@
+// backend/src/services/inventoryAnalytics.js
+// Phase 1 analytics computed over normalized inventory rows
+const { summarizeMilestones, LIFECYCLE_WINDOWS } = require('./lifecycleMilestones');
+const { summarizeRisk } = require('./riskScoring');
+const { generateInsights } = require('./insightsEngine');
+const { summarizeWarranty } = require('./warrantyAnalysis');
+const { resolveCalendar, describeCalendar } = require('../utils/fiscalCalendar');
+const { COVERAGE_STATES, DEFAULT_EXPIRING_DAYS, isUnderContract, summarizeCoverage } = require('./supportCoverage');
+const { summarizeHierarchy, deviceRows } = require('./assetHierarchy');
+const { summarizeSites } = require('./siteSummary');
+
+// REFINED: Data Completeness - removed qty and total_value
+const REQUIRED_FIELDS = [
+  'mfg',
+  'category',
+  'product_id',
+  'description',
+  'support_coverage',
+  'end_of_sale',
+  'last_day_support',
+  'asset_type',
+  'ship_date'
+];
+
+/**
+ * Calculate the Phase 1 summary and analytics for a set of normalized rows
+ * @param {Array} normalizedData - Rows produced by columnMapper.processData
+ * @param {Object} options - { currentDate, windows, riskWeights, expiringDays, calendar } - look-ahead windows in months,
+ *   expiringDays for contracts and warranties about to end, calendar to bucket milestones into fiscal quarters
+ * @returns {Object} - { summary, analytics }
+ */
+function analyzeInventory(normalizedData, {
+  currentDate = new Date(),
+  windows = LIFECYCLE_WINDOWS,
+  riskWeights,
+  expiringDays = DEFAULT_EXPIRING_DAYS,
+  calendar = resolveCalendar(),
+  includeDeviceView = true
+} = {}) {
+
+  const totalRecords = normalizedData.length;
+  const totalQuantity = normalizedData.reduce((sum, item) => sum + (parseInt(item.qty) || 0), 0);
+  // Active counts every line under contract, including contracts about to expire
+  const activeSupport = normalizedData.filter(isUnderContract).length;
+  const expiredSupport = normalizedData.filter(item => item.support_coverage === COVERAGE_STATES.expired).length;
+  const warrantyOnlySupport = normalizedData.filter(item => item.support_coverage === COVERAGE_STATES.warrantyOnly).length;
+  const coverage = summarizeCoverage(normalizedData);
+
+  // Passed and approaching EoX milestones (EoL, EoS, EoSWM, EoVSS, LDOS)
+  const lifecycleMilestones = summarizeMilestones(normalizedData, { currentDate, windows, calendar });
+  const totalEolAnnounced = lifecycleMilestones.eol.passed;
+  const totalEndOfSale = lifecycleMilestones.eos.passed;
+  const totalEndOfSWMaintenance = lifecycleMilestones.eoswm.passed;
+  const totalEndOfSWVuln = lifecycleMilestones.eovss.passed;
+  const totalLastDaySupport = lifecycleMilestones.ldos.passed;
+
+  // Manufacturer Breakdown
+  const manufacturerBreakdown = {};
+  normalizedData.forEach(item => {
+    const mfg = item.mfg && item.mfg !== '-' ? item.mfg : 'Unknown';
+    if (!manufacturerBreakdown[mfg]) {
+      manufacturerBreakdown[mfg] = {
+        count: 0,
+        quantity: 0,
+        activeCount: 0,
+        expiredCount: 0
+      };
+    }
+    manufacturerBreakdown[mfg].count++;
+    manufacturerBreakdown[mfg].quantity += parseInt(item.qty) || 0;
+
+    if (isUnderContract(item)) {
+      manufacturerBreakdown[mfg].activeCount++;
+    } else if (item.support_coverage === COVERAGE_STATES.expired) {
+      manufacturerBreakdown[mfg].expiredCount++;
+    }
+  });
+
+  // Total unique categories
+  const uniqueCategories = [...new Set(normalizedData.map(item => item.category || 'Uncategorized'))];
+  const totalCategories = uniqueCategories.length;
+
+  // Total Service Contracts (items with Active support)
+  const totalServiceContracts = activeSupport;
+
+  // Total unique manufacturers
+  const totalManufacturers = [...new Set(normalizedData.map(item => item.mfg).filter(m => m && m !== '-'))].length;
+
+  // Category Breakdown - focus on quantity only
+  const categoryBreakdown = {};
+  normalizedData.forEach(item => {
+    const cat = item.category || 'Uncategorized';
+    if (!categoryBreakdown[cat]) {
+      categoryBreakdown[cat] = {
+        count: 0,  // Number of unique items
+        quantity: 0, // Total quantity
+        activeCount: 0,
+        expiredCount: 0
+      };
+    }
+    categoryBreakdown[cat].count++;
+    categoryBreakdown[cat].quantity += parseInt(item.qty) || 0;
+
+    if (isUnderContract(item)) {
+      categoryBreakdown[cat].activeCount++;
+    } else if (item.support_coverage === COVERAGE_STATES.expired) {
+      categoryBreakdown[cat].expiredCount++;
+    }
+  });
+
+  const fieldCompleteness = {};
+  REQUIRED_FIELDS.forEach(field => {
+    const filled = normalizedData.filter(item =>
+      item[field] &&
+      item[field] !== '-' &&
+      item[field] !== '' &&
+      item[field] !== 'N/A'
+    ).length;
+    fieldCompleteness[field] = totalRecords > 0 ? Math.round((filled / totalRecords) * 100) : 0;
+  });
+
+  // Lifecycle Status by Category
+  const lifecycleByCategory = {};
+  Object.keys(categoryBreakdown).forEach(category => {
+    const categoryItems = normalizedData.filter(item =>
+      (item.category || 'Uncategorized') === category
+    );
+
+    const totalQty = categoryItems.reduce((sum, item) => sum + (parseInt(item.qty) || 0), 0);
+    const milestones = summarizeMilestones(categoryItems, { currentDate, windows, calendar });
+
+    lifecycleByCategory[category] = {
+      totalQty,
+      eolAnnounced: milestones.eol.passed,
+      endOfSale: milestones.eos.passed,
+      endOfSWMaintenance: milestones.eoswm.passed,
+      endOfSWVuln: milestones.eovss.passed,
+      lastDaySupport: milestones.ldos.passed,
+      milestones,
+      total: categoryItems.length
+    };
+  });
+
+  // Risk rollups - rows carry their scores from riskScoring.scoreRows
+  const risk = summarizeRisk(normalizedData, { weights: riskWeights });
+
+  // Warranty in force, expiring and overlapping paid contracts
+  const warranty = summarizeWarranty(normalizedData, { currentDate, expiringDays });
+
+  // Ranked opportunities, risks and findings - upcoming milestones use the nearest window
+  const insights = generateInsights(normalizedData, { currentDate, horizonMonths: windows[0], expiringDays });
+
+  // Per install site - refresh exposure uses the nearest window
+  const sites = summarizeSites(normalizedData, { currentDate, horizonMonths: windows[0] });
+
+  // Files with a parent/child hierarchy also get every figure per top-level device
+  const hierarchy = summarizeHierarchy(normalizedData);
+  const deviceView = includeDeviceView && hierarchy.components > 0
+    ? analyzeInventory(deviceRows(normalizedData), {
+      currentDate, windows, riskWeights, expiringDays, calendar, includeDeviceView: false
+    })
+    : null;
+
+  const summary = {
+    // Keep original fields for compatibility
+    total_items: totalRecords,
+    total_quantity: totalQuantity,
+    total_value: 0, // Keep for compatibility but set to 0
+    total_manufacturers: totalManufacturers,
+    active_support: activeSupport,
+    expired_support: expiredSupport,
+    warranty_only_support: warrantyOnlySupport,
+    coverage,
+    total_categories: totalCategories,
+    total_service_contracts: totalServiceContracts,
+    totalRecords,
+    supportCoverage: totalRecords > 0 ? Math.round((activeSupport / totalRecords) * 100) : 0,
+    categoryBreakdown,
+    manufacturerBreakdown,
+    fieldCompleteness,
+    lifecycleByCategory,
+    lifecycleMilestones,
+    lifecycleWindows: windows,
+    fiscalCalendar: describeCalendar(calendar),
+    total_eol_announced: totalEolAnnounced,
+    total_end_of_sale: totalEndOfSale,
+    total_end_of_sw_maintenance: totalEndOfSWMaintenance,
+    total_end_of_sw_vuln: totalEndOfSWVuln,
+    total_last_day_support: totalLastDaySupport,
+    risk,
+    warranty,
+    sites,
+    hierarchy,
+    device_view: deviceView ? deviceView.summary : null
+  };
+
+  const analytics = {
+    categories: categoryBreakdown,
+    manufacturerBreakdown,
+    completeness: fieldCompleteness,
+    lifecycle: lifecycleByCategory,
+    totalCategories,
+    totalServiceContracts,
+    milestones: lifecycleMilestones,
+    windows,
+    fiscalCalendar: describeCalendar(calendar),
+    totalEolAnnounced,
+    totalEndOfSale,
+    totalEndOfSWMaintenance,
+    totalEndOfSWVuln,
+    totalLastDaySupport,
+    coverage,
+    risk,
+    warranty,
+    insights,
+    sites,
+    hierarchy,
+    device_view: deviceView ? deviceView.analytics : null
+  };
+
+  return { summary, analytics };
+}
+
+module.exports = {
+  analyzeInventory,
+  REQUIRED_FIELDS
+};
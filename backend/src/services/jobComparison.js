@@ -0,0 +1,198 @@
+// backend/src/services/jobComparison.js
+// Month-over-month comparison of the normalized rows of two jobs
+const { isUnderContract } = require('./supportCoverage');
+const { present, isPast } = require('../utils/rowValues');
+
+/**
+ * Ways of recognizing the same asset in two reports, strongest first.
+ * Serial numbers are paired with the Product ID because PAK numbers are
+ * shared by every license line of an order.
+ */
+const MATCH_STRATEGIES = [
+  {
+    name: 'instance_id',
+    key: (row) => (present(row.instance_id) ? String(row.instance_id) : null)
+  },
+  {
+    name: 'serial_number',
+    key: (row) => (present(row.serial_number)
+      ? `${String(row.serial_number).toUpperCase()}|${row.product_id}`
+      : null)
+  },
+  {
+    name: 'product_site',
+    key: (row) => (present(row.product_id)
+      ? `${row.product_id}|${present(row.install_site) ? String(row.install_site).toUpperCase() : ''}`
+      : null)
+  }
+];
+
+/**
+ * Pair rows of the two reports. Each strategy only sees rows left over by
+ * the stronger ones; duplicate keys are paired in file order.
+ * @returns {Object} - { pairs: [{ base, current, matchedBy }], added, removed }
+ */
+function matchAssets(baseRows, currentRows) {
+  let unmatchedBase = baseRows;
+  let unmatchedCurrent = currentRows;
+  const pairs = [];
+
+  MATCH_STRATEGIES.forEach(strategy => {
+    const queues = new Map();
+    unmatchedBase.forEach(row => {
+      const key = strategy.key(row);
+      if (key === null) return;
+      if (!queues.has(key)) queues.set(key, []);
+      queues.get(key).push(row);
+    });
+
+    const matchedBase = new Set();
+    const stillUnmatched = [];
+    unmatchedCurrent.forEach(row => {
+      const key = strategy.key(row);
+      const queue = key !== null ? queues.get(key) : null;
+      if (queue && queue.length > 0) {
+        const base = queue.shift();
+        matchedBase.add(base);
+        pairs.push({ base, current: row, matchedBy: strategy.name });
+      } else {
+        stillUnmatched.push(row);
+      }
+    });
+
+    unmatchedBase = unmatchedBase.filter(row => !matchedBase.has(row));
+    unmatchedCurrent = stillUnmatched;
+  });
+
+  return { pairs, added: unmatchedCurrent, removed: unmatchedBase };
+}
+
+const toAsset = (row, matchedBy) => ({
+  product_id: row.product_id,
+  description: row.description,
+  category: row.category,
+  mfg: row.mfg,
+  serial_number: row.serial_number,
+  instance_id: row.instance_id,
+  install_site: row.install_site,
+  qty: row.qty,
+  support_coverage: row.support_coverage,
+  end_of_sale: row.end_of_sale,
+  last_day_support: row.last_day_support,
+  ...(matchedBy ? { matched_by: matchedBy } : {})
+});
+
+// Quantity and coverage per group for one report
+const groupTotals = (rows, groupOf) => {
+  const groups = {};
+  rows.forEach(row => {
+    const name = present(groupOf(row)) ? groupOf(row) : 'Unknown';
+    if (!groups[name]) groups[name] = { count: 0, quantity: 0, active: 0 };
+    groups[name].count++;
+    groups[name].quantity += parseInt(row.qty) || 0;
+    if (isUnderContract(row)) groups[name].active++;
+  });
+  return groups;
+};
+
+const coveragePercent = (group) => (group && group.count > 0 ? Math.round((group.active / group.count) * 100) : 0);
+
+/**
+ * Per-group deltas between the two reports
+ * @returns {Array} - [{ name, base_quantity, current_quantity, quantity_delta, base_coverage, current_coverage, coverage_delta }]
+ */
+function groupDeltas(baseRows, currentRows, groupOf) {
+  const base = groupTotals(baseRows, groupOf);
+  const current = groupTotals(currentRows, groupOf);
+  const names = [...new Set([...Object.keys(base), ...Object.keys(current)])];
+
+  return names
+    .map(name => {
+      const baseCoverage = coveragePercent(base[name]);
+      const currentCoverage = coveragePercent(current[name]);
+      const baseQuantity = base[name] ? base[name].quantity : 0;
+      const currentQuantity = current[name] ? current[name].quantity : 0;
+      return {
+        name,
+        base_quantity: baseQuantity,
+        current_quantity: currentQuantity,
+        quantity_delta: currentQuantity - baseQuantity,
+        base_coverage: baseCoverage,
+        current_coverage: currentCoverage,
+        coverage_delta: currentCoverage - baseCoverage
+      };
+    })
+    .sort((a, b) => Math.abs(b.quantity_delta) - Math.abs(a.quantity_delta) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Compare two reports of the same customer
+ * @param {Object} base - { rows, date } - the earlier report and the day it was run
+ * @param {Object} current - { rows, date } - the later report and the day it was run
+ * @returns {Object} - { summary, added, removed, coverage_lapsed, coverage_renewed, newly_end_of_sale, newly_ldos, by_category, by_manufacturer }
+ */
+function compareJobs(base, current) {
+  const { pairs, added, removed } = matchAssets(base.rows, current.rows);
+  const baseDate = new Date(base.date);
+  const currentDate = new Date(current.date);
+
+  const coverageLapsed = [];
+  const coverageRenewed = [];
+  const newlyEndOfSale = [];
+  const newlyLdos = [];
+
+  pairs.forEach(({ base: before, current: after, matchedBy }) => {
+    if (isUnderContract(before) && !isUnderContract(after)) {
+      coverageLapsed.push(toAsset(after, matchedBy));
+    } else if (!isUnderContract(before) && isUnderContract(after)) {
+      coverageRenewed.push(toAsset(after, matchedBy));
+    }
+    if (!isPast(before.end_of_sale, baseDate) && isPast(after.end_of_sale, currentDate)) {
+      newlyEndOfSale.push(toAsset(after, matchedBy));
+    }
+    if (!isPast(before.last_day_support, baseDate) && isPast(after.last_day_support, currentDate)) {
+      newlyLdos.push(toAsset(after, matchedBy));
+    }
+  });
+
+  const matchedBy = {};
+  pairs.forEach(pair => {
+    matchedBy[pair.matchedBy] = (matchedBy[pair.matchedBy] || 0) + 1;
+  });
+
+  const sumQuantity = (rows) => rows.reduce((sum, row) => sum + (parseInt(row.qty) || 0), 0);
+  const activeShare = (rows) => (rows.length > 0
+    ? Math.round((rows.filter(row => isUnderContract(row)).length / rows.length) * 100)
+    : 0);
+
+  return {
+    summary: {
+      base_rows: base.rows.length,
+      current_rows: current.rows.length,
+      matched: pairs.length,
+      matched_by: matchedBy,
+      added: added.length,
+      removed: removed.length,
+      coverage_lapsed: coverageLapsed.length,
+      coverage_renewed: coverageRenewed.length,
+      newly_end_of_sale: newlyEndOfSale.length,
+      newly_ldos: newlyLdos.length,
+      quantity_delta: sumQuantity(current.rows) - sumQuantity(base.rows),
+      coverage_delta: activeShare(current.rows) - activeShare(base.rows)
+    },
+    added: added.map(row => toAsset(row)),
+    removed: removed.map(row => toAsset(row)),
+    coverage_lapsed: coverageLapsed,
+    coverage_renewed: coverageRenewed,
+    newly_end_of_sale: newlyEndOfSale,
+    newly_ldos: newlyLdos,
+    by_category: groupDeltas(base.rows, current.rows, row => row.category),
+    by_manufacturer: groupDeltas(base.rows, current.rows, row => row.mfg)
+  };
+}
+
+module.exports = {
+  compareJobs,
+  matchAssets,
+  MATCH_STRATEGIES
+};
@@ -0,0 +1,91 @@
+// backend/src/services/jobEvents.js
+// Job change notifications shared across instances through Postgres LISTEN/NOTIFY
+const EventEmitter = require('events');
+const pool = require('../config/database');
+const logger = require('../config/logger');
+
+const CHANNEL = 'upload_job_events';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let listenerClient = null;
+let listening = null;
+
+// Hold one connection open for LISTEN; events from this instance still
+// arrive through it, so every subscriber sees the same stream
+async function ensureListening() {
+  if (listening) return listening;
+
+  listening = (async () => {
+    const client = await pool.connect();
+    client.on('notification', (message) => {
+      try {
+        const payload = JSON.parse(message.payload);
+        emitter.emit(payload.job_id, payload);
+      } catch (error) {
+        logger.warn(`Ignoring malformed job event: ${error.message}`);
+      }
+    });
+    client.on('error', (error) => {
+      logger.error(`Job event listener lost its connection: ${error.message}`);
+      client.release(error);
+      listenerClient = null;
+      listening = null;
+    });
+    await client.query(`LISTEN ${CHANNEL}`);
+    listenerClient = client;
+  })().catch((error) => {
+    listening = null;
+    throw error;
+  });
+
+  return listening;
+}
+
+/**
+ * Announce that a job changed. Subscribers re-read the job, so the payload
+ * only needs to say which one.
+ * @param {string} jobId - Job that changed
+ */
+async function publish(jobId) {
+  const payload = { job_id: jobId };
+  try {
+    await pool.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify(payload)]);
+  } catch (error) {
+    // Without the database only local subscribers can be told
+    logger.warn(`Could not publish job event: ${error.message}`);
+    emitter.emit(jobId, payload);
+  }
+}
+
+/**
+ * Listen for changes to one job
+ * @param {string} jobId - Job to follow
+ * @param {Function} onChange - Called with { job_id } on every change
+ * @returns {Function} - Unsubscribe
+ */
+async function subscribe(jobId, onChange) {
+  emitter.on(jobId, onChange);
+  try {
+    await ensureListening();
+  } catch (error) {
+    logger.warn(`Job events limited to this instance: ${error.message}`);
+  }
+  return () => emitter.off(jobId, onChange);
+}
+
+async function close() {
+  if (listenerClient) {
+    await listenerClient.query(`UNLISTEN ${CHANNEL}`).catch(() => {});
+    listenerClient.release();
+    listenerClient = null;
+    listening = null;
+  }
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  close
+};
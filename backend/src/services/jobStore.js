@@ -0,0 +1,451 @@
+// backend/src/services/jobStore.js
+// Postgres persistence for upload jobs and their normalized rows
+const pool = require('../config/database');
+const logger = require('../config/logger');
+const { DEFAULT_TENANT_ID } = require('../config/tenant');
+const dataProcessor = require('./dataProcessor');
+const jobEvents = require('./jobEvents');
+const { isUnderContract } = require('./supportCoverage');
+const { toDate, formatDate } = require('../utils/rowValues');
+
+// Rows per INSERT statement when writing raw_inventory
+const INSERT_BATCH_SIZE = 500;
+
+// Job lifecycle: queued -> parsing -> normalizing -> analyzing -> completed,
+// or failed / cancelled from any of the active states
+const ACTIVE_STATES = ['parsing', 'normalizing', 'analyzing'];
+const FINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+// A claimed job is leased to its worker, which renews the lease while it works
+// on it; only a job whose lease ran out (its worker died) is picked up again
+const JOB_LEASE_SECONDS = parseInt(process.env.JOB_LEASE_SECONDS) || 300;
+
+// Jobs claimed before leases existed fall back to their last update
+const STALE_JOB_MINUTES = parseInt(process.env.STALE_JOB_MINUTES) || 10;
+
+// Everything but the uploaded file itself
+const JOB_COLUMNS = `
+  job_id, tenant_id, customer_name, original_filename, file_size_bytes, file_type,
+  sheet_name, header_row, column_mapping, mapping_profile_id, job_options, attempts,
+  status, progress, summary, analytics, errors, warnings, total_rows_uploaded,
+  total_rows_processed, total_products_identified, total_inventory_value,
+  created_at, started_at, completed_at, updated_at
+`;
+
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+// The job's lease ran out and another worker claimed it
+class JobLeaseLostError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} is no longer leased to this worker`);
+    this.name = 'JobLeaseLostError';
+  }
+}
+
+// Convert a normalized date value into something a DATE column accepts
+const toDateOrNull = (value) => {
+  const date = toDate(value);
+  return date ? formatDate(date) : null;
+};
+
+const toJob = (row) => ({
+  jobId: row.job_id,
+  customerName: row.customer_name || 'Unknown',
+  filename: row.original_filename,
+  fileType: row.file_type,
+  fileSize: row.file_size_bytes,
+  sheetName: row.sheet_name,
+  headerRow: row.header_row,
+  columnMapping: row.column_mapping,
+  mappingProfileId: row.mapping_profile_id,
+  options: row.job_options || {},
+  attempts: row.attempts || 0,
+  status: row.status,
+  progress: row.progress || 0,
+  summary: row.summary,
+  analytics: row.analytics,
+  errors: row.errors,
+  warnings: row.warnings,
+  timestamp: row.created_at,
+  startedAt: row.started_at,
+  completedAt: row.completed_at,
+  updatedAt: row.updated_at,
+  rows_uploaded: row.total_rows_uploaded,
+  rows_processed: row.total_rows_processed || 0,
+  products_identified: row.total_products_identified || 0
+});
+
+// Columns written for every normalized row - typed copies for SQL plus the full row as JSON
+const RAW_INVENTORY_COLUMNS = [
+  'tenant_id', 'job_id', 'row_number', 'manufacturer', 'product_id', 'description',
+  'quantity', 'cost', 'product_type', 'product_category', 'business_entity', 'asset_type',
+  'purchase_date', 'ship_date', 'support_contract_active', 'end_of_life_date', 'end_of_sale_date',
+  'end_of_sw_maintenance_date', 'end_of_sw_vulnerability_maintenance_date', 'last_day_of_support_date',
+  'service_contract', 'support_start_date', 'support_end_date', 'warranty_end_date', 'row_data'
+];
+
+const rawInventoryValues = (jobId, item) => [
+  DEFAULT_TENANT_ID,
+  jobId,
+  item.id,
+  item.mfg !== '-' ? item.mfg : null,
+  item.product_id !== '-' ? String(item.product_id) : null,
+  item.description !== '-' ? item.description : null,
+  item.qty,
+  item.total_value,
+  item.type !== '-' ? item.type : null,
+  item.category !== '-' ? item.category : null,
+  item.business_entity && item.business_entity !== '-' ? item.business_entity : null,
+  item.asset_type !== '-' ? item.asset_type : null,
+  toDateOrNull(item.ship_date),
+  toDateOrNull(item.ship_date),
+  isUnderContract(item),
+  toDateOrNull(item.eol_announcement),
+  toDateOrNull(item.end_of_sale),
+  toDateOrNull(item.end_of_sw_maintenance),
+  toDateOrNull(item.end_of_vuln_support),
+  toDateOrNull(item.last_day_support),
+  item.contract_number && item.contract_number !== '-' ? item.contract_number : null,
+  toDateOrNull(item.coverage_start_date),
+  toDateOrNull(item.coverage_end_date),
+  toDateOrNull(item.warranty_end_date),
+  JSON.stringify(item)
+];
+
+async function insertRawInventory(client, jobId, rows) {
+  for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+    const batch = rows.slice(start, start + INSERT_BATCH_SIZE);
+    const params = [];
+    const tuples = batch.map(item => {
+      const values = rawInventoryValues(jobId, item);
+      const placeholders = values.map((value, i) => `$${params.length + i + 1}`);
+      params.push(...values);
+      return `(${placeholders.join(', ')})`;
+    });
+
+    await client.query(
+      `INSERT INTO raw_inventory (${RAW_INVENTORY_COLUMNS.join(', ')}) VALUES ${tuples.join(', ')}`,
+      params
+    );
+  }
+}
+
+/**
+ * Queue an uploaded file for the worker. The file is kept in the row until
+ * the job finishes so any instance can pick it up.
+ * @param {Object} job - { jobId, customerName, filename, fileSize, fileType, fileData, options }
+ */
+async function createJob(job) {
+  await pool.query(`
+    INSERT INTO upload_jobs (
+      job_id, tenant_id, customer_name, original_filename, file_size_bytes, file_type,
+      file_data, job_options, status, progress
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'queued', 0)
+  `, [
+    job.jobId,
+    DEFAULT_TENANT_ID,
+    job.customerName || 'Unknown',
+    job.filename,
+    job.fileSize || null,
+    job.fileType || null,
+    job.fileData || null,
+    JSON.stringify(job.options || {})
+  ]);
+}
+
+const LEASE_SQL = `NOW() + INTERVAL '1 second' * ${JOB_LEASE_SECONDS}`;
+
+/**
+ * Claim the oldest queued job - or one whose worker's lease ran out - lease
+ * it to this worker and move it to the parsing state. SKIP LOCKED lets
+ * several instances poll the same table without handing out a job twice,
+ * and skips a job whose results are being stored right now.
+ * @param {string} workerId - Identifies the claiming worker in locked_by
+ * @returns {Object|null} - Job including its fileData, or null when the queue is empty
+ */
+async function claimNextJob(workerId) {
+  const result = await pool.query(`
+    UPDATE upload_jobs SET
+      status = 'parsing',
+      progress = 5,
+      attempts = COALESCE(attempts, 0) + 1,
+      locked_by = $3,
+      lease_until = ${LEASE_SQL},
+      started_at = NOW(),
+      updated_at = NOW()
+    WHERE job_id = (
+      SELECT job_id FROM upload_jobs
+      WHERE status = 'queued'
+         OR (status = ANY($1) AND COALESCE(lease_until, updated_at + ($2 || ' minutes')::INTERVAL) < NOW())
+      ORDER BY created_at
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING ${JOB_COLUMNS}, file_data
+  `, [ACTIVE_STATES, String(STALE_JOB_MINUTES), workerId]);
+
+  if (!result.rows[0]) return null;
+  await jobEvents.publish(result.rows[0].job_id);
+  return { ...toJob(result.rows[0]), fileData: result.rows[0].file_data };
+}
+
+/**
+ * Extend this worker's lease on a job it is still processing
+ * @returns {boolean} - false when the job was cancelled or another worker holds it
+ */
+async function renewLease(jobId, workerId) {
+  const result = await pool.query(`
+    UPDATE upload_jobs SET lease_until = ${LEASE_SQL}
+    WHERE job_id = $1 AND locked_by = $2 AND status = ANY($3)
+  `, [jobId, workerId, ACTIVE_STATES]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Move a job to the next stage, renewing the worker's lease
+ * @returns {boolean} - false when the job has been cancelled or claimed by another worker in the meantime
+ */
+async function updateProgress(jobId, status, progress, workerId) {
+  const result = await pool.query(`
+    UPDATE upload_jobs SET status = $2, progress = $3, lease_until = ${LEASE_SQL}, updated_at = NOW()
+    WHERE job_id = $1 AND status = ANY($4) AND locked_by = $5
+  `, [jobId, status, progress, ACTIVE_STATES, workerId]);
+  if (result.rowCount > 0) {
+    await jobEvents.publish(jobId);
+  }
+  return result.rowCount > 0;
+}
+
+// Record what the parser and mapper decided for a job, plus any data warnings
+async function recordParseResult(jobId, { sheetName, headerRow, columnMapping, mappingProfileId, rowsUploaded, warnings }) {
+  await pool.query(`
+    UPDATE upload_jobs SET
+      sheet_name = $2,
+      header_row = $3,
+      column_mapping = $4,
+      mapping_profile_id = $5,
+      total_rows_uploaded = $6,
+      warnings = $7,
+      updated_at = NOW()
+    WHERE job_id = $1
+  `, [
+    jobId,
+    sheetName || null,
+    headerRow || null,
+    columnMapping ? JSON.stringify(columnMapping) : null,
+    mappingProfileId || null,
+    rowsUploaded || 0,
+    JSON.stringify(warnings || [])
+  ]);
+  await jobEvents.publish(jobId);
+}
+
+/**
+ * Store the normalized rows and analytics of a job, aggregate them per
+ * product into inventory_analysis and mark the job completed.
+ * Runs in one transaction so a job never shows as completed with partial rows.
+ * @param {string} workerId - Must still hold the job's lease
+ * @throws {JobCancelledError|JobLeaseLostError} - Nothing is written when the job is no longer this worker's
+ */
+async function completeJob(jobId, { rows, summary, analytics }, workerId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Lock the job so a cancel request waits for this transaction, then sees it
+    // completed - and a worker that claims it next skips it
+    const current = await client.query(
+      'SELECT status, locked_by FROM upload_jobs WHERE job_id = $1 FOR UPDATE',
+      [jobId]
+    );
+    if (!current.rows[0] || !ACTIVE_STATES.includes(current.rows[0].status)) {
+      throw new JobCancelledError(jobId);
+    }
+    if (current.rows[0].locked_by !== workerId) {
+      throw new JobLeaseLostError(jobId);
+    }
+
+    await client.query('DELETE FROM raw_inventory WHERE job_id = $1', [jobId]);
+    await insertRawInventory(client, jobId, rows);
+    const productSummary = rows.length > 0
+      ? await dataProcessor.processInventory(jobId, client)
+      : { unique_products: 0, total_inventory_value: 0 };
+    await client.query(`
+      UPDATE upload_jobs SET
+        status = 'completed',
+        progress = 100,
+        total_rows_processed = $2,
+        summary = $3,
+        analytics = $4,
+        total_products_identified = $5,
+        total_inventory_value = $6,
+        file_data = NULL,
+        locked_by = NULL,
+        lease_until = NULL,
+        completed_at = NOW(),
+        processing_time_seconds = EXTRACT(EPOCH FROM (NOW() - started_at))::INTEGER,
+        updated_at = NOW()
+      WHERE job_id = $1
+    `, [
+      jobId,
+      rows.length,
+      JSON.stringify(summary),
+      JSON.stringify(analytics),
+      productSummary.unique_products,
+      productSummary.total_inventory_value
+    ]);
+    await client.query('COMMIT');
+    logger.info(`Job ${jobId} stored with ${rows.length} rows and ${productSummary.unique_products} products`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  await jobEvents.publish(jobId);
+}
+
+/**
+ * Store insights generated after the fact with the job's analytics, for jobs
+ * analyzed before the insights engine existed
+ */
+async function saveInsights(jobId, insights) {
+  await pool.query(`
+    UPDATE upload_jobs SET analytics = jsonb_set(COALESCE(analytics, '{}'::jsonb), '{insights}', $2::jsonb)
+    WHERE job_id = $1 AND status = 'completed'
+  `, [jobId, JSON.stringify(insights)]);
+}
+
+// A worker that lost its lease leaves the job to the one that holds it now
+async function failJob(jobId, error, workerId) {
+  await pool.query(`
+    UPDATE upload_jobs SET
+      status = 'failed',
+      errors = $2,
+      file_data = NULL,
+      locked_by = NULL,
+      lease_until = NULL,
+      completed_at = NOW(),
+      updated_at = NOW()
+    WHERE job_id = $1 AND status <> 'cancelled' AND (locked_by IS NULL OR locked_by = $3)
+  `, [jobId, JSON.stringify([{ message: error.message, details: error.details }]), workerId || null]);
+  await jobEvents.publish(jobId);
+}
+
+/**
+ * Cancel a job that has not finished yet
+ * @returns {boolean} - false when the job was already completed, failed or cancelled
+ */
+async function cancelJob(jobId) {
+  const result = await pool.query(`
+    UPDATE upload_jobs SET
+      status = 'cancelled',
+      file_data = NULL,
+      locked_by = NULL,
+      lease_until = NULL,
+      completed_at = NOW(),
+      updated_at = NOW()
+    WHERE tenant_id = $1 AND job_id = $2 AND status = ANY($3)
+  `, [DEFAULT_TENANT_ID, jobId, ['queued', ...ACTIVE_STATES]]);
+  if (result.rowCount > 0) {
+    await jobEvents.publish(jobId);
+  }
+  return result.rowCount > 0;
+}
+
+async function getJob(jobId) {
+  const result = await pool.query(
+    `SELECT ${JOB_COLUMNS} FROM upload_jobs WHERE tenant_id = $1 AND job_id = $2`,
+    [DEFAULT_TENANT_ID, jobId]
+  );
+  return result.rows[0] ? toJob(result.rows[0]) : null;
+}
+
+/**
+ * List jobs newest first
+ * @param {Object} filters - { customerName, filename, search, status, from, to, limit, offset }
+ *   customerName/filename/search match case-insensitively on part of the value;
+ *   from/to bound the upload date (inclusive, YYYY-MM-DD)
+ * @returns {Object} - { jobs, total }
+ */
+async function listJobs({ customerName, filename, search, status, from, to, limit = 25, offset = 0 } = {}) {
+  const params = [DEFAULT_TENANT_ID];
+  const conditions = ['tenant_id = $1'];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.split('?').join(`$${params.length}`));
+  };
+
+  if (customerName) addCondition('customer_name ILIKE ?', `%${customerName}%`);
+  if (filename) addCondition('original_filename ILIKE ?', `%${filename}%`);
+  if (search) addCondition('(customer_name ILIKE ? OR original_filename ILIKE ?)', `%${search}%`);
+  if (status) addCondition('status = ANY(?)', String(status).split(','));
+  if (from) addCondition('created_at >= ?::date', from);
+  if (to) addCondition("created_at < ?::date + INTERVAL '1 day'", to);
+
+  const where = conditions.join(' AND ');
+  const [jobs, count] = await Promise.all([
+    pool.query(`
+      SELECT ${JOB_COLUMNS} FROM upload_jobs
+      WHERE ${where}
+      ORDER BY created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]),
+    pool.query(`SELECT COUNT(*) as total FROM upload_jobs WHERE ${where}`, params)
+  ]);
+
+  return {
+    jobs: jobs.rows.map(toJob),
+    total: parseInt(count.rows[0].total) || 0
+  };
+}
+
+/**
+ * Read back the normalized rows of a job in upload order
+ * @param {string} jobId - Job to read
+ * @param {Object} options - { limit, offset, devicesOnly } - all rows when limit is omitted;
+ *   devicesOnly skips the components installed in another line's device
+ * @returns {Array} - Normalized rows
+ */
+async function getJobRows(jobId, { limit, offset = 0, devicesOnly = false } = {}) {
+  const params = [jobId, offset];
+  let limitClause = '';
+  if (limit) {
+    params.push(limit);
+    limitClause = 'LIMIT $3';
+  }
+  // Rows stored before the hierarchy existed have no is_device and count as devices
+  const deviceFilter = devicesOnly ? "AND COALESCE((row_data->>'is_device')::boolean, TRUE)" : '';
+  const result = await pool.query(`
+    SELECT row_data FROM raw_inventory
+    WHERE job_id = $1 ${deviceFilter}
+    ORDER BY row_number
+    OFFSET $2 ${limitClause}
+  `, params);
+  return result.rows.map(row => row.row_data);
+}
+
+module.exports = {
+  createJob,
+  claimNextJob,
+  renewLease,
+  updateProgress,
+  recordParseResult,
+  completeJob,
+  saveInsights,
+  failJob,
+  cancelJob,
+  getJob,
+  listJobs,
+  getJobRows,
+  JobCancelledError,
+  JobLeaseLostError,
+  JOB_LEASE_SECONDS,
+  ACTIVE_STATES,
+  FINAL_STATES
+};
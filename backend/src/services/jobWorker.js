@@ -0,0 +1,272 @@
+// backend/src/services/jobWorker.js
+// Background worker that takes queued uploads from upload_jobs and runs the Phase 1 pipeline
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+const jobStore = require('./jobStore');
+const fileParser = require('./fileParser');
+const columnMapper = require('../utils/columnMapper');
+const mappingProfiles = require('./mappingProfiles');
+const dataProcessor = require('./dataProcessor');
+const eoxCatalog = require('./eoxCatalog');
+const manufacturerRules = require('./manufacturerRules');
+const categoryOverrides = require('./categoryOverrides');
+const { analyzeInventory } = require('./inventoryAnalytics');
+const { scoreRows } = require('./riskScoring');
+const { applyCoverage } = require('./supportCoverage');
+const { buildHierarchy } = require('./assetHierarchy');
+const { assignSiteKeys } = require('./siteSummary');
+const { detectSourceSystem } = require('./manufacturerIdentifier');
+const { resolveCalendar } = require('../utils/fiscalCalendar');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+const MAX_ATTEMPTS = 3;
+
+// Renew the lease well before it runs out; parsing a large workbook blocks
+// the event loop, so a renewal can be late by the length of that step
+const LEASE_RENEW_MS = (jobStore.JOB_LEASE_SECONDS * 1000) / 5;
+
+// Let pending I/O (status requests, cancellations) run between heavy steps
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Decide which column mapping a job uses: the mapping confirmed in the UI,
+ * then an explicitly chosen profile, then a profile matched by fingerprint
+ */
+async function resolveColumnMapping({ columnMapping, profileId, customerName }, headers) {
+  if (columnMapping) {
+    return { mapping: columnMapping, profileId: profileId || null };
+  }
+
+  if (profileId) {
+    const profile = await mappingProfiles.getProfile(profileId);
+    if (!profile) {
+      throw new Error(`Mapping profile ${profileId} not found`);
+    }
+    return { mapping: mappingProfiles.adaptMapping(profile.mapping, headers), profileId: profile.profile_id };
+  }
+
+  try {
+    const match = await mappingProfiles.findMatchingProfile(headers, customerName);
+    // A similar profile can still miss a required column after adapting;
+    // detecting the columns afresh beats failing the job on it
+    if (match && columnMapper.validateMapping(match.mapping, headers).length === 0) {
+      return { mapping: match.mapping, profileId: match.profile.profile_id };
+    }
+    if (match) {
+      logger.info(`Mapping profile "${match.profile.name}" does not fit these headers, detecting columns instead`);
+    }
+  } catch (error) {
+    logger.warn(`Mapping profile lookup failed: ${error.message}`);
+  }
+
+  return { mapping: null, profileId: null };
+}
+
+/**
+ * Data problems worth telling the analyst about while the job runs
+ * @returns {Array} - [{ code, message }]
+ */
+function collectWarnings(columnMapping, rows) {
+  const warnings = [];
+
+  Object.entries(columnMapper.CANONICAL_FIELDS).forEach(([field, def]) => {
+    if (!columnMapping[field]) {
+      warnings.push({ code: 'unmapped_field', field, message: `No column mapped for ${def.label}` });
+    }
+  });
+
+  const missingProductId = rows.filter(row => row.product_id === '-').length;
+  if (missingProductId > 0) {
+    warnings.push({
+      code: 'missing_product_id',
+      message: `${missingProductId} row${missingProductId === 1 ? '' : 's'} without a Product ID`
+    });
+  }
+
+  // Not a problem as such, but analysts should know these dates are not the customer's
+  const catalogDates = rows.reduce((count, row) =>
+    count + Object.values(row.date_sources || {}).filter(source => source === columnMapper.DATE_SOURCES.catalog).length, 0);
+  if (catalogDates > 0) {
+    warnings.push({
+      code: 'catalog_dates',
+      message: `${catalogDates} milestone date${catalogDates === 1 ? '' : 's'} filled from the EoX catalog`
+    });
+  }
+
+  return warnings;
+}
+
+class JobWorker {
+  constructor() {
+    this.running = false;
+    this.timer = null;
+    // One id per process, so two instances on a host hold separate leases
+    this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    logger.info(`Job worker started (polling every ${POLL_INTERVAL_MS}ms)`);
+    this.schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(delay) {
+    this.timer = setTimeout(() => this.poll(), delay);
+  }
+
+  async poll() {
+    let job = null;
+    try {
+      job = await jobStore.claimNextJob(this.workerId);
+      if (job) {
+        await this.processJob(job);
+      }
+    } catch (error) {
+      logger.error(`Job worker poll failed: ${error.message}`);
+    } finally {
+      // Drain the queue back to back, then fall back to polling
+      if (this.running) {
+        this.schedule(job ? 0 : POLL_INTERVAL_MS);
+      }
+    }
+  }
+
+  // Move to the next stage, stopping if the job was cancelled or reclaimed meanwhile
+  async advance(jobId, status, progress) {
+    const stillOurs = await jobStore.updateProgress(jobId, status, progress, this.workerId);
+    if (!stillOurs) {
+      throw new jobStore.JobCancelledError(jobId);
+    }
+    await yieldToEventLoop();
+  }
+
+  // Keep the lease alive between stages; completeJob still checks it before writing
+  startHeartbeat(jobId) {
+    const timer = setInterval(() => {
+      jobStore.renewLease(jobId, this.workerId)
+        .then(renewed => {
+          if (!renewed) logger.warn(`Lost the lease on job ${jobId}`);
+        })
+        .catch(error => logger.warn(`Could not renew the lease on job ${jobId}: ${error.message}`));
+    }, LEASE_RENEW_MS);
+    timer.unref();
+    return timer;
+  }
+
+  async processJob(job) {
+    const { jobId, options } = job;
+    logger.info(`Processing job ${jobId} (${job.filename}, attempt ${job.attempts})`);
+    const heartbeat = this.startHeartbeat(jobId);
+
+    try {
+      if (job.attempts > MAX_ATTEMPTS) {
+        throw new Error(`Job abandoned after ${MAX_ATTEMPTS} attempts`);
+      }
+      if (!job.fileData) {
+        throw new Error('Uploaded file is no longer available');
+      }
+
+      // Parsing
+      const workbookInfo = await fileParser.parseWorkbook(job.fileData, job.fileType, {
+        sheetName: options.sheetName
+      });
+      await this.advance(jobId, 'normalizing', 30);
+
+      // Normalizing
+      const { mapping, profileId } = await resolveColumnMapping({
+        columnMapping: options.columnMapping,
+        profileId: options.profileId,
+        customerName: job.customerName
+      }, workbookInfo.headers);
+
+      if (mapping) {
+        const mappingErrors = columnMapper.validateMapping(mapping, workbookInfo.headers);
+        if (mappingErrors.length > 0) {
+          const error = new Error('Invalid column mapping');
+          error.details = mappingErrors;
+          throw error;
+        }
+      }
+      const columnMapping = mapping || columnMapper.suggestMapping(workbookInfo.headers, workbookInfo.data).mapping;
+
+      // Without the stored rules the built-in set still identifies the common vendors
+      const rules = await manufacturerRules.loadRules().catch(error => {
+        logger.warn(`Manufacturer rules unavailable, using built-in rules: ${error.message}`);
+        return undefined;
+      });
+      const overrides = await categoryOverrides.loadOverrides(job.customerName).catch(error => {
+        logger.warn(`Category overrides unavailable: ${error.message}`);
+        return undefined;
+      });
+      const sourceSystem = detectSourceSystem(workbookInfo);
+      if (sourceSystem) {
+        logger.info(`Job ${jobId} is a ${sourceSystem.name} export - unidentified rows default to ${sourceSystem.manufacturer}`);
+      }
+      const normalizedData = dataProcessor.enrichRows(columnMapper.processData(workbookInfo.data, columnMapping), {
+        manufacturerRules: rules,
+        categoryOverrides: overrides,
+        sourceSystem
+      });
+      buildHierarchy(normalizedData);
+      assignSiteKeys(normalizedData);
+      // A catalog outage should not fail the upload - the file's own dates still stand
+      await eoxCatalog.enrichRows(normalizedData).catch(error => {
+        logger.warn(`EoX catalog lookup failed: ${error.message}`);
+      });
+      if (profileId) {
+        mappingProfiles.recordProfileUse(profileId).catch(error => {
+          logger.warn(`Could not record mapping profile use: ${error.message}`);
+        });
+      }
+
+      await jobStore.recordParseResult(jobId, {
+        sheetName: workbookInfo.sheetName,
+        headerRow: workbookInfo.headerRow,
+        columnMapping,
+        mappingProfileId: profileId,
+        rowsUploaded: workbookInfo.data.length,
+        warnings: collectWarnings(columnMapping, normalizedData)
+      });
+      await this.advance(jobId, 'analyzing', 60);
+
+      // Analyzing and storing
+      const riskWeights = options.riskWeights || undefined;
+      const expiringDays = options.expiringDays || undefined;
+      applyCoverage(normalizedData, { expiringDays });
+      scoreRows(normalizedData, { weights: riskWeights });
+      const { summary, analytics } = analyzeInventory(normalizedData, {
+        windows: options.lifecycleWindows || undefined,
+        riskWeights,
+        expiringDays,
+        calendar: resolveCalendar(options.fiscalCalendar, { startMonth: options.fiscalYearStartMonth || undefined }) || undefined
+      });
+      await this.advance(jobId, 'analyzing', 80);
+      await jobStore.completeJob(jobId, { rows: normalizedData, summary, analytics }, this.workerId);
+    } catch (error) {
+      if (error instanceof jobStore.JobCancelledError) {
+        logger.info(`Job ${jobId} cancelled or claimed by another worker`);
+        return;
+      }
+      if (error instanceof jobStore.JobLeaseLostError) {
+        logger.warn(`Job ${jobId} dropped: ${error.message}`);
+        return;
+      }
+      logger.error(`Job ${jobId} failed: ${error.message}`);
+      await jobStore.failJob(jobId, error, this.workerId).catch(failError => {
+        logger.error(`Could not mark job ${jobId} as failed: ${failError.message}`);
+      });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+module.exports = new JobWorker();
@@ -0,0 +1,149 @@
+// backend/src/services/lifecycleMilestones.js
+// Cisco EoX milestone model - which lifecycle dates have passed and which are coming up
+const { resolveCalendar, fiscalPeriodOf } = require('../utils/fiscalCalendar');
+const { toDate, addMonths } = require('../utils/rowValues');
+
+/**
+ * Milestones in the order a Cisco End-of-Life bulletin announces them.
+ * `field` is the normalized row field, `status` the product lifecycle status
+ * once the milestone has passed.
+ */
+const MILESTONES = [
+  { key: 'eol', field: 'eol_announcement', short: 'EoL', label: 'End-of-Life Announcement', status: 'EoL Announced' },
+  { key: 'eos', field: 'end_of_sale', short: 'EoS', label: 'End of Sale', status: 'End of Sale' },
+  { key: 'eoswm', field: 'end_of_sw_maintenance', short: 'EoSWM', label: 'End of SW Maintenance', status: 'End of SW Maintenance' },
+  { key: 'eovss', field: 'end_of_vuln_support', short: 'EoVSS', label: 'End of Vulnerability/Security Support', status: 'End of Vulnerability Support' },
+  { key: 'ldos', field: 'last_day_support', short: 'LDOS', label: 'Last Date of Support', status: 'End of Support' }
+];
+
+const CURRENT_STATUS = 'Current';
+const DEFAULT_WINDOWS = [12, 24, 36];
+const MAX_WINDOW_MONTHS = 120;
+
+/**
+ * Parse look-ahead windows given as "12,24,36" or [12, 24, 36]
+ * @param {string|Array} value - Months ahead to look
+ * @returns {Array|null} - Sorted unique month counts, null when any entry is invalid
+ */
+function parseWindows(value) {
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  const months = entries.map(entry => Number(String(entry).trim()));
+  if (months.length === 0 || months.some(m => !Number.isInteger(m) || m < 1 || m > MAX_WINDOW_MONTHS)) {
+    return null;
+  }
+  return [...new Set(months)].sort((a, b) => a - b);
+}
+
+const LIFECYCLE_WINDOWS = (process.env.LIFECYCLE_WINDOWS_MONTHS && parseWindows(process.env.LIFECYCLE_WINDOWS_MONTHS)) ||
+  DEFAULT_WINDOWS;
+
+/**
+ * Where one row stands against every milestone
+ * @param {Object} row - Normalized row
+ * @param {Object} options - { currentDate, windows }
+ * @returns {Object} - { [key]: { date, passed, window } } - window is the smallest
+ *   look-ahead window the milestone falls in, null when passed or further out
+ */
+function evaluateMilestones(row, { currentDate = new Date(), windows = LIFECYCLE_WINDOWS } = {}) {
+  const horizons = windows.map(months => ({ months, until: addMonths(currentDate, months) }));
+  const result = {};
+
+  MILESTONES.forEach(milestone => {
+    const date = toDate(row[milestone.field]);
+    const passed = date !== null && date <= currentDate;
+    const horizon = date && !passed ? horizons.find(h => date <= h.until) : null;
+    result[milestone.key] = { date, passed, window: horizon ? horizon.months : null };
+  });
+
+  return result;
+}
+
+/**
+ * Lifecycle status from milestone dates - the latest milestone in bulletin
+ * order that has passed, and the next one still ahead
+ * @param {Object} dates - { [field]: date } - e.g. { end_of_sale, last_day_support }
+ * @param {Date} currentDate - Reference date
+ * @returns {Object} - { status, nextMilestone, nextDate }
+ */
+function lifecycleStage(dates, currentDate = new Date()) {
+  let status = CURRENT_STATUS;
+  let next = null;
+
+  MILESTONES.forEach(milestone => {
+    const date = toDate(dates[milestone.field]);
+    if (!date) return;
+    if (date <= currentDate) {
+      status = milestone.status;
+    } else if (!next || date < next.date) {
+      next = { milestone, date };
+    }
+  });
+
+  return {
+    status,
+    nextMilestone: next ? next.milestone.short : null,
+    nextDate: next ? next.date : null
+  };
+}
+
+/**
+ * Milestone counts for a set of rows. Window counts are cumulative - an LDOS
+ * nine months out is counted in the 12, 24 and 36 month windows. Milestones
+ * within the widest window are also counted per fiscal quarter.
+ * @param {Array} rows - Normalized rows
+ * @param {Object} options - { currentDate, windows, calendar } - calendar from fiscalCalendar.resolveCalendar
+ * @returns {Object} - { [key]: { short, label, dated, passed, passedQty, upcoming: { [months]: count }, upcomingQty,
+ *   by_fiscal_quarter: [{ period, count, quantity }] } }
+ */
+function summarizeMilestones(rows, { currentDate = new Date(), windows = LIFECYCLE_WINDOWS, calendar = resolveCalendar() } = {}) {
+  const totals = {};
+  MILESTONES.forEach(milestone => {
+    totals[milestone.key] = {
+      short: milestone.short,
+      label: milestone.label,
+      dated: 0,
+      passed: 0,
+      passedQty: 0,
+      upcoming: Object.fromEntries(windows.map(months => [months, 0])),
+      upcomingQty: Object.fromEntries(windows.map(months => [months, 0])),
+      by_fiscal_quarter: {}
+    };
+  });
+
+  rows.forEach(row => {
+    const qty = parseInt(row.qty) || 0;
+    const milestones = evaluateMilestones(row, { currentDate, windows });
+    Object.entries(milestones).forEach(([key, { date, passed, window }]) => {
+      const total = totals[key];
+      if (date) total.dated++;
+      if (passed) {
+        total.passed++;
+        total.passedQty += qty;
+      } else if (window !== null) {
+        windows.filter(months => months >= window).forEach(months => {
+          total.upcoming[months]++;
+          total.upcomingQty[months] += qty;
+        });
+        const period = fiscalPeriodOf(date, calendar).label;
+        if (!total.by_fiscal_quarter[period]) total.by_fiscal_quarter[period] = { period, count: 0, quantity: 0 };
+        total.by_fiscal_quarter[period].count++;
+        total.by_fiscal_quarter[period].quantity += qty;
+      }
+    });
+  });
+
+  Object.values(totals).forEach(total => {
+    total.by_fiscal_quarter = Object.values(total.by_fiscal_quarter).sort((a, b) => a.period.localeCompare(b.period));
+  });
+  return totals;
+}
+
+module.exports = {
+  MILESTONES,
+  CURRENT_STATUS,
+  LIFECYCLE_WINDOWS,
+  parseWindows,
+  evaluateMilestones,
+  lifecycleStage,
+  summarizeMilestones
+};
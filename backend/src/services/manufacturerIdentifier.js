@@ -1,22 +1,180 @@
-function identifyManufacturer(row) {
-  const searchString = `${row.product_id || ''} ${row.description || ''}`.toLowerCase();
-  
-  if (searchString.includes('cisco')) return 'Cisco';
-  if (searchString.includes('hp') || searchString.includes('hewlett')) return 'HPE';
-  if (searchString.includes('dell')) return 'Dell';
-  if (searchString.includes('microsoft')) return 'Microsoft';
-  if (searchString.includes('vmware')) return 'VMware';
-  if (searchString.includes('fortinet')) return 'Fortinet';
-  if (searchString.includes('palo alto')) return 'Palo Alto';
-  
-  return 'Unknown';
+// backend/src/services/manufacturerIdentifier.js
+// Manufacturer of a row from a rule set: Product ID prefixes and patterns, description keywords and product family hints
+
+/**
+ * How a rule's pattern is matched:
+ * - pid_prefix: the Product ID starts with it (case-insensitive)
+ * - pid_regex: regular expression tested against the Product ID
+ * - description_keyword: whole word or phrase in the description, so "hp" does not match "chpsu"
+ * - product_family: regular expression tested against the Product Family column
+ */
+const MATCH_TYPES = ['pid_prefix', 'pid_regex', 'description_keyword', 'product_family'];
+
+const UNKNOWN = 'Unknown';
+
+/**
+ * Rules used until a tenant saves its own. When several rules match, the
+ * highest priority wins and confidence breaks ties - a vendor named in the
+ * description outranks a PID that merely looks like one of theirs.
+ */
+const DEFAULT_RULES = [
+  { manufacturer: 'Cisco', match_type: 'description_keyword', pattern: 'cisco', priority: 100, confidence: 95 },
+  { manufacturer: 'Cisco', match_type: 'description_keyword', pattern: 'catalyst', priority: 90, confidence: 90 },
+  { manufacturer: 'Cisco', match_type: 'description_keyword', pattern: 'nexus', priority: 90, confidence: 90 },
+  { manufacturer: 'Cisco', match_type: 'description_keyword', pattern: 'aironet', priority: 90, confidence: 90 },
+  { manufacturer: 'Cisco', match_type: 'description_keyword', pattern: 'meraki', priority: 90, confidence: 90 },
+  { manufacturer: 'Cisco', match_type: 'pid_prefix', pattern: 'CISCO', priority: 80, confidence: 95 },
+  { manufacturer: 'Cisco', match_type: 'pid_regex', pattern: '^(WS-C|N[2-9]K-|C9[2-9]\\d{2}|ISR\\d|ASR\\d|AIR-|CAT\\d)', priority: 80, confidence: 90, notes: 'Switch, router and access point PIDs' },
+  { manufacturer: 'Cisco', match_type: 'pid_regex', pattern: '^(GLC-|SFP-|QSFP-|CAB-|PWR-|HWIC-|NIM-|C3KX-|MEM-)', priority: 70, confidence: 80, notes: 'Optics, modules, cables and power supplies' },
+  { manufacturer: 'Cisco', match_type: 'pid_regex', pattern: '^(DN2-|3PP-INSERT-|FET-\\d|SD-IE-)', priority: 70, confidence: 85, notes: 'Catalyst Center appliance parts, third-party inserts, FET optics and IE SD cards' },
+  { manufacturer: 'Cisco', match_type: 'product_family', pattern: '^(C\\d{4}|N\\d{4}|\\d{4}ISR|CAT\\d{4}|MDS\\d{4}|IE\\d{4}|AIR)', priority: 60, confidence: 75, notes: 'Cisco Ready product family codes' },
+  { manufacturer: 'Cisco', match_type: 'product_family', pattern: '^(DNAHW|CNWRL|CNSWTCH|CNSEC|IEACCS|SFP\\d+G)$', priority: 60, confidence: 75, notes: 'Cisco Ready family codes for appliances, accessories and optics' },
+  { manufacturer: 'Cisco', match_type: 'pid_regex', pattern: '(=|/K9)$', priority: 30, confidence: 60, notes: 'Spare (=) and crypto (/K9) suffixes' },
+
+  { manufacturer: 'HPE', match_type: 'description_keyword', pattern: 'hpe', priority: 100, confidence: 95 },
+  { manufacturer: 'HPE', match_type: 'description_keyword', pattern: 'hewlett', priority: 100, confidence: 95 },
+  { manufacturer: 'HPE', match_type: 'description_keyword', pattern: 'hp', priority: 90, confidence: 80 },
+  { manufacturer: 'HPE', match_type: 'description_keyword', pattern: 'proliant', priority: 90, confidence: 90 },
+  { manufacturer: 'HPE', match_type: 'description_keyword', pattern: 'aruba', priority: 90, confidence: 85 },
+  { manufacturer: 'HPE', match_type: 'pid_regex', pattern: '^\\d{6}-B21$', priority: 60, confidence: 85, notes: 'ProLiant option part numbers' },
+  { manufacturer: 'HPE', match_type: 'pid_regex', pattern: '^J[A-Z]?\\d{3,4}[A-Z]$', priority: 50, confidence: 70, notes: 'ProCurve and Aruba switch part numbers' },
+
+  { manufacturer: 'Dell', match_type: 'description_keyword', pattern: 'dell', priority: 100, confidence: 95 },
+  { manufacturer: 'Dell', match_type: 'description_keyword', pattern: 'poweredge', priority: 90, confidence: 90 },
+  { manufacturer: 'Dell', match_type: 'description_keyword', pattern: 'powervault', priority: 90, confidence: 90 },
+  { manufacturer: 'Dell', match_type: 'description_keyword', pattern: 'emc', priority: 80, confidence: 75 },
+
+  { manufacturer: 'Microsoft', match_type: 'description_keyword', pattern: 'microsoft', priority: 100, confidence: 95 },
+  { manufacturer: 'Microsoft', match_type: 'description_keyword', pattern: 'windows server', priority: 90, confidence: 85 },
+
+  { manufacturer: 'VMware', match_type: 'description_keyword', pattern: 'vmware', priority: 100, confidence: 95 },
+  { manufacturer: 'VMware', match_type: 'description_keyword', pattern: 'vsphere', priority: 90, confidence: 90 },
+  { manufacturer: 'VMware', match_type: 'description_keyword', pattern: 'esxi', priority: 90, confidence: 90 },
+
+  { manufacturer: 'Fortinet', match_type: 'description_keyword', pattern: 'fortinet', priority: 100, confidence: 95 },
+  { manufacturer: 'Fortinet', match_type: 'description_keyword', pattern: 'fortigate', priority: 90, confidence: 90 },
+  { manufacturer: 'Fortinet', match_type: 'pid_prefix', pattern: 'FG-', priority: 80, confidence: 85 },
+
+  { manufacturer: 'Palo Alto', match_type: 'description_keyword', pattern: 'palo alto', priority: 100, confidence: 95 },
+  { manufacturer: 'Palo Alto', match_type: 'description_keyword', pattern: 'pan-os', priority: 90, confidence: 90 },
+  { manufacturer: 'Palo Alto', match_type: 'pid_prefix', pattern: 'PAN-', priority: 80, confidence: 90 }
+];
+
+/**
+ * Exports that only ever list one vendor's products. A row no rule
+ * identifies still belongs to that vendor, at a lower confidence than a rule
+ * match. Recognized by sheet name, or by at least two of the marker headers.
+ */
+const SOURCE_SYSTEMS = [
+  {
+    name: 'Cisco Ready',
+    manufacturer: 'Cisco',
+    sheetPattern: /cisco ready/i,
+    markerHeaders: ['covered line status', 'business entity', 'install site gu name', 'last date of support', 'service brand code']
+  },
+  {
+    name: 'Cisco Commerce Workspace',
+    manufacturer: 'Cisco',
+    sheetPattern: /\bccw(-r)?\b/i,
+    markerHeaders: ['ccw deal id', 'ccw quote id', 'ccw order id']
+  }
+];
+
+const SOURCE_SYSTEM_CONFIDENCE = 70;
+
+/**
+ * Which single-vendor export a workbook came from
+ * @param {Object} workbook - { sheetName, headers }
+ * @returns {Object|null} - { name, manufacturer, confidence }, null for anything else
+ */
+function detectSourceSystem({ sheetName, headers = [] } = {}) {
+  const normalized = new Set(headers.map(header => String(header).trim().toLowerCase()));
+  const system = SOURCE_SYSTEMS.find(candidate =>
+    (sheetName && candidate.sheetPattern.test(sheetName)) ||
+    candidate.markerHeaders.filter(header => normalized.has(header)).length >= 2);
+  return system ? { name: system.name, manufacturer: system.manufacturer, confidence: SOURCE_SYSTEM_CONFIDENCE } : null;
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const textOf = (value) => (value === undefined || value === null || value === '-' ? '' : String(value).trim());
+
+/**
+ * Build the matcher of one rule
+ * @param {Object} rule - { match_type, pattern }
+ * @returns {Function} - row => boolean
+ * @throws {SyntaxError} - when a regex pattern does not compile
+ */
+function compileMatcher({ match_type: matchType, pattern }) {
+  switch (matchType) {
+    case 'pid_prefix': {
+      const prefix = pattern.toUpperCase();
+      return row => textOf(row.product_id).toUpperCase().startsWith(prefix);
+    }
+    case 'pid_regex': {
+      const regex = new RegExp(pattern, 'i');
+      return row => regex.test(textOf(row.product_id));
+    }
+    case 'description_keyword': {
+      // \b only works next to word characters, so phrases like "pan-os" are bounded by lookarounds instead
+      const regex = new RegExp(`(^|[^a-z0-9])${escapeRegex(pattern.toLowerCase())}($|[^a-z0-9])`, 'i');
+      return row => regex.test(textOf(row.description));
+    }
+    case 'product_family': {
+      const regex = new RegExp(pattern, 'i');
+      return row => regex.test(textOf(row.product_family));
+    }
+    default:
+      throw new Error(`Unknown match type: ${matchType}`);
+  }
+}
+
+/**
+ * Compile a rule set for repeated use, dropping disabled rules and ordering
+ * the rest by priority, then confidence
+ * @param {Array} rules - [{ manufacturer, match_type, pattern, priority, confidence, enabled }]
+ * @returns {Array} - The enabled rules, each with a matches(row) function
+ */
+function compileRules(rules = DEFAULT_RULES) {
+  return rules
+    .filter(rule => rule.enabled !== false)
+    .map(rule => ({ ...rule, matches: compileMatcher(rule) }))
+    .sort((a, b) => b.priority - a.priority || b.confidence - a.confidence);
+}
+
+const COMPILED_DEFAULTS = compileRules(DEFAULT_RULES);
+
+/**
+ * Best matching rule for a row
+ * @param {Object} row - Normalized row (product_id, description, product_family)
+ * @param {Array} compiledRules - From compileRules; the built-in rules when omitted
+ * @returns {Object} - { manufacturer, confidence, rule } - Unknown, 0 and null without a match
+ */
+function matchManufacturer(row, compiledRules = COMPILED_DEFAULTS) {
+  const rule = compiledRules.find(candidate => candidate.matches(row));
+  if (!rule) return { manufacturer: UNKNOWN, confidence: 0, rule: null };
+  const { matches, ...matched } = rule;
+  return { manufacturer: rule.manufacturer, confidence: rule.confidence, rule: matched };
+}
+
+function identifyManufacturer(row, compiledRules) {
+  return matchManufacturer(row, compiledRules).manufacturer;
 }
 
-function getManufacturerConfidence(row, manufacturer) {
-  return manufacturer !== 'Unknown' ? 75 : 0;
+// Confidence of the strongest rule naming this manufacturer that matches the row
+function getManufacturerConfidence(row, manufacturer, compiledRules = COMPILED_DEFAULTS) {
+  const rule = compiledRules.find(candidate => candidate.manufacturer === manufacturer && candidate.matches(row));
+  return rule ? rule.confidence : 0;
 }
 
 module.exports = {
+  MATCH_TYPES,
+  UNKNOWN,
+  DEFAULT_RULES,
+  compileMatcher,
+  compileRules,
+  detectSourceSystem,
+  matchManufacturer,
   identifyManufacturer,
   getManufacturerConfidence
-};
\ No newline at end of file
+};
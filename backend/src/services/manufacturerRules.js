@@ -0,0 +1,208 @@
+// backend/src/services/manufacturerRules.js
+// Stored manufacturer identification rules per tenant, seeded from the built-in set on first edit
+const pool = require('../config/database');
+const logger = require('../config/logger');
+const { DEFAULT_TENANT_ID } = require('../config/tenant');
+const { MATCH_TYPES, DEFAULT_RULES, compileMatcher, compileRules } = require('./manufacturerIdentifier');
+
+const MAX_PRIORITY = 1000;
+const DEFAULT_PRIORITY = 50;
+
+const toRule = (row) => ({
+  id: row.id,
+  manufacturer: row.manufacturer,
+  match_type: row.match_type,
+  pattern: row.pattern,
+  priority: row.priority,
+  confidence: row.confidence,
+  enabled: row.enabled,
+  notes: row.notes,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+const readInteger = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+};
+
+/**
+ * Normalize and check one rule from a request body
+ * @param {Object} input - { manufacturer, match_type, pattern, priority, confidence, enabled, notes }
+ * @returns {Object} - { rule, errors }
+ */
+function validateRule(input = {}) {
+  const errors = [];
+  const rule = {
+    manufacturer: input.manufacturer ? String(input.manufacturer).trim() : '',
+    match_type: input.match_type,
+    pattern: input.pattern === undefined || input.pattern === null ? '' : String(input.pattern).trim(),
+    priority: readInteger(input.priority, DEFAULT_PRIORITY),
+    confidence: readInteger(input.confidence, undefined),
+    enabled: input.enabled === undefined ? true : input.enabled,
+    notes: input.notes ? String(input.notes).trim() : null
+  };
+
+  if (!rule.manufacturer) errors.push('manufacturer is required');
+  if (!MATCH_TYPES.includes(rule.match_type)) errors.push(`match_type must be one of ${MATCH_TYPES.join(', ')}`);
+  if (!rule.pattern) errors.push('pattern is required');
+  if (!Number.isInteger(rule.priority) || rule.priority < 0 || rule.priority > MAX_PRIORITY) {
+    errors.push(`priority must be a whole number between 0 and ${MAX_PRIORITY}`);
+  }
+  if (!Number.isInteger(rule.confidence) || rule.confidence < 1 || rule.confidence > 100) {
+    errors.push('confidence must be a whole number between 1 and 100');
+  }
+  if (typeof rule.enabled !== 'boolean') errors.push('enabled must be true or false');
+
+  if (errors.length === 0) {
+    try {
+      compileMatcher(rule);
+    } catch (error) {
+      errors.push(`pattern is not a valid regular expression: ${error.message}`);
+    }
+  }
+
+  return { rule, errors };
+}
+
+const INSERT_SQL = `
+  INSERT INTO manufacturer_rules (tenant_id, manufacturer, match_type, pattern, priority, confidence, enabled, notes)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  RETURNING *
+`;
+
+const insertParams = (rule) => [
+  DEFAULT_TENANT_ID,
+  rule.manufacturer,
+  rule.match_type,
+  rule.pattern,
+  rule.priority,
+  rule.confidence,
+  rule.enabled !== false,
+  rule.notes || null
+];
+
+/**
+ * Copy the built-in rules into the table when the tenant has none, so the
+ * first edit changes the working rule set rather than replacing it
+ */
+async function ensureSeeded(client) {
+  // Two first edits at once must not both seed
+  await client.query('LOCK TABLE manufacturer_rules IN SHARE ROW EXCLUSIVE MODE');
+  const existing = await client.query(
+    'SELECT COUNT(*)::int AS total FROM manufacturer_rules WHERE tenant_id = $1',
+    [DEFAULT_TENANT_ID]
+  );
+  if (existing.rows[0].total > 0) return;
+  for (const rule of DEFAULT_RULES) {
+    await client.query(INSERT_SQL, insertParams(rule));
+  }
+  logger.info(`Seeded ${DEFAULT_RULES.length} built-in manufacturer rules`);
+}
+
+// Run a change inside a transaction on a seeded rule set
+async function withSeededRules(change) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await ensureSeeded(client);
+    const result = await change(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Rules in evaluation order
+ * @returns {Object} - { rules, built_in } - built_in when the tenant has not saved any yet
+ */
+async function listRules() {
+  const result = await pool.query(
+    'SELECT * FROM manufacturer_rules WHERE tenant_id = $1 ORDER BY priority DESC, confidence DESC, id',
+    [DEFAULT_TENANT_ID]
+  );
+  if (result.rows.length === 0) {
+    return { rules: compileRules(DEFAULT_RULES).map(({ matches, ...rule }) => ({ id: null, enabled: true, notes: null, ...rule })), built_in: true };
+  }
+  return { rules: result.rows.map(toRule), built_in: false };
+}
+
+async function getRule(ruleId) {
+  const result = await pool.query(
+    'SELECT * FROM manufacturer_rules WHERE tenant_id = $1 AND id = $2',
+    [DEFAULT_TENANT_ID, ruleId]
+  );
+  return result.rows[0] ? toRule(result.rows[0]) : null;
+}
+
+async function createRule(rule) {
+  return withSeededRules(async (client) => {
+    const result = await client.query(INSERT_SQL, insertParams(rule));
+    return toRule(result.rows[0]);
+  });
+}
+
+// Built-in rules have no id until the first edit seeds them
+async function updateRule(ruleId, rule) {
+  return withSeededRules(async (client) => {
+    const result = await client.query(`
+      UPDATE manufacturer_rules SET
+        manufacturer = $3, match_type = $4, pattern = $5, priority = $6,
+        confidence = $7, enabled = $8, notes = $9, updated_at = NOW()
+      WHERE tenant_id = $1 AND id = $2
+      RETURNING *
+    `, [DEFAULT_TENANT_ID, ruleId, ...insertParams(rule).slice(1)]);
+    return result.rows[0] ? toRule(result.rows[0]) : null;
+  });
+}
+
+async function deleteRule(ruleId) {
+  return withSeededRules(async (client) => {
+    const result = await client.query(
+      'DELETE FROM manufacturer_rules WHERE tenant_id = $1 AND id = $2',
+      [DEFAULT_TENANT_ID, ruleId]
+    );
+    return result.rowCount > 0;
+  });
+}
+
+/**
+ * Drop the tenant's rules and go back to the built-in set
+ * @returns {number} - Rules removed
+ */
+async function resetRules() {
+  const result = await pool.query('DELETE FROM manufacturer_rules WHERE tenant_id = $1', [DEFAULT_TENANT_ID]);
+  logger.info(`Manufacturer rules reset to built-in (${result.rowCount} removed)`);
+  return result.rowCount;
+}
+
+/**
+ * Compiled rule set for a job - the tenant's enabled rules, or the built-in
+ * ones when none are saved
+ * @returns {Promise<Array>} - From compileRules
+ */
+async function loadRules() {
+  const result = await pool.query(
+    'SELECT * FROM manufacturer_rules WHERE tenant_id = $1',
+    [DEFAULT_TENANT_ID]
+  );
+  return compileRules(result.rows.length > 0 ? result.rows.map(toRule) : DEFAULT_RULES);
+}
+
+module.exports = {
+  MAX_PRIORITY,
+  validateRule,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  resetRules,
+  loadRules
+};
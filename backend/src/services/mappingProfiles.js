@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../config/database');
+const logger = require('../config/logger');
+const { DEFAULT_TENANT_ID } = require('../config/tenant');
+const { normalizeHeader, suggestMapping, CANONICAL_FIELDS } = require('../utils/columnMapper');
+
+// Header sets at least this similar (Jaccard) reuse a profile when no exact match exists
+const SIMILAR_PROFILE_THRESHOLD = 0.8;
+
+const normalizedHeaderSet = (headers) => [...new Set(headers.map(normalizeHeader))].sort();
+
+/**
+ * Fingerprint a header row - order and case independent
+ * @param {Array} headers - Header names from the file
+ * @returns {string} - sha1 hex digest
+ */
+function computeFingerprint(headers) {
+  return crypto
+    .createHash('sha1')
+    .update(normalizedHeaderSet(headers).join('|'))
+    .digest('hex');
+}
+
+function headerSimilarity(a, b) {
+  const setA = new Set(normalizedHeaderSet(a));
+  const setB = new Set(normalizedHeaderSet(b));
+  const intersection = [...setA].filter(h => setB.has(h)).length;
+  const union = new Set([...setA, ...setB]).size;
+  return union === 0 ? 0 : intersection / union;
+}
+
+/**
+ * Re-point a saved mapping at the headers of the current file (matching
+ * ignores case/spacing). A field whose column was renamed gets the suggested
+ * column instead, when no other field already uses it, so a similar profile
+ * never drops a field the file still has.
+ */
+function adaptMapping(mapping, headers) {
+  const byNormalized = new Map(headers.map(h => [normalizeHeader(h), h]));
+  const adapted = {};
+  Object.keys(CANONICAL_FIELDS).forEach(field => {
+    const saved = mapping[field];
+    adapted[field] = saved ? byNormalized.get(normalizeHeader(saved)) || null : null;
+  });
+
+  const lost = Object.keys(CANONICAL_FIELDS).filter(field => mapping[field] && !adapted[field]);
+  if (lost.length > 0) {
+    const suggested = suggestMapping(headers).mapping;
+    const used = new Set(Object.values(adapted).filter(Boolean));
+    lost.forEach(field => {
+      const header = suggested[field];
+      if (header && !used.has(header)) {
+        adapted[field] = header;
+        used.add(header);
+      }
+    });
+  }
+  return adapted;
+}
+
+const toProfile = (row) => ({
+  profile_id: row.profile_id,
+  name: row.name,
+  source_system: row.source_system,
+  customer_name: row.customer_name,
+  header_fingerprint: row.header_fingerprint,
+  headers: row.headers,
+  mapping: row.mapping,
+  times_used: row.times_used,
+  last_used_at: row.last_used_at,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+async function listProfiles({ customerName } = {}) {
+  const params = [DEFAULT_TENANT_ID];
+  let filter = '';
+  if (customerName) {
+    params.push(customerName);
+    filter = 'AND (customer_name IS NULL OR customer_name ILIKE $2)';
+  }
+  const result = await pool.query(`
+    SELECT * FROM mapping_profiles
+    WHERE tenant_id = $1 ${filter}
+    ORDER BY name
+  `, params);
+  return result.rows.map(toProfile);
+}
+
+async function getProfile(profileId) {
+  const result = await pool.query(
+    'SELECT * FROM mapping_profiles WHERE tenant_id = $1 AND profile_id = $2',
+    [DEFAULT_TENANT_ID, profileId]
+  );
+  return result.rows[0] ? toProfile(result.rows[0]) : null;
+}
+
+async function createProfile({ name, sourceSystem, customerName, headers, mapping }) {
+  const result = await pool.query(`
+    INSERT INTO mapping_profiles (
+      profile_id, tenant_id, name, source_system, customer_name,
+      header_fingerprint, headers, mapping
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [
+    uuidv4(),
+    DEFAULT_TENANT_ID,
+    name,
+    sourceSystem || null,
+    customerName || null,
+    computeFingerprint(headers),
+    JSON.stringify(headers),
+    JSON.stringify(mapping)
+  ]);
+  return toProfile(result.rows[0]);
+}
+
+async function updateProfile(profileId, { name, sourceSystem, customerName, headers, mapping }) {
+  const existing = await getProfile(profileId);
+  if (!existing) return null;
+
+  const nextHeaders = headers || existing.headers;
+  const result = await pool.query(`
+    UPDATE mapping_profiles SET
+      name = $3,
+      source_system = $4,
+      customer_name = $5,
+      header_fingerprint = $6,
+      headers = $7,
+      mapping = $8,
+      updated_at = NOW()
+    WHERE tenant_id = $1 AND profile_id = $2
+    RETURNING *
+  `, [
+    DEFAULT_TENANT_ID,
+    profileId,
+    name || existing.name,
+    sourceSystem !== undefined ? sourceSystem : existing.source_system,
+    customerName !== undefined ? customerName : existing.customer_name,
+    computeFingerprint(nextHeaders),
+    JSON.stringify(nextHeaders),
+    JSON.stringify(mapping || existing.mapping)
+  ]);
+  return toProfile(result.rows[0]);
+}
+
+async function deleteProfile(profileId) {
+  const result = await pool.query(
+    'DELETE FROM mapping_profiles WHERE tenant_id = $1 AND profile_id = $2',
+    [DEFAULT_TENANT_ID, profileId]
+  );
+  return result.rowCount > 0;
+}
+
+async function recordProfileUse(profileId) {
+  await pool.query(`
+    UPDATE mapping_profiles
+    SET times_used = times_used + 1, last_used_at = NOW()
+    WHERE tenant_id = $1 AND profile_id = $2
+  `, [DEFAULT_TENANT_ID, profileId]);
+}
+
+/**
+ * Find the saved profile for a header row. Exact fingerprint matches win;
+ * otherwise the most similar header set above SIMILAR_PROFILE_THRESHOLD.
+ * Only the customer's own and generic profiles are applied automatically -
+ * another customer's profile can still be chosen explicitly. The customer's
+ * own profile wins a tie with a generic one.
+ * @param {Array} headers - Header names from the file
+ * @param {string} customerName - Customer the upload belongs to
+ * @returns {Object|null} - { profile, matchType, similarity, mapping }
+ */
+async function findMatchingProfile(headers, customerName) {
+  const fingerprint = computeFingerprint(headers);
+  const result = await pool.query(
+    'SELECT * FROM mapping_profiles WHERE tenant_id = $1',
+    [DEFAULT_TENANT_ID]
+  );
+
+  const sameCustomer = (profile) => !!customerName && !!profile.customer_name &&
+    profile.customer_name.toLowerCase() === customerName.toLowerCase();
+
+  const ranked = result.rows
+    .map(toProfile)
+    .filter(profile => !profile.customer_name || sameCustomer(profile))
+    .map(profile => ({
+      profile,
+      matchType: profile.header_fingerprint === fingerprint ? 'exact' : 'similar',
+      similarity: profile.header_fingerprint === fingerprint ? 1 : headerSimilarity(profile.headers || [], headers)
+    }))
+    .filter(match => match.similarity >= SIMILAR_PROFILE_THRESHOLD)
+    .sort((a, b) =>
+      (b.similarity - a.similarity) ||
+      (Number(sameCustomer(b.profile)) - Number(sameCustomer(a.profile))) ||
+      ((b.profile.times_used || 0) - (a.profile.times_used || 0))
+    );
+
+  if (ranked.length === 0) return null;
+
+  const best = ranked[0];
+  logger.info(`Mapping profile "${best.profile.name}" matched (${best.matchType}, ${Math.round(best.similarity * 100)}%)`);
+  return {
+    ...best,
+    similarity: Math.round(best.similarity * 100) / 100,
+    mapping: adaptMapping(best.profile.mapping || {}, headers)
+  };
+}
+
+module.exports = {
+  computeFingerprint,
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  recordProfileUse,
+  findMatchingProfile,
+  adaptMapping
+};
@@ -0,0 +1,168 @@
+// backend/src/services/refreshBudget.js
+// Phase 2 - multi-year hardware refresh budget forecast
+const { resolveCalendar, describeCalendar, fiscalYearOf } = require('../utils/fiscalCalendar');
+const { present, toDate, roundMoney } = require('../utils/rowValues');
+
+const REFRESH_POLICIES = {
+  ldos: 'Replace in the fiscal year support ends; assets without LDOS are replaced by age',
+  age: 'Replace once an asset reaches the replacement age',
+  earliest: 'Replace at LDOS or replacement age, whichever comes first'
+};
+
+const DEFAULT_POLICY = 'ldos';
+const DEFAULT_HORIZON_YEARS = 5;
+const MAX_HORIZON_YEARS = 10;
+const DEFAULT_LIFESPAN_YEARS = 7;
+
+/**
+ * Fiscal year an asset is due for replacement under a policy
+ * @returns {Object|null} - { year, basis: 'ldos'|'age' }, null when no date supports a decision
+ */
+function replacementYear(row, { policy, lifespanYears, calendar = resolveCalendar() }) {
+  const ldos = toDate(row.last_day_support);
+  const shipped = toDate(row.ship_date);
+  const byLdos = ldos ? { year: fiscalYearOf(ldos, calendar), basis: 'ldos' } : null;
+  const byAge = shipped ? { year: fiscalYearOf(shipped, calendar) + lifespanYears, basis: 'age' } : null;
+
+  if (policy === 'age') return byAge;
+  if (policy === 'earliest' && byLdos && byAge) return byAge.year < byLdos.year ? byAge : byLdos;
+  return byLdos || byAge;
+}
+
+const emptyBucket = () => ({ count: 0, quantity: 0, value: 0 });
+
+const addToBucket = (bucket, quantity, value) => {
+  bucket.count++;
+  bucket.quantity += quantity;
+  bucket.value += value;
+};
+
+/**
+ * Forecast replacement spend per fiscal year
+ * @param {Array} rows - Normalized rows of a completed job
+ * @param {Object} options - { policy, years, startYear, lifespanYears, calendar, currentDate } - calendar from fiscalCalendar.resolveCalendar
+ * @returns {Object} - { assumptions, fiscal_years, totals, by_category, by_site, by_manufacturer, overdue, beyond_horizon, unscheduled, unpriced, basis }
+ */
+function forecastRefreshBudget(rows, options = {}) {
+  const policy = REFRESH_POLICIES[options.policy] ? options.policy : DEFAULT_POLICY;
+  const years = options.years || DEFAULT_HORIZON_YEARS;
+  const lifespanYears = options.lifespanYears || DEFAULT_LIFESPAN_YEARS;
+  const calendar = options.calendar || resolveCalendar();
+  const startYear = options.startYear || fiscalYearOf(options.currentDate || new Date(), calendar);
+  const fiscalYears = Array.from({ length: years }, (_, i) => startYear + i);
+  const lastYear = fiscalYears[fiscalYears.length - 1];
+
+  const groups = { category: {}, site: {}, manufacturer: {} };
+  const totals = { by_year: {}, quantity_by_year: {}, total: 0, quantity: 0 };
+  fiscalYears.forEach(year => {
+    totals.by_year[year] = 0;
+    totals.quantity_by_year[year] = 0;
+  });
+  const overdue = emptyBucket();
+  const beyondHorizon = emptyBucket();
+  const unscheduled = emptyBucket();
+  const unpriced = { count: 0, quantity: 0 };
+  const basis = { ldos: 0, age: 0 };
+
+  const addToGroup = (dimension, name, year, quantity, value) => {
+    const key = present(name) ? String(name) : 'Unknown';
+    if (!groups[dimension][key]) {
+      groups[dimension][key] = {
+        name: key,
+        by_year: Object.fromEntries(fiscalYears.map(y => [y, 0])),
+        quantity_by_year: Object.fromEntries(fiscalYears.map(y => [y, 0])),
+        total: 0,
+        quantity: 0
+      };
+    }
+    const group = groups[dimension][key];
+    group.by_year[year] += value;
+    group.quantity_by_year[year] += quantity;
+    group.total += value;
+    group.quantity += quantity;
+  };
+
+  rows.forEach(row => {
+    const quantity = parseInt(row.qty) || 0;
+    // "Product List Price $" in the Cisco export is already the extended
+    // price of the line (unit price x quantity), so it prices the refresh as is
+    const value = parseFloat(row.list_price) || 0;
+
+    const due = replacementYear(row, { policy, lifespanYears, calendar });
+    if (!due) {
+      addToBucket(unscheduled, quantity, value);
+      return;
+    }
+    if (due.year > lastYear) {
+      addToBucket(beyondHorizon, quantity, value);
+      return;
+    }
+
+    // Anything already past due is budgeted for the first year
+    let year = due.year;
+    if (year < startYear) {
+      addToBucket(overdue, quantity, value);
+      year = startYear;
+    }
+
+    basis[due.basis]++;
+    if (value === 0) {
+      unpriced.count++;
+      unpriced.quantity += quantity;
+    }
+
+    totals.by_year[year] += value;
+    totals.quantity_by_year[year] += quantity;
+    totals.total += value;
+    totals.quantity += quantity;
+    addToGroup('category', row.category, year, quantity, value);
+    addToGroup('site', row.install_site, year, quantity, value);
+    addToGroup('manufacturer', row.mfg, year, quantity, value);
+  });
+
+  const finishGroups = (dimension) => Object.values(groups[dimension])
+    .map(group => ({
+      ...group,
+      by_year: Object.fromEntries(Object.entries(group.by_year).map(([y, v]) => [y, roundMoney(v)])),
+      total: roundMoney(group.total)
+    }))
+    .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+
+  const finishBucket = (bucket) => ({ ...bucket, value: roundMoney(bucket.value) });
+
+  return {
+    assumptions: {
+      policy,
+      policy_description: REFRESH_POLICIES[policy],
+      years,
+      start_year: startYear,
+      lifespan_years: lifespanYears,
+      fiscal_year_start_month: calendar.startMonth,
+      fiscal_calendar: describeCalendar(calendar),
+      price_source: 'list_price'
+    },
+    fiscal_years: fiscalYears,
+    totals: {
+      ...totals,
+      by_year: Object.fromEntries(Object.entries(totals.by_year).map(([y, v]) => [y, roundMoney(v)])),
+      total: roundMoney(totals.total)
+    },
+    by_category: finishGroups('category'),
+    by_site: finishGroups('site'),
+    by_manufacturer: finishGroups('manufacturer'),
+    overdue: finishBucket(overdue),
+    beyond_horizon: finishBucket(beyondHorizon),
+    unscheduled: finishBucket(unscheduled),
+    unpriced,
+    basis
+  };
+}
+
+module.exports = {
+  forecastRefreshBudget,
+  replacementYear,
+  REFRESH_POLICIES,
+  DEFAULT_HORIZON_YEARS,
+  MAX_HORIZON_YEARS,
+  DEFAULT_LIFESPAN_YEARS
+};
@@ -0,0 +1,225 @@
+// backend/src/services/replacementPlan.js
+// Phase 3 - per-asset replacement recommendations and the bill of materials they add up to
+const { lifecycleStage, CURRENT_STATUS } = require('./lifecycleMilestones');
+const { normalizePid } = require('./successorCatalog');
+const { present, roundMoney } = require('../utils/rowValues');
+
+const PLAN_SCOPES = {
+  eol: 'Assets with at least one EoX milestone behind them',
+  all: 'Every asset in the report'
+};
+
+const DEFAULT_SCOPE = 'eol';
+
+/**
+ * Successor PIDs named by the report itself. Cisco lists them comma separated
+ * ("C1111-8P,ISR4221-SEC/K9"); some exports write "OLD-PID -> NEW-PID".
+ * @returns {Array} - Normalized successor PIDs, the recommended one first
+ */
+function parseMigrationPids(value) {
+  if (!present(value)) return [];
+  return String(value)
+    .split(/[,;\n]/)
+    .map(entry => normalizePid(entry.split('->').pop()))
+    .filter(Boolean);
+}
+
+// Successor of one row - the local catalog wins over the report's migration list
+const successorFor = (row, catalog) => {
+  const entry = catalog.get(normalizePid(row.product_id));
+  const reported = parseMigrationPids(row.migration_pid);
+
+  if (entry) {
+    return {
+      successor_product_id: entry.successor_product_id,
+      successor_description: entry.successor_description,
+      successor_source: 'catalog',
+      catalog_price: entry.unit_list_price,
+      alternatives: reported.filter(pid => pid !== entry.successor_product_id)
+    };
+  }
+  if (reported.length > 0) {
+    return {
+      successor_product_id: reported[0],
+      successor_description: null,
+      successor_source: 'report',
+      catalog_price: null,
+      alternatives: reported.slice(1)
+    };
+  }
+  return null;
+};
+
+/**
+ * Replacement plan for the rows of a completed job
+ * @param {Array} rows - Normalized rows
+ * @param {Map} catalog - normalized Product ID -> successor catalog entry
+ * @param {Object} options - { scope: 'eol'|'all', currentDate }
+ * @returns {Object} - { scope, items, unmatched, summary }
+ */
+function buildReplacementPlan(rows, catalog, { scope = DEFAULT_SCOPE, currentDate = new Date() } = {}) {
+  const items = [];
+  const unmatched = {};
+  const summary = {
+    lines: 0,
+    quantity: 0,
+    with_successor: 0,
+    with_successor_quantity: 0,
+    without_successor: 0,
+    without_successor_quantity: 0,
+    by_source: { catalog: 0, report: 0 },
+    priced_from: { catalog: 0, installed: 0 },
+    unpriced: 0,
+    estimated_cost: 0
+  };
+
+  rows.forEach(row => {
+    if (!present(row.product_id)) return;
+    const stage = lifecycleStage(row, currentDate);
+    if (scope === 'eol' && stage.status === CURRENT_STATUS) return;
+
+    const quantity = Math.max(parseInt(row.qty) || 0, 1);
+    summary.lines++;
+    summary.quantity += quantity;
+
+    const successor = successorFor(row, catalog);
+    if (!successor) {
+      const key = normalizePid(row.product_id);
+      if (!unmatched[key]) {
+        unmatched[key] = {
+          product_id: row.product_id,
+          description: row.description,
+          category: row.category,
+          lifecycle_status: stage.status,
+          last_day_support: row.last_day_support,
+          lines: 0,
+          quantity: 0
+        };
+      }
+      unmatched[key].lines++;
+      unmatched[key].quantity += quantity;
+      summary.without_successor++;
+      summary.without_successor_quantity += quantity;
+      return;
+    }
+
+    // Without a catalog price the successor is estimated at the installed
+    // unit list price - a like-for-like refresh. The Cisco list price is the
+    // extended value of the line.
+    const installedPrice = (parseFloat(row.list_price) || 0) / quantity;
+    let unitPrice = null;
+    let priceSource = null;
+    if (successor.catalog_price !== null && successor.catalog_price !== undefined) {
+      unitPrice = successor.catalog_price;
+      priceSource = 'catalog';
+    } else if (installedPrice > 0) {
+      unitPrice = roundMoney(installedPrice);
+      priceSource = 'installed';
+    }
+
+    const estimatedCost = unitPrice !== null ? roundMoney(unitPrice * quantity) : null;
+    summary.with_successor++;
+    summary.with_successor_quantity += quantity;
+    summary.by_source[successor.successor_source]++;
+    if (priceSource) {
+      summary.priced_from[priceSource]++;
+      summary.estimated_cost += estimatedCost;
+    } else {
+      summary.unpriced++;
+    }
+
+    items.push({
+      product_id: row.product_id,
+      description: row.description,
+      category: row.category,
+      install_site: row.install_site,
+      serial_number: row.serial_number,
+      instance_id: row.instance_id,
+      quantity,
+      lifecycle_status: stage.status,
+      last_day_support: row.last_day_support,
+      successor_product_id: successor.successor_product_id,
+      successor_description: successor.successor_description,
+      successor_source: successor.successor_source,
+      alternatives: successor.alternatives,
+      unit_price: unitPrice,
+      price_source: priceSource,
+      estimated_cost: estimatedCost
+    });
+  });
+
+  summary.estimated_cost = roundMoney(summary.estimated_cost);
+
+  return {
+    scope,
+    scope_description: PLAN_SCOPES[scope],
+    items,
+    unmatched: Object.values(unmatched).sort((a, b) => b.quantity - a.quantity || a.product_id.localeCompare(b.product_id)),
+    summary
+  };
+}
+
+/**
+ * Collapse plan items into quote lines, one per successor part number
+ * @param {Array} items - Plan items from buildReplacementPlan
+ * @returns {Array} - [{ line, part_number, description, quantity, unpriced_quantity, unit_list_price,
+ *   extended_list_price, price_source, replaces, sites }] - price_source is 'mixed' when both
+ *   catalog and installed prices feed one part
+ */
+function buildBom(items) {
+  const parts = new Map();
+
+  items.forEach(item => {
+    if (!parts.has(item.successor_product_id)) {
+      parts.set(item.successor_product_id, {
+        part_number: item.successor_product_id,
+        description: item.successor_description,
+        quantity: 0,
+        priced_quantity: 0,
+        extended: 0,
+        price_sources: new Set(),
+        replaces: new Set(),
+        sites: new Set()
+      });
+    }
+    const part = parts.get(item.successor_product_id);
+    part.description = part.description || item.successor_description;
+    part.quantity += item.quantity;
+    if (item.unit_price !== null) {
+      part.priced_quantity += item.quantity;
+      part.extended += item.estimated_cost;
+      part.price_sources.add(item.price_source);
+    }
+    part.replaces.add(item.product_id);
+    if (present(item.install_site)) part.sites.add(item.install_site);
+  });
+
+  return [...parts.values()]
+    .sort((a, b) => a.part_number.localeCompare(b.part_number))
+    .map((part, index) => {
+      // Installed-price estimates can differ per line, so the unit price is
+      // their average; the extended price is the sum of the priced lines and
+      // leaves the unpriced quantity out
+      const priced = part.priced_quantity > 0;
+      return {
+        line: index + 1,
+        part_number: part.part_number,
+        description: part.description || '',
+        quantity: part.quantity,
+        unpriced_quantity: part.quantity - part.priced_quantity,
+        unit_list_price: priced ? roundMoney(part.extended / part.priced_quantity) : null,
+        extended_list_price: priced ? roundMoney(part.extended) : null,
+        price_source: part.price_sources.size > 1 ? 'mixed' : ([...part.price_sources][0] || null),
+        replaces: [...part.replaces].join(', '),
+        sites: [...part.sites].join(', ')
+      };
+    });
+}
+
+module.exports = {
+  buildReplacementPlan,
+  buildBom,
+  parseMigrationPids,
+  PLAN_SCOPES,
+  DEFAULT_SCOPE
+};
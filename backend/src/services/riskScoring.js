@@ -0,0 +1,273 @@
+// backend/src/services/riskScoring.js
+// Per-asset risk score (0-100) built from weighted lifecycle, coverage and criticality factors
+const { COVERAGE_STATES, isUnderContract } = require('./supportCoverage');
+const { DAY_MS, present, toDate, formatDate } = require('../utils/rowValues');
+
+const DEFAULT_LIFESPAN_YEARS = 7;
+
+/**
+ * Risk inputs and their default weight. Weights are relative - they are
+ * scaled to add up to 100, so each factor's points are its share of the score.
+ */
+const RISK_FACTORS = {
+  ldos: { label: 'Time to LDOS', weight: 30 },
+  eovss: { label: 'Time to EoVSS', weight: 20 },
+  coverage: { label: 'Support coverage', weight: 20 },
+  warranty: { label: 'Warranty', weight: 5 },
+  criticality: { label: 'Asset criticality', weight: 15 },
+  age: { label: 'Age since ship date', weight: 10 }
+};
+
+// A milestone this many months out starts adding risk, rising to full weight once it passes
+const LDOS_HORIZON_MONTHS = 36;
+const EOVSS_HORIZON_MONTHS = 24;
+
+/**
+ * Asset criticality, first match wins. Patterns run over Product Type,
+ * Product ID, description and category. Accessories come first so a
+ * Nexus power supply is not rated like the Nexus chassis.
+ */
+const CRITICALITY_RULES = [
+  { level: 'Accessory', factor: 0.1, pattern: /\bcable\b|\bcab-|power (supply|cord)|\bpwr-|\bfan\b|blank|transceiver|\b(glc|sfp|qsfp|cvr)-|license/i },
+  { level: 'Critical', factor: 1, pattern: /firewall|firepower|\bfpr-?\d|\basa-?\d|\bn[579]k-c|nexus|\bc9[56]\d\d|\bws-c6|\bc68\d\d|data center|\bcore\b/i },
+  { level: 'High', factor: 0.7, pattern: /router|\bisr\d|\basr\d|\bc8[235]\d\d|wireless (lan )?controller|\bair-ct|\bc9800|switching/i },
+  { level: 'Standard', factor: 0.4, pattern: /./ }
+];
+
+const RISK_LEVELS = [
+  { level: 'Critical', min: 75 },
+  { level: 'High', min: 50 },
+  { level: 'Medium', min: 25 },
+  { level: 'Low', min: 0 }
+];
+
+const monthsBetween = (from, to) => (to - from) / (DAY_MS * 30.44);
+
+// Scale relative weights so they add up to 100
+const normalizeWeights = (weights) => {
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  return Object.fromEntries(Object.entries(weights).map(([key, weight]) => [key, (weight / total) * 100]));
+};
+
+/**
+ * Parse factor weights given as "ldos:30,coverage:20" or { ldos: 30, coverage: 20 }.
+ * Factors left out keep their default weight.
+ * @returns {Object|null} - Weights of every factor, null when any entry is invalid
+ */
+function parseRiskWeights(value) {
+  let entries;
+  if (value && typeof value === 'object') {
+    entries = Object.entries(value);
+  } else {
+    entries = String(value).split(',').map(pair => pair.split(':').map(part => part.trim()));
+  }
+
+  const weights = Object.fromEntries(Object.entries(RISK_FACTORS).map(([key, factor]) => [key, factor.weight]));
+  for (const [key, raw] of entries) {
+    const weight = Number(raw);
+    if (!RISK_FACTORS[key] || raw === undefined || raw === '' || !Number.isFinite(weight) || weight < 0) {
+      return null;
+    }
+    weights[key] = weight;
+  }
+  return Object.values(weights).some(weight => weight > 0) ? weights : null;
+}
+
+const RISK_WEIGHTS = (process.env.RISK_WEIGHTS && parseRiskWeights(process.env.RISK_WEIGHTS)) ||
+  Object.fromEntries(Object.entries(RISK_FACTORS).map(([key, factor]) => [key, factor.weight]));
+
+const classifyCriticality = (row) => {
+  const text = [row.type, row.product_id, row.description, row.category, row.business_entity].filter(present).join(' ');
+  // A line with none of these fields set is rated Standard
+  return CRITICALITY_RULES.find(rule => rule.pattern.test(text)) || CRITICALITY_RULES[CRITICALITY_RULES.length - 1];
+};
+
+// How close a milestone is: 1 once passed, rising linearly over the horizon before it
+const milestoneExposure = (value, horizonMonths, currentDate, name) => {
+  const date = toDate(value);
+  if (!date) return { exposure: 0, detail: `No ${name} date` };
+  if (date <= currentDate) return { exposure: 1, detail: `${name} passed ${formatDate(date)}` };
+
+  const months = monthsBetween(currentDate, date);
+  if (months >= horizonMonths) return { exposure: 0, detail: `${name} ${formatDate(date)}` };
+  return { exposure: 1 - months / horizonMonths, detail: `${name} in ${Math.max(1, Math.round(months))} months` };
+};
+
+// Each factor rates a row from 0 (no risk) to 1 (full weight) and says why
+const FACTOR_RATINGS = {
+  ldos: (row, { currentDate }) => milestoneExposure(row.last_day_support, LDOS_HORIZON_MONTHS, currentDate, 'LDOS'),
+  eovss: (row, { currentDate }) => milestoneExposure(row.end_of_vuln_support, EOVSS_HORIZON_MONTHS, currentDate, 'EoVSS'),
+  coverage: (row) => {
+    switch (row.support_coverage) {
+      case COVERAGE_STATES.active: return { exposure: 0, detail: 'Active support contract' };
+      case COVERAGE_STATES.expiring: return { exposure: 0.25, detail: 'Support contract ending soon' };
+      case COVERAGE_STATES.warrantyOnly: return { exposure: 0.5, detail: 'Covered by warranty only' };
+      case COVERAGE_STATES.expired: return { exposure: 1, detail: 'No active support contract' };
+      case COVERAGE_STATES.notCoverable: return { exposure: 1, detail: 'Past LDOS, support can no longer be bought' };
+      default: return { exposure: 0.5, detail: 'Support coverage unknown' };
+    }
+  },
+  warranty: (row, { currentDate }) => {
+    if (isUnderContract(row)) return { exposure: 0, detail: 'Warranty not needed under contract' };
+    const ends = toDate(row.warranty_end_date);
+    if (!ends) return { exposure: 0.5, detail: 'No warranty on record' };
+    return ends > currentDate
+      ? { exposure: 0, detail: `Under warranty until ${formatDate(ends)}` }
+      : { exposure: 1, detail: `Warranty ended ${formatDate(ends)}` };
+  },
+  criticality: (row) => {
+    const rule = classifyCriticality(row);
+    return { exposure: rule.factor, detail: `Criticality: ${rule.level}` };
+  },
+  age: (row, { currentDate, lifespanYears }) => {
+    const shipped = toDate(row.ship_date);
+    if (!shipped) return { exposure: 0, detail: 'Ship date unknown' };
+    const years = Math.max(monthsBetween(shipped, currentDate) / 12, 0);
+    return { exposure: Math.min(years / lifespanYears, 1), detail: `${Math.floor(years)} years since ship date` };
+  }
+};
+
+const levelOf = (score) => RISK_LEVELS.find(band => score >= band.min).level;
+
+/**
+ * Score one asset
+ * @param {Object} row - Normalized row
+ * @param {Object} options - { weights, currentDate, lifespanYears }
+ * @returns {Object} - { score, level, factors: [{ key, label, points, max, detail }] } - factors ordered by points
+ */
+function scoreAsset(row, { weights = RISK_WEIGHTS, currentDate = new Date(), lifespanYears = DEFAULT_LIFESPAN_YEARS } = {}) {
+  const scaled = normalizeWeights(weights);
+  const factors = Object.keys(RISK_FACTORS).map(key => {
+    const { exposure, detail } = FACTOR_RATINGS[key](row, { currentDate, lifespanYears });
+    return {
+      key,
+      label: RISK_FACTORS[key].label,
+      points: Math.round(exposure * scaled[key] * 10) / 10,
+      max: Math.round(scaled[key] * 10) / 10,
+      detail
+    };
+  });
+
+  const score = Math.min(100, Math.round(factors.reduce((sum, factor) => sum + factor.points, 0)));
+  factors.sort((a, b) => b.points - a.points);
+  return { score, level: levelOf(score), factors };
+}
+
+// Short explanation - the factors that add the most points
+const explain = (factors, limit = 3) => factors
+  .filter(factor => factor.points >= 1)
+  .slice(0, limit)
+  .map(factor => factor.detail)
+  .join('; ');
+
+/**
+ * Add risk_score, risk_level, risk_reasons and risk_factors (points per factor) to every row
+ * @param {Array} rows - Normalized rows, changed in place
+ * @param {Object} options - { weights, currentDate, lifespanYears }
+ * @returns {Array} - The same rows
+ */
+function scoreRows(rows, options = {}) {
+  rows.forEach(row => {
+    const { score, level, factors } = scoreAsset(row, options);
+    row.risk_score = score;
+    row.risk_level = level;
+    row.risk_reasons = explain(factors) || 'No significant risk factors';
+    row.risk_factors = Object.fromEntries(factors.map(factor => [factor.key, factor.points]));
+  });
+  return rows;
+}
+
+/**
+ * Quantity-weighted risk per group with the factors driving it
+ * @returns {Array} - [{ name, lines, quantity, score, level, max_score, levels, drivers, explanation }] - riskiest first
+ */
+function rollUp(rows, groupOf) {
+  const groups = {};
+  rows.forEach(row => {
+    const name = present(groupOf(row)) ? String(groupOf(row)) : 'Unknown';
+    if (!groups[name]) {
+      groups[name] = { name, lines: 0, quantity: 0, weight: 0, weighted: 0, max_score: 0, levels: {}, points: {} };
+    }
+    const group = groups[name];
+    const weight = Math.max(parseInt(row.qty) || 0, 1);
+    group.lines++;
+    group.quantity += parseInt(row.qty) || 0;
+    group.weight += weight;
+    group.weighted += row.risk_score * weight;
+    group.max_score = Math.max(group.max_score, row.risk_score);
+    group.levels[row.risk_level] = (group.levels[row.risk_level] || 0) + 1;
+    Object.entries(row.risk_factors || {}).forEach(([key, points]) => {
+      group.points[key] = (group.points[key] || 0) + points * weight;
+    });
+  });
+
+  return Object.values(groups)
+    .map(({ weight, weighted, points, ...group }) => {
+      const score = Math.round(weighted / weight);
+      const drivers = Object.entries(points)
+        .map(([key, total]) => ({ key, label: RISK_FACTORS[key].label, points: Math.round((total / weight) * 10) / 10 }))
+        .sort((a, b) => b.points - a.points);
+      const mainDrivers = drivers.filter(driver => driver.points >= 1).slice(0, 2);
+      return {
+        ...group,
+        score,
+        level: levelOf(score),
+        drivers,
+        explanation: mainDrivers.length > 0
+          ? `Driven by ${mainDrivers.map(driver => `${driver.label} (${driver.points} pts avg)`).join(' and ')}`
+          : 'No significant risk factors'
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.quantity - a.quantity || a.name.localeCompare(b.name));
+}
+
+/**
+ * Risk rollups for scored rows
+ * @param {Array} rows - Rows run through scoreRows
+ * @param {Object} options - { weights } - reported back with the summary
+ * @returns {Object} - { score, level, explanation, distribution, by_category, by_site, by_manufacturer, top_assets, weights }
+ */
+function summarizeRisk(rows, { weights = RISK_WEIGHTS } = {}) {
+  const scored = rows.filter(row => typeof row.risk_score === 'number');
+  const distribution = Object.fromEntries(RISK_LEVELS.map(band => [band.level, 0]));
+  scored.forEach(row => {
+    distribution[row.risk_level]++;
+  });
+
+  const [overall] = rollUp(scored, () => 'All assets');
+
+  return {
+    score: overall ? overall.score : 0,
+    level: overall ? overall.level : levelOf(0),
+    explanation: overall ? overall.explanation : 'No assets scored',
+    drivers: overall ? overall.drivers : [],
+    distribution,
+    by_category: rollUp(scored, row => row.category),
+    by_site: rollUp(scored, row => row.install_site),
+    by_manufacturer: rollUp(scored, row => row.mfg),
+    top_assets: [...scored]
+      .sort((a, b) => b.risk_score - a.risk_score)
+      .slice(0, 10)
+      .map(row => ({
+        product_id: row.product_id,
+        serial_number: row.serial_number,
+        install_site: row.install_site,
+        category: row.category,
+        risk_score: row.risk_score,
+        risk_level: row.risk_level,
+        risk_reasons: row.risk_reasons
+      })),
+    weights: Object.fromEntries(Object.entries(normalizeWeights(weights)).map(([key, weight]) => [key, Math.round(weight * 10) / 10]))
+  };
+}
+
+module.exports = {
+  RISK_FACTORS,
+  RISK_LEVELS,
+  RISK_WEIGHTS,
+  CRITICALITY_RULES,
+  parseRiskWeights,
+  scoreAsset,
+  scoreRows,
+  summarizeRisk
+};
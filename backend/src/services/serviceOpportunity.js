@@ -0,0 +1,181 @@
+// backend/src/services/serviceOpportunity.js
+// Sales opportunity in installed assets without active coverage - what to put under contract and what to replace
+const { isUnderContract } = require('./supportCoverage');
+const { present, isPast, roundMoney } = require('../utils/rowValues');
+
+// Where a line's service price comes from, in order of preference
+const PRICE_SOURCES = {
+  existing: 'Existing coverage level',
+  default: 'Default service level'
+};
+
+const ROLLUPS = {
+  by_site: 'install_site',
+  by_category: 'category',
+  by_product_family: 'product_family'
+};
+
+/**
+ * Service price of one line - the level it was last covered at, otherwise
+ * the default service level the source file recommends. Cisco reports 0
+ * for lines it has no price for.
+ * @returns {Object} - { price, source } - both null when the file has no price
+ */
+function servicePriceOf(row) {
+  if (row.coverage_list_price > 0) {
+    return { price: row.coverage_list_price, source: PRICE_SOURCES.existing };
+  }
+  if (row.service_list_price > 0) {
+    return { price: row.service_list_price, source: PRICE_SOURCES.default };
+  }
+  return { price: null, source: null };
+}
+
+const toItem = (row, action) => {
+  const { price, source } = servicePriceOf(row);
+  return {
+    id: row.id,
+    action,
+    product_id: row.product_id,
+    description: row.description,
+    serial_number: row.serial_number,
+    install_site: row.install_site,
+    category: row.category,
+    product_family: row.product_family,
+    qty: parseInt(row.qty) || 0,
+    support_coverage: row.support_coverage,
+    last_day_support: row.last_day_support,
+    service_level: row.service_level,
+    service_price: price,
+    price_source: source,
+    list_price: parseFloat(row.list_price) || 0
+  };
+};
+
+const totalsOf = (items) => ({
+  lines: items.length,
+  quantity: items.reduce((sum, item) => sum + item.qty, 0),
+  service_value: roundMoney(items.reduce((sum, item) => sum + (item.service_price || 0), 0)),
+  installed_list_value: roundMoney(items.reduce((sum, item) => sum + item.list_price, 0)),
+  unpriced_lines: items.filter(item => item.service_price === null).length
+});
+
+// Totals per value of a field, largest sortKey first
+const rollUp = (items, field, sortKey) => {
+  const groups = {};
+  items.forEach(item => {
+    const name = present(item[field]) ? String(item[field]) : 'Unknown';
+    (groups[name] = groups[name] || []).push(item);
+  });
+  return Object.entries(groups)
+    .map(([name, group]) => ({ name, ...totalsOf(group) }))
+    .sort((a, b) => b[sortKey] - a[sortKey] || b.quantity - a.quantity || a.name.localeCompare(b.name));
+};
+
+const rollUps = (items, sortKey) => Object.fromEntries(
+  Object.entries(ROLLUPS).map(([key, field]) => [key, rollUp(items, field, sortKey)])
+);
+
+/**
+ * Uncovered installed base split into assets that can be put under contract
+ * and assets past LDOS that can only be replaced
+ * @param {Array} rows - Normalized rows
+ * @param {Object} options - { currentDate }
+ * @returns {Object} - { summary, coverable: { ...rollups, items }, replace: { ...rollups, items } } -
+ *   rollups are by_site, by_category and by_product_family
+ */
+function buildServiceOpportunity(rows, { currentDate = new Date() } = {}) {
+  const uncovered = rows.filter(row => !isUnderContract(row));
+  const coverable = uncovered.filter(row => !isPast(row.last_day_support, currentDate)).map(row => toItem(row, 'Cover'));
+  const replace = uncovered.filter(row => isPast(row.last_day_support, currentDate)).map(row => toItem(row, 'Replace'));
+
+  const bySource = {};
+  Object.values(PRICE_SOURCES).forEach(source => {
+    const priced = coverable.filter(item => item.price_source === source);
+    bySource[source] = { lines: priced.length, value: roundMoney(priced.reduce((sum, item) => sum + item.service_price, 0)) };
+  });
+
+  return {
+    summary: {
+      uncovered_lines: uncovered.length,
+      uncovered_quantity: uncovered.reduce((sum, row) => sum + (parseInt(row.qty) || 0), 0),
+      coverable: totalsOf(coverable),
+      replace: totalsOf(replace),
+      priced_from: bySource
+    },
+    coverable: { ...rollUps(coverable, 'service_value'), items: coverable },
+    replace: { ...rollUps(replace, 'installed_list_value'), items: replace }
+  };
+}
+
+const OPPORTUNITY_COLUMNS = [
+  { header: 'Action', key: 'action', width: 10 },
+  { header: 'Product ID', key: 'product_id', width: 22 },
+  { header: 'Description', key: 'description', width: 40 },
+  { header: 'Serial Number', key: 'serial_number', width: 16 },
+  { header: 'Install Site', key: 'install_site', width: 28 },
+  { header: 'Category', key: 'category', width: 20 },
+  { header: 'Product Family', key: 'product_family', width: 16 },
+  { header: 'Quantity', key: 'qty', width: 10 },
+  { header: 'Support Coverage', key: 'support_coverage', width: 15 },
+  { header: 'Last Support', key: 'last_day_support', width: 12 },
+  { header: 'Service Level', key: 'service_level', width: 14 },
+  { header: 'Service List Price', key: 'service_price', width: 16 },
+  { header: 'Price Source', key: 'price_source', width: 24 },
+  { header: 'Product List Price', key: 'list_price', width: 16 }
+];
+
+const ROLLUP_TITLES = {
+  by_site: 'Install Site',
+  by_category: 'Category',
+  by_product_family: 'Product Family'
+};
+
+/**
+ * Add the opportunity line items and its rollups to an ExcelJS workbook
+ * @param {Object} workbook - ExcelJS workbook
+ * @param {Object} opportunity - Result of buildServiceOpportunity
+ */
+function addOpportunitySheets(workbook, opportunity) {
+  const itemsSheet = workbook.addWorksheet('Service Opportunity');
+  itemsSheet.columns = OPPORTUNITY_COLUMNS;
+  [...opportunity.coverable.items, ...opportunity.replace.items].forEach(item => itemsSheet.addRow(item));
+  itemsSheet.getColumn('service_price').numFmt = '$#,##0.00';
+  itemsSheet.getColumn('list_price').numFmt = '$#,##0.00';
+  itemsSheet.getRow(1).font = { bold: true };
+
+  const rollupSheet = workbook.addWorksheet('Opportunity Rollups');
+  rollupSheet.columns = [
+    { key: 'name', width: 32 },
+    { key: 'lines', width: 10 },
+    { key: 'quantity', width: 10 },
+    { key: 'service_value', width: 18 },
+    { key: 'installed_list_value', width: 20 },
+    { key: 'unpriced_lines', width: 14 }
+  ];
+  [['Eligible for coverage', opportunity.coverable], ['Past LDOS - replace', opportunity.replace]].forEach(([title, section]) => {
+    Object.entries(ROLLUP_TITLES).forEach(([key, label]) => {
+      rollupSheet.addRow({ name: `${title} by ${label}` }).font = { bold: true };
+      rollupSheet.addRow({
+        name: label,
+        lines: 'Lines',
+        quantity: 'Quantity',
+        service_value: 'Service List Value',
+        installed_list_value: 'Installed List Value',
+        unpriced_lines: 'Unpriced Lines'
+      }).font = { bold: true };
+      section[key].forEach(group => rollupSheet.addRow(group));
+      rollupSheet.addRow({});
+    });
+  });
+  rollupSheet.getColumn('service_value').numFmt = '$#,##0.00';
+  rollupSheet.getColumn('installed_list_value').numFmt = '$#,##0.00';
+}
+
+module.exports = {
+  PRICE_SOURCES,
+  OPPORTUNITY_COLUMNS,
+  servicePriceOf,
+  buildServiceOpportunity,
+  addOpportunitySheets
+};
@@ -0,0 +1,190 @@
+// backend/src/services/siteSummary.js
+// Install site rollup - asset counts, support coverage, LDOS exposure and refresh cost per location
+const { isUnderContract } = require('./supportCoverage');
+const { isDevice } = require('./assetHierarchy');
+const { LIFECYCLE_WINDOWS } = require('./lifecycleMilestones');
+const { present, toDate, addMonths, formatDate, roundMoney } = require('../utils/rowValues');
+
+const UNASSIGNED = 'Unassigned';
+const DEFAULT_HORIZON_MONTHS = LIFECYCLE_WINDOWS[0];
+const MAX_HORIZON_MONTHS = 120;
+
+// Address parts carried from the first line of a site that has them
+const ADDRESS_FIELDS = {
+  address: 'install_site_address',
+  city: 'install_site_city',
+  state: 'install_site_state',
+  country: 'install_site_country',
+  postal_code: 'install_site_postal_code'
+};
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+/**
+ * Grouping key of a row. The site ID is the stable one; files without it
+ * fall back to the site name, which Cisco repeats verbatim on every line.
+ */
+function siteKeyOf(row) {
+  if (present(row.install_site_id)) return `ID:${String(row.install_site_id).trim()}`;
+  if (present(row.install_site)) return `NAME:${String(row.install_site).trim().toUpperCase()}`;
+  return UNASSIGNED;
+}
+
+/**
+ * Stamp each row with its site key, so the results table filters on the
+ * same grouping the rollup uses
+ * @param {Array} rows - Normalized rows, updated in place
+ */
+function assignSiteKeys(rows) {
+  rows.forEach(row => {
+    row.site_key = siteKeyOf(row);
+  });
+}
+
+const emptySite = (row) => ({
+  site_id: present(row.install_site_id) ? String(row.install_site_id).trim() : null,
+  site_name: present(row.install_site) ? String(row.install_site).trim() : UNASSIGNED,
+  address: null,
+  city: null,
+  state: null,
+  country: null,
+  postal_code: null,
+  lines: 0,
+  quantity: 0,
+  devices: 0,
+  covered_quantity: 0,
+  coverage_pct: 0,
+  ldos_passed_quantity: 0,
+  ldos_upcoming_quantity: 0,
+  ldos_exposure_pct: 0,
+  next_ldos: null,
+  installed_list_value: 0,
+  refresh_quantity: 0,
+  refresh_cost: 0,
+  unpriced_refresh_lines: 0
+});
+
+/**
+ * Roll the rows up by install site. Refresh covers every line past LDOS or
+ * reaching it within the horizon, priced at its list price - the Cisco
+ * export lists the extended price of the line, as refreshBudget does.
+ * @param {Array} rows - Normalized rows
+ * @param {Object} options - { currentDate, horizonMonths }
+ * @returns {Object} - { horizon_months, sites (highest refresh cost first, each with its grouping key), totals }
+ */
+function summarizeSites(rows, { currentDate = new Date(), horizonMonths = DEFAULT_HORIZON_MONTHS } = {}) {
+  const horizonEnd = addMonths(currentDate, horizonMonths);
+  const sites = new Map();
+
+  rows.forEach(row => {
+    const key = siteKeyOf(row);
+    if (!sites.has(key)) sites.set(key, { key, ...emptySite(row) });
+    const site = sites.get(key);
+
+    Object.entries(ADDRESS_FIELDS).forEach(([target, field]) => {
+      if (!site[target] && present(row[field])) site[target] = String(row[field]).trim();
+    });
+
+    const quantity = parseInt(row.qty) || 0;
+    const listPrice = parseFloat(row.list_price) || 0;
+    site.lines++;
+    site.quantity += quantity;
+    if (isDevice(row)) site.devices++;
+    if (isUnderContract(row)) site.covered_quantity += quantity;
+    site.installed_list_value += listPrice;
+
+    const ldos = toDate(row.last_day_support);
+    if (!ldos || ldos > horizonEnd) return;
+    if (ldos <= currentDate) {
+      site.ldos_passed_quantity += quantity;
+    } else {
+      site.ldos_upcoming_quantity += quantity;
+      if (!site.next_ldos || ldos < site.next_ldos) site.next_ldos = ldos;
+    }
+    site.refresh_quantity += quantity;
+    site.refresh_cost += listPrice;
+    if (listPrice === 0) site.unpriced_refresh_lines++;
+  });
+
+  const totals = emptySite({});
+  delete totals.site_id;
+  delete totals.site_name;
+  Object.keys(ADDRESS_FIELDS).forEach(field => delete totals[field]);
+
+  const finished = [...sites.values()].map(site => {
+    ['lines', 'quantity', 'devices', 'covered_quantity', 'ldos_passed_quantity', 'ldos_upcoming_quantity',
+      'installed_list_value', 'refresh_quantity', 'refresh_cost', 'unpriced_refresh_lines'].forEach(field => {
+      totals[field] += site[field];
+    });
+    if (site.next_ldos && (!totals.next_ldos || site.next_ldos < totals.next_ldos)) totals.next_ldos = site.next_ldos;
+    return finishSite(site);
+  });
+
+  finished.sort((a, b) => b.refresh_cost - a.refresh_cost || b.quantity - a.quantity || a.site_name.localeCompare(b.site_name));
+
+  return {
+    horizon_months: horizonMonths,
+    sites: finished,
+    totals: { sites: finished.length, ...finishSite(totals) }
+  };
+}
+
+function finishSite(site) {
+  return {
+    ...site,
+    coverage_pct: percent(site.covered_quantity, site.quantity),
+    ldos_exposure_pct: percent(site.ldos_passed_quantity + site.ldos_upcoming_quantity, site.quantity),
+    next_ldos: site.next_ldos ? formatDate(site.next_ldos) : null,
+    installed_list_value: roundMoney(site.installed_list_value),
+    refresh_cost: roundMoney(site.refresh_cost)
+  };
+}
+
+const SITE_COLUMNS = [
+  { header: 'Site ID', key: 'site_id', width: 14 },
+  { header: 'Install Site', key: 'site_name', width: 32 },
+  { header: 'Address', key: 'address', width: 30 },
+  { header: 'City', key: 'city', width: 18 },
+  { header: 'State', key: 'state', width: 8 },
+  { header: 'Country', key: 'country', width: 10 },
+  { header: 'Postal Code', key: 'postal_code', width: 12 },
+  { header: 'Lines', key: 'lines', width: 8 },
+  { header: 'Quantity', key: 'quantity', width: 10 },
+  { header: 'Devices', key: 'devices', width: 10 },
+  { header: 'Covered Quantity', key: 'covered_quantity', width: 16 },
+  { header: 'Coverage %', key: 'coverage_pct', width: 12 },
+  { header: 'Past LDOS', key: 'ldos_passed_quantity', width: 11 },
+  { header: 'LDOS Within Horizon', key: 'ldos_upcoming_quantity', width: 18 },
+  { header: 'LDOS Exposure %', key: 'ldos_exposure_pct', width: 15 },
+  { header: 'Next LDOS', key: 'next_ldos', width: 12 },
+  { header: 'Installed List Value', key: 'installed_list_value', width: 18 },
+  { header: 'Refresh Quantity', key: 'refresh_quantity', width: 15 },
+  { header: 'Refresh Cost', key: 'refresh_cost', width: 16 },
+  { header: 'Unpriced Refresh Lines', key: 'unpriced_refresh_lines', width: 20 }
+];
+
+/**
+ * Add the site rollup to an ExcelJS workbook, with a totals row
+ * @param {Object} workbook - ExcelJS workbook
+ * @param {Object} siteSummary - Result of summarizeSites
+ */
+function addSiteSheet(workbook, siteSummary) {
+  const sheet = workbook.addWorksheet('Sites');
+  sheet.columns = SITE_COLUMNS;
+  siteSummary.sites.forEach(site => sheet.addRow(site));
+  sheet.addRow({ site_name: `Total (${siteSummary.totals.sites} sites)`, ...siteSummary.totals, site_id: null }).font = { bold: true };
+  sheet.getColumn('installed_list_value').numFmt = '$#,##0.00';
+  sheet.getColumn('refresh_cost').numFmt = '$#,##0.00';
+  sheet.getRow(1).font = { bold: true };
+}
+
+module.exports = {
+  UNASSIGNED,
+  DEFAULT_HORIZON_MONTHS,
+  MAX_HORIZON_MONTHS,
+  SITE_COLUMNS,
+  siteKeyOf,
+  assignSiteKeys,
+  summarizeSites,
+  addSiteSheet
+};
@@ -0,0 +1,231 @@
+// backend/src/services/successorCatalog.js
+// Phase 3 - local catalog of recommended successors for end-of-life Product IDs
+const pool = require('../config/database');
+const logger = require('../config/logger');
+const { DEFAULT_TENANT_ID } = require('../config/tenant');
+
+/**
+ * Column order of the import/export file. Each field lists the header
+ * spellings accepted on import, compared after lowercasing and trimming.
+ */
+const CATALOG_COLUMNS = [
+  { field: 'product_id', header: 'Product ID', variations: ['product id', 'pid', 'eol pid', 'eol product id', 'product number'] },
+  { field: 'successor_product_id', header: 'Successor Product ID', variations: ['successor product id', 'successor pid', 'replacement pid', 'migration pid', 'successor'] },
+  { field: 'successor_description', header: 'Successor Description', variations: ['successor description', 'replacement description', 'description'] },
+  { field: 'unit_list_price', header: 'Unit List Price', variations: ['unit list price', 'list price', 'unit price', 'price'] },
+  { field: 'notes', header: 'Notes', variations: ['notes', 'comment', 'comments'] }
+];
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Product IDs are matched case-insensitively and without surrounding spaces
+const normalizePid = (value) => (value === undefined || value === null ? '' : String(value).trim().toUpperCase());
+
+const toEntry = (row) => ({
+  product_id: row.product_id,
+  successor_product_id: row.successor_product_id,
+  successor_description: row.successor_description,
+  unit_list_price: row.unit_list_price === null ? null : parseFloat(row.unit_list_price),
+  notes: row.notes,
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+const parsePrice = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const price = parseFloat(String(value).replace(/[$,]/g, ''));
+  return Number.isFinite(price) ? price : NaN;
+};
+
+/**
+ * Normalize and check one catalog entry from a request body or import row
+ * @param {Object} input - { product_id, successor_product_id, successor_description, unit_list_price, notes }
+ * @returns {Object} - { entry, errors }
+ */
+function validateEntry(input = {}) {
+  const errors = [];
+  const entry = {
+    product_id: normalizePid(input.product_id),
+    successor_product_id: normalizePid(input.successor_product_id),
+    successor_description: input.successor_description ? String(input.successor_description).trim() : null,
+    unit_list_price: parsePrice(input.unit_list_price),
+    notes: input.notes ? String(input.notes).trim() : null
+  };
+
+  if (!entry.product_id) errors.push('product_id is required');
+  if (!entry.successor_product_id) errors.push('successor_product_id is required');
+  if (entry.product_id && entry.product_id === entry.successor_product_id) {
+    errors.push('successor_product_id must differ from product_id');
+  }
+  if (Number.isNaN(entry.unit_list_price) || entry.unit_list_price < 0) {
+    errors.push('unit_list_price must be a non-negative number');
+  }
+
+  return { entry, errors };
+}
+
+/**
+ * Turn parsed import rows (keyed by file header) into catalog entries
+ * @param {Array} rows - Row objects from fileParser
+ * @returns {Object} - { entries, errors: [{ row, errors }] } - row is the 1-based data row
+ */
+function readImportRows(rows) {
+  const entries = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const byHeader = new Map(Object.entries(row).map(([header, value]) => [header.trim().toLowerCase(), value]));
+    const input = {};
+    CATALOG_COLUMNS.forEach(column => {
+      const header = column.variations.find(variation => byHeader.has(variation));
+      if (header) input[column.field] = byHeader.get(header);
+    });
+
+    const { entry, errors: rowErrors } = validateEntry(input);
+    if (rowErrors.length > 0) {
+      errors.push({ row: index + 1, errors: rowErrors });
+    } else {
+      entries.push(entry);
+    }
+  });
+
+  return { entries, errors };
+}
+
+async function listEntries({ search, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  const params = [DEFAULT_TENANT_ID];
+  let filter = '';
+  if (search) {
+    params.push(`%${search}%`);
+    filter = 'AND (product_id ILIKE $2 OR successor_product_id ILIKE $2 OR successor_description ILIKE $2)';
+  }
+
+  const count = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM successor_catalog WHERE tenant_id = $1 ${filter}`,
+    params
+  );
+  const pageParams = [...params, Math.min(limit, MAX_PAGE_SIZE), offset];
+  const result = await pool.query(`
+    SELECT * FROM successor_catalog
+    WHERE tenant_id = $1 ${filter}
+    ORDER BY product_id
+    LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}
+  `, pageParams);
+
+  return { entries: result.rows.map(toEntry), total: count.rows[0].total };
+}
+
+async function listAllEntries() {
+  const result = await pool.query(
+    'SELECT * FROM successor_catalog WHERE tenant_id = $1 ORDER BY product_id',
+    [DEFAULT_TENANT_ID]
+  );
+  return result.rows.map(toEntry);
+}
+
+async function getEntry(productId) {
+  const result = await pool.query(
+    'SELECT * FROM successor_catalog WHERE tenant_id = $1 AND product_id = $2',
+    [DEFAULT_TENANT_ID, normalizePid(productId)]
+  );
+  return result.rows[0] ? toEntry(result.rows[0]) : null;
+}
+
+const UPSERT_SQL = `
+  INSERT INTO successor_catalog (
+    tenant_id, product_id, successor_product_id, successor_description, unit_list_price, notes
+  ) VALUES ($1, $2, $3, $4, $5, $6)
+  ON CONFLICT (tenant_id, product_id) DO UPDATE SET
+    successor_product_id = EXCLUDED.successor_product_id,
+    successor_description = EXCLUDED.successor_description,
+    unit_list_price = EXCLUDED.unit_list_price,
+    notes = EXCLUDED.notes,
+    updated_at = NOW()
+  RETURNING *, (xmax = 0) AS inserted
+`;
+
+const upsertParams = (entry) => [
+  DEFAULT_TENANT_ID,
+  entry.product_id,
+  entry.successor_product_id,
+  entry.successor_description,
+  entry.unit_list_price,
+  entry.notes
+];
+
+/**
+ * Create or replace the successor of one Product ID
+ * @returns {Object} - { entry, created }
+ */
+async function saveEntry(entry) {
+  const result = await pool.query(UPSERT_SQL, upsertParams(entry));
+  return { entry: toEntry(result.rows[0]), created: result.rows[0].inserted };
+}
+
+async function deleteEntry(productId) {
+  const result = await pool.query(
+    'DELETE FROM successor_catalog WHERE tenant_id = $1 AND product_id = $2',
+    [DEFAULT_TENANT_ID, normalizePid(productId)]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Upsert a batch of validated entries in one transaction. A Product ID
+ * listed twice keeps its last entry.
+ * @returns {Object} - { created, updated }
+ */
+async function importEntries(entries) {
+  const unique = [...new Map(entries.map(entry => [entry.product_id, entry])).values()];
+  const client = await pool.connect();
+  let created = 0;
+  try {
+    await client.query('BEGIN');
+    for (const entry of unique) {
+      const result = await client.query(UPSERT_SQL, upsertParams(entry));
+      if (result.rows[0].inserted) created++;
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  logger.info(`Successor catalog import: ${created} created, ${unique.length - created} updated`);
+  return { created, updated: unique.length - created };
+}
+
+/**
+ * Catalog entries for a set of Product IDs
+ * @param {Array} productIds - Installed Product IDs
+ * @returns {Map} - normalized Product ID -> entry
+ */
+async function findSuccessors(productIds) {
+  const pids = [...new Set(productIds.map(normalizePid).filter(Boolean))];
+  if (pids.length === 0) return new Map();
+
+  const result = await pool.query(
+    'SELECT * FROM successor_catalog WHERE tenant_id = $1 AND product_id = ANY($2)',
+    [DEFAULT_TENANT_ID, pids]
+  );
+  return new Map(result.rows.map(row => [row.product_id, toEntry(row)]));
+}
+
+module.exports = {
+  CATALOG_COLUMNS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  normalizePid,
+  validateEntry,
+  readImportRows,
+  listEntries,
+  listAllEntries,
+  getEntry,
+  saveEntry,
+  deleteEntry,
+  importEntries,
+  findSuccessors
+};
@@ -0,0 +1,107 @@
+// backend/src/services/supportCoverage.js
+// One support coverage classification per asset, from its covered line status, contract end date, warranty and LDOS
+const { normalizeSupport } = require('../utils/columnMapper');
+const { DAY_MS, toDate } = require('../utils/rowValues');
+
+const COVERAGE_STATES = {
+  active: 'Active',
+  expiring: 'Expiring',
+  expired: 'Expired',
+  warrantyOnly: 'Warranty Only',
+  notCoverable: 'Not Coverable',
+  unknown: 'Unknown'
+};
+
+const DEFAULT_EXPIRING_DAYS = 90;
+const MAX_EXPIRING_DAYS = 730;
+
+/**
+ * Warranty state of one row
+ * @param {Object} row - Normalized row
+ * @param {Object} options - { currentDate, expiringDays }
+ * @returns {string} - Active, Expiring (ends within expiringDays), Expired or None
+ */
+function warrantyStatus(row, { currentDate = new Date(), expiringDays = DEFAULT_EXPIRING_DAYS } = {}) {
+  const ends = toDate(row.warranty_end_date);
+  if (!ends) return 'None';
+  if (ends <= currentDate) return 'Expired';
+  return ends - currentDate <= expiringDays * DAY_MS ? 'Expiring' : 'Active';
+}
+
+const warrantyInForce = (status) => status === 'Active' || status === 'Expiring';
+
+/**
+ * Coverage state of one row. A contract is in force when its end date is
+ * still ahead and the line status does not say otherwise, or when the line
+ * says active and the file has no end date. Without one, a warranty in force
+ * protects the asset; past LDOS nothing more can be bought.
+ * @param {Object} row - Normalized row
+ * @param {Object} options - { currentDate, expiringDays }
+ * @returns {string} - One of COVERAGE_STATES
+ */
+function classifyCoverage(row, { currentDate = new Date(), expiringDays = DEFAULT_EXPIRING_DAYS } = {}) {
+  // Rows stored before covered_line_status existed only carry the old Active/Expired value
+  const lineStatus = row.covered_line_status || normalizeSupport(row.support_coverage);
+  const contractEnds = toDate(row.coverage_end_date);
+
+  const underContract = contractEnds
+    ? contractEnds > currentDate && lineStatus !== COVERAGE_STATES.expired
+    : lineStatus === COVERAGE_STATES.active;
+  if (underContract) {
+    return contractEnds && contractEnds - currentDate <= expiringDays * DAY_MS
+      ? COVERAGE_STATES.expiring
+      : COVERAGE_STATES.active;
+  }
+
+  if (warrantyInForce(warrantyStatus(row, { currentDate, expiringDays }))) return COVERAGE_STATES.warrantyOnly;
+  const ldos = toDate(row.last_day_support);
+  if (ldos && ldos <= currentDate) return COVERAGE_STATES.notCoverable;
+  if (lineStatus === COVERAGE_STATES.expired || contractEnds) return COVERAGE_STATES.expired;
+  return COVERAGE_STATES.unknown;
+}
+
+// Active and Expiring rows both have a support contract in force
+const isUnderContract = (row) =>
+  row.support_coverage === COVERAGE_STATES.active || row.support_coverage === COVERAGE_STATES.expiring;
+
+/**
+ * Classify every row - sets support_coverage and warranty_status
+ * @param {Array} rows - Normalized rows, changed in place
+ * @param {Object} options - { currentDate, expiringDays }
+ * @returns {Array} - The same rows
+ */
+function applyCoverage(rows, options = {}) {
+  rows.forEach(row => {
+    row.warranty_status = warrantyStatus(row, options);
+    row.support_coverage = classifyCoverage(row, options);
+  });
+  return rows;
+}
+
+/**
+ * Lines and quantity per coverage state, in taxonomy order
+ * @param {Array} rows - Classified rows
+ * @returns {Array} - [{ state, lines, quantity }]
+ */
+function summarizeCoverage(rows) {
+  return Object.values(COVERAGE_STATES).map(state => {
+    const inState = rows.filter(row => row.support_coverage === state);
+    return {
+      state,
+      lines: inState.length,
+      quantity: inState.reduce((sum, row) => sum + (parseInt(row.qty) || 0), 0)
+    };
+  });
+}
+
+module.exports = {
+  COVERAGE_STATES,
+  DEFAULT_EXPIRING_DAYS,
+  MAX_EXPIRING_DAYS,
+  warrantyStatus,
+  warrantyInForce,
+  classifyCoverage,
+  isUnderContract,
+  applyCoverage,
+  summarizeCoverage
+};
@@ -0,0 +1,107 @@
+// backend/src/services/warrantyAnalysis.js
+// Warranty per asset - what only warranty protects, what is about to lose it, and contracts paid during warranty
+const {
+  DEFAULT_EXPIRING_DAYS,
+  warrantyStatus,
+  warrantyInForce,
+  isUnderContract
+} = require('./supportCoverage');
+const { DAY_MS, present, toDate, formatDate, roundMoney } = require('../utils/rowValues');
+
+const toItem = (row) => ({
+  id: row.id,
+  product_id: row.product_id,
+  description: row.description,
+  serial_number: row.serial_number,
+  install_site: row.install_site,
+  qty: parseInt(row.qty) || 0,
+  support_coverage: row.support_coverage,
+  contract_number: row.contract_number,
+  coverage_end_date: row.coverage_end_date,
+  warranty_type: row.warranty_type,
+  warranty_end_date: row.warranty_end_date
+});
+
+/**
+ * Days a paid contract and an active warranty cover the same asset from
+ * today on, and the contract spend for those days - the annual coverage
+ * list price prorated, when the file has one
+ */
+const overlapOf = (row, currentDate) => {
+  const warrantyEnds = toDate(row.warranty_end_date);
+  const contractEnds = toDate(row.coverage_end_date);
+  const contractStarts = toDate(row.coverage_start_date);
+  const from = contractStarts && contractStarts > currentDate ? contractStarts : currentDate;
+  const until = contractEnds && contractEnds < warrantyEnds ? contractEnds : warrantyEnds;
+  const days = Math.max(Math.round((until - from) / DAY_MS), 0);
+  return {
+    overlap_days: days,
+    overlap_until: formatDate(until),
+    overlap_spend: row.coverage_list_price > 0 ? roundMoney((row.coverage_list_price * days) / 365) : null
+  };
+};
+
+/**
+ * Warranty analysis of a job
+ * @param {Array} rows - Normalized rows
+ * @param {Object} options - { currentDate, expiringDays }
+ * @returns {Object} - { summary, by_type, warranty_only, expiring, overlap } - item lists soonest end first
+ */
+function analyzeWarranty(rows, { currentDate = new Date(), expiringDays = DEFAULT_EXPIRING_DAYS } = {}) {
+  const statuses = rows.map(row => ({ row, status: warrantyStatus(row, { currentDate, expiringDays }) }));
+  const byEndDate = (a, b) => String(a.warranty_end_date).localeCompare(String(b.warranty_end_date));
+
+  const warrantyOnly = statuses
+    .filter(({ row, status }) => warrantyInForce(status) && !isUnderContract(row))
+    .map(({ row }) => toItem(row))
+    .sort(byEndDate);
+  const expiring = statuses
+    .filter(({ status }) => status === 'Expiring')
+    .map(({ row }) => toItem(row))
+    .sort(byEndDate);
+  const overlap = statuses
+    .filter(({ row, status }) => warrantyInForce(status) && isUnderContract(row))
+    .map(({ row }) => ({ ...toItem(row), ...overlapOf(row, currentDate) }))
+    .sort(byEndDate);
+
+  const types = {};
+  statuses.forEach(({ row, status }) => {
+    const type = present(row.warranty_type) ? String(row.warranty_type) : 'Unknown';
+    if (!types[type]) types[type] = { type, lines: 0, in_force: 0 };
+    types[type].lines++;
+    if (warrantyInForce(status)) types[type].in_force++;
+  });
+
+  const count = (status) => statuses.filter(entry => entry.status === status).length;
+
+  return {
+    expiring_days: expiringDays,
+    summary: {
+      active: count('Active'),
+      expiring: count('Expiring'),
+      expired: count('Expired'),
+      none: count('None'),
+      warranty_only: warrantyOnly.length,
+      overlap: overlap.length,
+      overlap_spend: roundMoney(overlap.reduce((sum, item) => sum + (item.overlap_spend || 0), 0))
+    },
+    by_type: Object.values(types).sort((a, b) => b.lines - a.lines),
+    warranty_only: warrantyOnly,
+    expiring,
+    overlap
+  };
+}
+
+/**
+ * Counts for the job analytics, with the first few expiring warranties
+ * @returns {Object} - { expiring_days, summary, by_type, expiring_soon }
+ */
+function summarizeWarranty(rows, options = {}) {
+  const { expiring_days: expiringDays, summary, by_type: byType, expiring } = analyzeWarranty(rows, options);
+  return { expiring_days: expiringDays, summary, by_type: byType, expiring_soon: expiring.slice(0, 10) };
+}
+
+module.exports = {
+  analyzeWarranty,
+  summarizeWarranty
+};
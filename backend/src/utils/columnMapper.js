@@ -1,59 +1,550 @@
-﻿// backend/src/utils/columnMapper.js
+// backend/src/utils/columnMapper.js
+// Column mapping utility for normalizing various column name formats
+const { dateFromFiscalPeriod } = require('./fiscalCalendar');
 
-const normalizeSupport = (value) => {
-  if (!value || value === '' || value === null || value === undefined) {
-    return 'Expired';
+/**
+ * Canonical fields every upload is normalized to. Variations are listed in
+ * order of preference - the Cisco Ready spelling first, then what other
+ * vendors and PSA tools call the same thing.
+ */
+const CANONICAL_FIELDS = {
+  mfg: {
+    label: 'Manufacturer',
+    type: 'text',
+    variations: ['manufacturer', 'mfg', 'vendor', 'supplier', 'make', 'brand', 'oem']
+  },
+  category: {
+    label: 'Category',
+    type: 'text',
+    variations: ['category', 'product category', 'asset category', 'device category']
+  },
+  business_entity: {
+    label: 'Business Entity',
+    type: 'text',
+    variations: ['business entity', 'businessentity', 'bus entity']
+  },
+  asset_type: {
+    label: 'Asset Type',
+    type: 'text',
+    variations: ['asset type', 'assettype', 'type of asset', 'equipment type']
+  },
+  type: {
+    label: 'Type',
+    type: 'text',
+    variations: ['product type', 'type', 'model type']
+  },
+  product_id: {
+    label: 'Product ID',
+    type: 'text',
+    required: true,
+    variations: ['product id', 'productid', 'pid', 'product number', 'part number', 'part no', 'model number', 'model', 'sku']
+  },
+  description: {
+    label: 'Description',
+    type: 'text',
+    variations: ['product description', 'description', 'productdescription', 'desc', 'details', 'product details', 'item description']
+  },
+  ship_date: {
+    label: 'Ship Date',
+    type: 'date',
+    variations: ['ship date', 'shipdate', 'ship dt', 'shipped date', 'date shipped', 'purchase date', 'install date']
+  },
+  qty: {
+    label: 'Quantity',
+    type: 'number',
+    variations: ['item quantity', 'qty', 'quantity', 'count', 'units', 'total qty']
+  },
+  total_value: {
+    label: 'Total Value',
+    type: 'number',
+    variations: ['total value', 'totalvalue', 'value', 'cost', 'total cost', 'extended price']
+  },
+  list_price: {
+    label: 'List Price',
+    type: 'number',
+    variations: ['product list price $', 'product list price', 'list price $', 'list price', 'extended list price', 'msrp']
+  },
+  support_coverage: {
+    label: 'Support Coverage',
+    type: 'status',
+    variations: ['covered line status', 'coverage', 'support coverage', 'supportcoverage', 'support status', 'maintenance status', 'contract status']
+  },
+  end_of_sale: {
+    label: 'End of Sale',
+    type: 'date',
+    variations: ['end of product sale date', 'end of product sale', 'end of sale', 'endofsale', 'end of sale date', 'eos', 'eos date']
+  },
+  eol_announcement: {
+    label: 'End-of-Life Announcement',
+    type: 'date',
+    variations: ['end-of-life announcement date', 'end of life announcement date', 'end-of-life announcement', 'end of life announcement', 'eol announcement date', 'eol announcement', 'eol date', 'end of life date']
+  },
+  end_of_sw_maintenance: {
+    label: 'End of SW Maintenance',
+    type: 'date',
+    variations: ['end of software maintenance date', 'end of software maintenance', 'end of sw maintenance date', 'end of sw maintenance', 'eoswm', 'eoswm date']
+  },
+  end_of_vuln_support: {
+    label: 'End of Vulnerability/Security Support',
+    type: 'date',
+    variations: ['end of vulnerability/security support date', 'end of vulnerability/security support', 'end of vulnerability support', 'end of security support', 'end of sw vulnerability', 'eovss', 'eovss date']
+  },
+  last_day_support: {
+    label: 'Last Day of Support',
+    type: 'date',
+    variations: ['last date of support', 'last day support', 'last day of support', 'lastdaysupport', 'last support', 'ldos', 'end of support', 'end of support date', 'eosl']
+  },
+  warranty_end_date: {
+    label: 'Warranty End Date',
+    type: 'date',
+    variations: ['warranty end date', 'warranty end', 'warranty expiration date', 'warranty expiration', 'warranty expires']
+  },
+  warranty_type: {
+    label: 'Warranty Type',
+    type: 'text',
+    variations: ['warranty type', 'warranty', 'warranty code', 'warranty description']
+  },
+  serial_number: {
+    label: 'Serial Number',
+    type: 'text',
+    variations: ['serial number / pak number', 'serial number', 'serialnumber', 'serial no', 'serial', 'sn', 'service tag']
+  },
+  instance_id: {
+    label: 'Instance ID',
+    type: 'text',
+    variations: ['instance id', 'instanceid', 'asset id', 'asset tag']
+  },
+  parent_instance_id: {
+    label: 'Parent Instance ID',
+    type: 'text',
+    variations: ['parent instance id', 'parentinstanceid', 'parent asset id', 'parent id']
+  },
+  install_site: {
+    label: 'Install Site',
+    type: 'text',
+    variations: ['install site name', 'install site', 'site name', 'site', 'location']
+  },
+  install_site_id: {
+    label: 'Install Site ID',
+    type: 'text',
+    variations: ['install site id', 'site id', 'location id']
+  },
+  install_site_address: {
+    label: 'Install Site Address',
+    type: 'text',
+    variations: ['install site address 1', 'install site address', 'site address', 'address 1', 'address']
+  },
+  install_site_city: {
+    label: 'Install Site City',
+    type: 'text',
+    variations: ['install site city', 'site city', 'city']
+  },
+  install_site_state: {
+    label: 'Install Site State',
+    type: 'text',
+    variations: ['install site state', 'site state', 'state', 'province']
+  },
+  install_site_country: {
+    label: 'Install Site Country',
+    type: 'text',
+    variations: ['install site country', 'site country', 'country']
+  },
+  install_site_postal_code: {
+    label: 'Install Site Postal Code',
+    type: 'text',
+    variations: ['install site postal code', 'site postal code', 'postal code', 'zip code', 'zip']
+  },
+  migration_pid: {
+    label: 'Migration PID',
+    type: 'text',
+    variations: ['migration pid list', 'migration pid', 'migration product id', 'replacement pid', 'successor pid']
+  },
+  contract_number: {
+    label: 'Contract Number',
+    type: 'text',
+    variations: ['contract number', 'contract', 'contract no', 'contract id', 'service contract number', 'service contract', 'agreement number']
+  },
+  contract_type: {
+    label: 'Contract Type',
+    type: 'text',
+    variations: ['contract type', 'service type', 'coverage type', 'service program']
+  },
+  coverage_start_date: {
+    label: 'Coverage Start Date',
+    type: 'date',
+    variations: ['covered line start date', 'coverage start date', 'contract start date', 'service start date', 'support start date']
+  },
+  coverage_end_date: {
+    label: 'Coverage End Date',
+    type: 'date',
+    variations: ['covered line end date', 'coverage end date', 'contract end date', 'service end date', 'support end date', 'contract expiration date']
+  },
+  auto_renewal: {
+    label: 'Auto-renewal',
+    type: 'text',
+    variations: ['auto-renewal flag', 'auto renewal flag', 'auto-renewal', 'auto renewal', 'auto renew']
+  },
+  product_family: {
+    label: 'Product Family',
+    type: 'text',
+    variations: ['product family', 'family', 'product line', 'product series', 'series']
+  },
+  service_level: {
+    label: 'Default Service Level',
+    type: 'text',
+    variations: ['default service level', 'service level', 'recommended service level']
+  },
+  service_list_price: {
+    label: 'Default Service List Price',
+    type: 'number',
+    variations: ['default service list price $', 'default service list price', 'service list price $', 'service list price', 'support list price']
+  },
+  coverage_list_price: {
+    label: 'Existing Coverage Level List Price',
+    type: 'number',
+    variations: ['existing coverage level list price $', 'existing coverage level list price', 'existing coverage list price', 'coverage list price', 'renewal list price']
+  },
+  // Cisco fiscal periods ("2026 Q1"), read into a date when the exact date is missing
+  ship_date_fq: {
+    label: 'Ship Date FY-FQ',
+    type: 'text',
+    variations: ['ship date fy-fq', 'ship date fy fq', 'ship fy-fq', 'ship date fiscal quarter']
+  },
+  last_day_support_fq: {
+    label: 'LDOS FY-FQ',
+    type: 'text',
+    variations: ['ldos fy-fq', 'ldos fy fq', 'last date of support fy-fq', 'ldos fiscal quarter']
+  },
+  coverage_end_date_fq: {
+    label: 'Coverage End Date FY-FQ',
+    type: 'text',
+    variations: ['covered line end date fy-fq', 'covered line end date fy fq', 'coverage end date fy-fq', 'coverage end fiscal quarter']
   }
-  
-  const strValue = value.toString().trim();
-  const upperValue = strValue.toUpperCase();
-  
-  if (strValue === '-' || strValue === '.' || strValue === '?' || strValue === '0' || strValue === '') {
-    return 'Expired';
+};
+
+// Date fields a fiscal period column can stand in for
+const FISCAL_PERIOD_FIELDS = {
+  ship_date: 'ship_date_fq',
+  last_day_support: 'last_day_support_fq',
+  coverage_end_date: 'coverage_end_date_fq'
+};
+
+// Where a date on a normalized row came from, recorded per field in date_sources
+const DATE_SOURCES = {
+  file: 'file',
+  fiscalPeriod: 'fiscal_period',
+  catalog: 'catalog'
+};
+
+// Legacy shape (field -> list of spellings) kept for callers that only need names
+const COLUMN_MAPPINGS = Object.fromEntries(
+  Object.entries(CANONICAL_FIELDS).map(([field, def]) => [field, def.variations])
+);
+
+const SAMPLE_SIZE = 5;
+
+/**
+ * Normalize a header for comparison: lowercase, underscores/whitespace collapsed
+ * @param {string} header - Raw header text
+ * @returns {string} - Comparable header text
+ */
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[\s_]+/g, ' ');
+}
+
+const isBlankValue = (value) => value === null || value === undefined || value === '' || value === '-';
+
+const looksNumeric = (value) => !isNaN(parseFloat(String(value).replace(/[$,]/g, '')));
+
+const looksLikeDate = (value) => {
+  if (typeof value === 'number') return value > 20000 && value < 80000; // Excel serial dates
+  return !isNaN(new Date(value).getTime());
+};
+
+/**
+ * Score how well a header matches a canonical field
+ * @returns {number} - 0-100
+ */
+function scoreHeader(header, fieldDef) {
+  const normalized = normalizeHeader(header);
+  let best = 0;
+
+  fieldDef.variations.forEach((variation, index) => {
+    let score = 0;
+    if (normalized === variation) {
+      score = 100 - Math.min(index, 5);
+    } else if (variation.includes(' ') && normalized.startsWith(`${variation} `)) {
+      // Multi-word spelling leading a longer header ("Item Quantity Shipped"). A
+      // word in front names something else: "CX Product Category" is the CX offer
+      // category, "Sub Business Entity" a level below the business entity
+      score = 70 - Math.min(index, 5);
+    }
+    best = Math.max(best, score);
+  });
+
+  return best;
+}
+
+/**
+ * Lower confidence when sample values don't look like the field's type
+ */
+function adjustForSamples(score, fieldDef, samples) {
+  const values = samples.filter(v => !isBlankValue(v));
+  if (values.length === 0 || fieldDef.type === 'text' || fieldDef.type === 'status') {
+    return score;
   }
-  
-  // ONLY these values mean Active
-  if (upperValue === 'ACTIVE' || upperValue === 'COVERED') {
-    return 'Active';
+  const check = fieldDef.type === 'number' ? looksNumeric : looksLikeDate;
+  const matching = values.filter(check).length / values.length;
+  return matching >= 0.5 ? score : Math.max(score - 30, 0);
+}
+
+/**
+ * Collect the headers seen in a set of rows, in first-seen order
+ * @param {Array} data - Array of raw data rows
+ * @returns {Array} - Header names
+ */
+function getHeaders(data) {
+  const headers = [];
+  const seen = new Set();
+  (data || []).slice(0, 50).forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        headers.push(key);
+      }
+    });
+  });
+  return headers;
+}
+
+/**
+ * Collect up to SAMPLE_SIZE non-empty sample values per header
+ * @param {Array} data - Array of raw data rows
+ * @param {Array} headers - Header names
+ * @returns {Object} - Map of header to sample values
+ */
+function getSampleValues(data, headers) {
+  const samples = {};
+  headers.forEach(header => {
+    samples[header] = [];
+    for (const row of data) {
+      if (samples[header].length >= SAMPLE_SIZE) break;
+      if (!isBlankValue(row[header])) samples[header].push(row[header]);
+    }
+  });
+  return samples;
+}
+
+/**
+ * Suggest which header feeds each canonical field
+ * @param {Array} headers - Header names from the file
+ * @param {Array} data - Raw data rows (used to sanity-check sample values)
+ * @returns {Object} - { mapping: { field: header|null }, confidence: { field: 0-100 } }
+ */
+function suggestMapping(headers, data = []) {
+  const samples = getSampleValues(data, headers);
+  const candidates = [];
+
+  Object.entries(CANONICAL_FIELDS).forEach(([field, def]) => {
+    headers.forEach(header => {
+      const score = adjustForSamples(scoreHeader(header, def), def, samples[header] || []);
+      if (score > 0) candidates.push({ field, header, score });
+    });
+  });
+
+  // Greedy assignment - best matches first, each header feeds at most one field
+  candidates.sort((a, b) => b.score - a.score);
+  const assigned = {};
+  const usedHeaders = new Set();
+
+  candidates.forEach(({ field, header, score }) => {
+    if (assigned[field] || usedHeaders.has(header)) return;
+    assigned[field] = { header, score };
+    usedHeaders.add(header);
+  });
+
+  const mapping = {};
+  const confidence = {};
+  Object.keys(CANONICAL_FIELDS).forEach(field => {
+    mapping[field] = assigned[field] ? assigned[field].header : null;
+    confidence[field] = assigned[field] ? assigned[field].score : 0;
+  });
+
+  return { mapping, confidence };
+}
+
+/**
+ * Check a user-supplied mapping against the headers in the file
+ * @param {Object} mapping - { field: header|null }
+ * @param {Array} headers - Header names from the file
+ * @returns {Array} - Error messages (empty when valid)
+ */
+function validateMapping(mapping, headers) {
+  const errors = [];
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['Column mapping must be an object of field -> header'];
   }
-  
-  // EVERYTHING ELSE is Expired
-  return 'Expired';
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (!CANONICAL_FIELDS[field]) {
+      errors.push(`Unknown field "${field}"`);
+    } else if (header && !headers.includes(header)) {
+      errors.push(`Column "${header}" mapped to ${CANONICAL_FIELDS[field].label} was not found in the file`);
+    }
+  });
+  Object.entries(CANONICAL_FIELDS).forEach(([field, def]) => {
+    if (def.required && !mapping[field]) {
+      errors.push(`${def.label} must be mapped to a column`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Build the mapping preview returned to the UI before a job is created
+ * @param {Array} data - Raw data rows
+ * @param {Array} headers - Header names (defaults to those found in data)
+ * @returns {Object} - { headers, fields, mapping, confidence, samples }
+ */
+function buildMappingPreview(data, headers = getHeaders(data)) {
+  const { mapping, confidence } = suggestMapping(headers, data);
+
+  return {
+    headers,
+    fields: Object.entries(CANONICAL_FIELDS).map(([field, def]) => ({
+      field,
+      label: def.label,
+      type: def.type,
+      required: !!def.required
+    })),
+    mapping,
+    confidence,
+    samples: getSampleValues(data, headers)
+  };
+}
+
+const ACTIVE_STATUSES = ['ACTIVE', 'COVERED', 'YES', 'Y', 'SUPPORTED', 'UNDER SUPPORT', 'IN CONTRACT'];
+const EXPIRED_STATUSES = ['EXPIRED', 'OVERDUE', 'NEVER COVERED', 'NOT COVERED', 'NOTCOVERED', 'UNCOVERED',
+  'TERMINATED', 'CANCELLED', 'INACTIVE', 'ENDED', 'LAPSED', 'NO', 'N', 'NONE'];
+
+/**
+ * Read a covered line status into Active, Expired or Unknown. This is what
+ * the file says about the contract line; supportCoverage.classifyCoverage
+ * turns it into the coverage state of the asset.
+ */
+const normalizeSupport = (value) => {
+  if (isBlankValue(value)) return 'Unknown';
+  const upperValue = String(value).trim().toUpperCase().replace(/[_\s]+/g, ' ');
+
+  if (ACTIVE_STATUSES.includes(upperValue)) return 'Active';
+  if (EXPIRED_STATUSES.includes(upperValue)) return 'Expired';
+  if (/\b(NOT|NO|NEVER|IN ?ACTIVE|EXPIRED|OVERDUE|LAPSED)\b/.test(upperValue)) return 'Expired';
+  if (/\b(ACTIVE|COVERED)\b/.test(upperValue)) return 'Active';
+  return 'Unknown';
+};
+
+// Y/N style flags to Yes/No, '-' when blank or unreadable
+const normalizeFlag = (value) => {
+  if (value === undefined || value === null) return '-';
+  const upperValue = String(value).trim().toUpperCase();
+  if (['Y', 'YES', 'TRUE', '1'].includes(upperValue)) return 'Yes';
+  if (['N', 'NO', 'FALSE', '0'].includes(upperValue)) return 'No';
+  return '-';
+};
+
+// Money amount, null when blank so an unpriced line is not mistaken for a free one
+const parsePrice = (value) => {
+  if (isBlankValue(value)) return null;
+  const amount = parseFloat(String(value).replace(/[$,]/g, ''));
+  return isNaN(amount) ? null : amount;
 };
 
-const processData = (data) => {
+/**
+ * Normalize raw rows into the canonical row shape
+ * @param {Array} data - Array of raw data rows
+ * @param {Object} mapping - { field: header|null }; suggested from the headers when omitted
+ * @returns {Array} - Array of normalized rows
+ */
+const processData = (data, mapping) => {
+  const columnMapping = mapping || suggestMapping(getHeaders(data), data).mapping;
+  const valueOf = (row, field) => {
+    const header = columnMapping[field];
+    return header ? row[header] : undefined;
+  };
+
   return data.map((row, index) => {
+    // Classified into the full coverage taxonomy once dates and warranty are known
+    const lineStatus = normalizeSupport(valueOf(row, 'support_coverage'));
+
+    // Missing dates fall back to the start of the fiscal period the file reports
+    const dateSources = {};
+    const dateOf = (field) => {
+      const value = valueOf(row, field);
+      if (!isBlankValue(value)) {
+        dateSources[field] = DATE_SOURCES.file;
+        return value;
+      }
+      const estimated = FISCAL_PERIOD_FIELDS[field] ? dateFromFiscalPeriod(valueOf(row, FISCAL_PERIOD_FIELDS[field])) : null;
+      if (!estimated) return '-';
+      dateSources[field] = DATE_SOURCES.fiscalPeriod;
+      return estimated;
+    };
+
     return {
       id: index + 1,
-      mfg: row.mfg || row.Manufacturer || row.manufacturer || row.vendor || '-',
-      category: row.category || row['Business Entity'] || row.business_entity || '-',
-      asset_type: row.asset_type || row['Asset Type'] || row.AssetType || '-',
-      type: row.type || row.Type || row['Product Type'] || '-',
-      product_id: row.product_id || row['Product ID'] || row.productid || row.pid || '-',
-      description: row.description || row['Product Description'] || row.product_description || '-',
-      ship_date: row.ship_date || row['Ship Date'] || row.ShipDate || row.ship_dt || '-',
-      qty: parseInt(row['Item Quantity']) || parseInt(row.qty) || parseInt(row.Qty) || parseInt(row.quantity) || parseInt(row.Quantity) || 0,
-      total_value: parseFloat(row.total_value || row['Total Value'] || row.totalvalue || row.value || 0) || 0,
-      support_coverage: (() => {
-        const coveredLineStatus = row['Covered Line Status'];
-        const coverage = row.Coverage;
-        
-        if (coveredLineStatus) {
-          return normalizeSupport(coveredLineStatus);
-        }
-        
-        if (coverage) {
-          return normalizeSupport(coverage);
-        }
-        
-        return 'Expired';
-      })(),
-      end_of_sale: row['End of Product Sale Date'] || row['End of Product Sale'] || row.end_of_sale || row.end_of_product_sale || '-',
-      last_day_support: row['Last Date of Support'] || row.last_day_support || row.last_date_of_support || row['Last Support'] || '-'
+      mfg: valueOf(row, 'mfg') || '-',
+      category: valueOf(row, 'category') || '-',
+      business_entity: valueOf(row, 'business_entity') || '-',
+      asset_type: valueOf(row, 'asset_type') || '-',
+      type: valueOf(row, 'type') || '-',
+      product_id: valueOf(row, 'product_id') || '-',
+      description: valueOf(row, 'description') || '-',
+      ship_date: dateOf('ship_date'),
+      qty: parseInt(valueOf(row, 'qty')) || 0,
+      total_value: parseFloat(valueOf(row, 'total_value') || 0) || 0,
+      list_price: parseFloat(String(valueOf(row, 'list_price') || 0).replace(/[$,]/g, '')) || 0,
+      support_coverage: lineStatus,
+      covered_line_status: lineStatus,
+      end_of_sale: dateOf('end_of_sale'),
+      eol_announcement: dateOf('eol_announcement'),
+      end_of_sw_maintenance: dateOf('end_of_sw_maintenance'),
+      end_of_vuln_support: dateOf('end_of_vuln_support'),
+      last_day_support: dateOf('last_day_support'),
+      warranty_end_date: valueOf(row, 'warranty_end_date') || '-',
+      warranty_type: valueOf(row, 'warranty_type') || '-',
+      serial_number: valueOf(row, 'serial_number') ? String(valueOf(row, 'serial_number')).trim() : '-',
+      instance_id: valueOf(row, 'instance_id') ? String(valueOf(row, 'instance_id')) : '-',
+      parent_instance_id: valueOf(row, 'parent_instance_id') ? String(valueOf(row, 'parent_instance_id')).trim() : '-',
+      install_site: valueOf(row, 'install_site') || '-',
+      install_site_id: valueOf(row, 'install_site_id') ? String(valueOf(row, 'install_site_id')).trim() : '-',
+      install_site_address: valueOf(row, 'install_site_address') || '-',
+      install_site_city: valueOf(row, 'install_site_city') || '-',
+      install_site_state: valueOf(row, 'install_site_state') || '-',
+      install_site_country: valueOf(row, 'install_site_country') || '-',
+      install_site_postal_code: valueOf(row, 'install_site_postal_code') ? String(valueOf(row, 'install_site_postal_code')).trim() : '-',
+      migration_pid: valueOf(row, 'migration_pid') ? String(valueOf(row, 'migration_pid')).trim() : '-',
+      contract_number: valueOf(row, 'contract_number') ? String(valueOf(row, 'contract_number')).trim() : '-',
+      contract_type: valueOf(row, 'contract_type') || '-',
+      coverage_start_date: valueOf(row, 'coverage_start_date') || '-',
+      coverage_end_date: dateOf('coverage_end_date'),
+      auto_renewal: normalizeFlag(valueOf(row, 'auto_renewal')),
+      product_family: valueOf(row, 'product_family') || '-',
+      service_level: valueOf(row, 'service_level') || '-',
+      service_list_price: parsePrice(valueOf(row, 'service_list_price')),
+      coverage_list_price: parsePrice(valueOf(row, 'coverage_list_price')),
+      date_sources: dateSources
     };
   });
 };
 
 module.exports = {
-  processData
-};
\ No newline at end of file
+  processData,
+  normalizeSupport,
+  normalizeHeader,
+  getHeaders,
+  suggestMapping,
+  validateMapping,
+  buildMappingPreview,
+  CANONICAL_FIELDS,
+  COLUMN_MAPPINGS,
+  DATE_SOURCES
+};
@@ -0,0 +1,149 @@
+// backend/src/utils/fiscalCalendar.js
+// Fiscal years and quarters under a configurable calendar, and Cisco "FY-FQ" values read back into dates
+
+const { DAY_MS } = require('./rowValues');
+
+// Cisco quarters are 13 weeks; in a 53-week fiscal year the extra week falls in Q1
+const CISCO_QUARTER_DAYS = 91;
+
+/**
+ * Supported calendars. Fiscal years are named after the calendar year they
+ * end in. Cisco's fiscal year ends on the last Saturday of July, so its
+ * quarters are counted in weeks rather than months.
+ */
+const FISCAL_CALENDARS = {
+  calendar: { label: 'Calendar year', startMonth: 1 },
+  cisco: { label: 'Cisco fiscal year (August - July)', startMonth: 8, endsLastSaturdayOfJuly: true },
+  customer: { label: 'Customer fiscal year', startMonth: parseInt(process.env.FISCAL_YEAR_START_MONTH) || 1 }
+};
+
+const DEFAULT_CALENDAR = FISCAL_CALENDARS[process.env.FISCAL_CALENDAR]
+  ? process.env.FISCAL_CALENDAR
+  : (process.env.FISCAL_YEAR_START_MONTH ? 'customer' : 'calendar');
+
+/**
+ * Calendar by name
+ * @param {string} name - calendar, cisco or customer; the configured default when omitted
+ * @param {Object} options - { startMonth } - first month (1-12) of the customer's fiscal year
+ * @returns {Object|null} - { name, label, startMonth, endsLastSaturdayOfJuly }, null for an unknown name or month
+ */
+function resolveCalendar(name, { startMonth } = {}) {
+  const key = name || DEFAULT_CALENDAR;
+  const definition = FISCAL_CALENDARS[key];
+  if (!definition) return null;
+  if (key === 'customer' && startMonth !== undefined) {
+    if (!Number.isInteger(startMonth) || startMonth < 1 || startMonth > 12) return null;
+    return { name: key, ...definition, startMonth };
+  }
+  return { name: key, ...definition };
+}
+
+const lastSaturdayOfJuly = (year) => {
+  const july31 = new Date(Date.UTC(year, 6, 31));
+  return new Date(july31.getTime() - ((july31.getUTCDay() + 1) % 7) * DAY_MS);
+};
+
+/**
+ * First day of a fiscal year
+ * @returns {Date} - UTC midnight
+ */
+function fiscalYearStart(year, calendar = resolveCalendar()) {
+  if (calendar.endsLastSaturdayOfJuly) {
+    return new Date(lastSaturdayOfJuly(year - 1).getTime() + DAY_MS);
+  }
+  return calendar.startMonth === 1
+    ? new Date(Date.UTC(year, 0, 1))
+    : new Date(Date.UTC(year - 1, calendar.startMonth - 1, 1));
+}
+
+/**
+ * Fiscal year a date falls in
+ * @param {Date} date - Any date
+ * @param {Object} calendar - From resolveCalendar
+ * @returns {number}
+ */
+function fiscalYearOf(date, calendar = resolveCalendar()) {
+  const year = date.getUTCFullYear();
+  return date >= fiscalYearStart(year + 1, calendar) ? year + 1 : year;
+}
+
+/**
+ * First day of a fiscal quarter
+ * @returns {Date} - UTC midnight
+ */
+function fiscalQuarterStart(year, quarter, calendar = resolveCalendar()) {
+  const start = fiscalYearStart(year, calendar);
+  if (calendar.endsLastSaturdayOfJuly) {
+    if (quarter === 1) return start;
+    const extraDays = Math.round((fiscalYearStart(year + 1, calendar) - start) / DAY_MS) - 4 * CISCO_QUARTER_DAYS;
+    return new Date(start.getTime() + ((quarter - 1) * CISCO_QUARTER_DAYS + extraDays) * DAY_MS);
+  }
+  return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + (quarter - 1) * 3, 1));
+}
+
+/**
+ * Fiscal year and quarter a date falls in
+ * @returns {Object} - { year, quarter, label } - label like "FY2026 Q1"
+ */
+function fiscalPeriodOf(date, calendar = resolveCalendar()) {
+  const year = fiscalYearOf(date, calendar);
+  let quarter = 4;
+  while (quarter > 1 && date < fiscalQuarterStart(year, quarter, calendar)) quarter--;
+  return { year, quarter, label: `FY${year} Q${quarter}` };
+}
+
+const FY_FIRST = /^FY\s*'?(\d{2}|\d{4})(?:\s*[-/\s]?\s*F?Q([1-4]))?$/i;
+const YEAR_FIRST = /^(\d{4})\s*[-/\s]\s*F?Q([1-4])$/i;
+const QUARTER_FIRST = /^F?Q([1-4])\s*[-/\s]?\s*(?:FY)?\s*'?(\d{2}|\d{4})$/i;
+
+const fullYear = (digits) => (digits.length === 2 ? 2000 + parseInt(digits) : parseInt(digits));
+
+/**
+ * Read a fiscal period such as "2026 Q1", "FY26-Q1", "Q1 FY2026" or "FY2026"
+ * @param {string} value - Fiscal period text
+ * @returns {Object|null} - { year, quarter } - quarter is null for a bare fiscal year
+ */
+function parseFiscalPeriod(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  let match = text.match(FY_FIRST);
+  if (match) return { year: fullYear(match[1]), quarter: match[2] ? parseInt(match[2]) : null };
+  match = text.match(YEAR_FIRST);
+  if (match) return { year: parseInt(match[1]), quarter: parseInt(match[2]) };
+  match = text.match(QUARTER_FIRST);
+  if (match) return { year: fullYear(match[2]), quarter: parseInt(match[1]) };
+  return null;
+}
+
+/**
+ * Stand-in date for a fiscal period when the file has no exact date - the
+ * first day of the quarter (or year), so nothing looks later than it can be.
+ * Cisco reports its own fiscal periods, hence the Cisco default.
+ * @returns {string|null} - YYYY-MM-DD, null when the value is not a fiscal period
+ */
+function dateFromFiscalPeriod(value, calendar = resolveCalendar('cisco')) {
+  const period = parseFiscalPeriod(value);
+  if (!period) return null;
+  const date = fiscalQuarterStart(period.year, period.quarter || 1, calendar);
+  return date.toISOString().split('T')[0];
+}
+
+// Calendar details reported with results, e.g. in forecast assumptions
+const describeCalendar = (calendar) => ({
+  name: calendar.name,
+  label: calendar.label,
+  start_month: calendar.startMonth
+});
+
+module.exports = {
+  FISCAL_CALENDARS,
+  DEFAULT_CALENDAR,
+  resolveCalendar,
+  describeCalendar,
+  fiscalYearStart,
+  fiscalYearOf,
+  fiscalQuarterStart,
+  fiscalPeriodOf,
+  parseFiscalPeriod,
+  dateFromFiscalPeriod
+};
@@ -0,0 +1,44 @@
+// backend/src/utils/rowValues.js
+// Reading normalized row values: the '-' placeholder for a blank cell, dates and money
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// columnMapper.processData writes '-' for a cell the file left blank
+const present = (value) => value !== undefined && value !== null && value !== '-' && String(value).trim() !== '';
+
+// Date of a row value, null when blank or not a date
+const toDate = (value) => {
+  if (!present(value)) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// True when a date value is set and on or before the reference date
+const isPast = (value, currentDate) => {
+  const date = toDate(value);
+  return date !== null && date <= currentDate;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// YYYY-MM-DD
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+module.exports = {
+  DAY_MS,
+  present,
+  toDate,
+  isPast,
+  addMonths,
+  addDays,
+  formatDate,
+  roundMoney
+};
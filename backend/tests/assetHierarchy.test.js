@@ -0,0 +1,85 @@
+// backend/tests/assetHierarchy.test.js
+const { buildHierarchy, deviceRows } = require('../src/services/assetHierarchy');
+
+let nextId = 1;
+const line = (instanceId, parentInstanceId, fields = {}) => ({
+  id: nextId++,
+  instance_id: instanceId,
+  parent_instance_id: parentInstanceId,
+  qty: 1,
+  total_value: 0,
+  list_price: 0,
+  ...fields
+});
+
+const shape = (rows) => rows.map(row => [row.instance_id, row.depth, row.is_device]);
+
+beforeEach(() => {
+  nextId = 1;
+});
+
+describe('buildHierarchy', () => {
+  test('links modules and licenses to their chassis and rolls them up', () => {
+    const chassis = line('100', '-1', { qty: 1, list_price: 20000 });
+    const lineCard = line('101', '100', { qty: 2, list_price: 3000 });
+    const license = line('102', '101', { qty: 48, list_price: 500 });
+    const rows = [license, chassis, lineCard];
+
+    expect(buildHierarchy(rows)).toEqual({ line_items: 3, devices: 1, components: 2, orphans: 0, max_depth: 2 });
+    expect(shape(rows)).toEqual([['102', 2, false], ['100', 0, true], ['101', 1, false]]);
+    expect(license).toMatchObject({ parent_row_id: lineCard.id, top_level_id: chassis.id });
+    expect(chassis).toMatchObject({ component_count: 2, rollup_qty: 51, rollup_list_price: 23500 });
+  });
+
+  test('treats -1, 0, blank and "-" parents as top level, not orphans', () => {
+    const rows = [line('1', '-1'), line('2', '0'), line('3', ''), line('4', '-'), line('5', undefined)];
+
+    expect(buildHierarchy(rows)).toMatchObject({ devices: 5, orphans: 0 });
+  });
+
+  test('makes a line whose parent is not in the file a device and counts it as an orphan', () => {
+    const orphan = line('200', '999', { qty: 1 });
+    const child = line('201', '200', { qty: 4 });
+    const rows = [orphan, child];
+
+    expect(buildHierarchy(rows)).toMatchObject({ devices: 1, components: 1, orphans: 1 });
+    expect(orphan).toMatchObject({ is_device: true, parent_row_id: null, rollup_qty: 5 });
+    expect(child.top_level_id).toBe(orphan.id);
+  });
+
+  test('makes a line that is its own parent a device', () => {
+    const rows = [line('300', '300')];
+
+    expect(buildHierarchy(rows)).toMatchObject({ devices: 1, orphans: 1, max_depth: 0 });
+    expect(rows[0].top_level_id).toBe(rows[0].id);
+  });
+
+  test('makes every line on or below a parent loop a device', () => {
+    const rows = [line('400', '401'), line('401', '400'), line('402', '400')];
+
+    expect(buildHierarchy(rows)).toMatchObject({ devices: 3, components: 0, max_depth: 0 });
+    rows.forEach(row => {
+      expect(row).toMatchObject({ parent_row_id: null, top_level_id: row.id, component_count: 0 });
+    });
+  });
+
+  test('links to the first line of a duplicated Instance ID', () => {
+    const first = line('500', '-1');
+    const duplicate = line('500', '-1');
+    const child = line('501', '500');
+
+    buildHierarchy([first, duplicate, child]);
+    expect(child.top_level_id).toBe(first.id);
+    expect(duplicate.component_count).toBe(0);
+  });
+});
+
+describe('deviceRows', () => {
+  test('lists devices with their rolled-up value and list price', () => {
+    const rows = [line('1', '-1', { total_value: 100, list_price: 1000 }), line('2', '1', { total_value: 10, list_price: 50 })];
+    buildHierarchy(rows);
+
+    expect(deviceRows(rows)).toEqual([expect.objectContaining({ instance_id: '1', total_value: 110, list_price: 1050 })]);
+    expect(rows[0].list_price).toBe(1000);
+  });
+});
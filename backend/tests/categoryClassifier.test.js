@@ -0,0 +1,71 @@
+// backend/tests/categoryClassifier.test.js
+const {
+  UNCATEGORIZED,
+  CATEGORY_PATHS,
+  compileRules,
+  classifyRow,
+  isCategoryPath
+} = require('../src/services/categoryClassifier');
+
+const row = (fields) => ({ product_id: '-', product_family: '-', type: '-', business_entity: '-', description: '-', category: '-', ...fields });
+
+describe('classifyRow', () => {
+  test('places a row by its Product Family and PID', () => {
+    expect(classifyRow(row({ product_id: 'C9300-48P-E', product_family: 'C9300' }))).toEqual({
+      category: 'Networking > Switching > Access',
+      confidence: 85,
+      source: 'rule'
+    });
+    expect(classifyRow(row({ product_id: 'N9K-C93180YC-FX' }))).toMatchObject({ category: 'Networking > Switching > Data Center', confidence: 80 });
+  });
+
+  test('puts parts ahead of the platform family they are sold under', () => {
+    expect(classifyRow(row({ product_id: 'SFP-10G-SR', product_family: 'C9300' })).category).toBe('Networking > Optics & Transceivers');
+    expect(classifyRow(row({ product_id: 'PWR-C1-350WAC-P', product_family: 'C9300' })).category).toBe('Accessories > Power & Cabling');
+  });
+
+  test('uses the Business Entity only when nothing more specific matches', () => {
+    expect(classifyRow(row({ business_entity: 'Switching' }))).toEqual({ category: 'Networking > Switching', confidence: 50, source: 'rule' });
+    expect(classifyRow(row({ business_entity: 'Switching', description: 'Cisco 48-port switch' })).confidence).toBe(65);
+  });
+
+  test('applies a customer override for the Product ID before any rule', () => {
+    const overrides = new Map([['C9300-48P-E', 'Networking > Switching > Core & Distribution']]);
+
+    expect(classifyRow(row({ product_id: ' c9300-48p-e ', product_family: 'C9300' }), { overrides })).toEqual({
+      category: 'Networking > Switching > Core & Distribution',
+      confidence: 100,
+      source: 'override'
+    });
+    expect(classifyRow(row({ product_id: 'C9200L-24P-4G-E', product_family: 'C9200' }), { overrides }).source).toBe('rule');
+  });
+
+  test('falls back to the file category, then Uncategorized', () => {
+    expect(classifyRow(row({ product_id: 'XYZ-1', category: 'Widgets' }))).toEqual({ category: 'Widgets', confidence: 40, source: 'file' });
+    expect(classifyRow(row({ product_id: 'XYZ-1' }))).toEqual({ category: UNCATEGORIZED, confidence: 0, source: 'none' });
+  });
+
+  test('takes compiled custom rules, every condition of a rule must match', () => {
+    const rules = compileRules([
+      { category: 'Compute > Servers', when: { product_id: '^UCS', description: 'rack' }, priority: 10, confidence: 60 }
+    ]);
+
+    expect(classifyRow(row({ product_id: 'UCSC-C220-M5SX', description: 'UCS C220 rack server' }), { rules }).category).toBe('Compute > Servers');
+    expect(classifyRow(row({ product_id: 'UCSC-C220-M5SX', description: 'UCS C220 server' }), { rules }).category).toBe(UNCATEGORIZED);
+  });
+});
+
+describe('compileRules', () => {
+  test('rejects a rule on an unknown field', () => {
+    expect(() => compileRules([{ category: 'Compute', when: { serial_number: 'FOC' }, priority: 1, confidence: 1 }]))
+      .toThrow('Unknown rule field: serial_number');
+  });
+});
+
+describe('isCategoryPath', () => {
+  test('accepts every level of the tree and nothing else', () => {
+    expect(CATEGORY_PATHS).toEqual(expect.arrayContaining(['Networking', 'Networking > Switching', 'Networking > Switching > Access']));
+    expect(isCategoryPath('Networking > Switching')).toBe(true);
+    expect(isCategoryPath('Networking > Switches')).toBe(false);
+  });
+});
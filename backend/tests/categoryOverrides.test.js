@@ -0,0 +1,38 @@
+// backend/tests/categoryOverrides.test.js
+jest.mock('../src/config/database', () => ({ query: jest.fn() }));
+
+const pool = require('../src/config/database');
+const { validateOverride, loadOverrides } = require('../src/services/categoryOverrides');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('validateOverride', () => {
+  test('normalizes the Product ID and requires a category path from the tree', () => {
+    expect(validateOverride({ customer_name: ' City of St Cloud ', product_id: 'c9300-48p-e', category: 'Networking > Switching > Access' })).toEqual({
+      override: { customer_name: 'City of St Cloud', product_id: 'C9300-48P-E', category: 'Networking > Switching > Access', notes: null },
+      errors: []
+    });
+    expect(validateOverride({}).errors).toEqual(['customer_name is required', 'product_id is required', 'category is required']);
+    expect(validateOverride({ customer_name: 'A', product_id: 'B', category: 'Switches' }).errors).toEqual([
+      'category must be a path in the category tree, e.g. "Networking > Switching > Access"'
+    ]);
+  });
+});
+
+describe('loadOverrides', () => {
+  test('maps the Product IDs of one customer to their category', async () => {
+    pool.query.mockResolvedValue({ rows: [{ customer_name: 'City of St Cloud', product_id: 'C9300-48P-E', category: 'Networking > Switching' }] });
+
+    const overrides = await loadOverrides('City of St Cloud');
+
+    expect(overrides).toEqual(new Map([['C9300-48P-E', 'Networking > Switching']]));
+    expect(pool.query.mock.calls[0][1]).toEqual(['default-tenant', 'City of St Cloud']);
+  });
+
+  test('skips the lookup without a customer name', async () => {
+    expect(await loadOverrides('')).toEqual(new Map());
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
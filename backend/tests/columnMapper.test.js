@@ -0,0 +1,141 @@
+// backend/tests/columnMapper.test.js
+const { suggestMapping, validateMapping, CANONICAL_FIELDS } = require('../src/utils/columnMapper');
+
+// Header row of a Cisco Ready export, in file order
+const CISCO_READY_HEADERS = [
+  'Serial Number / PAK number', 'Coverage', 'Covered Line Status', 'Business Entity', 'Sub Business Entity',
+  'Product Family', 'Product ID', 'Product Description', 'Asset Type', 'Product Type', 'Buying Program',
+  'Offer Type', 'Parent Offer Type', 'PID Mapping Group', 'Item Quantity', 'Covered Line Start Date',
+  'Covered Line End Date', 'Covered Line End Date FY', 'Covered Line End Date FY-FQ', 'Contract Type',
+  'Service Brand Code', 'Contract Number', 'Contract Description', 'Subscription ID', 'Ship Date',
+  'Ship Date FY', 'Ship Date FY-FQ', 'Covered', 'Last Renewal Date', 'End of Software Maintenance Date',
+  'End-of-Life Announcement Date', 'End of Routine Failure Analysis Date',
+  'End of Vulnerability/Security Support Date', 'Last Date of Support', 'LDOS FY', 'LDOS FY-FQ',
+  'Migration PID List', 'End Of Life Product Bulletin', 'MSS Extended Support Assessment Result',
+  'MSS Extended Support End Date', 'MSS Extended Support Approved Service Level', 'Warranty Type',
+  'Warranty End Date', 'Install Site GU Name', 'Install Site GU ID', 'Install Site CR Parent Party Name',
+  'Install Site CR Parent Party ID', 'Install Site CR Party Name', 'Install Site CR Party ID',
+  'Install Site Name', 'Install Site ID', 'Install Site Address 1', 'Install Site City',
+  'Install Site State', 'Install Site Country', 'Install Site Postal Code', 'Best Partner BE GEO ID',
+  'Best Partner BE GEO Name', 'Best Partner BE Country', 'Service Distributor Profile ID',
+  'Service Distributor Master Name', 'Product Bill to ID', 'Product Bill to Partner Name',
+  'Product Partner BE GEO ID', 'Product Partner BE GEO Name', 'POS Partner BE GEO ID',
+  'POS Partner BE GEO Name', 'Service Bill to ID', 'Service Bill to Partner Name',
+  'Service Partner BE GEO ID', 'Service Partner BE GEO Name', 'Product List Price $',
+  'Default Service List Price $', 'Default Service Level', 'Existing Coverage Level List Price $',
+  'Instance ID', 'Parent Instance ID', 'Product SO', 'Product PO', 'Service SO', 'Service PO',
+  'Web Order ID', 'Mapped to SWSS (Y/N)', 'Auto-renewal flag', 'Installed Base Status', 'ATR Eligible',
+  'Do Not Renew Reason', 'Intended Use', 'ST Eligible', 'ST current', 'License Product ID', 'ELA Yorn',
+  'CX Upsell Group', 'CX Product Portfolio', 'CX Product Category', 'CX Product', 'Architecture Name',
+  'Deal ID', 'POS Transaction ID', 'Transaction Type', 'Distributor SO', 'Renewal Commercial View',
+  'Transactional AI Yorn', 'Transactional AI Product Class', 'AI Intent Type', 'SAV LVL 1', 'SAV LVL 2',
+  'SAV LVL 3', 'SAV LVL 4', 'SAV LVL 5', 'SAV LVL 6', 'SAV Owner', 'SAV ID', 'SAV Name', 'Field Notice',
+  'Field Notice Title', 'Major/Minor', 'Configuration'
+];
+
+describe('suggestMapping', () => {
+  test('maps Cisco Ready headers exactly, at full confidence', () => {
+    const { mapping, confidence } = suggestMapping(['Product ID', 'Item Quantity', 'Last Date of Support', 'Covered Line Status']);
+
+    expect(mapping.product_id).toBe('Product ID');
+    expect(mapping.qty).toBe('Item Quantity');
+    expect(mapping.last_day_support).toBe('Last Date of Support');
+    expect(confidence.product_id).toBe(100);
+    expect(confidence.qty).toBe(100);
+  });
+
+  test('ignores case and underscores, and scores later spellings lower', () => {
+    const { mapping, confidence } = suggestMapping(['PRODUCT_ID', 'Vendor']);
+
+    expect(mapping.product_id).toBe('PRODUCT_ID');
+    expect(confidence.product_id).toBe(100);
+    expect(mapping.mfg).toBe('Vendor');
+    expect(confidence.mfg).toBe(98);
+  });
+
+  test('matches a multi-word spelling leading a longer header at 70', () => {
+    const { mapping, confidence } = suggestMapping(['Part', 'Item Quantity Shipped']);
+
+    expect(mapping.qty).toBe('Item Quantity Shipped');
+    expect(confidence.qty).toBe(70);
+  });
+
+  test('does not match a spelling with another word in front of it', () => {
+    const { mapping } = suggestMapping(['CX Product Category', 'Sub Business Entity', 'Total Item Quantity']);
+
+    expect(Object.values(mapping).every(header => header === null)).toBe(true);
+  });
+
+  test('maps a real Cisco Ready header row', () => {
+    const { mapping } = suggestMapping(CISCO_READY_HEADERS);
+
+    expect(mapping).toMatchObject({
+      category: null,
+      business_entity: 'Business Entity',
+      asset_type: 'Asset Type',
+      type: 'Product Type',
+      product_id: 'Product ID',
+      description: 'Product Description',
+      ship_date: 'Ship Date',
+      qty: 'Item Quantity',
+      support_coverage: 'Covered Line Status',
+      last_day_support: 'Last Date of Support'
+    });
+    // The CX offer columns describe the service, not the product
+    expect(Object.values(mapping).filter(header => /^CX /.test(header || ''))).toEqual([]);
+  });
+
+  test('lowers confidence when samples do not look like the field type', () => {
+    const headers = ['Qty', 'Item Quantity Shipped', 'Ship Date'];
+    const data = [
+      { Qty: 'n/a', 'Item Quantity Shipped': 3, 'Ship Date': 'pending' },
+      { Qty: 'tbd', 'Item Quantity Shipped': 1, 'Ship Date': '2024-02-01' }
+    ];
+    const { mapping, confidence } = suggestMapping(headers, data);
+
+    // 'Qty' drops to 69, under the contained match
+    expect(mapping.qty).toBe('Item Quantity Shipped');
+    expect(confidence.qty).toBe(70);
+    // Half the samples are dates, which is enough
+    expect(confidence.ship_date).toBe(100);
+  });
+
+  test('gives each header to one field, best match first', () => {
+    const { mapping } = suggestMapping(['Product Type', 'Type']);
+
+    expect(mapping.type).toBe('Product Type');
+    expect(Object.values(mapping).filter(header => header === 'Type')).toHaveLength(0);
+  });
+
+  test('returns every canonical field, null and 0 when nothing matches', () => {
+    const { mapping, confidence } = suggestMapping(['Notes', 'Owner']);
+
+    expect(Object.keys(mapping)).toEqual(Object.keys(CANONICAL_FIELDS));
+    expect(Object.values(mapping).every(header => header === null)).toBe(true);
+    expect(Object.values(confidence).every(score => score === 0)).toBe(true);
+  });
+});
+
+describe('validateMapping', () => {
+  const headers = ['PID', 'Qty', 'Description'];
+
+  test('accepts a mapping onto columns of the file', () => {
+    expect(validateMapping({ product_id: 'PID', qty: 'Qty', description: null }, headers)).toEqual([]);
+  });
+
+  test('reports unknown fields and columns missing from the file', () => {
+    expect(validateMapping({ product_id: 'PID', colour: 'Qty', qty: 'Quantity' }, headers)).toEqual([
+      'Unknown field "colour"',
+      'Column "Quantity" mapped to Quantity was not found in the file'
+    ]);
+  });
+
+  test('rejects a mapping without a required field', () => {
+    expect(validateMapping({ product_id: null, qty: 'Qty' }, headers)).toEqual(['Product ID must be mapped to a column']);
+    expect(validateMapping({}, headers)).toEqual(['Product ID must be mapped to a column']);
+  });
+
+  test('rejects anything but an object', () => {
+    expect(validateMapping(['PID'], headers)).toEqual(['Column mapping must be an object of field -> header']);
+  });
+});
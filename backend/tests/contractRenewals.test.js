@@ -0,0 +1,117 @@
+// backend/tests/contractRenewals.test.js
+const {
+  parseRenewalWindows,
+  findCoTermOpportunities,
+  analyzeContracts
+} = require('../src/services/contractRenewals');
+
+const CURRENT_DATE = new Date('2025-06-01T00:00:00Z');
+
+const row = (fields) => ({
+  contract_number: '-',
+  contract_type: '-',
+  install_site: 'City Hall',
+  qty: 1,
+  list_price: 0,
+  coverage_start_date: '-',
+  coverage_end_date: '-',
+  auto_renewal: '-',
+  ...fields
+});
+
+const ROWS = [
+  row({ contract_number: 'C1', contract_type: 'SNT', qty: 2, list_price: 1000, coverage_start_date: '2024-07-01', coverage_end_date: '2025-07-01', auto_renewal: 'Yes' }),
+  row({ contract_number: 'C1', contract_type: 'SNT', install_site: 'Library', list_price: 500, coverage_start_date: '2024-01-01', coverage_end_date: '2025-12-31', auto_renewal: 'No' }),
+  row({ contract_number: 'C2', contract_type: '8X5XNBD', qty: 3, list_price: 3000, coverage_start_date: '2023-07-01', coverage_end_date: '2025-07-01', auto_renewal: 'Yes' }),
+  row({ contract_number: 'C3', coverage_start_date: '2022-01-01', coverage_end_date: '2024-12-31' }),
+  row({})
+];
+
+describe('parseRenewalWindows', () => {
+  test('sorts and dedupes day counts, rejecting out of range values', () => {
+    expect(parseRenewalWindows('90, 30,60,30')).toEqual([30, 60, 90]);
+    expect(parseRenewalWindows([180])).toEqual([180]);
+    expect(parseRenewalWindows('30,0')).toBeNull();
+    expect(parseRenewalWindows('731')).toBeNull();
+    expect(parseRenewalWindows('30,soon')).toBeNull();
+  });
+});
+
+describe('analyzeContracts', () => {
+  test('groups lines per contract, active contracts first', () => {
+    const { summary, contracts } = analyzeContracts(ROWS, { currentDate: CURRENT_DATE });
+
+    expect(summary).toEqual({
+      contracts: 3,
+      active_contracts: 2,
+      auto_renewing_contracts: 1,
+      contract_lines: 4,
+      lines_without_contract: 1
+    });
+    expect(contracts.map(contract => [contract.contract_number, contract.status])).toEqual([
+      ['C1', 'Active'], ['C2', 'Active'], ['C3', 'Expired']
+    ]);
+    expect(contracts[0]).toMatchObject({
+      lines: 2,
+      active_lines: 2,
+      quantity: 3,
+      list_value: 1500,
+      start_date: '2024-01-01',
+      end_date: '2025-12-31',
+      next_end_date: '2025-07-01',
+      auto_renewal: 'Mixed',
+      sites: ['City Hall', 'Library'],
+      end_dates: [
+        { date: '2025-07-01', lines: 1, quantity: 2 },
+        { date: '2025-12-31', lines: 1, quantity: 1 }
+      ]
+    });
+    expect(contracts[2]).toMatchObject({ active_lines: 0, next_end_date: null, auto_renewal: 'Unknown' });
+  });
+
+  test('buckets each contract end date into a renewal window', () => {
+    const { calendar } = analyzeContracts(ROWS, { currentDate: CURRENT_DATE, windows: [30, 90] });
+
+    expect(calendar.windows[0]).toMatchObject({ days: 30, from_days: 0, contracts: 2, lines: 2, quantity: 5, list_value: 4000 });
+    expect(calendar.windows[0].renewals.map(renewal => [renewal.contract_number, renewal.days_until])).toEqual([['C1', 30], ['C2', 30]]);
+    expect(calendar.windows[1]).toMatchObject({ days: 90, from_days: 30, contracts: 0, renewals: [] });
+    expect(calendar.later).toEqual({ contracts: 1, lines: 1, quantity: 1, list_value: 500 });
+  });
+});
+
+describe('findCoTermOpportunities', () => {
+  test('suggests the end date most of the quantity renews on, the portfolio first', () => {
+    const opportunities = findCoTermOpportunities(ROWS, { currentDate: CURRENT_DATE });
+
+    expect(opportunities.map(opportunity => [opportunity.scope, opportunity.contract_numbers])).toEqual([
+      ['portfolio', ['C1', 'C2']],
+      ['contract', ['C1']]
+    ]);
+    expect(opportunities[0]).toMatchObject({
+      lines: 3,
+      quantity: 6,
+      earliest_end_date: '2025-07-01',
+      latest_end_date: '2025-12-31',
+      spread_days: 183,
+      target_end_date: '2025-07-01',
+      lines_to_extend: 0,
+      lines_to_shorten: 1,
+      unit_days_to_shorten: 183
+    });
+  });
+
+  test('lands every line on a given target date', () => {
+    const [portfolio] = findCoTermOpportunities(ROWS, { currentDate: CURRENT_DATE, targetDate: new Date('2025-12-31') });
+
+    expect(portfolio).toMatchObject({ target_end_date: '2025-12-31', lines_to_extend: 2, lines_to_shorten: 0, unit_days_to_extend: 915 });
+  });
+
+  test('skips contracts whose end dates are already within 30 days of each other', () => {
+    const rows = [
+      row({ contract_number: 'C1', coverage_end_date: '2025-09-01' }),
+      row({ contract_number: 'C1', coverage_end_date: '2025-09-20' })
+    ];
+
+    expect(findCoTermOpportunities(rows, { currentDate: CURRENT_DATE })).toEqual([]);
+  });
+});
@@ -0,0 +1,133 @@
+// backend/tests/dataProcessor.test.js
+jest.mock('../src/config/database', () => ({ query: jest.fn() }));
+jest.mock('../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const dataProcessor = require('../src/services/dataProcessor');
+
+// A pg client answering each statement in turn with the given result rows
+const mockClient = (...results) => {
+  const query = jest.fn();
+  results.forEach(rows => query.mockResolvedValueOnce({ rows }));
+  query.mockResolvedValue({ rows: [] });
+  return { query };
+};
+
+describe('enrichRows', () => {
+  test('fills the manufacturer where the file left it blank and places every row in the category tree', () => {
+    const rows = dataProcessor.enrichRows([
+      { product_id: 'C9300-48P-E', description: 'Cisco Catalyst 9300 48-port switch', mfg: '-', category: '-' },
+      { product_id: 'C9300-48P-E', description: 'Cisco Catalyst 9300 48-port switch', mfg: 'Acme', category: 'Access' },
+      { product_id: 'XYZ-1', description: 'Bracket', mfg: '-', category: 'Widgets' },
+      { product_id: 'XYZ-2', description: 'Bracket', mfg: '-', category: '-' }
+    ]);
+
+    expect(rows.map(row => [row.mfg, row.mfg_confidence])).toEqual([['Cisco', 95], ['Acme', 100], ['-', 0], ['-', 0]]);
+    expect(rows.map(row => [row.category, row.category_confidence, row.category_source])).toEqual([
+      ['Networking > Switching > Access', 80, 'rule'],
+      ['Networking > Switching > Access', 80, 'rule'],
+      ['Widgets', 40, 'file'],
+      ['Uncategorized', 0, 'none']
+    ]);
+  });
+
+  test('applies the customer category overrides', () => {
+    const categoryOverrides = new Map([['C9300-48P-E', 'Networking > Switching > Core & Distribution']]);
+    const [row] = dataProcessor.enrichRows([{ product_id: 'C9300-48P-E', mfg: 'Cisco', category: '-' }], { categoryOverrides });
+
+    expect(row).toMatchObject({ category: 'Networking > Switching > Core & Distribution', category_confidence: 100, category_source: 'override' });
+  });
+
+  test('gives rows no rule identifies the vendor of a single-vendor export', () => {
+    const sourceSystem = { name: 'Cisco Ready', manufacturer: 'Cisco', confidence: 70 };
+    const rows = dataProcessor.enrichRows([
+      { product_id: 'XYZ-1', description: 'Bracket', mfg: '-', category: '-' },
+      { product_id: 'FG-100F', description: 'Firewall', mfg: '-', category: '-' }
+    ], { sourceSystem });
+
+    expect(rows[0]).toMatchObject({ mfg: 'Cisco', mfg_confidence: 70 });
+    expect(rows[1]).toMatchObject({ mfg: 'Fortinet', mfg_confidence: 85 });
+  });
+});
+
+describe('determineLifecycleStatus', () => {
+  test('reads the inventory_analysis date columns as EoX milestones', () => {
+    expect(dataProcessor.determineLifecycleStatus({
+      end_of_life_date: '2001-01-01',
+      end_of_sale_date: '2002-01-01',
+      end_of_sw_maintenance_date: '2003-01-01',
+      end_of_sw_vulnerability_maintenance_date: null,
+      last_day_of_support_date: '2099-01-01'
+    })).toEqual({ status: 'End of SW Maintenance', nextMilestone: 'LDOS', nextDate: new Date('2099-01-01') });
+    expect(dataProcessor.determineLifecycleStatus({}).status).toBe('Current');
+  });
+});
+
+describe('processInventory', () => {
+  const product = {
+    product_id: 'C9300-48P-E',
+    total_quantity: '6',
+    total_value: '1200.50',
+    support_count: '1',
+    total_records: '4',
+    quantities_by_year: { 2020: 2, 2021: 4 },
+    end_of_life_date: null,
+    end_of_sale_date: '2001-01-01',
+    end_of_sw_maintenance_date: null,
+    end_of_sw_vulnerability_maintenance_date: null,
+    last_day_of_support_date: '2099-01-01'
+  };
+
+  test('replaces the aggregation of the job and returns its summary', async () => {
+    const summaryRow = { unique_products: '1', total_items: '6', total_inventory_value: '1200.50', end_of_sale_products: '1' };
+    const client = mockClient([product], [], [], [summaryRow]);
+
+    const summary = await dataProcessor.processInventory('job-1', client);
+
+    const [, remove, insert] = client.query.mock.calls;
+    expect(remove).toEqual(['DELETE FROM inventory_analysis WHERE job_id = $1', ['job-1']]);
+    expect(insert[1]).toEqual(expect.arrayContaining(['job-1', 'C9300-48P-E', '25.00']));
+    expect(insert[1].slice(-3)).toEqual(['End of Sale', 'LDOS', new Date('2099-01-01')]);
+    expect(summary).toEqual({
+      unique_products: 1,
+      total_items: 6,
+      total_inventory_value: 1200.5,
+      eol_announced_products: 0,
+      end_of_sale_products: 1,
+      end_of_sw_maintenance_products: 0,
+      end_of_vuln_support_products: 0,
+      eos_products: 0,
+      current_products: 0
+    });
+  });
+
+  test('fails when the job has no rows to aggregate', async () => {
+    await expect(dataProcessor.processInventory('job-1', mockClient([]))).rejects.toThrow('No data to aggregate');
+  });
+});
+
+describe('getProducts', () => {
+  test('pages products and parses numeric columns', async () => {
+    const client = mockClient(
+      [{ product_id: 'C9300-48P-E', total_quantity: '6', total_value: '1200.50', support_coverage_percent: null }],
+      [{ total: '12' }]
+    );
+
+    const result = await dataProcessor.getProducts('job-1', client, { limit: 5, offset: 10 });
+
+    expect(result).toEqual({
+      products: [{ product_id: 'C9300-48P-E', total_quantity: 6, total_value: 1200.5, support_coverage_percent: 0 }],
+      total: 12
+    });
+    expect(client.query.mock.calls[0][0]).toMatch(/OFFSET \$2 LIMIT \$3/);
+    expect(client.query.mock.calls[0][1]).toEqual(['job-1', 10, 5]);
+  });
+
+  test('returns every product when no limit is given', async () => {
+    const client = mockClient([], [{ total: '0' }]);
+
+    await dataProcessor.getProducts('job-1', client);
+
+    expect(client.query.mock.calls[0][0]).not.toMatch(/LIMIT/);
+    expect(client.query.mock.calls[0][1]).toEqual(['job-1', 0]);
+  });
+});
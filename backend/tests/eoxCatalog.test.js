@@ -0,0 +1,140 @@
+// backend/tests/eoxCatalog.test.js
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const pool = require('../src/config/database');
+const { validateEntry, readImportRows, listAllEntries, enrichRows } = require('../src/services/eoxCatalog');
+
+const dbEntry = (fields) => ({
+  manufacturer: 'Cisco',
+  product_id: 'WS-C2960X-48FPD-L',
+  description: 'Catalyst 2960-X 48 GigE PoE',
+  eol_announcement: null,
+  end_of_sale: null,
+  end_of_sw_maintenance: null,
+  end_of_vuln_support: null,
+  last_day_support: null,
+  bulletin_url: null,
+  ...fields
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('validateEntry', () => {
+  test('reads dates from file text and EoX API { value } objects', () => {
+    const { entry, errors } = validateEntry({
+      manufacturer: ' Cisco ',
+      product_id: 'ws-c2960x-48fpd-l',
+      end_of_sale: '2022-10-31',
+      last_day_support: { value: '2027-10-31', dateFormat: 'YYYY-MM-DD' },
+      end_of_vuln_support: { value: '', dateFormat: 'YYYY-MM-DD' }
+    });
+
+    expect(errors).toEqual([]);
+    expect(entry).toMatchObject({
+      manufacturer: 'Cisco',
+      product_id: 'WS-C2960X-48FPD-L',
+      end_of_sale: '2022-10-31',
+      end_of_vuln_support: null,
+      last_day_support: '2027-10-31'
+    });
+  });
+
+  test('needs a manufacturer, a Product ID and at least one valid date', () => {
+    expect(validateEntry({}).errors).toEqual([
+      'manufacturer is required',
+      'product_id is required',
+      'at least one milestone date is required'
+    ]);
+    expect(validateEntry({ manufacturer: 'Cisco', product_id: 'A', end_of_sale: 'soon' }).errors).toEqual(['end_of_sale must be a date']);
+  });
+});
+
+describe('readImportRows', () => {
+  test('matches CSV and EoX API headers and applies the import manufacturer', () => {
+    const { entries, errors } = readImportRows([
+      { 'Product ID': 'C3850-48P-S', 'End of Sale Date': '2022-10-31' },
+      { EOLProductID: 'AIR-AP1832I-B-K9', LastDateOfSupport: { value: '2027-04-30' } },
+      { 'Product ID': 'C9300-48P-E' }
+    ], { manufacturer: 'Cisco' });
+
+    expect(entries.map(entry => [entry.manufacturer, entry.product_id, entry.end_of_sale, entry.last_day_support])).toEqual([
+      ['Cisco', 'C3850-48P-S', '2022-10-31', null],
+      ['Cisco', 'AIR-AP1832I-B-K9', null, '2027-04-30']
+    ]);
+    expect(errors).toEqual([{ row: 3, errors: ['at least one milestone date is required'] }]);
+  });
+});
+
+describe('listAllEntries', () => {
+  // new Date(y, m, d) is local midnight in whatever zone the tests run in, as pg returns it
+  test('reads DATE columns as their local calendar day', async () => {
+    pool.query.mockResolvedValue({ rows: [dbEntry({ last_day_support: new Date(2027, 9, 31) })] });
+
+    const [entry] = await listAllEntries();
+
+    expect(entry.last_day_support).toBe('2027-10-31');
+  });
+});
+
+describe('enrichRows', () => {
+  const row = (fields) => ({
+    mfg: 'Cisco',
+    product_id: 'WS-C2960X-48FPD-L',
+    eol_announcement: '-',
+    end_of_sale: '-',
+    end_of_sw_maintenance: '-',
+    end_of_vuln_support: '-',
+    last_day_support: '-',
+    date_sources: {},
+    ...fields
+  });
+
+  test('fills blank dates, replaces fiscal period estimates and keeps file dates', async () => {
+    pool.query.mockResolvedValue({
+      rows: [dbEntry({
+        end_of_sale: new Date(2022, 9, 30),
+        end_of_vuln_support: new Date(2026, 9, 31),
+        last_day_support: new Date(2027, 9, 31)
+      })]
+    });
+    const rows = [row({
+      product_id: 'ws-c2960x-48fpd-l',
+      end_of_sale: '2022-10-31',
+      last_day_support: '2027-09-30',
+      date_sources: { end_of_sale: 'file', last_day_support: 'fiscal_period' }
+    })];
+
+    const result = await enrichRows(rows);
+
+    expect(pool.query.mock.calls[0][1]).toEqual(['default-tenant', ['WS-C2960X-48FPD-L']]);
+    expect(result).toEqual({ rows: 1, values: 2 });
+    expect(rows[0]).toMatchObject({
+      end_of_sale: '2022-10-31',
+      end_of_sw_maintenance: '-',
+      end_of_vuln_support: '2026-10-31',
+      last_day_support: '2027-10-31',
+      date_sources: { end_of_sale: 'file', end_of_vuln_support: 'catalog', last_day_support: 'catalog' }
+    });
+    expect(rows[0].date_sources).not.toHaveProperty('end_of_sw_maintenance');
+  });
+
+  test('uses the only entry for a Product ID when the manufacturer is unknown', async () => {
+    pool.query.mockResolvedValue({ rows: [dbEntry({ end_of_sale: new Date(2022, 9, 31) })] });
+    const rows = [row({ mfg: '-' }), row({ mfg: 'Juniper' })];
+
+    await enrichRows(rows);
+
+    expect(rows.map(item => item.end_of_sale)).toEqual(['2022-10-31', '-']);
+  });
+
+  test('does not query the catalog for rows without a Product ID', async () => {
+    const rows = [row({ product_id: '-', end_of_sale: '2022-10-31' })];
+
+    expect(await enrichRows(rows)).toEqual({ rows: 0, values: 0 });
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(rows[0].date_sources).toEqual({ end_of_sale: 'file' });
+  });
+});
@@ -0,0 +1,153 @@
+// backend/tests/fileParser.test.js
+const XLSX = require('xlsx');
+const { parseWorkbook, detectDataTable } = require('../src/services/fileParser');
+
+// Build a workbook in memory from { sheetName: rows } and write it in the given format
+const buildWorkbook = (sheets, bookType, hidden = []) => {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+  });
+  workbook.Workbook = { Sheets: workbook.SheetNames.map(name => ({ Hidden: hidden.includes(name) ? 1 : 0 })) };
+  return XLSX.write(workbook, { type: 'buffer', bookType });
+};
+
+const INVENTORY = [
+  ['Product ID', 'Item Quantity', 'Last Date of Support', 'Covered Line Status'],
+  ['C9300-48P-E', 2, new Date(Date.UTC(2030, 9, 31)), 'Active'],
+  ['GLC-TE', 4, null, 'Expired']
+];
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('XLSB workbooks', () => {
+  test('reads rows, numbers and dates like the XLSX path', async () => {
+    const buffer = buildWorkbook({ Inventory: INVENTORY }, 'xlsb');
+    const result = await parseWorkbook(buffer, '.XLSB');
+
+    expect(result.sheetName).toBe('Inventory');
+    expect(result.headerRow).toBe(1);
+    expect(result.headers).toEqual(INVENTORY[0]);
+    expect(result.data).toEqual([
+      { 'Product ID': 'C9300-48P-E', 'Item Quantity': 2, 'Last Date of Support': '2030-10-31', 'Covered Line Status': 'Active' },
+      { 'Product ID': 'GLC-TE', 'Item Quantity': 4, 'Covered Line Status': 'Expired' }
+    ]);
+  });
+
+  test('reports hidden sheets and keeps grid positions from A1', async () => {
+    const buffer = buildWorkbook({
+      Notes: [['Read me']],
+      Inventory: [[], ['Customer report'], ...INVENTORY]
+    }, 'xlsb', ['Notes']);
+    const result = await parseWorkbook(buffer, '.xlsb');
+
+    expect(result.sheetName).toBe('Inventory');
+    expect(result.headerRow).toBe(3);
+    expect(result.data).toHaveLength(2);
+    expect(result.sheets.find(sheet => sheet.name === 'Notes').state).toBe('hidden');
+  });
+
+  test('rejects other binary formats', async () => {
+    await expect(parseWorkbook(Buffer.from('x'), '.numbers')).rejects.toThrow('Unsupported file type: .numbers');
+  });
+});
+
+describe('detectDataTable', () => {
+  const sheet = (name, rows, state = 'visible') => ({ name, state, rows });
+  const dataRows = (count) => Array.from({ length: count }, (_, i) => [`PID-${i}`, 1]);
+
+  test('picks the sheet and row naming the most known columns', () => {
+    const result = detectDataTable([
+      sheet('Summary', [['Total devices', 12], ['Quantity', 'Description']]),
+      sheet('Inventory', [['Customer report'], [], ['Product ID', 'Item Quantity', 'Coverage'], ...dataRows(3)])
+    ]);
+
+    expect(result.sheet.name).toBe('Inventory');
+    expect(result.headerIndex).toBe(2);
+    expect(result.candidates).toEqual([
+      { name: 'Summary', state: 'visible', headerRow: 2, matchedColumns: 2, dataRows: 0 },
+      { name: 'Inventory', state: 'visible', headerRow: 3, matchedColumns: 3, dataRows: 3 }
+    ]);
+  });
+
+  test('breaks ties on data rows and passes over hidden sheets', () => {
+    const header = ['PID', 'Qty'];
+    expect(detectDataTable([
+      sheet('Sample', [header, ...dataRows(2)]),
+      sheet('Full', [header, ...dataRows(40)])
+    ]).sheet.name).toBe('Full');
+
+    expect(detectDataTable([
+      sheet('Visible', [header, ...dataRows(2)]),
+      sheet('Backup', [header, ...dataRows(40)], 'hidden')
+    ]).sheet.name).toBe('Visible');
+  });
+
+  test('only scans the first 25 rows for the header', () => {
+    const filler = Array.from({ length: 25 }, () => ['notes']);
+    const result = detectDataTable([sheet('Late', [...filler, ['PID', 'Qty', 'Description']])]);
+
+    expect(result.candidates[0].matchedColumns).toBe(0);
+    expect(result.headerIndex).toBe(0);
+  });
+
+  test('falls back to the first sheet and row 1 when nothing matches enough columns', () => {
+    const result = detectDataTable([
+      sheet('First', [['Title'], ['Name', 'Value']]),
+      sheet('Second', [[], ['PID', 'Something else']])
+    ]);
+
+    expect(result.sheet.name).toBe('First');
+    expect(result.headerIndex).toBe(0);
+  });
+
+  test('uses a forced sheet, and rejects an unknown one with a 400', () => {
+    const sheets = [
+      sheet('Inventory', [['PID', 'Qty', 'Description'], ...dataRows(5)]),
+      sheet('Other', [['x'], ['PID', 'Qty']])
+    ];
+
+    const forced = detectDataTable(sheets, { sheetName: 'Other' });
+    expect(forced.sheet.name).toBe('Other');
+    expect(forced.headerIndex).toBe(1);
+
+    expect(() => detectDataTable(sheets, { sheetName: 'Missing' })).toThrow(expect.objectContaining({
+      status: 400,
+      message: expect.stringContaining('Available sheets: Inventory, Other')
+    }));
+  });
+
+  test('throws when the workbook has no sheets', () => {
+    expect(() => detectDataTable([])).toThrow('No worksheet found in Excel file');
+  });
+});
+
+describe('parseWorkbook', () => {
+  test('finds the inventory sheet of an XLSX workbook below a title block', async () => {
+    const buffer = buildWorkbook({
+      Cover: [['Lifecycle report'], ['Prepared for', 'City']],
+      'Powered by Cisco Ready': [['Cisco Ready export'], ['Generated', '2025-10-07'], [], ...INVENTORY]
+    }, 'xlsx');
+    const result = await parseWorkbook(buffer, '.xlsx');
+
+    expect(result.sheetName).toBe('Powered by Cisco Ready');
+    expect(result.headerRow).toBe(4);
+    expect(result.data.map(row => row['Product ID'])).toEqual(['C9300-48P-E', 'GLC-TE']);
+  });
+
+  test('CSV input is a single sheet with no sheet name', async () => {
+    const csv = 'Report\nPID,Qty,Description\nGLC-TE,4,1000BASE-T SFP\n';
+    const result = await parseWorkbook(Buffer.from(csv), '.csv');
+
+    expect(result.sheetName).toBeNull();
+    expect(result.headerRow).toBe(2);
+    expect(result.sheets).toEqual([]);
+    expect(result.data).toEqual([{ PID: 'GLC-TE', Qty: 4, Description: '1000BASE-T SFP' }]);
+  });
+});
@@ -0,0 +1,86 @@
+// backend/tests/fiscalCalendar.test.js
+const {
+  resolveCalendar,
+  fiscalYearStart,
+  fiscalYearOf,
+  fiscalQuarterStart,
+  fiscalPeriodOf,
+  parseFiscalPeriod,
+  dateFromFiscalPeriod
+} = require('../src/utils/fiscalCalendar');
+
+const utc = (text) => new Date(`${text}T00:00:00Z`);
+const day = (date) => date.toISOString().split('T')[0];
+
+describe('Cisco fiscal calendar', () => {
+  const cisco = resolveCalendar('cisco');
+
+  test('starts the year the day after the last Saturday of July', () => {
+    expect(day(fiscalYearStart(2026, cisco))).toBe('2025-07-27');
+    expect(day(fiscalYearStart(2025, cisco))).toBe('2024-07-28');
+    // July 31, 2021 was itself a Saturday
+    expect(day(fiscalYearStart(2022, cisco))).toBe('2021-08-01');
+  });
+
+  test('puts the last Saturday of July in the ending year and the Sunday after in the next', () => {
+    expect(fiscalYearOf(utc('2025-07-26'), cisco)).toBe(2025);
+    expect(fiscalYearOf(utc('2025-07-27'), cisco)).toBe(2026);
+    expect(fiscalYearOf(utc('2021-07-31'), cisco)).toBe(2021);
+  });
+
+  test('counts quarters in 13 weeks', () => {
+    expect(day(fiscalQuarterStart(2026, 2, cisco))).toBe('2025-10-26');
+    expect(day(fiscalQuarterStart(2026, 3, cisco))).toBe('2026-01-25');
+    expect(day(fiscalQuarterStart(2026, 4, cisco))).toBe('2026-04-26');
+    expect(fiscalPeriodOf(utc('2025-10-25'), cisco).label).toBe('FY2026 Q1');
+    expect(fiscalPeriodOf(utc('2025-10-26'), cisco).label).toBe('FY2026 Q2');
+  });
+
+  test('gives the extra week of a 53-week year to Q1', () => {
+    // FY2021 ran from July 26, 2020 to July 31, 2021
+    expect(day(fiscalYearStart(2021, cisco))).toBe('2020-07-26');
+    expect(day(fiscalQuarterStart(2021, 2, cisco))).toBe('2020-11-01');
+    expect(day(fiscalQuarterStart(2021, 4, cisco))).toBe('2021-05-02');
+    expect(fiscalPeriodOf(utc('2021-07-31'), cisco).label).toBe('FY2021 Q4');
+  });
+});
+
+describe('month-based calendars', () => {
+  test('the calendar year matches the date', () => {
+    const calendar = resolveCalendar('calendar');
+
+    expect(fiscalPeriodOf(utc('2025-03-31'), calendar).label).toBe('FY2025 Q1');
+    expect(fiscalPeriodOf(utc('2025-04-01'), calendar).label).toBe('FY2025 Q2');
+  });
+
+  test('a customer year is named after the year it ends in', () => {
+    const calendar = resolveCalendar('customer', { startMonth: 10 });
+
+    expect(day(fiscalYearStart(2026, calendar))).toBe('2025-10-01');
+    expect(fiscalPeriodOf(utc('2025-09-30'), calendar).label).toBe('FY2025 Q4');
+    expect(fiscalPeriodOf(utc('2025-10-01'), calendar).label).toBe('FY2026 Q1');
+    expect(day(fiscalQuarterStart(2026, 2, calendar))).toBe('2026-01-01');
+  });
+
+  test('rejects unknown calendars and start months', () => {
+    expect(resolveCalendar('lunar')).toBeNull();
+    expect(resolveCalendar('customer', { startMonth: 13 })).toBeNull();
+  });
+});
+
+describe('fiscal period values', () => {
+  test('reads the spellings Cisco and other tools use', () => {
+    expect(parseFiscalPeriod('2026 Q1')).toEqual({ year: 2026, quarter: 1 });
+    expect(parseFiscalPeriod('FY26-Q3')).toEqual({ year: 2026, quarter: 3 });
+    expect(parseFiscalPeriod('Q2 FY2025')).toEqual({ year: 2025, quarter: 2 });
+    expect(parseFiscalPeriod('FY2027')).toEqual({ year: 2027, quarter: null });
+    expect(parseFiscalPeriod('next year')).toBeNull();
+  });
+
+  test('stands in for a missing date with the first day of the Cisco quarter', () => {
+    expect(dateFromFiscalPeriod('2026 Q1')).toBe('2025-07-27');
+    expect(dateFromFiscalPeriod('FY26 Q2')).toBe('2025-10-26');
+    expect(dateFromFiscalPeriod('FY2026')).toBe('2025-07-27');
+    expect(dateFromFiscalPeriod('-')).toBeNull();
+  });
+});
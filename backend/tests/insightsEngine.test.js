@@ -0,0 +1,108 @@
+// backend/tests/insightsEngine.test.js
+const { generateInsights, formatMoney } = require('../src/services/insightsEngine');
+
+const CURRENT_DATE = new Date('2025-06-01T00:00:00Z');
+
+const row = (fields) => ({
+  product_id: 'C9200L-24P-4G-E',
+  category: 'Switching',
+  install_site: 'City Hall',
+  qty: 1,
+  list_price: 0,
+  support_coverage: 'Active',
+  last_day_support: '2030-01-31',
+  end_of_sale: '-',
+  end_of_vuln_support: '-',
+  warranty_end_date: '-',
+  ...fields
+});
+
+const run = (rows, options = {}) => generateInsights(rows, { currentDate: CURRENT_DATE, limit: 50, ...options }).insights;
+const insight = (rows, id, options) => run(rows, options).find(item => item.id === id);
+
+describe('generateInsights thresholds', () => {
+  test('reports uncovered list value at a site from $10k', () => {
+    const below = [row({ support_coverage: 'Expired', list_price: 9999.99 })];
+    const at = [row({ support_coverage: 'Expired', list_price: 6000 }), row({ support_coverage: 'Expired', list_price: 4000 })];
+
+    expect(insight(below, 'uncovered_value_by_site')).toBeUndefined();
+    expect(insight(at, 'uncovered_value_by_site')).toMatchObject({
+      value: 10000,
+      text: '$10k list value uncovered at City Hall'
+    });
+  });
+
+  test('words uncovered value on lines without a site as unassigned sites', () => {
+    const rows = [row({ install_site: '-', support_coverage: 'Expired', list_price: 12000 })];
+
+    expect(insight(rows, 'uncovered_value_by_site').text).toBe('$12k list value uncovered at unassigned sites');
+  });
+
+  test('flags missing LDOS dates from 10% of line items', () => {
+    const rows = (missing, total) => Array.from({ length: total }, (_, i) => row(i < missing ? { last_day_support: '-' } : {}));
+
+    expect(insight(rows(1, 11), 'missing_ldos')).toBeUndefined();
+    expect(insight(rows(1, 10), 'missing_ldos')).toMatchObject({
+      value: 10,
+      text: '10% of line items have no LDOS date, so lifecycle risk may be understated'
+    });
+  });
+
+  test('counts rules with a threshold of 1 only when something matches', () => {
+    expect(insight([row({})], 'eovss_passed')).toBeUndefined();
+    expect(insight([row({ end_of_vuln_support: '2025-05-31', qty: 3 })], 'eovss_passed').text)
+      .toBe('3 assets no longer receive security fixes (EoVSS passed)');
+  });
+
+  test('always reports the coverage rate, which has a threshold of 0', () => {
+    expect(insight([row({ support_coverage: 'Expired' })], 'support_coverage_rate').text)
+      .toBe('0% of line items have active support (0 of 1)');
+    expect(insight([], 'support_coverage_rate')).toBeUndefined();
+  });
+
+  test('takes per-rule thresholds from the options', () => {
+    const rows = [row({ support_coverage: 'Expired', list_price: 2500 })];
+
+    expect(insight(rows, 'uncovered_value_by_site', { thresholds: { uncovered_value_by_site: 2500 } })).toBeDefined();
+    expect(insight(rows, 'support_coverage_rate', { thresholds: { support_coverage_rate: 2 } })).toBeUndefined();
+  });
+
+  test('uses the job horizon and expiring window', () => {
+    const rows = [
+      row({ last_day_support: '2026-03-01', qty: 2 }),
+      row({ support_coverage: 'Expired', warranty_end_date: '2025-07-15', qty: 2 })
+    ];
+
+    expect(insight(rows, 'ldos_upcoming', { horizonMonths: 6 })).toBeUndefined();
+    expect(insight(rows, 'ldos_upcoming', { horizonMonths: 12 }).text).toBe('2 assets reach LDOS within 12 months');
+    expect(insight(rows, 'warranty_expiring_uncovered', { expiringDays: 30 })).toBeUndefined();
+    expect(insight(rows, 'warranty_expiring_uncovered', { expiringDays: 60 }).text)
+      .toBe('2 assets lose warranty within 60 days without a support contract');
+  });
+});
+
+describe('generateInsights ranking', () => {
+  test('puts each rule\'s top match ahead of second matches, then applies the limit', () => {
+    const rows = [
+      row({ install_site: 'Library', support_coverage: 'Expired', list_price: 40000 }),
+      row({ install_site: 'City Hall', support_coverage: 'Expired', list_price: 20000 }),
+      row({ category: 'Routing', support_coverage: 'Expired', last_day_support: '2024-01-01', qty: 2 })
+    ];
+    const { risks } = generateInsights(rows, { currentDate: CURRENT_DATE, limit: 3 });
+
+    expect(risks).toEqual([
+      '2 Routing assets past LDOS with no coverage',
+      '$40k list value uncovered at Library',
+      '$20k list value uncovered at City Hall'
+    ]);
+  });
+});
+
+describe('formatMoney', () => {
+  test('shortens thousands and millions', () => {
+    expect(formatMoney(950)).toBe('$950');
+    expect(formatMoney(180400)).toBe('$180k');
+    expect(formatMoney(1000000)).toBe('$1M');
+    expect(formatMoney(1250000)).toBe('$1.3M');
+  });
+});
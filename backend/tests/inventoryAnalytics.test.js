@@ -0,0 +1,78 @@
+// backend/tests/inventoryAnalytics.test.js
+const { analyzeInventory } = require('../src/services/inventoryAnalytics');
+
+const row = (fields = {}) => ({
+  mfg: 'Cisco',
+  category: 'Switching',
+  product_id: 'C9300-48P-E',
+  description: 'Catalyst 9300 48-port PoE+',
+  qty: 1,
+  support_coverage: 'Active',
+  end_of_sale: '-',
+  last_day_support: '-',
+  asset_type: 'Hardware',
+  ship_date: '2021-03-04',
+  ...fields
+});
+
+describe('analyzeInventory', () => {
+  test('counts quantity, support coverage and past lifecycle milestones', () => {
+    const { summary, analytics } = analyzeInventory([
+      row({ qty: '4', end_of_sale: '2001-01-01', last_day_support: '2002-01-01' }),
+      row({ qty: 2, support_coverage: 'Expired', end_of_sale: '2099-01-01' }),
+      row({ mfg: '-', category: 'Routing', qty: 'n/a', support_coverage: '-' })
+    ], { currentDate: new Date('2025-06-01') });
+
+    expect(summary).toMatchObject({
+      total_items: 3,
+      total_quantity: 6,
+      active_support: 1,
+      expired_support: 1,
+      total_manufacturers: 1,
+      total_categories: 2,
+      supportCoverage: 33
+    });
+    expect(analytics).toMatchObject({ totalEndOfSale: 1, totalLastDaySupport: 1, totalEndOfSWVuln: 0 });
+    expect(summary.manufacturerBreakdown.Unknown).toEqual({ count: 1, quantity: 0, activeCount: 0, expiredCount: 0 });
+    expect(analytics.lifecycle.Switching).toMatchObject({ totalQty: 6, endOfSale: 1, endOfSWVuln: 0, lastDaySupport: 1, total: 2 });
+  });
+
+  test('counts milestones coming up within the look-ahead windows', () => {
+    const { summary, analytics } = analyzeInventory([
+      row({ qty: 3, last_day_support: '2025-10-31' }),
+      row({ qty: 1, last_day_support: '2027-03-01', end_of_sw_maintenance: '2024-01-01' })
+    ], { currentDate: new Date('2025-06-01'), windows: [6, 24] });
+
+    expect(summary.lifecycleWindows).toEqual([6, 24]);
+    expect(summary.total_end_of_sw_maintenance).toBe(1);
+    expect(analytics.milestones.ldos).toMatchObject({ dated: 2, passed: 0, upcoming: { 6: 1, 24: 2 }, upcomingQty: { 6: 3, 24: 4 } });
+  });
+
+  test('treats a blank or unreadable date as not past', () => {
+    const { analytics } = analyzeInventory([
+      row({ end_of_sale: '-', last_day_support: 'TBD' }),
+      row({ end_of_sale: '', last_day_support: null })
+    ]);
+
+    expect(analytics.totalEndOfSale).toBe(0);
+    expect(analytics.totalLastDaySupport).toBe(0);
+  });
+
+  test('reports field completeness as a percentage of rows', () => {
+    const { summary } = analyzeInventory([
+      row({ description: '-', end_of_sale: '2001-01-01' }),
+      row({ description: 'N/A' }),
+      row({ end_of_sale: '2099-01-01' }),
+      row()
+    ]);
+
+    expect(summary.fieldCompleteness).toMatchObject({ mfg: 100, description: 50, end_of_sale: 50, last_day_support: 0 });
+  });
+
+  test('returns zeroed percentages for an empty inventory', () => {
+    const { summary } = analyzeInventory([]);
+
+    expect(summary.supportCoverage).toBe(0);
+    expect(summary.fieldCompleteness.mfg).toBe(0);
+  });
+});
@@ -0,0 +1,117 @@
+// backend/tests/jobComparison.test.js
+const { matchAssets, compareJobs } = require('../src/services/jobComparison');
+
+const row = (fields) => ({
+  product_id: 'C9300-48P-E',
+  serial_number: '-',
+  instance_id: '-',
+  install_site: '-',
+  qty: 1,
+  support_coverage: 'Active',
+  end_of_sale: '-',
+  last_day_support: '-',
+  ...fields
+});
+
+const matchedBy = (pairs) => pairs.map(pair => [pair.base.id, pair.current.id, pair.matchedBy]);
+
+describe('matchAssets', () => {
+  test('matches on Instance ID before anything else', () => {
+    const base = [row({ id: 'b1', instance_id: '100', serial_number: 'FOC1' })];
+    const current = [row({ id: 'c1', instance_id: '100', serial_number: 'FOC2' })];
+
+    expect(matchedBy(matchAssets(base, current).pairs)).toEqual([['b1', 'c1', 'instance_id']]);
+  });
+
+  test('matches serial numbers case-insensitively, only within the same Product ID', () => {
+    const base = [
+      row({ id: 'b1', serial_number: 'foc123' }),
+      row({ id: 'b2', product_id: 'L-DNA-ADV', serial_number: 'PAK9' })
+    ];
+    const current = [
+      row({ id: 'c1', serial_number: 'FOC123' }),
+      row({ id: 'c2', product_id: 'L-DNA-ESS', serial_number: 'PAK9' })
+    ];
+    const { pairs, added, removed } = matchAssets(base, current);
+
+    expect(matchedBy(pairs)).toEqual([['b1', 'c1', 'serial_number']]);
+    expect(added.map(asset => asset.id)).toEqual(['c2']);
+    expect(removed.map(asset => asset.id)).toEqual(['b2']);
+  });
+
+  test('falls back to Product ID and install site, pairing duplicates in file order', () => {
+    const base = [
+      row({ id: 'b1', install_site: 'City Hall' }),
+      row({ id: 'b2', install_site: 'City Hall' }),
+      row({ id: 'b3', install_site: 'Library' })
+    ];
+    const current = [
+      row({ id: 'c1', install_site: 'CITY HALL' }),
+      row({ id: 'c2', install_site: 'Library' })
+    ];
+    const { pairs, removed } = matchAssets(base, current);
+
+    expect(matchedBy(pairs)).toEqual([['b1', 'c1', 'product_site'], ['b3', 'c2', 'product_site']]);
+    expect(removed.map(asset => asset.id)).toEqual(['b2']);
+  });
+
+  test('weaker strategies only see rows the stronger ones left over', () => {
+    const base = [
+      row({ id: 'b1', instance_id: '1', serial_number: 'FOC1' }),
+      row({ id: 'b2', serial_number: 'FOC2' })
+    ];
+    const current = [
+      row({ id: 'c1', serial_number: 'FOC2' }),
+      row({ id: 'c2', instance_id: '1', serial_number: 'FOC9' })
+    ];
+
+    expect(matchedBy(matchAssets(base, current).pairs)).toEqual([['b1', 'c2', 'instance_id'], ['b2', 'c1', 'serial_number']]);
+  });
+
+  test('leaves rows without a Product ID, serial or instance unmatched', () => {
+    const base = [row({ id: 'b1', product_id: '-' })];
+    const current = [row({ id: 'c1', product_id: '-' })];
+    const { pairs, added, removed } = matchAssets(base, current);
+
+    expect(pairs).toEqual([]);
+    expect(added).toHaveLength(1);
+    expect(removed).toHaveLength(1);
+  });
+});
+
+describe('compareJobs', () => {
+  test('reports coverage changes and milestones passed between the two runs', () => {
+    const base = {
+      date: '2025-01-15',
+      rows: [
+        row({ instance_id: '1', support_coverage: 'Active', qty: 2 }),
+        row({ instance_id: '2', support_coverage: 'Expired', end_of_sale: '2025-03-01' }),
+        row({ instance_id: '3', last_day_support: '2024-12-31' })
+      ]
+    };
+    const current = {
+      date: '2025-04-15',
+      rows: [
+        row({ instance_id: '1', support_coverage: 'Expired', qty: 2 }),
+        row({ instance_id: '2', support_coverage: 'Expiring', end_of_sale: '2025-03-01' }),
+        row({ instance_id: '3', last_day_support: '2024-12-31' }),
+        row({ instance_id: '4', qty: 5 })
+      ]
+    };
+    const result = compareJobs(base, current);
+
+    expect(result.summary).toMatchObject({
+      matched: 3,
+      matched_by: { instance_id: 3 },
+      added: 1,
+      removed: 0,
+      coverage_lapsed: 1,
+      coverage_renewed: 1,
+      newly_end_of_sale: 1,
+      // Already past LDOS in the first report
+      newly_ldos: 0,
+      quantity_delta: 5
+    });
+    expect(result.coverage_lapsed[0]).toMatchObject({ instance_id: '1', matched_by: 'instance_id' });
+  });
+});
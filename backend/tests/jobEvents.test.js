@@ -0,0 +1,82 @@
+// backend/tests/jobEvents.test.js
+const EventEmitter = require('events');
+
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const pool = require('../src/config/database');
+const jobEvents = require('../src/services/jobEvents');
+
+// The LISTEN connection: a pg client is an EventEmitter delivering 'notification'
+const mockListener = () => {
+  const client = new EventEmitter();
+  client.query = jest.fn().mockResolvedValue({});
+  client.release = jest.fn();
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+afterEach(async () => {
+  await jobEvents.close();
+  jest.resetAllMocks();
+});
+
+describe('publish', () => {
+  test('notifies every instance through Postgres', async () => {
+    pool.query.mockResolvedValue({});
+
+    await jobEvents.publish('job-1');
+
+    expect(pool.query).toHaveBeenCalledWith('SELECT pg_notify($1, $2)', ['upload_job_events', '{"job_id":"job-1"}']);
+  });
+
+  test('still tells local subscribers when the database is unreachable', async () => {
+    pool.connect.mockRejectedValue(new Error('connection refused'));
+    pool.query.mockRejectedValue(new Error('connection refused'));
+    const onChange = jest.fn();
+    await jobEvents.subscribe('job-1', onChange);
+
+    await jobEvents.publish('job-1');
+
+    expect(onChange).toHaveBeenCalledWith({ job_id: 'job-1' });
+  });
+});
+
+describe('subscribe', () => {
+  test('delivers notifications for the followed job until unsubscribed', async () => {
+    const client = mockListener();
+    const onChange = jest.fn();
+    const unsubscribe = await jobEvents.subscribe('job-1', onChange);
+
+    expect(client.query).toHaveBeenCalledWith('LISTEN upload_job_events');
+    client.emit('notification', { payload: '{"job_id":"job-2"}' });
+    client.emit('notification', { payload: '{"job_id":"job-1"}' });
+    client.emit('notification', { payload: 'not json' });
+    unsubscribe();
+    client.emit('notification', { payload: '{"job_id":"job-1"}' });
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith({ job_id: 'job-1' });
+  });
+
+  test('shares one LISTEN connection between subscribers', async () => {
+    mockListener();
+
+    await jobEvents.subscribe('job-1', jest.fn());
+    await jobEvents.subscribe('job-2', jest.fn());
+
+    expect(pool.connect).toHaveBeenCalledTimes(1);
+  });
+
+  test('listens again after the connection is lost', async () => {
+    const first = mockListener();
+    await jobEvents.subscribe('job-1', jest.fn());
+    first.emit('error', new Error('terminated'));
+
+    mockListener();
+    await jobEvents.subscribe('job-1', jest.fn());
+
+    expect(first.release).toHaveBeenCalled();
+    expect(pool.connect).toHaveBeenCalledTimes(2);
+  });
+});
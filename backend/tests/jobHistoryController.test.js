@@ -0,0 +1,98 @@
+// backend/tests/jobHistoryController.test.js
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../src/services/jobStore', () => ({
+  ...jest.requireActual('../src/services/jobStore'),
+  listJobs: jest.fn(),
+  getJob: jest.fn()
+}));
+
+const jobStore = require('../src/services/jobStore');
+const controller = require('../src/controllers/jobHistoryController');
+
+const JOB = {
+  jobId: 'job-1',
+  customerName: 'City of St Cloud',
+  filename: 'inventory.xlsx',
+  sheetName: 'Powered by Cisco Ready',
+  status: 'completed',
+  progress: 100,
+  rows_uploaded: 986,
+  rows_processed: 986,
+  products_identified: 120,
+  summary: { total_quantity: 1075, supportCoverage: 64 },
+  headerRow: 1,
+  columnMapping: { product_id: 'Product ID' },
+  warnings: null,
+  errors: null
+};
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('listJobs', () => {
+  test('rejects an unknown status and malformed dates', async () => {
+    const res = response();
+    await controller.listJobs({ query: { status: 'completed,done', from: '2025-13-01', to: 'yesterday' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].details).toEqual([
+      expect.stringMatching(/^status must be one of queued, parsing/),
+      'from must be a date (YYYY-MM-DD)',
+      'to must be a date (YYYY-MM-DD)'
+    ]);
+    expect(jobStore.listJobs).not.toHaveBeenCalled();
+  });
+
+  test('passes the filters through and caps the page size', async () => {
+    jobStore.listJobs.mockResolvedValue({ jobs: [JOB], total: 41 });
+    const res = response();
+    await controller.listJobs({ query: { customer: 'cloud', q: 'oct', status: 'completed,failed', from: '2025-10-01', limit: '500', offset: '25' } }, res);
+
+    expect(jobStore.listJobs).toHaveBeenCalledWith({
+      customerName: 'cloud',
+      filename: undefined,
+      search: 'oct',
+      status: 'completed,failed',
+      from: '2025-10-01',
+      to: undefined,
+      limit: 100,
+      offset: 25
+    });
+    const body = res.json.mock.calls[0][0];
+    expect(body.pagination).toEqual({ total: 41, limit: 100, offset: 25 });
+    expect(body.jobs[0]).toMatchObject({ job_id: 'job-1', total_quantity: 1075, support_coverage: 64 });
+    expect(body.jobs[0]).not.toHaveProperty('column_mapping');
+  });
+});
+
+describe('getJob', () => {
+  test('returns the job with its mapping, warnings and errors', async () => {
+    jobStore.getJob.mockResolvedValue(JOB);
+    const res = response();
+    await controller.getJob({ params: { jobId: 'job-1' } }, res);
+
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      job_id: 'job-1',
+      header_row: 1,
+      column_mapping: { product_id: 'Product ID' },
+      warnings: [],
+      errors: []
+    });
+  });
+
+  test('answers 404 for an unknown job', async () => {
+    jobStore.getJob.mockResolvedValue(null);
+    const res = response();
+    await controller.getJob({ params: { jobId: 'missing' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,252 @@
+// backend/tests/jobStore.test.js
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../src/services/dataProcessor', () => ({ processInventory: jest.fn() }));
+jest.mock('../src/services/jobEvents', () => ({ publish: jest.fn() }));
+
+const pool = require('../src/config/database');
+const dataProcessor = require('../src/services/dataProcessor');
+const jobEvents = require('../src/services/jobEvents');
+const jobStore = require('../src/services/jobStore');
+
+const row = (id, fields = {}) => ({
+  id,
+  mfg: 'Cisco',
+  product_id: 'C9300-48P-E',
+  description: '-',
+  qty: 1,
+  total_value: 0,
+  type: '-',
+  category: 'Switching',
+  asset_type: '-',
+  ship_date: '2021-03-04T00:00:00.000Z',
+  support_coverage: 'Active',
+  end_of_sale: '-',
+  eol_announcement: '2019-05-01',
+  end_of_sw_maintenance: '-',
+  end_of_vuln_support: '-',
+  last_day_support: 'not a date',
+  ...fields
+});
+
+// A pooled client that records its queries; `failOn` makes a matching statement
+// throw and `job` is what the job lock reads back
+const mockClient = (failOn, job = { status: 'analyzing', locked_by: 'worker-1' }) => {
+  const client = {
+    statements: [],
+    query: jest.fn(async (sql, params) => {
+      client.statements.push({ sql: sql.trim(), params });
+      if (failOn && failOn.test(sql)) throw new Error('insert failed');
+      if (/FOR UPDATE/.test(sql)) return { rows: [job] };
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  dataProcessor.processInventory.mockResolvedValue({ unique_products: 1, total_inventory_value: 0 });
+});
+
+describe('completeJob', () => {
+  test('writes rows in batches of 500 and aggregates them inside one transaction', async () => {
+    const client = mockClient();
+    const rows = Array.from({ length: 1001 }, (_, i) => row(i + 1));
+    await jobStore.completeJob('job-1', { rows, summary: {}, analytics: {} }, 'worker-1');
+
+    const statements = client.statements.map(statement => statement.sql.split(/\s/)[0]);
+    expect(statements).toEqual(['BEGIN', 'SELECT', 'DELETE', 'INSERT', 'INSERT', 'INSERT', 'UPDATE', 'COMMIT']);
+    expect(client.statements[3].params).toHaveLength(500 * 25);
+    expect(client.statements[5].params).toHaveLength(25);
+    expect(dataProcessor.processInventory).toHaveBeenCalledWith('job-1', client);
+    expect(client.statements[6].params.slice(4)).toEqual([1, 0]);
+    expect(client.statements[6].sql).toMatch(/locked_by = NULL/);
+    expect(jobEvents.publish).toHaveBeenCalledWith('job-1');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('stores dates as YYYY-MM-DD and blanks as NULL', async () => {
+    const client = mockClient();
+    await jobStore.completeJob('job-1', {
+      rows: [row(1, { contract_number: '201234567', coverage_start_date: '2024-07-01', coverage_end_date: '-', warranty_end_date: '2026-03-31' })],
+      summary: {},
+      analytics: {}
+    }, 'worker-1');
+
+    const params = client.statements[3].params;
+    expect(params.slice(2, 6)).toEqual([1, 'Cisco', 'C9300-48P-E', null]);
+    // ship_date is written to both purchase_date and ship_date
+    expect(params.slice(12, 20)).toEqual(['2021-03-04', '2021-03-04', true, '2019-05-01', null, null, null, null]);
+    expect(params.slice(20, 24)).toEqual(['201234567', '2024-07-01', null, '2026-03-31']);
+    expect(JSON.parse(params[24])).toMatchObject({ id: 1, product_id: 'C9300-48P-E' });
+  });
+
+  test('skips the product aggregation for an empty upload', async () => {
+    const client = mockClient();
+    await jobStore.completeJob('job-1', { rows: [], summary: {}, analytics: {} }, 'worker-1');
+
+    expect(dataProcessor.processInventory).not.toHaveBeenCalled();
+    expect(client.statements.map(statement => statement.sql)).toContain('COMMIT');
+  });
+
+  test('writes nothing once the job was cancelled', async () => {
+    const client = mockClient(null, { status: 'cancelled', locked_by: null });
+
+    await expect(jobStore.completeJob('job-1', { rows: [row(1)], summary: {}, analytics: {} }, 'worker-1'))
+      .rejects.toBeInstanceOf(jobStore.JobCancelledError);
+    expect(client.statements.map(statement => statement.sql)).toEqual(['BEGIN', expect.stringMatching(/^SELECT/), 'ROLLBACK']);
+  });
+
+  test('writes nothing once another worker holds the lease', async () => {
+    const client = mockClient(null, { status: 'analyzing', locked_by: 'worker-2' });
+
+    await expect(jobStore.completeJob('job-1', { rows: [row(1)], summary: {}, analytics: {} }, 'worker-1'))
+      .rejects.toBeInstanceOf(jobStore.JobLeaseLostError);
+    expect(client.statements.map(statement => statement.sql)).toEqual(['BEGIN', expect.stringMatching(/^SELECT/), 'ROLLBACK']);
+    expect(dataProcessor.processInventory).not.toHaveBeenCalled();
+    expect(jobEvents.publish).not.toHaveBeenCalled();
+  });
+
+  test('rolls back when a row cannot be written', async () => {
+    const client = mockClient(/INSERT/);
+
+    await expect(jobStore.completeJob('job-1', { rows: [row(1)], summary: {}, analytics: {} }, 'worker-1')).rejects.toThrow('insert failed');
+    expect(client.statements.map(statement => statement.sql)).toContain('ROLLBACK');
+    expect(client.statements.map(statement => statement.sql)).not.toContain('COMMIT');
+    expect(dataProcessor.processInventory).not.toHaveBeenCalled();
+    expect(client.release).toHaveBeenCalled();
+  });
+});
+
+describe('job queue', () => {
+  test('claims a queued job or one whose lease ran out, leasing it to the worker', async () => {
+    pool.query.mockResolvedValue({ rows: [{ job_id: 'job-1', attempts: 2, job_options: null, file_data: Buffer.from('x') }] });
+
+    const job = await jobStore.claimNextJob('worker-1');
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toMatch(/FOR UPDATE SKIP LOCKED/);
+    expect(sql).toMatch(/locked_by = \$3/);
+    expect(sql).toMatch(/COALESCE\(lease_until, updated_at/);
+    expect(params).toEqual([jobStore.ACTIVE_STATES, '10', 'worker-1']);
+    expect(job).toMatchObject({ jobId: 'job-1', attempts: 2, fileData: Buffer.from('x') });
+    expect(jobEvents.publish).toHaveBeenCalledWith('job-1');
+  });
+
+  test('returns null when the queue is empty', async () => {
+    pool.query.mockResolvedValue({ rows: [] });
+    expect(await jobStore.claimNextJob('worker-1')).toBeNull();
+  });
+
+  test('only the worker holding the lease renews it or advances the job', async () => {
+    pool.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+    expect(await jobStore.renewLease('job-1', 'worker-1')).toBe(true);
+    expect(await jobStore.updateProgress('job-1', 'normalizing', 30, 'worker-2')).toBe(false);
+    expect(pool.query.mock.calls[0][0]).toMatch(/locked_by = \$2/);
+    expect(pool.query.mock.calls[0][1]).toEqual(['job-1', 'worker-1', jobStore.ACTIVE_STATES]);
+    expect(pool.query.mock.calls[1][1]).toEqual(['job-1', 'normalizing', 30, jobStore.ACTIVE_STATES, 'worker-2']);
+    expect(jobEvents.publish).not.toHaveBeenCalled();
+  });
+
+  test('fails a job only for the worker holding it and never a cancelled one', async () => {
+    pool.query.mockResolvedValue({ rowCount: 1 });
+    const error = new Error('Invalid column mapping');
+    error.details = ['Product ID must be mapped to a column'];
+
+    await jobStore.failJob('job-1', error, 'worker-1');
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toMatch(/status <> 'cancelled' AND \(locked_by IS NULL OR locked_by = \$3\)/);
+    expect(JSON.parse(params[1])).toEqual([{ message: 'Invalid column mapping', details: ['Product ID must be mapped to a column'] }]);
+    expect(params[2]).toBe('worker-1');
+    expect(jobEvents.publish).toHaveBeenCalledWith('job-1');
+  });
+
+  test('cancels only an unfinished job', async () => {
+    pool.query.mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 });
+
+    expect(await jobStore.cancelJob('job-1')).toBe(true);
+    expect(await jobStore.cancelJob('job-1')).toBe(false);
+    expect(pool.query.mock.calls[0][1][2]).toEqual(['queued', ...jobStore.ACTIVE_STATES]);
+    expect(jobEvents.publish).toHaveBeenCalledTimes(1);
+  });
+
+  test('records the parse result with its warnings', async () => {
+    pool.query.mockResolvedValue({ rowCount: 1 });
+
+    await jobStore.recordParseResult('job-1', {
+      sheetName: 'Inventory',
+      headerRow: 3,
+      columnMapping: { product_id: 'PID' },
+      rowsUploaded: 12,
+      warnings: [{ code: 'missing_product_id', message: '1 row without a Product ID' }]
+    });
+
+    expect(pool.query.mock.calls[0][1]).toEqual([
+      'job-1', 'Inventory', 3, '{"product_id":"PID"}', null, 12,
+      '[{"code":"missing_product_id","message":"1 row without a Product ID"}]'
+    ]);
+    expect(jobEvents.publish).toHaveBeenCalledWith('job-1');  });
+});
+
+describe('getJob', () => {
+  test('maps the stored columns and returns null for an unknown job', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [{ job_id: 'job-1', customer_name: null, status: 'completed', total_products_identified: 7 }] });
+    expect(await jobStore.getJob('job-1')).toMatchObject({
+      jobId: 'job-1',
+      customerName: 'Unknown',
+      status: 'completed',
+      rows_processed: 0,
+      products_identified: 7
+    });
+
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    expect(await jobStore.getJob('missing')).toBeNull();
+  });
+});
+
+describe('listJobs', () => {
+  test('filters by customer, text, status and upload date, newest first', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ job_id: 'job-2' }] })
+      .mockResolvedValueOnce({ rows: [{ total: '3' }] });
+
+    const result = await jobStore.listJobs({
+      customerName: 'cloud',
+      search: 'oct',
+      status: 'completed,failed',
+      from: '2025-10-01',
+      to: '2025-10-31',
+      limit: 10,
+      offset: 20
+    });
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toMatch(/customer_name ILIKE \$2 AND \(customer_name ILIKE \$3 OR original_filename ILIKE \$3\)/);
+    expect(sql).toMatch(/status = ANY\(\$4\) AND created_at >= \$5::date AND created_at < \$6::date \+ INTERVAL '1 day'/);
+    expect(sql).toMatch(/ORDER BY created_at DESC\s+LIMIT \$7 OFFSET \$8/);
+    expect(params).toEqual(['default-tenant', '%cloud%', '%oct%', ['completed', 'failed'], '2025-10-01', '2025-10-31', 10, 20]);
+    expect(pool.query.mock.calls[1][1]).toEqual(params.slice(0, 6));
+    expect(result.total).toBe(3);
+    expect(result.jobs[0].jobId).toBe('job-2');
+  });
+});
+
+describe('getJobRows', () => {
+  test('pages through rows in upload order', async () => {
+    pool.query.mockResolvedValue({ rows: [{ row_data: { id: 3 } }] });
+
+    expect(await jobStore.getJobRows('job-1', { limit: 50, offset: 100 })).toEqual([{ id: 3 }]);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toMatch(/ORDER BY row_number/);
+    expect(sql).toMatch(/LIMIT \$3/);
+    expect(params).toEqual(['job-1', 100, 50]);
+
+    await jobStore.getJobRows('job-1');
+    expect(pool.query.mock.calls[1][1]).toEqual(['job-1', 0]);
+  });
+});
@@ -0,0 +1,158 @@
+// backend/tests/jobWorker.test.js
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../src/services/fileParser', () => ({ parseWorkbook: jest.fn() }));
+jest.mock('../src/services/mappingProfiles', () => ({
+  ...jest.requireActual('../src/services/mappingProfiles'),
+  getProfile: jest.fn(),
+  findMatchingProfile: jest.fn(),
+  recordProfileUse: jest.fn()
+}));
+jest.mock('../src/services/jobStore', () => ({
+  ...jest.requireActual('../src/services/jobStore'),
+  claimNextJob: jest.fn(),
+  renewLease: jest.fn(),
+  updateProgress: jest.fn(),
+  recordParseResult: jest.fn(),
+  completeJob: jest.fn(),
+  failJob: jest.fn()
+}));
+
+const jobStore = require('../src/services/jobStore');
+const fileParser = require('../src/services/fileParser');
+const mappingProfiles = require('../src/services/mappingProfiles');
+const jobWorker = require('../src/services/jobWorker');
+
+const HEADERS = ['Product ID', 'Description', 'Qty', 'Ship Date'];
+
+const job = (fields = {}) => ({
+  jobId: 'job-1',
+  filename: 'inventory.xlsx',
+  fileType: '.xlsx',
+  fileData: Buffer.from('workbook'),
+  attempts: 1,
+  customerName: 'Acme',
+  options: {},
+  ...fields
+});
+
+const storedRows = () => jobStore.completeJob.mock.calls[0][1].rows;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  fileParser.parseWorkbook.mockResolvedValue({
+    sheetName: 'Inventory',
+    headerRow: 1,
+    headers: HEADERS,
+    data: [
+      { 'Product ID': 'C9300-48P-E', Description: 'Cisco Catalyst 9300', Qty: '2', 'Ship Date': '2021-03-04' },
+      { 'Product ID': 'C9200L-24T-4G', Description: 'Cisco Catalyst 9200L', Qty: '3', 'Ship Date': '2022-05-06' }
+    ]
+  });
+  jobStore.updateProgress.mockResolvedValue(true);
+  jobStore.completeJob.mockResolvedValue();
+  jobStore.failJob.mockResolvedValue();
+  mappingProfiles.findMatchingProfile.mockResolvedValue(null);
+  mappingProfiles.recordProfileUse.mockResolvedValue();
+});
+
+describe('processJob', () => {
+  test('runs the pipeline under the worker lease and stores the rows', async () => {
+    await jobWorker.processJob(job());
+
+    expect(jobStore.updateProgress.mock.calls.map(call => call.slice(1))).toEqual([
+      ['normalizing', 30, jobWorker.workerId],
+      ['analyzing', 60, jobWorker.workerId],
+      ['analyzing', 80, jobWorker.workerId]
+    ]);
+    expect(jobStore.recordParseResult).toHaveBeenCalledWith('job-1', expect.objectContaining({
+      sheetName: 'Inventory',
+      rowsUploaded: 2,
+      columnMapping: expect.objectContaining({ product_id: 'Product ID', qty: 'Qty', ship_date: 'Ship Date' }),
+      mappingProfileId: null
+    }));
+    expect(storedRows().map(row => [row.product_id, row.qty])).toEqual([['C9300-48P-E', 2], ['C9200L-24T-4G', 3]]);
+    expect(jobStore.completeJob.mock.calls[0][1].summary.total_quantity).toBe(5);
+    expect(jobStore.completeJob.mock.calls[0][2]).toBe(jobWorker.workerId);
+    expect(jobStore.failJob).not.toHaveBeenCalled();
+  });
+
+  test('uses a matched profile that fits the headers', async () => {
+    const mapping = { product_id: 'Product ID', description: 'Description', qty: 'Qty' };
+    mappingProfiles.findMatchingProfile.mockResolvedValue({ mapping, profile: { profile_id: 7, name: 'Acme export' } });
+
+    await jobWorker.processJob(job());
+
+    expect(jobStore.recordParseResult).toHaveBeenCalledWith('job-1', expect.objectContaining({ columnMapping: mapping, mappingProfileId: 7 }));
+    expect(mappingProfiles.recordProfileUse).toHaveBeenCalledWith(7);
+    expect(storedRows()[0].ship_date).toBe('-');
+  });
+
+  test('detects the columns afresh when a matched profile misses a required field', async () => {
+    mappingProfiles.findMatchingProfile.mockResolvedValue({
+      mapping: { description: 'Description', qty: 'Qty' },
+      profile: { profile_id: 7, name: 'Acme export' }
+    });
+
+    await jobWorker.processJob(job());
+
+    expect(jobStore.recordParseResult).toHaveBeenCalledWith('job-1', expect.objectContaining({
+      columnMapping: expect.objectContaining({ product_id: 'Product ID' }),
+      mappingProfileId: null
+    }));
+    expect(mappingProfiles.recordProfileUse).not.toHaveBeenCalled();
+    expect(storedRows()[0].product_id).toBe('C9300-48P-E');
+    expect(jobStore.failJob).not.toHaveBeenCalled();
+  });
+
+  test('warns about unmapped fields and rows without a Product ID', async () => {
+    fileParser.parseWorkbook.mockResolvedValue({
+      sheetName: 'Inventory',
+      headerRow: 1,
+      headers: ['Product ID', 'Qty'],
+      data: [{ 'Product ID': 'C9300-48P-E', Qty: '1' }, { 'Product ID': '', Qty: '1' }, { Qty: '2' }]
+    });
+
+    await jobWorker.processJob(job());
+
+    const { warnings } = jobStore.recordParseResult.mock.calls[0][1];
+    expect(warnings).toContainEqual({ code: 'unmapped_field', field: 'description', message: 'No column mapped for Description' });
+    expect(warnings).not.toContainEqual(expect.objectContaining({ field: 'product_id' }));
+    expect(warnings).toContainEqual({ code: 'missing_product_id', message: '2 rows without a Product ID' });
+  });
+
+  test('fails the job on a confirmed mapping that does not fit the file', async () => {
+    await jobWorker.processJob(job({ options: { columnMapping: { product_id: 'Part Number' } } }));
+
+    expect(jobStore.completeJob).not.toHaveBeenCalled();
+    const [jobId, error, workerId] = jobStore.failJob.mock.calls[0];
+    expect(jobId).toBe('job-1');
+    expect(error.message).toBe('Invalid column mapping');
+    expect(error.details).toEqual(['Column "Part Number" mapped to Product ID was not found in the file']);
+    expect(workerId).toBe(jobWorker.workerId);
+  });
+
+  test('stops without failing the job once it was cancelled or reclaimed', async () => {
+    jobStore.updateProgress.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    await jobWorker.processJob(job());
+
+    expect(jobStore.completeJob).not.toHaveBeenCalled();
+    expect(jobStore.failJob).not.toHaveBeenCalled();
+  });
+
+  test('leaves the job alone when its lease was lost before storing', async () => {
+    jobStore.completeJob.mockRejectedValue(new jobStore.JobLeaseLostError('job-1'));
+
+    await jobWorker.processJob(job());
+
+    expect(jobStore.failJob).not.toHaveBeenCalled();
+  });
+
+  test('gives up on a job that keeps failing', async () => {
+    await jobWorker.processJob(job({ attempts: 4 }));
+
+    expect(fileParser.parseWorkbook).not.toHaveBeenCalled();
+    expect(jobStore.failJob.mock.calls[0][1].message).toBe('Job abandoned after 3 attempts');
+  });
+});
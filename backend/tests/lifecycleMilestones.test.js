@@ -0,0 +1,101 @@
+// backend/tests/lifecycleMilestones.test.js
+const {
+  parseWindows,
+  evaluateMilestones,
+  lifecycleStage,
+  summarizeMilestones
+} = require('../src/services/lifecycleMilestones');
+const { resolveCalendar } = require('../src/utils/fiscalCalendar');
+
+const NOW = new Date('2025-06-01T00:00:00Z');
+
+describe('parseWindows', () => {
+  test('reads a comma-separated list or an array into sorted unique months', () => {
+    expect(parseWindows('24, 12,36,12')).toEqual([12, 24, 36]);
+    expect(parseWindows([6, 3])).toEqual([3, 6]);
+    expect(parseWindows('120')).toEqual([120]);
+  });
+
+  test('rejects the whole list when any entry is not a month count from 1 to 120', () => {
+    expect(parseWindows('12,abc')).toBeNull();
+    expect(parseWindows('0,12')).toBeNull();
+    expect(parseWindows('121')).toBeNull();
+    expect(parseWindows('1.5')).toBeNull();
+    expect(parseWindows('')).toBeNull();
+    expect(parseWindows([])).toBeNull();
+  });
+});
+
+describe('evaluateMilestones', () => {
+  const row = {
+    eol_announcement: '2023-01-15',
+    end_of_sale: '2025-06-01',
+    end_of_sw_maintenance: '2026-03-01',
+    end_of_vuln_support: '2027-05-01',
+    last_day_support: '2030-01-31'
+  };
+
+  test('marks milestones on or before the current date as passed', () => {
+    const result = evaluateMilestones(row, { currentDate: NOW, windows: [12, 24, 36] });
+
+    expect(result.eol).toEqual({ date: new Date('2023-01-15'), passed: true, window: null });
+    expect(result.eos.passed).toBe(true);
+  });
+
+  test('puts each upcoming milestone in the smallest window it falls in', () => {
+    const result = evaluateMilestones(row, { currentDate: NOW, windows: [12, 24, 36] });
+
+    expect(result.eoswm).toMatchObject({ passed: false, window: 12 });
+    expect(result.eovss).toMatchObject({ passed: false, window: 24 });
+    // Beyond the largest window
+    expect(result.ldos).toMatchObject({ passed: false, window: null });
+  });
+
+  test('leaves blank and unreadable dates out', () => {
+    const result = evaluateMilestones({ end_of_sale: '-', last_day_support: 'TBD' }, { currentDate: NOW });
+
+    expect(result.eos).toEqual({ date: null, passed: false, window: null });
+    expect(result.ldos).toEqual({ date: null, passed: false, window: null });
+  });
+});
+
+describe('lifecycleStage', () => {
+  test('reports the last milestone passed in bulletin order and the next one ahead', () => {
+    expect(lifecycleStage({
+      eol_announcement: '2023-01-15',
+      end_of_sale: '2024-01-15',
+      end_of_vuln_support: '2027-01-15',
+      last_day_support: '2026-01-15'
+    }, NOW)).toEqual({ status: 'End of Sale', nextMilestone: 'LDOS', nextDate: new Date('2026-01-15') });
+  });
+
+  test('is Current with nothing ahead when no dates are known', () => {
+    expect(lifecycleStage({ end_of_sale: '-' }, NOW)).toEqual({ status: 'Current', nextMilestone: null, nextDate: null });
+  });
+});
+
+describe('summarizeMilestones', () => {
+  test('counts rows and quantities, with cumulative window counts', () => {
+    const totals = summarizeMilestones([
+      { qty: 2, last_day_support: '2025-09-01' },
+      { qty: '5', last_day_support: '2026-12-01' },
+      { qty: 1, last_day_support: '2024-01-01' },
+      { qty: 4, last_day_support: '-' }
+    ], { currentDate: NOW, windows: [12, 24], calendar: resolveCalendar('calendar') });
+
+    expect(totals.ldos).toEqual({
+      short: 'LDOS',
+      label: 'Last Date of Support',
+      dated: 3,
+      passed: 1,
+      passedQty: 1,
+      upcoming: { 12: 1, 24: 2 },
+      upcomingQty: { 12: 2, 24: 7 },
+      by_fiscal_quarter: [
+        { period: 'FY2025 Q3', count: 1, quantity: 2 },
+        { period: 'FY2026 Q4', count: 1, quantity: 5 }
+      ]
+    });
+    expect(totals.eos.dated).toBe(0);
+  });
+});
@@ -0,0 +1,67 @@
+// backend/tests/manufacturerIdentifier.test.js
+const {
+  compileMatcher,
+  compileRules,
+  detectSourceSystem,
+  matchManufacturer
+} = require('../src/services/manufacturerIdentifier');
+
+const row = (fields) => ({ product_id: '-', description: '-', product_family: '-', ...fields });
+
+describe('compileMatcher', () => {
+  test('matches a description keyword as a whole word only', () => {
+    const hp = compileMatcher({ match_type: 'description_keyword', pattern: 'hp' });
+
+    expect(hp(row({ description: 'HP ProCurve 2920 switch' }))).toBe(true);
+    expect(hp(row({ description: 'Spare power supply, hp' }))).toBe(true);
+    expect(hp(row({ description: 'Catalyst CHPSU power supply' }))).toBe(false);
+    expect(hp(row({ description: 'chpsu' }))).toBe(false);
+  });
+
+  test('bounds keyword phrases with punctuation in them', () => {
+    const panOs = compileMatcher({ match_type: 'description_keyword', pattern: 'pan-os' });
+
+    expect(panOs(row({ description: 'Firewall running PAN-OS 10.2' }))).toBe(true);
+    expect(panOs(row({ description: 'JAPAN-OSAKA site firewall' }))).toBe(false);
+  });
+
+  test('matches Product ID prefixes and patterns case-insensitively', () => {
+    expect(compileMatcher({ match_type: 'pid_prefix', pattern: 'fg-' })(row({ product_id: 'FG-100F' }))).toBe(true);
+    expect(compileMatcher({ match_type: 'pid_regex', pattern: '^ws-c' })(row({ product_id: 'WS-C2960X-48FPD-L' }))).toBe(true);
+    expect(compileMatcher({ match_type: 'product_family', pattern: '^C\\d{4}' })(row({ product_family: 'C9300' }))).toBe(true);
+    expect(compileMatcher({ match_type: 'pid_prefix', pattern: 'FG-' })(row({}))).toBe(false);
+  });
+
+  test('throws on an invalid pattern or match type', () => {
+    expect(() => compileMatcher({ match_type: 'pid_regex', pattern: '(' })).toThrow(SyntaxError);
+    expect(() => compileMatcher({ match_type: 'serial', pattern: 'FOC' })).toThrow('Unknown match type: serial');
+  });
+});
+
+describe('matchManufacturer', () => {
+  test('takes the highest priority rule, then the highest confidence', () => {
+    const rules = compileRules([
+      { manufacturer: 'Low', match_type: 'pid_prefix', pattern: 'X', priority: 10, confidence: 99 },
+      { manufacturer: 'Tie', match_type: 'pid_prefix', pattern: 'X', priority: 50, confidence: 60 },
+      { manufacturer: 'High', match_type: 'pid_prefix', pattern: 'X', priority: 50, confidence: 80 },
+      { manufacturer: 'Off', match_type: 'pid_prefix', pattern: 'X', priority: 100, confidence: 100, enabled: false }
+    ]);
+
+    expect(matchManufacturer(row({ product_id: 'X-1' }), rules)).toMatchObject({ manufacturer: 'High', confidence: 80 });
+    expect(matchManufacturer(row({ product_id: 'Y-1' }), rules)).toEqual({ manufacturer: 'Unknown', confidence: 0, rule: null });
+  });
+
+  test('identifies Cisco parts with the built-in rules', () => {
+    expect(matchManufacturer(row({ product_id: 'C9300-48P-E' })).manufacturer).toBe('Cisco');
+    expect(matchManufacturer(row({ product_id: 'DN2-HW-APL' })).manufacturer).toBe('Cisco');
+    expect(matchManufacturer(row({ product_id: 'PWR-C1-350WAC-P', description: 'Catalyst CHPSU 350W' })).manufacturer).toBe('Cisco');
+  });
+});
+
+describe('detectSourceSystem', () => {
+  test('recognizes a Cisco Ready export by sheet name or marker headers', () => {
+    expect(detectSourceSystem({ sheetName: 'Powered by Cisco Ready', headers: [] })).toEqual({ name: 'Cisco Ready', manufacturer: 'Cisco', confidence: 70 });
+    expect(detectSourceSystem({ sheetName: 'Sheet1', headers: ['Covered Line Status', ' Business Entity '] })).toMatchObject({ name: 'Cisco Ready' });
+    expect(detectSourceSystem({ sheetName: 'Sheet1', headers: ['Business Entity', 'Serial Number'] })).toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+// backend/tests/mappingProfileController.test.js
+jest.mock('../src/config/database', () => ({ query: jest.fn() }));
+jest.mock('../src/services/mappingProfiles');
+
+const mappingProfiles = require('../src/services/mappingProfiles');
+const controller = require('../src/controllers/mappingProfileController');
+
+const STORED = {
+  profile_id: 'p1',
+  name: 'Cisco Ready',
+  headers: ['Product ID', 'Item Quantity'],
+  mapping: { product_id: 'Product ID', qty: 'Item Quantity' }
+};
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.end = jest.fn(() => res);
+  return res;
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('createProfile', () => {
+  test('rejects a profile without a name, headers or required field', async () => {
+    const res = response();
+    await controller.createProfile({ body: { headers: ['Qty'], mapping: { qty: 'Qty' } } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].details).toEqual(['name is required', 'Product ID must be mapped to a column']);
+    expect(mappingProfiles.createProfile).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateProfile', () => {
+  test('checks a mapping sent without headers against the stored headers', async () => {
+    mappingProfiles.getProfile.mockResolvedValue(STORED);
+    const res = response();
+    await controller.updateProfile({ params: { profileId: 'p1' }, body: { mapping: { product_id: 'PID' } } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].details).toEqual(['Column "PID" mapped to Product ID was not found in the file']);
+    expect(mappingProfiles.updateProfile).not.toHaveBeenCalled();
+  });
+
+  test('saves a valid partial update', async () => {
+    mappingProfiles.getProfile.mockResolvedValue(STORED);
+    mappingProfiles.updateProfile.mockResolvedValue({ ...STORED, mapping: { product_id: 'Product ID' } });
+    const res = response();
+    await controller.updateProfile({ params: { profileId: 'p1' }, body: { mapping: { product_id: 'Product ID' } } }, res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ profile_id: 'p1' }));
+  });
+
+  test('returns 404 for an unknown profile', async () => {
+    mappingProfiles.getProfile.mockResolvedValue(null);
+    const res = response();
+    await controller.updateProfile({ params: { profileId: 'nope' }, body: { mapping: { product_id: 'Product ID' } } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,93 @@
+// backend/tests/mappingProfiles.test.js
+jest.mock('../src/config/database', () => ({ query: jest.fn() }));
+jest.mock('../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const pool = require('../src/config/database');
+const { computeFingerprint, adaptMapping, findMatchingProfile } = require('../src/services/mappingProfiles');
+
+const HEADERS = ['Product ID', 'Item Quantity', 'Product Description', 'Last Date of Support'];
+const MAPPING = { product_id: 'Product ID', qty: 'Item Quantity', description: 'Product Description', last_day_support: 'Last Date of Support' };
+
+const profileRow = (fields) => ({
+  profile_id: fields.name,
+  headers: HEADERS,
+  header_fingerprint: computeFingerprint(fields.headers || HEADERS),
+  mapping: MAPPING,
+  customer_name: null,
+  times_used: 0,
+  ...fields
+});
+
+describe('computeFingerprint', () => {
+  test('ignores header order, case and spacing', () => {
+    expect(computeFingerprint(['Product ID', 'Item Quantity'])).toBe(computeFingerprint(['item_quantity', ' product id ']));
+    expect(computeFingerprint(['Product ID'])).not.toBe(computeFingerprint(['Product ID', 'Item Quantity']));
+  });
+});
+
+describe('adaptMapping', () => {
+  test('re-points saved columns at the spelling in the file', () => {
+    const adapted = adaptMapping(MAPPING, ['PRODUCT ID', 'item quantity', 'Product Description', 'Last Date of Support']);
+
+    expect(adapted).toMatchObject({ product_id: 'PRODUCT ID', qty: 'item quantity' });
+  });
+
+  test('fills a field whose column was renamed from the suggested mapping', () => {
+    const adapted = adaptMapping(MAPPING, ['PID', 'Item Quantity', 'Product Description', 'Last Date of Support']);
+
+    expect(adapted.product_id).toBe('PID');
+  });
+
+  test('leaves a lost field empty when nothing fits or its suggestion is taken', () => {
+    expect(adaptMapping({ ...MAPPING, qty: 'Units Shipped' }, ['Product ID', 'Product Description']).qty).toBeNull();
+
+    const adapted = adaptMapping({ product_id: 'Product ID', description: 'Desc Text', category: 'Product Description' },
+      ['Product ID', 'Product Description']);
+    expect(adapted).toMatchObject({ category: 'Product Description', description: null });
+  });
+
+  test('does not add fields the profile left unmapped', () => {
+    expect(adaptMapping({ product_id: 'Product ID' }, HEADERS).qty).toBeNull();
+  });
+});
+
+describe('findMatchingProfile', () => {
+  const respondWith = (rows) => pool.query.mockResolvedValueOnce({ rows });
+
+  test('prefers an exact fingerprint match', async () => {
+    respondWith([
+      profileRow({ name: 'similar', headers: [...HEADERS, 'Notes'], times_used: 50 }),
+      profileRow({ name: 'exact' })
+    ]);
+    const match = await findMatchingProfile(HEADERS, null);
+
+    expect(match).toMatchObject({ matchType: 'exact', similarity: 1, profile: { name: 'exact' } });
+  });
+
+  test('uses a similar profile from 80% header overlap and fills the columns it lost', async () => {
+    const extra = ['Ship Date', 'Serial Number', 'Install Site Name', 'Contract Number', 'Warranty End Date', 'Instance ID'];
+    respondWith([profileRow({ name: 'close', headers: [...HEADERS, ...extra] })]);
+    // One of ten columns renamed: 9 shared of 11 headers
+    const match = await findMatchingProfile(['PID', ...HEADERS.slice(1), ...extra], null);
+
+    expect(match).toMatchObject({ matchType: 'similar', similarity: 0.82, profile: { name: 'close' } });
+    expect(match.mapping).toMatchObject({ product_id: 'PID', qty: 'Item Quantity' });
+  });
+
+  test('ignores profiles below the similarity threshold', async () => {
+    respondWith([profileRow({ name: 'other', headers: ['Serial', 'Site', 'Owner', 'Product ID'] })]);
+
+    expect(await findMatchingProfile(HEADERS, null)).toBeNull();
+  });
+
+  test('never applies another customer\'s profile automatically', async () => {
+    const rows = [profileRow({ name: 'acme', customer_name: 'Acme' }), profileRow({ name: 'generic', times_used: 0 })];
+
+    respondWith(rows);
+    expect((await findMatchingProfile(HEADERS, 'ACME')).profile.name).toBe('acme');
+    respondWith(rows);
+    expect((await findMatchingProfile(HEADERS, 'Beta')).profile.name).toBe('generic');
+    respondWith([rows[0]]);
+    expect(await findMatchingProfile(HEADERS, 'Beta')).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+// backend/tests/refreshBudget.test.js
+const { forecastRefreshBudget, replacementYear } = require('../src/services/refreshBudget');
+const { resolveCalendar } = require('../src/utils/fiscalCalendar');
+
+const row = (fields = {}) => ({
+  category: 'Switching',
+  mfg: 'Cisco',
+  install_site: 'City Hall',
+  qty: 1,
+  list_price: '1000',
+  ship_date: '-',
+  last_day_support: '-',
+  ...fields
+});
+
+const OPTIONS = { currentDate: new Date('2025-06-01T00:00:00Z'), calendar: resolveCalendar('calendar') };
+
+describe('replacementYear', () => {
+  const options = { policy: 'ldos', lifespanYears: 7, calendar: resolveCalendar('calendar') };
+
+  test('replaces at LDOS, falling back to age when LDOS is unknown', () => {
+    expect(replacementYear(row({ last_day_support: '2027-03-01', ship_date: '2015-01-10' }), options)).toEqual({ year: 2027, basis: 'ldos' });
+    expect(replacementYear(row({ ship_date: '2019-05-01' }), options)).toEqual({ year: 2026, basis: 'age' });
+    expect(replacementYear(row(), options)).toBeNull();
+  });
+
+  test('the earliest policy takes whichever date comes first', () => {
+    const asset = row({ last_day_support: '2030-01-31', ship_date: '2020-02-01' });
+
+    expect(replacementYear(asset, { ...options, policy: 'earliest' })).toEqual({ year: 2027, basis: 'age' });
+    expect(replacementYear(asset, { ...options, policy: 'age', lifespanYears: 12 })).toEqual({ year: 2032, basis: 'age' });
+  });
+
+  test('names fiscal years after the calendar year they end in', () => {
+    const calendar = resolveCalendar('customer', { startMonth: 7 });
+
+    expect(replacementYear(row({ last_day_support: '2026-08-15' }), { ...options, calendar })).toEqual({ year: 2027, basis: 'ldos' });
+    expect(replacementYear(row({ last_day_support: '2026-06-30' }), { ...options, calendar })).toEqual({ year: 2026, basis: 'ldos' });
+  });
+});
+
+describe('forecastRefreshBudget', () => {
+  test('spreads the extended list price over the fiscal years of the horizon', () => {
+    const forecast = forecastRefreshBudget([
+      row({ qty: 2, list_price: '2400.50', last_day_support: '2027-03-01' }),
+      row({ qty: 1, list_price: '1000', last_day_support: '2027-11-30', category: 'Routing' }),
+      row({ qty: 3, list_price: '300', ship_date: '2019-05-01', install_site: '-' })
+    ], OPTIONS);
+
+    expect(forecast.fiscal_years).toEqual([2025, 2026, 2027, 2028, 2029]);
+    expect(forecast.totals).toMatchObject({
+      by_year: { 2025: 0, 2026: 300, 2027: 3400.5, 2028: 0, 2029: 0 },
+      quantity_by_year: { 2026: 3, 2027: 3 },
+      total: 3700.5,
+      quantity: 6
+    });
+    expect(forecast.by_category.map(group => [group.name, group.total])).toEqual([['Switching', 2700.5], ['Routing', 1000]]);
+    expect(forecast.by_site.map(group => group.name)).toEqual(['City Hall', 'Unknown']);
+    expect(forecast.basis).toEqual({ ldos: 2, age: 1 });
+    expect(forecast.assumptions).toMatchObject({ policy: 'ldos', years: 5, start_year: 2025, lifespan_years: 7 });
+  });
+
+  test('budgets overdue assets in the first year and sets aside what falls outside the horizon', () => {
+    const forecast = forecastRefreshBudget([
+      row({ qty: 4, list_price: '800', last_day_support: '2021-01-31' }),
+      row({ qty: 1, list_price: '500', last_day_support: '2034-01-31' }),
+      row({ qty: 2, list_price: '250' })
+    ], OPTIONS);
+
+    expect(forecast.totals.by_year[2025]).toBe(800);
+    expect(forecast.overdue).toEqual({ count: 1, quantity: 4, value: 800 });
+    expect(forecast.beyond_horizon).toEqual({ count: 1, quantity: 1, value: 500 });
+    expect(forecast.unscheduled).toEqual({ count: 1, quantity: 2, value: 250 });
+    expect(forecast.totals.total).toBe(800);
+  });
+
+  test('counts scheduled assets without a price', () => {
+    const forecast = forecastRefreshBudget([
+      row({ qty: 5, list_price: '-', last_day_support: '2026-01-31' }),
+      row({ qty: 1, list_price: undefined })
+    ], OPTIONS);
+
+    expect(forecast.unpriced).toEqual({ count: 1, quantity: 5 });
+    expect(forecast.totals.quantity_by_year[2026]).toBe(5);
+  });
+
+  test('falls back to the default policy for an unknown one and honours the horizon options', () => {
+    const forecast = forecastRefreshBudget([], { ...OPTIONS, policy: 'never', years: 3, startYear: 2030 });
+
+    expect(forecast.assumptions.policy).toBe('ldos');
+    expect(forecast.fiscal_years).toEqual([2030, 2031, 2032]);
+  });
+});
@@ -0,0 +1,132 @@
+// backend/tests/replacementPlan.test.js
+jest.mock('../src/config/database', () => ({ query: jest.fn() }));
+
+const { buildReplacementPlan, buildBom, parseMigrationPids } = require('../src/services/replacementPlan');
+
+const NOW = new Date('2025-06-01T00:00:00Z');
+
+const row = (fields = {}) => ({
+  product_id: 'WS-C2960X-48FPD-L',
+  description: 'Catalyst 2960-X 48 GigE PoE',
+  category: 'Switching',
+  install_site: 'City Hall',
+  serial_number: 'FOC1',
+  instance_id: '1',
+  qty: 1,
+  list_price: '-',
+  end_of_sale: '2022-10-31',
+  last_day_support: '2027-10-31',
+  migration_pid: '-',
+  ...fields
+});
+
+const catalogOf = (...entries) => new Map(entries.map(entry => [entry.product_id, entry]));
+
+const item = (fields = {}) => ({
+  product_id: 'WS-C2960X-48FPD-L',
+  successor_product_id: 'C9200L-48P-4X-E',
+  successor_description: 'Catalyst 9200L 48-port PoE+',
+  install_site: 'City Hall',
+  quantity: 1,
+  unit_price: null,
+  price_source: null,
+  estimated_cost: null,
+  ...fields
+});
+
+describe('parseMigrationPids', () => {
+  test('reads comma separated and arrow notation successor lists', () => {
+    expect(parseMigrationPids('C1111-8P, isr4221-sec/k9')).toEqual(['C1111-8P', 'ISR4221-SEC/K9']);
+    expect(parseMigrationPids('WS-C2960X-48FPD-L -> C9200L-48P-4X-E')).toEqual(['C9200L-48P-4X-E']);
+    expect(parseMigrationPids('-')).toEqual([]);
+  });
+});
+
+describe('buildReplacementPlan', () => {
+  test('prefers the catalog successor and price over the report', () => {
+    const catalog = catalogOf({
+      product_id: 'WS-C2960X-48FPD-L',
+      successor_product_id: 'C9200L-48P-4X-E',
+      successor_description: 'Catalyst 9200L 48-port PoE+',
+      unit_list_price: 5000
+    });
+    const plan = buildReplacementPlan([
+      row({ qty: 2, list_price: '9000', migration_pid: 'C9200L-48P-4X-E,C9300L-48P-4X-E' })
+    ], catalog, { currentDate: NOW });
+
+    expect(plan.items[0]).toMatchObject({
+      successor_product_id: 'C9200L-48P-4X-E',
+      successor_source: 'catalog',
+      alternatives: ['C9300L-48P-4X-E'],
+      unit_price: 5000,
+      price_source: 'catalog',
+      estimated_cost: 10000
+    });
+  });
+
+  test('falls back to the report successor priced at the installed unit price', () => {
+    const plan = buildReplacementPlan([
+      row({ qty: 3, list_price: '1000', migration_pid: 'C9200L-48P-4X-E' })
+    ], new Map(), { currentDate: NOW });
+
+    expect(plan.items[0]).toMatchObject({ successor_source: 'report', unit_price: 333.33, price_source: 'installed', estimated_cost: 999.99 });
+    expect(plan.summary).toMatchObject({ with_successor: 1, by_source: { catalog: 0, report: 1 }, priced_from: { catalog: 0, installed: 1 } });
+  });
+
+  test('groups assets without a successor and skips current ones in the eol scope', () => {
+    const rows = [
+      row({ product_id: 'AIR-AP1832I-B-K9', qty: 4 }),
+      row({ product_id: 'air-ap1832i-b-k9', qty: 1 }),
+      row({ product_id: 'C9300-48P-E', end_of_sale: '-', last_day_support: '-' })
+    ];
+
+    const eol = buildReplacementPlan(rows, new Map(), { currentDate: NOW });
+    expect(eol.unmatched).toEqual([expect.objectContaining({ product_id: 'AIR-AP1832I-B-K9', lines: 2, quantity: 5 })]);
+    expect(eol.summary).toMatchObject({ lines: 2, quantity: 5, without_successor: 2 });
+
+    const all = buildReplacementPlan(rows, new Map(), { scope: 'all', currentDate: NOW });
+    expect(all.summary.lines).toBe(3);
+  });
+});
+
+describe('buildBom', () => {
+  test('sums the extended price of the priced lines and reports the unpriced quantity', () => {
+    const bom = buildBom([
+      item({ quantity: 2, unit_price: 100, price_source: 'installed', estimated_cost: 200 }),
+      item({ quantity: 1, unit_price: 150, price_source: 'installed', estimated_cost: 150, install_site: 'Library' }),
+      item({ quantity: 4 })
+    ]);
+
+    expect(bom).toEqual([{
+      line: 1,
+      part_number: 'C9200L-48P-4X-E',
+      description: 'Catalyst 9200L 48-port PoE+',
+      quantity: 7,
+      unpriced_quantity: 4,
+      unit_list_price: 116.67,
+      extended_list_price: 350,
+      price_source: 'installed',
+      replaces: 'WS-C2960X-48FPD-L',
+      sites: 'City Hall, Library'
+    }]);
+  });
+
+  test('marks a part priced from both the catalog and installed prices as mixed', () => {
+    const bom = buildBom([
+      item({ quantity: 1, unit_price: 5000, price_source: 'catalog', estimated_cost: 5000 }),
+      item({ product_id: 'WS-C3850-48P-S', quantity: 1, unit_price: 4000, price_source: 'installed', estimated_cost: 4000 })
+    ]);
+
+    expect(bom[0]).toMatchObject({ price_source: 'mixed', extended_list_price: 9000, replaces: 'WS-C2960X-48FPD-L, WS-C3850-48P-S' });
+  });
+
+  test('leaves a part with no price unpriced and numbers lines by part number', () => {
+    const bom = buildBom([
+      item({ successor_product_id: 'C9300-48P-E', quantity: 2 }),
+      item({ successor_product_id: 'C9200L-24P-4G-E', quantity: 1, unit_price: 10, price_source: 'catalog', estimated_cost: 10 })
+    ]);
+
+    expect(bom.map(line => [line.line, line.part_number])).toEqual([[1, 'C9200L-24P-4G-E'], [2, 'C9300-48P-E']]);
+    expect(bom[1]).toMatchObject({ unpriced_quantity: 2, unit_list_price: null, extended_list_price: null, price_source: null });
+  });
+});
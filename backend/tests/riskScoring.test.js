@@ -0,0 +1,104 @@
+// backend/tests/riskScoring.test.js
+const { RISK_FACTORS, parseRiskWeights, scoreAsset } = require('../src/services/riskScoring');
+
+const CURRENT_DATE = new Date('2025-06-01T00:00:00Z');
+
+const DEFAULT_WEIGHTS = Object.fromEntries(Object.entries(RISK_FACTORS).map(([key, factor]) => [key, factor.weight]));
+
+// Every factor at zero weight except the ones given
+const only = (weights) => ({ ...Object.fromEntries(Object.keys(RISK_FACTORS).map(key => [key, 0])), ...weights });
+
+const WORST_CASE = {
+  product_id: 'N9K-C93180YC-FX',
+  last_day_support: '2024-01-31',
+  end_of_vuln_support: '2023-01-31',
+  support_coverage: 'Expired',
+  warranty_end_date: '2019-01-01',
+  ship_date: '2012-01-01'
+};
+
+const factorOf = (result, key) => result.factors.find(factor => factor.key === key);
+
+describe('parseRiskWeights', () => {
+  test('reads "factor:weight" lists and objects, keeping defaults for the rest', () => {
+    expect(parseRiskWeights('ldos:50, coverage:0')).toEqual({ ...DEFAULT_WEIGHTS, ldos: 50, coverage: 0 });
+    expect(parseRiskWeights({ age: 25 })).toEqual({ ...DEFAULT_WEIGHTS, age: 25 });
+  });
+
+  test('rejects unknown factors, bad numbers and all-zero weights', () => {
+    expect(parseRiskWeights('uptime:10')).toBeNull();
+    expect(parseRiskWeights('ldos:-5')).toBeNull();
+    expect(parseRiskWeights('ldos:')).toBeNull();
+    expect(parseRiskWeights('ldos')).toBeNull();
+    expect(parseRiskWeights(only({}))).toBeNull();
+  });
+});
+
+describe('scoreAsset', () => {
+  test('default weights add up to 100 and a worst-case asset scores all of them', () => {
+    const result = scoreAsset(WORST_CASE, { weights: DEFAULT_WEIGHTS, currentDate: CURRENT_DATE });
+
+    expect(result.factors.reduce((sum, factor) => sum + factor.max, 0)).toBe(100);
+    expect(result.score).toBe(100);
+    expect(result.level).toBe('Critical');
+    expect(factorOf(result, 'ldos')).toMatchObject({ points: 30, max: 30, detail: 'LDOS passed 2024-01-31' });
+  });
+
+  test('scales relative weights to 100', () => {
+    const result = scoreAsset(WORST_CASE, { weights: only({ ldos: 3, coverage: 1 }), currentDate: CURRENT_DATE });
+
+    expect(factorOf(result, 'ldos').max).toBe(75);
+    expect(factorOf(result, 'coverage').max).toBe(25);
+    expect(factorOf(result, 'age').max).toBe(0);
+    expect(result.score).toBe(100);
+  });
+
+  test('a factor with no weight adds nothing however bad it is', () => {
+    const result = scoreAsset(WORST_CASE, { weights: only({ coverage: 1 }), currentDate: CURRENT_DATE });
+
+    expect(result.score).toBe(100);
+    expect(scoreAsset({ ...WORST_CASE, support_coverage: 'Active' }, {
+      weights: only({ coverage: 1 }),
+      currentDate: CURRENT_DATE
+    }).score).toBe(0);
+  });
+
+  test('milestone exposure rises linearly over its horizon', () => {
+    const weights = only({ ldos: 1 });
+    const score = (lastDaySupport) => scoreAsset({ last_day_support: lastDaySupport }, { weights, currentDate: CURRENT_DATE }).score;
+
+    // 36-month LDOS horizon
+    expect(score('2028-07-01')).toBe(0);
+    expect(score('2026-12-01')).toBe(50);
+    expect(score('2025-06-01')).toBe(100);
+    expect(score('-')).toBe(0);
+  });
+
+  test('criticality weighs a chassis above its accessories', () => {
+    const weights = only({ criticality: 1 });
+    const level = (fields) => scoreAsset(fields, { weights, currentDate: CURRENT_DATE });
+
+    expect(level({ product_id: 'N9K-C93180YC-FX' })).toMatchObject({ score: 100, level: 'Critical' });
+    expect(level({ product_id: 'ISR4331/K9', type: 'Router' }).score).toBe(70);
+    expect(level({ product_id: 'NXA-PAC-650W-PE', description: 'Nexus power supply' }).score).toBe(10);
+    expect(level({ product_id: 'C9200L-24P-4G-E' }).score).toBe(40);
+  });
+
+  test('risk levels start at 25, 50 and 75', () => {
+    const weights = only({ coverage: 1, criticality: 3 });
+    const levelFor = (fields) => scoreAsset(fields, { weights, currentDate: CURRENT_DATE }).level;
+
+    // Standard criticality is 30 points, unknown coverage adds 12.5
+    expect(levelFor({ product_id: 'C9200L-24P-4G-E', support_coverage: 'Active' })).toBe('Medium');
+    expect(levelFor({ product_id: 'C9200L-24P-4G-E', support_coverage: 'Unknown' })).toBe('Medium');
+    expect(levelFor({ product_id: 'ISR4331/K9', type: 'Router', support_coverage: 'Active' })).toBe('High');
+    expect(levelFor({ product_id: 'N9K-C93180YC-FX', support_coverage: 'Active' })).toBe('Critical');
+    expect(levelFor({ product_id: 'GLC-TE', support_coverage: 'Active' })).toBe('Low');
+  });
+
+  test('rates a line without product fields as Standard', () => {
+    const result = scoreAsset({ product_id: '-', qty: 1 }, { weights: DEFAULT_WEIGHTS, currentDate: CURRENT_DATE });
+
+    expect(factorOf(result, 'criticality').detail).toBe('Criticality: Standard');
+  });
+});
@@ -0,0 +1,69 @@
+// backend/tests/serviceOpportunity.test.js
+const { PRICE_SOURCES, servicePriceOf, buildServiceOpportunity } = require('../src/services/serviceOpportunity');
+
+const CURRENT_DATE = new Date('2025-06-01T00:00:00Z');
+
+const row = (id, fields) => ({
+  id,
+  product_id: 'C9300-48P-E',
+  description: 'Catalyst 9300 48-port PoE+',
+  serial_number: `FOC${id}`,
+  install_site: 'City Hall',
+  category: 'Switching',
+  product_family: 'C9300',
+  qty: 1,
+  support_coverage: 'Expired',
+  last_day_support: '2027-01-31',
+  service_level: '-',
+  coverage_list_price: 0,
+  service_list_price: 0,
+  list_price: 0,
+  ...fields
+});
+
+const ROWS = [
+  row(1, { support_coverage: 'Active', coverage_list_price: 500 }),
+  row(2, { qty: 2, coverage_list_price: 200, service_list_price: 150, list_price: 5000 }),
+  row(3, { support_coverage: '-', last_day_support: '-', install_site: 'Library', category: 'Wireless', product_family: 'AIR', service_list_price: 80 }),
+  row(4, { qty: 4, last_day_support: '2024-01-31', list_price: 3000 }),
+  row(5, { install_site: '-' })
+];
+
+describe('servicePriceOf', () => {
+  test('prefers the existing coverage price over the default service level', () => {
+    expect(servicePriceOf(row(1, { coverage_list_price: 200, service_list_price: 150 }))).toEqual({ price: 200, source: PRICE_SOURCES.existing });
+    expect(servicePriceOf(row(1, { service_list_price: 150 }))).toEqual({ price: 150, source: PRICE_SOURCES.default });
+    expect(servicePriceOf(row(1, {}))).toEqual({ price: null, source: null });
+  });
+});
+
+describe('buildServiceOpportunity', () => {
+  test('splits uncovered assets into coverable and past-LDOS replacements', () => {
+    const { summary, coverable, replace } = buildServiceOpportunity(ROWS, { currentDate: CURRENT_DATE });
+
+    expect(summary).toEqual({
+      uncovered_lines: 4,
+      uncovered_quantity: 8,
+      coverable: { lines: 3, quantity: 4, service_value: 280, installed_list_value: 5000, unpriced_lines: 1 },
+      replace: { lines: 1, quantity: 4, service_value: 0, installed_list_value: 3000, unpriced_lines: 1 },
+      priced_from: {
+        [PRICE_SOURCES.existing]: { lines: 1, value: 200 },
+        [PRICE_SOURCES.default]: { lines: 1, value: 80 }
+      }
+    });
+    expect(coverable.items.map(item => [item.id, item.action])).toEqual([[2, 'Cover'], [3, 'Cover'], [5, 'Cover']]);
+    expect(replace.items.map(item => [item.id, item.action])).toEqual([[4, 'Replace']]);
+  });
+
+  test('rolls coverable lines up by service value and blank sites under Unknown', () => {
+    const { coverable, replace } = buildServiceOpportunity(ROWS, { currentDate: CURRENT_DATE });
+
+    expect(coverable.by_site.map(group => [group.name, group.service_value])).toEqual([
+      ['City Hall', 200], ['Library', 80], ['Unknown', 0]
+    ]);
+    expect(coverable.by_product_family.map(group => group.name)).toEqual(['C9300', 'AIR']);
+    expect(replace.by_category).toEqual([
+      { name: 'Switching', lines: 1, quantity: 4, service_value: 0, installed_list_value: 3000, unpriced_lines: 1 }
+    ]);
+  });
+});
@@ -0,0 +1,122 @@
+// backend/tests/siteSummary.test.js
+const ExcelJS = require('exceljs');
+const { UNASSIGNED, siteKeyOf, assignSiteKeys, summarizeSites, addSiteSheet } = require('../src/services/siteSummary');
+
+const CURRENT_DATE = new Date('2025-06-01T00:00:00Z');
+
+const row = (id, fields) => ({
+  id,
+  product_id: 'C9300-48P-E',
+  install_site_id: '-',
+  install_site: '-',
+  qty: 1,
+  list_price: 0,
+  support_coverage: 'Expired',
+  last_day_support: '-',
+  ...fields
+});
+
+const ROWS = [
+  row(1, { install_site_id: 'S1', install_site: 'City Hall', install_site_city: 'St Cloud', qty: 2, list_price: 1000, support_coverage: 'Active', last_day_support: '2024-01-31' }),
+  row(2, { install_site_id: ' S1 ', install_site: 'City Hall Annex', install_site_city: 'Sauk Rapids', is_device: false, last_day_support: '2026-03-31' }),
+  row(3, { install_site: 'library', qty: 4, list_price: 500, support_coverage: 'Expiring', last_day_support: '2030-01-31' }),
+  row(4, { install_site: 'Library ' }),
+  row(5, { qty: 3, list_price: 200, last_day_support: '2025-09-30' })
+];
+
+describe('siteKeyOf', () => {
+  test('keys on the site ID, then the site name, then Unassigned', () => {
+    expect(siteKeyOf(ROWS[0])).toBe('ID:S1');
+    expect(siteKeyOf(ROWS[1])).toBe('ID:S1');
+    expect(siteKeyOf(ROWS[2])).toBe('NAME:LIBRARY');
+    expect(siteKeyOf(ROWS[3])).toBe('NAME:LIBRARY');
+    expect(siteKeyOf(ROWS[4])).toBe(UNASSIGNED);
+  });
+
+  test('assignSiteKeys stamps every row', () => {
+    const rows = ROWS.map(r => ({ ...r }));
+    assignSiteKeys(rows);
+    expect(rows.map(r => r.site_key)).toEqual(['ID:S1', 'ID:S1', 'NAME:LIBRARY', 'NAME:LIBRARY', UNASSIGNED]);
+  });
+});
+
+describe('summarizeSites', () => {
+  const summary = summarizeSites(ROWS, { currentDate: CURRENT_DATE, horizonMonths: 24 });
+
+  test('orders sites by refresh cost', () => {
+    expect(summary.horizon_months).toBe(24);
+    expect(summary.sites.map(site => site.key)).toEqual(['ID:S1', UNASSIGNED, 'NAME:LIBRARY']);
+  });
+
+  test('rolls up coverage, LDOS exposure and refresh cost per site', () => {
+    expect(summary.sites[0]).toMatchObject({
+      site_id: 'S1',
+      site_name: 'City Hall',
+      city: 'St Cloud',
+      lines: 2,
+      quantity: 3,
+      devices: 1,
+      covered_quantity: 2,
+      coverage_pct: 66.7,
+      ldos_passed_quantity: 2,
+      ldos_upcoming_quantity: 1,
+      ldos_exposure_pct: 100,
+      next_ldos: '2026-03-31',
+      installed_list_value: 1000,
+      refresh_quantity: 3,
+      refresh_cost: 1000,
+      unpriced_refresh_lines: 1
+    });
+  });
+
+  test('leaves lines past the horizon out of the refresh', () => {
+    expect(summary.sites[2]).toMatchObject({
+      site_id: null,
+      site_name: 'library',
+      quantity: 5,
+      covered_quantity: 4,
+      coverage_pct: 80,
+      ldos_exposure_pct: 0,
+      next_ldos: null,
+      installed_list_value: 500,
+      refresh_quantity: 0,
+      refresh_cost: 0
+    });
+  });
+
+  test('groups lines without a site under Unassigned', () => {
+    expect(summary.sites[1]).toMatchObject({ site_name: UNASSIGNED, quantity: 3, ldos_upcoming_quantity: 3, next_ldos: '2025-09-30', refresh_cost: 200 });
+  });
+
+  test('totals every site', () => {
+    expect(summary.totals).toMatchObject({
+      sites: 3,
+      lines: 5,
+      quantity: 11,
+      devices: 4,
+      covered_quantity: 6,
+      coverage_pct: 54.5,
+      ldos_passed_quantity: 2,
+      ldos_upcoming_quantity: 4,
+      ldos_exposure_pct: 54.5,
+      next_ldos: '2025-09-30',
+      installed_list_value: 1700,
+      refresh_quantity: 6,
+      refresh_cost: 1200,
+      unpriced_refresh_lines: 1
+    });
+    expect(summary.totals).not.toHaveProperty('site_name');
+  });
+});
+
+describe('addSiteSheet', () => {
+  test('writes one row per site and a totals row', () => {
+    const workbook = new ExcelJS.Workbook();
+    addSiteSheet(workbook, summarizeSites(ROWS, { currentDate: CURRENT_DATE, horizonMonths: 24 }));
+    const sheet = workbook.getWorksheet('Sites');
+    expect(sheet.rowCount).toBe(5);
+    expect(sheet.getRow(2).getCell('site_name').value).toBe('City Hall');
+    expect(sheet.getRow(5).getCell('site_name').value).toBe('Total (3 sites)');
+    expect(sheet.getRow(5).getCell('refresh_cost').value).toBe(1200);
+  });
+});
@@ -0,0 +1,64 @@
+// backend/tests/successorCatalog.test.js
+jest.mock('../src/config/database', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../src/config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const pool = require('../src/config/database');
+const { validateEntry, readImportRows, importEntries } = require('../src/services/successorCatalog');
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('validateEntry', () => {
+  test('normalizes Product IDs and reads formatted prices', () => {
+    expect(validateEntry({ product_id: ' ws-c2960x-48fpd-l ', successor_product_id: 'c9200l-48p-4x-e', unit_list_price: '$5,120.50' })).toEqual({
+      entry: {
+        product_id: 'WS-C2960X-48FPD-L',
+        successor_product_id: 'C9200L-48P-4X-E',
+        successor_description: null,
+        unit_list_price: 5120.5,
+        notes: null
+      },
+      errors: []
+    });
+  });
+
+  test('rejects missing PIDs, a successor equal to the product and a bad price', () => {
+    expect(validateEntry({}).errors).toEqual(['product_id is required', 'successor_product_id is required']);
+    expect(validateEntry({ product_id: 'A', successor_product_id: 'a', unit_list_price: '-5' }).errors).toEqual([
+      'successor_product_id must differ from product_id',
+      'unit_list_price must be a non-negative number'
+    ]);
+    expect(validateEntry({ product_id: 'A', successor_product_id: 'B', unit_list_price: 'call' }).errors).toHaveLength(1);
+  });
+});
+
+describe('readImportRows', () => {
+  test('accepts header spellings and reports invalid rows by their 1-based number', () => {
+    const { entries, errors } = readImportRows([
+      { ' EoL PID ': 'WS-C2960X-48FPD-L', 'Replacement PID': 'C9200L-48P-4X-E', 'List Price': '5000' },
+      { PID: 'AIR-AP1832I-B-K9' }
+    ]);
+
+    expect(entries).toEqual([expect.objectContaining({ product_id: 'WS-C2960X-48FPD-L', successor_product_id: 'C9200L-48P-4X-E', unit_list_price: 5000 })]);
+    expect(errors).toEqual([{ row: 2, errors: ['successor_product_id is required'] }]);
+  });
+});
+
+describe('importEntries', () => {
+  test('upserts each Product ID once, keeping its last entry', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [{ inserted: true }] }), release: jest.fn() };
+    client.query.mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [{ inserted: true }] }).mockResolvedValueOnce({ rows: [{ inserted: false }] });
+    pool.connect.mockResolvedValue(client);
+
+    const result = await importEntries([
+      { product_id: 'A', successor_product_id: 'B' },
+      { product_id: 'C', successor_product_id: 'D' },
+      { product_id: 'A', successor_product_id: 'E' }
+    ]);
+
+    expect(result).toEqual({ created: 1, updated: 1 });
+    expect(client.query.mock.calls.map(call => call[0].trim().split(/\s/)[0])).toEqual(['BEGIN', 'INSERT', 'INSERT', 'COMMIT']);
+    expect(client.query.mock.calls[1][1]).toEqual(expect.arrayContaining(['A', 'E']));
+  });
+});
@@ -0,0 +1,100 @@
+// backend/tests/supportCoverage.test.js
+const { COVERAGE_STATES, classifyCoverage, warrantyStatus } = require('../src/services/supportCoverage');
+
+const CURRENT_DATE = new Date('2025-06-01T00:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD a whole number of days from CURRENT_DATE
+const daysFromNow = (days) => new Date(CURRENT_DATE.getTime() + days * DAY_MS).toISOString().split('T')[0];
+
+const classify = (fields, options = {}) => classifyCoverage({
+  covered_line_status: 'Unknown',
+  coverage_end_date: '-',
+  warranty_end_date: '-',
+  last_day_support: '-',
+  ...fields
+}, { currentDate: CURRENT_DATE, ...options });
+
+describe('classifyCoverage', () => {
+  describe('Expiring', () => {
+    test('starts when the contract ends within the expiring window, inclusive', () => {
+      expect(classify({ covered_line_status: 'Active', coverage_end_date: daysFromNow(91) })).toBe(COVERAGE_STATES.active);
+      expect(classify({ covered_line_status: 'Active', coverage_end_date: daysFromNow(90) })).toBe(COVERAGE_STATES.expiring);
+      expect(classify({ covered_line_status: 'Active', coverage_end_date: daysFromNow(1) })).toBe(COVERAGE_STATES.expiring);
+    });
+
+    test('ends on the contract end date', () => {
+      expect(classify({ covered_line_status: 'Active', coverage_end_date: daysFromNow(0) })).toBe(COVERAGE_STATES.expired);
+    });
+
+    test('follows the expiring window of the job', () => {
+      const row = { covered_line_status: 'Active', coverage_end_date: daysFromNow(45) };
+
+      expect(classify(row, { expiringDays: 30 })).toBe(COVERAGE_STATES.active);
+      expect(classify(row, { expiringDays: 45 })).toBe(COVERAGE_STATES.expiring);
+    });
+
+    test('needs an end date - an active line without one is Active', () => {
+      expect(classify({ covered_line_status: 'Active' })).toBe(COVERAGE_STATES.active);
+    });
+
+    test('is not given to a line the file reports expired', () => {
+      expect(classify({ covered_line_status: 'Expired', coverage_end_date: daysFromNow(30) })).toBe(COVERAGE_STATES.expired);
+    });
+  });
+
+  describe('Warranty Only', () => {
+    test('applies while the warranty runs and no contract is in force', () => {
+      expect(classify({ covered_line_status: 'Expired', warranty_end_date: daysFromNow(1) })).toBe(COVERAGE_STATES.warrantyOnly);
+      expect(classify({ warranty_end_date: daysFromNow(400) })).toBe(COVERAGE_STATES.warrantyOnly);
+    });
+
+    test('ends on the warranty end date', () => {
+      expect(classify({ covered_line_status: 'Expired', warranty_end_date: daysFromNow(0) })).toBe(COVERAGE_STATES.expired);
+    });
+
+    test('gives way to a contract in force', () => {
+      expect(classify({ covered_line_status: 'Active', warranty_end_date: daysFromNow(400) })).toBe(COVERAGE_STATES.active);
+    });
+
+    test('takes precedence over LDOS having passed', () => {
+      expect(classify({ warranty_end_date: daysFromNow(10), last_day_support: daysFromNow(-10) })).toBe(COVERAGE_STATES.warrantyOnly);
+    });
+  });
+
+  describe('Not Coverable', () => {
+    test('starts on the LDOS date', () => {
+      expect(classify({ covered_line_status: 'Expired', last_day_support: daysFromNow(1) })).toBe(COVERAGE_STATES.expired);
+      expect(classify({ covered_line_status: 'Expired', last_day_support: daysFromNow(0) })).toBe(COVERAGE_STATES.notCoverable);
+      expect(classify({ last_day_support: daysFromNow(-365) })).toBe(COVERAGE_STATES.notCoverable);
+    });
+
+    test('does not apply to a contract still in force past LDOS', () => {
+      expect(classify({
+        covered_line_status: 'Active',
+        coverage_end_date: daysFromNow(200),
+        last_day_support: daysFromNow(-1)
+      })).toBe(COVERAGE_STATES.active);
+    });
+  });
+
+  test('is Unknown when the file says nothing', () => {
+    expect(classify({})).toBe(COVERAGE_STATES.unknown);
+  });
+
+  test('reads the old support_coverage value of rows stored before covered_line_status', () => {
+    expect(classifyCoverage({ support_coverage: 'Expired' }, { currentDate: CURRENT_DATE })).toBe(COVERAGE_STATES.expired);
+    expect(classifyCoverage({ support_coverage: 'Active' }, { currentDate: CURRENT_DATE })).toBe(COVERAGE_STATES.active);
+  });
+});
+
+describe('warrantyStatus', () => {
+  test('uses the same expiring window boundaries', () => {
+    const status = (days) => warrantyStatus({ warranty_end_date: daysFromNow(days) }, { currentDate: CURRENT_DATE });
+
+    expect(status(91)).toBe('Active');
+    expect(status(90)).toBe('Expiring');
+    expect(status(0)).toBe('Expired');
+    expect(warrantyStatus({ warranty_end_date: '-' }, { currentDate: CURRENT_DATE })).toBe('None');
+  });
+});
@@ -0,0 +1,72 @@
+// backend/tests/warrantyAnalysis.test.js
+const { analyzeWarranty } = require('../src/services/warrantyAnalysis');
+
+const CURRENT_DATE = new Date('2025-06-01T00:00:00Z');
+
+const row = (id, fields) => ({
+  id,
+  product_id: 'C9300-48P-E',
+  install_site: 'City Hall',
+  qty: 1,
+  support_coverage: 'Expired',
+  contract_number: '-',
+  coverage_start_date: '-',
+  coverage_end_date: '-',
+  coverage_list_price: 0,
+  warranty_type: 'Standard',
+  warranty_end_date: '-',
+  ...fields
+});
+
+const rows = () => [
+  row(1, { support_coverage: 'Warranty Only', warranty_type: 'Limited Lifetime', warranty_end_date: '2025-07-15' }),
+  row(2, {
+    support_coverage: 'Active',
+    contract_number: '201234567',
+    coverage_start_date: '2025-01-01',
+    coverage_end_date: '2025-12-31',
+    coverage_list_price: 365,
+    warranty_end_date: '2026-06-01'
+  }),
+  row(3, { warranty_end_date: '2025-01-01' }),
+  row(4, { warranty_type: '-' }),
+  row(5, {
+    support_coverage: 'Active',
+    coverage_start_date: '2025-09-01',
+    coverage_end_date: '2026-08-31',
+    warranty_end_date: '2025-08-01'
+  })
+];
+
+describe('analyzeWarranty', () => {
+  test('counts warranty states and lists warranty-only and expiring lines', () => {
+    const result = analyzeWarranty(rows(), { currentDate: CURRENT_DATE });
+
+    expect(result.expiring_days).toBe(90);
+    expect(result.summary).toEqual({
+      active: 1,
+      expiring: 2,
+      expired: 1,
+      none: 1,
+      warranty_only: 1,
+      overlap: 2,
+      overlap_spend: 213
+    });
+    expect(result.by_type).toEqual([
+      { type: 'Standard', lines: 3, in_force: 2 },
+      { type: 'Limited Lifetime', lines: 1, in_force: 1 },
+      { type: 'Unknown', lines: 1, in_force: 0 }
+    ]);
+    expect(result.warranty_only.map(item => item.id)).toEqual([1]);
+    expect(result.expiring.map(item => item.id)).toEqual([1, 5]);
+  });
+
+  test('prorates the contract spend for the days a warranty already covers', () => {
+    const { overlap } = analyzeWarranty(rows(), { currentDate: CURRENT_DATE });
+
+    expect(overlap.map(item => item.id)).toEqual([5, 2]);
+    expect(overlap[1]).toMatchObject({ overlap_days: 213, overlap_until: '2025-12-31', overlap_spend: 213 });
+    // The contract starts after the warranty ends, so nothing is paid twice
+    expect(overlap[0]).toMatchObject({ overlap_days: 0, overlap_spend: null });
+  });
+});
@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle, Save, X } from 'lucide-react';
+
+/**
+ * Column mapping step shown between file selection and Phase 1.
+ * Lists every canonical field with the column the server suggested for it,
+ * the match confidence and a few sample values, and lets the analyst fix
+ * the mapping before the job runs. A confirmed mapping can be saved as a
+ * named profile so later uploads with the same headers map the same way.
+ */
+
+const confidenceStyle = (confidence) => {
+  if (confidence >= 90) return { backgroundColor: '#CCE6E6', color: '#005959' };
+  if (confidence >= 60) return { backgroundColor: '#F3F4F6', color: '#4B5563' };
+  if (confidence > 0) return { backgroundColor: '#FEF3C7', color: '#92400E' };
+  return { backgroundColor: '#FEE2E2', color: '#991B1B' };
+};
+
+const formatSample = (value) => {
+  const text = String(value);
+  return text.length > 24 ? `${text.slice(0, 24)}…` : text;
+};
+
+const ColumnMappingStep = ({
+  preview,
+  mapping,
+  onMappingChange,
+  onSheetChange,
+  onConfirm,
+  onCancel,
+  onSaveProfile,
+  isBusy
+}) => {
+  const [profileName, setProfileName] = useState('');
+  const [sourceSystem, setSourceSystem] = useState('');
+  const [saveState, setSaveState] = useState({ saving: false, message: null, error: null });
+
+  if (!preview) return null;
+
+  const { fields = [], headers = [], samples = {}, confidence = {} } = preview;
+  const usedHeaders = Object.values(mapping).filter(Boolean);
+  const missingRequired = fields.filter(f => f.required && !mapping[f.field]);
+
+  const handleSaveProfile = async () => {
+    setSaveState({ saving: true, message: null, error: null });
+    try {
+      const profile = await onSaveProfile({ name: profileName.trim(), sourceSystem: sourceSystem.trim() });
+      setSaveState({ saving: false, message: `Saved profile "${profile.name}"`, error: null });
+      setProfileName('');
+      setSourceSystem('');
+    } catch (error) {
+      setSaveState({ saving: false, message: null, error: error.message });
+    }
+  };
+
+  const handleChange = (field, header) => {
+    onMappingChange({
+      ...mapping,
+      [field]: header || null
+    });
+  };
+
+  return (
+    <div className="border rounded-lg p-6" style={{ backgroundColor: '#F8F8F8' }}>
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+        <div>
+          <h3 className="text-lg font-bold uppercase" style={{ color: '#002D62' }}>
+            CONFIRM COLUMN MAPPING
+          </h3>
+          <p className="text-xs text-gray-600 mt-1">
+            {preview.filename} · {preview.row_count} rows
+            {preview.header_row > 1 && ` · header on row ${preview.header_row}`}
+          </p>
+        </div>
+
+        {preview.available_sheets && preview.available_sheets.length > 1 && (
+          <div className="flex items-center gap-2">
+            <label htmlFor="mappingSheet" className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>
+              Sheet:
+            </label>
+            <select
+              id="mappingSheet"
+              value={preview.sheet_name || ''}
+              onChange={(e) => onSheetChange(e.target.value)}
+              disabled={isBusy}
+              className="px-3 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+            >
+              {preview.available_sheets.map(sheet => (
+                <option key={sheet.name} value={sheet.name}>
+                  {sheet.name} ({sheet.dataRows} rows)
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {preview.matched_profile && (
+        <div className="flex items-center mb-4 px-4 py-2 rounded text-sm" style={{ backgroundColor: '#CCE6E6', color: '#005959' }}>
+          <CheckCircle size={16} className="mr-2" />
+          Using saved profile <span className="font-bold mx-1">{preview.matched_profile.name}</span>
+          {preview.matched_profile.match_type === 'exact'
+            ? '(same headers)'
+            : `(${Math.round(preview.matched_profile.similarity * 100)}% header match)`}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
+              <th className="px-4 py-3 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>
+                Field
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>
+                Source Column
+              </th>
+              <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>
+                Confidence
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>
+                Sample Values
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.map(({ field, label, required }) => {
+              const header = mapping[field];
+              const suggested = preview.mapping ? preview.mapping[field] : null;
+              const score = header && header === suggested ? confidence[field] || 0 : header ? 100 : 0;
+
+              return (
+                <tr key={field} className="border-b border-gray-100 hover:bg-gray-50 transition-colors">
+                  <td className="px-4 py-3 font-medium" style={{ color: '#002D62' }}>
+                    {label}{required && ' *'}
+                  </td>
+                  <td className="px-4 py-3">
+                    <select
+                      value={header || ''}
+                      onChange={(e) => handleChange(field, e.target.value)}
+                      disabled={isBusy}
+                      className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+                      aria-label={`Source column for ${label}`}
+                    >
+                      <option value="">— Not mapped —</option>
+                      {headers.map(h => (
+                        <option key={h} value={h} disabled={h !== header && usedHeaders.includes(h)}>
+                          {h}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-4 py-3 text-center">
+                    <span className="inline-flex px-2 py-1 text-xs rounded-full font-medium" style={confidenceStyle(score)}>
+                      {header ? (header === suggested ? `${score}%` : 'Manual') : 'None'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-xs text-gray-600">
+                    {header && samples[header] && samples[header].length > 0
+                      ? samples[header].map(formatSample).join(', ')
+                      : '—'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {missingRequired.length > 0 && (
+        <p className="flex items-center text-xs text-red-600 mt-3" role="alert">
+          <AlertCircle size={14} className="mr-1" />
+          Map {missingRequired.map(f => f.label).join(', ')} before running the analysis
+        </p>
+      )}
+
+      {onSaveProfile && (
+        <div className="flex flex-col md:flex-row md:items-center gap-2 mt-4">
+          <input
+            type="text"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            placeholder="Profile name, e.g. Cisco Ready CCW export"
+            className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+            aria-label="Mapping profile name"
+          />
+          <input
+            type="text"
+            value={sourceSystem}
+            onChange={(e) => setSourceSystem(e.target.value)}
+            placeholder="Source system (optional)"
+            className="md:w-56 px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+            aria-label="Source system"
+          />
+          <button
+            onClick={handleSaveProfile}
+            disabled={isBusy || saveState.saving || !profileName.trim() || missingRequired.length > 0}
+            className="flex items-center justify-center gap-1 px-4 py-2 text-sm border rounded transition-all hover:bg-gray-50 disabled:opacity-50"
+            style={{ borderColor: '#008080', color: '#008080' }}
+          >
+            <Save size={16} />
+            {saveState.saving ? 'Saving...' : 'Save as Profile'}
+          </button>
+        </div>
+      )}
+      {saveState.message && (
+        <p className="text-xs text-teal-600 mt-2" role="status">{saveState.message}</p>
+      )}
+      {saveState.error && (
+        <p className="text-xs text-red-600 mt-2" role="alert">{saveState.error}</p>
+      )}
+
+      <div className="flex justify-end gap-3 mt-4">
+        <button
+          onClick={onCancel}
+          disabled={isBusy}
+          className="flex items-center gap-1 px-4 py-2 text-sm border border-gray-300 rounded text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <X size={16} />
+          Cancel
+        </button>
+        <button
+          onClick={onConfirm}
+          disabled={isBusy || missingRequired.length > 0}
+          className="flex items-center gap-1 px-4 py-2 text-sm font-medium text-white rounded transition-all hover:opacity-90 disabled:opacity-50"
+          style={{ backgroundColor: '#008080' }}
+        >
+          <CheckCircle size={16} />
+          Confirm &amp; Run Phase 1
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingStep;
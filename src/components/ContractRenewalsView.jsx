@@ -0,0 +1,327 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CalendarClock, GitMerge } from 'lucide-react';
+
+/**
+ * Service contracts of a job: renewals due in the next 30/60/90/180 days,
+ * every contract with its end dates, and co-termination opportunities -
+ * lines that could be aligned to one end date.
+ */
+
+const TABS = [
+  { key: 'calendar', label: 'Renewal Calendar' },
+  { key: 'contracts', label: 'Contracts' },
+  { key: 'coterm', label: 'Co-termination' }
+];
+
+// Empty value keeps the calendar the job was analyzed with
+const CALENDAR_OPTIONS = [
+  { value: '', label: 'Job fiscal calendar' },
+  { value: 'calendar', label: 'Calendar year' },
+  { value: 'cisco', label: 'Cisco FY (Aug-Jul)' },
+  { value: 'customer', label: 'Customer FY' }
+];
+
+const formatMoney = (value) => {
+  const amount = Number(value) || 0;
+  if (Math.abs(amount) >= 1000000) return `$${(amount / 1000000).toFixed(1)}M`;
+  if (Math.abs(amount) >= 1000) return `$${Math.round(amount / 1000).toLocaleString()}K`;
+  return `$${Math.round(amount).toLocaleString()}`;
+};
+
+const readError = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  return (Array.isArray(data.details) && data.details.join(', ')) || data.error || `Server error: ${response.status}`;
+};
+
+const ContractRenewalsView = ({ jobId }) => {
+  const [data, setData] = useState(null);
+  const [target, setTarget] = useState('');
+  const [fiscalCalendar, setFiscalCalendar] = useState('');
+  const [tab, setTab] = useState(TABS[0].key);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadContracts = useCallback(async () => {
+    if (!jobId) return;
+    setIsLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams();
+      if (target) params.append('target', target);
+      if (fiscalCalendar) params.append('calendar', fiscalCalendar);
+      const response = await fetch(`/api/phase2/contracts/${jobId}?${params.toString()}`);
+      if (!response.ok) throw new Error(await readError(response));
+      setData(await response.json());
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [jobId, target, fiscalCalendar]);
+
+  useEffect(() => {
+    loadContracts();
+  }, [loadContracts]);
+
+  if (!data) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-6 mt-6 text-center text-gray-500">
+        {error ? (
+          <p className="text-sm text-red-600" role="alert">{error}</p>
+        ) : (
+          <p className="text-sm">{isLoading ? 'Loading contracts...' : 'No contract data'}</p>
+        )}
+      </div>
+    );
+  }
+
+  const { summary, calendar, contracts, co_termination: coTermination } = data;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 mt-6">
+      <div className="flex flex-col lg:flex-row justify-between gap-4 mb-4">
+        <div>
+          <h3 className="flex items-center text-lg font-bold uppercase" style={{ color: '#002D62' }}>
+            <CalendarClock size={20} className="mr-2" style={{ color: '#008080' }} />
+            CONTRACT RENEWALS
+          </h3>
+          <p className="text-xs text-gray-600 mt-1">
+            {summary.active_contracts} of {summary.contracts} contracts active
+            {' · '}{summary.contract_lines.toLocaleString()} contract lines
+            {' · '}{summary.lines_without_contract.toLocaleString()} lines without a contract
+            {summary.auto_renewing_contracts > 0 && ` · ${summary.auto_renewing_contracts} auto-renewing`}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-start gap-3">
+          <select
+            value={fiscalCalendar}
+            onChange={(e) => setFiscalCalendar(e.target.value)}
+            disabled={isLoading}
+            className="px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+            aria-label="Fiscal calendar"
+          >
+            {CALENDAR_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <div className="flex rounded border border-gray-300 overflow-hidden self-start" role="tablist">
+            {TABS.map(option => (
+              <button
+                key={option.key}
+                onClick={() => setTab(option.key)}
+                className="px-3 py-1 text-xs font-medium transition-colors"
+                style={tab === option.key ? { backgroundColor: '#008080', color: 'white' } : { color: '#374151' }}
+                role="tab"
+                aria-selected={tab === option.key}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-600 mb-2" role="alert">{error}</p>}
+
+      {tab === 'calendar' && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+            {calendar.windows.map(window => (
+              <div key={window.days} className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+                <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>
+                  {window.from_days === 0 ? `Next ${window.days} days` : `${window.from_days + 1}-${window.days} days`}
+                </p>
+                <p className="text-2xl font-bold" style={{ color: '#008080' }}>{window.contracts}</p>
+                <p className="text-xs text-gray-500">
+                  {window.contracts === 1 ? 'contract' : 'contracts'}, {window.lines.toLocaleString()} lines
+                </p>
+              </div>
+            ))}
+            <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+              <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>Later</p>
+              <p className="text-2xl font-bold text-gray-500">{calendar.later.contracts}</p>
+              <p className="text-xs text-gray-500">
+                {calendar.later.contracts === 1 ? 'contract' : 'contracts'}, {calendar.later.lines.toLocaleString()} lines
+              </p>
+            </div>
+          </div>
+
+          {calendar.by_fiscal_quarter && calendar.by_fiscal_quarter.length > 0 && (
+            <div className="mb-4">
+              <p className="text-xs font-bold uppercase mb-2" style={{ color: '#002D62' }}>
+                Renewals by fiscal quarter{data.fiscal_calendar && ` · ${data.fiscal_calendar.label}`}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {calendar.by_fiscal_quarter.map(entry => (
+                  <span
+                    key={entry.period}
+                    className="px-2 py-1 text-xs rounded border border-gray-200 text-gray-700"
+                    title={`${entry.lines.toLocaleString()} lines, ${formatMoney(entry.list_value)} installed list`}
+                  >
+                    <span className="font-medium" style={{ color: '#002D62' }}>{entry.period}</span>
+                    {' '}{entry.contracts} {entry.contracts === 1 ? 'contract' : 'contracts'}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="rounded-lg overflow-x-auto border border-gray-100">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
+                  <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Contract</th>
+                  <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Type</th>
+                  <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Ends</th>
+                  <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Fiscal Qtr</th>
+                  <th className="px-4 py-2 text-right text-xs font-bold uppercase" style={{ color: '#002D62' }}>Days</th>
+                  <th className="px-4 py-2 text-right text-xs font-bold uppercase" style={{ color: '#002D62' }}>Lines</th>
+                  <th className="px-4 py-2 text-right text-xs font-bold uppercase" style={{ color: '#002D62' }}>Qty</th>
+                  <th className="px-4 py-2 text-right text-xs font-bold uppercase" style={{ color: '#002D62' }}>Installed List</th>
+                  <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Auto-renew</th>
+                </tr>
+              </thead>
+              <tbody>
+                {calendar.windows.some(window => window.renewals.length > 0) ? calendar.windows.flatMap(window => window.renewals).map(renewal => (
+                  <tr key={`${renewal.contract_number}-${renewal.end_date}`} className="border-b border-gray-100">
+                    <td className="px-4 py-2 font-medium" style={{ color: '#002D62' }}>{renewal.contract_number}</td>
+                    <td className="px-4 py-2 text-gray-700">{renewal.contract_types.join(', ') || '-'}</td>
+                    <td className="px-4 py-2 text-gray-700">{renewal.end_date}</td>
+                    <td className="px-4 py-2 text-gray-700">{renewal.fiscal_period}</td>
+                    <td className="px-4 py-2 text-right font-medium" style={{ color: renewal.days_until <= 30 ? '#DC2626' : '#374151' }}>
+                      {renewal.days_until}
+                    </td>
+                    <td className="px-4 py-2 text-right text-gray-700">{renewal.lines.toLocaleString()}</td>
+                    <td className="px-4 py-2 text-right text-gray-700">{renewal.quantity.toLocaleString()}</td>
+                    <td className="px-4 py-2 text-right text-gray-700">{formatMoney(renewal.list_value)}</td>
+                    <td className="px-4 py-2 text-gray-700">{renewal.auto_renewal}</td>
+                  </tr>
+                )) : (
+                  <tr>
+                    <td colSpan="9" className="px-6 py-6 text-center text-sm text-gray-500">
+                      No renewals due in the next {calendar.windows[calendar.windows.length - 1].days} days
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {tab === 'contracts' && (
+        <div className="rounded-lg overflow-x-auto border border-gray-100">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
+                <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Contract</th>
+                <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Type</th>
+                <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Status</th>
+                <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Start</th>
+                <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>End Dates</th>
+                <th className="px-4 py-2 text-right text-xs font-bold uppercase" style={{ color: '#002D62' }}>Lines</th>
+                <th className="px-4 py-2 text-right text-xs font-bold uppercase" style={{ color: '#002D62' }}>Qty</th>
+                <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Sites</th>
+              </tr>
+            </thead>
+            <tbody>
+              {contracts.length > 0 ? contracts.map(contract => (
+                <tr key={contract.contract_number} className="border-b border-gray-100">
+                  <td className="px-4 py-2 font-medium" style={{ color: '#002D62' }}>{contract.contract_number}</td>
+                  <td className="px-4 py-2 text-gray-700">{contract.contract_types.join(', ') || '-'}</td>
+                  <td className="px-4 py-2">
+                    <span
+                      className="px-2 py-1 text-xs font-medium rounded-full"
+                      style={contract.status === 'Active'
+                        ? { backgroundColor: '#E6F2F2', color: '#005959' }
+                        : { backgroundColor: '#FEE2E2', color: '#991B1B' }}
+                    >
+                      {contract.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-gray-700">{contract.start_date || '-'}</td>
+                  <td className="px-4 py-2 text-xs text-gray-700">
+                    {contract.end_dates.length > 0
+                      ? contract.end_dates.map(entry => `${entry.date} (${entry.lines})`).join(', ')
+                      : '-'}
+                  </td>
+                  <td className="px-4 py-2 text-right text-gray-700">{contract.lines.toLocaleString()}</td>
+                  <td className="px-4 py-2 text-right text-gray-700">{contract.quantity.toLocaleString()}</td>
+                  <td className="px-4 py-2 text-xs text-gray-600">{contract.sites.join(', ') || '-'}</td>
+                </tr>
+              )) : (
+                <tr>
+                  <td colSpan="8" className="px-6 py-6 text-center text-sm text-gray-500">
+                    No contract numbers in this file
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {tab === 'coterm' && (
+        <>
+          <div className="flex flex-wrap items-center gap-3 mb-4">
+            <label className="flex items-center gap-2 text-xs text-gray-600">
+              Align to
+              <input
+                type="date"
+                value={target}
+                onChange={(e) => setTarget(e.target.value)}
+                disabled={isLoading}
+                className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+              />
+            </label>
+            {target && (
+              <button onClick={() => setTarget('')} className="text-xs underline" style={{ color: '#008080' }}>
+                Use suggested end date
+              </button>
+            )}
+          </div>
+
+          {coTermination.length > 0 ? (
+            <div className="space-y-3">
+              {coTermination.map(opportunity => (
+                <div key={`${opportunity.scope}-${opportunity.contract_numbers.join('-')}`} className="border rounded-lg p-4">
+                  <div className="flex items-start justify-between gap-4">
+                    <div>
+                      <p className="flex items-center text-sm font-bold" style={{ color: '#002D62' }}>
+                        <GitMerge size={16} className="mr-2" style={{ color: '#008080' }} />
+                        {opportunity.scope === 'portfolio'
+                          ? `Consolidate ${opportunity.contract_numbers.length} active contracts`
+                          : `Contract ${opportunity.contract_numbers[0]}`}
+                      </p>
+                      <p className="text-xs text-gray-600 mt-1">
+                        {opportunity.lines.toLocaleString()} lines end on {opportunity.end_dates.length} dates
+                        between {opportunity.earliest_end_date} and {opportunity.latest_end_date} ({opportunity.spread_days} days apart)
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>Co-term to</p>
+                      <p className="text-lg font-bold" style={{ color: '#008080' }}>{opportunity.target_end_date}</p>
+                    </div>
+                  </div>
+                  <p className="text-xs text-gray-700 mt-2">
+                    Extend {opportunity.lines_to_extend.toLocaleString()} lines
+                    ({opportunity.unit_days_to_extend.toLocaleString()} unit-days)
+                    {opportunity.lines_to_shorten > 0 && (
+                      <>, shorten {opportunity.lines_to_shorten.toLocaleString()} lines ({opportunity.unit_days_to_shorten.toLocaleString()} unit-days)</>
+                    )}
+                  </p>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-center py-6 text-sm text-gray-500">
+              No co-termination opportunities - active contract lines already end within 30 days of each other
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ContractRenewalsView;
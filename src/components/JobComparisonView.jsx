@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { ArrowRightLeft, X } from 'lucide-react';
+
+/**
+ * Month-over-month comparison of two completed analyses: matched asset
+ * changes, and quantity/coverage deltas per category and manufacturer.
+ */
+
+const ASSET_LISTS = [
+  { key: 'added', label: 'Added' },
+  { key: 'removed', label: 'Removed' },
+  { key: 'coverage_lapsed', label: 'Coverage lapsed' },
+  { key: 'coverage_renewed', label: 'Coverage renewed' },
+  { key: 'newly_end_of_sale', label: 'Newly past End of Sale' },
+  { key: 'newly_ldos', label: 'Newly past LDOS' }
+];
+
+const MAX_LISTED_ASSETS = 50;
+
+const formatDate = (value) => {
+  if (!value) return '-';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '-' : date.toLocaleDateString();
+};
+
+const Delta = ({ value, suffix = '' }) => {
+  if (!value) return <span className="text-gray-400">0{suffix}</span>;
+  return (
+    <span className="font-medium" style={{ color: value > 0 ? '#005959' : '#991B1B' }}>
+      {value > 0 ? '+' : ''}{value.toLocaleString()}{suffix}
+    </span>
+  );
+};
+
+const DeltaTable = ({ title, groups }) => (
+  <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="border-b border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
+          <th className="px-4 py-3 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>{title}</th>
+          <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Qty</th>
+          <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Δ Qty</th>
+          <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Support %</th>
+          <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Δ Support</th>
+        </tr>
+      </thead>
+      <tbody>
+        {groups.map(group => (
+          <tr key={group.name} className="border-b border-gray-100">
+            <td className="px-4 py-2 font-medium" style={{ color: '#002D62' }}>{group.name}</td>
+            <td className="px-4 py-2 text-center text-gray-700">
+              {group.base_quantity.toLocaleString()} → {group.current_quantity.toLocaleString()}
+            </td>
+            <td className="px-4 py-2 text-center"><Delta value={group.quantity_delta} /></td>
+            <td className="px-4 py-2 text-center text-gray-700">
+              {group.base_coverage}% → {group.current_coverage}%
+            </td>
+            <td className="px-4 py-2 text-center"><Delta value={group.coverage_delta} suffix=" pts" /></td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const JobComparisonView = ({ comparison, onClose }) => {
+  const [activeList, setActiveList] = useState(ASSET_LISTS[0].key);
+
+  if (!comparison) return null;
+
+  const { summary } = comparison;
+  const assets = comparison[activeList] || [];
+
+  return (
+    <div className="border rounded-lg p-6 mt-6 bg-white">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="flex items-center text-lg font-bold uppercase" style={{ color: '#002D62' }}>
+          <ArrowRightLeft size={20} className="mr-2" style={{ color: '#008080' }} />
+          MONTH-OVER-MONTH COMPARISON
+        </h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close comparison">
+          <X size={16} />
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        {comparison.base.customer_name} · {formatDate(comparison.base.created_at)} ({comparison.base.filename})
+        {' → '}
+        {comparison.current.customer_name} · {formatDate(comparison.current.created_at)} ({comparison.current.filename})
+      </p>
+      {!comparison.same_customer && (
+        <p className="text-xs px-3 py-2 mb-4 rounded" style={{ backgroundColor: '#FEF3C7', color: '#92400E' }} role="alert">
+          These analyses belong to different customers.
+        </p>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+          <p className="text-xs uppercase text-gray-500">Matched assets</p>
+          <p className="text-2xl font-bold" style={{ color: '#002D62' }}>{summary.matched.toLocaleString()}</p>
+        </div>
+        <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+          <p className="text-xs uppercase text-gray-500">Added / Removed</p>
+          <p className="text-2xl font-bold" style={{ color: '#002D62' }}>
+            +{summary.added.toLocaleString()} / -{summary.removed.toLocaleString()}
+          </p>
+        </div>
+        <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+          <p className="text-xs uppercase text-gray-500">Quantity change</p>
+          <p className="text-2xl font-bold"><Delta value={summary.quantity_delta} /></p>
+        </div>
+        <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+          <p className="text-xs uppercase text-gray-500">Support coverage change</p>
+          <p className="text-2xl font-bold"><Delta value={summary.coverage_delta} suffix=" pts" /></p>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-3" role="tablist">
+        {ASSET_LISTS.map(list => (
+          <button
+            key={list.key}
+            role="tab"
+            aria-selected={activeList === list.key}
+            onClick={() => setActiveList(list.key)}
+            className="px-3 py-1 text-xs font-medium rounded-full border transition-all"
+            style={activeList === list.key
+              ? { backgroundColor: '#008080', borderColor: '#008080', color: '#FFFFFF' }
+              : { borderColor: '#D1D5DB', color: '#374151' }}
+          >
+            {list.label} ({summary[list.key].toLocaleString()})
+          </button>
+        ))}
+      </div>
+
+      <div className="rounded-lg overflow-x-auto border border-gray-100 mb-6">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
+              <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Product ID</th>
+              <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Serial</th>
+              <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Site</th>
+              <th className="px-4 py-2 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Qty</th>
+              <th className="px-4 py-2 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Support</th>
+              <th className="px-4 py-2 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>End of Sale</th>
+              <th className="px-4 py-2 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>LDOS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {assets.length > 0 ? (
+              assets.slice(0, MAX_LISTED_ASSETS).map((asset, index) => (
+                <tr key={`${asset.instance_id}-${asset.serial_number}-${index}`} className="border-b border-gray-100">
+                  <td className="px-4 py-2 font-medium" style={{ color: '#002D62' }}>{asset.product_id}</td>
+                  <td className="px-4 py-2 text-gray-700">{asset.serial_number}</td>
+                  <td className="px-4 py-2 text-gray-700">{asset.install_site}</td>
+                  <td className="px-4 py-2 text-center text-gray-700">{asset.qty}</td>
+                  <td className="px-4 py-2 text-center text-gray-700">{asset.support_coverage}</td>
+                  <td className="px-4 py-2 text-center text-gray-700">{asset.end_of_sale}</td>
+                  <td className="px-4 py-2 text-center text-gray-700">{asset.last_day_support}</td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="7" className="px-6 py-6 text-center text-sm text-gray-500">No assets in this group</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        {assets.length > MAX_LISTED_ASSETS && (
+          <p className="px-4 py-2 text-xs text-gray-500">
+            Showing {MAX_LISTED_ASSETS} of {assets.length.toLocaleString()} assets
+          </p>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <DeltaTable title="Category" groups={comparison.by_category} />
+        <DeltaTable title="Manufacturer" groups={comparison.by_manufacturer} />
+      </div>
+    </div>
+  );
+};
+
+export default JobComparisonView;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { AlertCircle, X } from 'lucide-react';
+
+/**
+ * Live progress of a Phase 1 job as reported by the worker: current stage,
+ * percent complete, row counts and any data warnings raised so far.
+ */
+
+const STAGES = [
+  { status: 'queued', label: 'Queued' },
+  { status: 'parsing', label: 'Reading file' },
+  { status: 'normalizing', label: 'Mapping columns' },
+  { status: 'analyzing', label: 'Analyzing' },
+  { status: 'completed', label: 'Done' }
+];
+
+const JobProgressBar = ({ progress, onCancel }) => {
+  if (!progress) return null;
+
+  const percent = Math.min(Math.max(progress.progress || 0, 0), 100);
+  const currentStage = Math.max(STAGES.findIndex(stage => stage.status === progress.status), 0);
+  const warnings = progress.warnings || [];
+
+  return (
+    <div className="border rounded-lg p-6" style={{ backgroundColor: '#F8F8F8' }}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold uppercase" style={{ color: '#002D62' }}>
+          PROCESSING YOUR DATA
+        </h3>
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="flex items-center gap-1 px-3 py-1 text-sm border border-gray-300 rounded text-gray-700 hover:bg-gray-50"
+          >
+            <X size={14} />
+            Cancel
+          </button>
+        )}
+      </div>
+
+      <div
+        className="w-full h-3 rounded-full bg-gray-200 overflow-hidden"
+        role="progressbar"
+        aria-valuenow={percent}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-label="Analysis progress"
+      >
+        <div
+          className="h-full rounded-full transition-all duration-500"
+          style={{ width: `${percent}%`, backgroundColor: '#008080' }}
+        />
+      </div>
+
+      <div className="flex justify-between mt-3">
+        {STAGES.map((stage, index) => (
+          <span
+            key={stage.status}
+            className={`text-xs ${index === currentStage ? 'font-bold' : ''}`}
+            style={{ color: index <= currentStage ? '#002D62' : '#9CA3AF' }}
+          >
+            {stage.label}
+          </span>
+        ))}
+      </div>
+
+      <p className="text-sm text-gray-600 mt-4" role="status">
+        {percent}% complete
+        {progress.rows_uploaded > 0 && ` · ${progress.rows_uploaded.toLocaleString()} rows read`}
+        {progress.rows_processed > 0 && ` · ${progress.rows_processed.toLocaleString()} rows stored`}
+      </p>
+
+      {warnings.length > 0 && (
+        <ul className="mt-4 space-y-1">
+          {warnings.map((warning, index) => (
+            <li
+              key={warning.code ? `${warning.code}-${warning.field || index}` : index}
+              className="flex items-center text-xs px-3 py-1 rounded"
+              style={{ backgroundColor: '#FEF3C7', color: '#92400E' }}
+            >
+              <AlertCircle size={12} className="mr-2 flex-shrink-0" />
+              {warning.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default JobProgressBar;
@@ -1,5 +1,17 @@
 import React, { useState, useRef } from 'react';
 import { Upload, FileText, AlertCircle, CheckCircle, TrendingUp, Shield, Lightbulb, Menu, X, Download } from 'lucide-react';
+import ColumnMappingStep from './ColumnMappingStep';
+import ProductSummaryTable from './ProductSummaryTable';
+import JobProgressBar from './JobProgressBar';
+import PreviousAnalysesPanel from './PreviousAnalysesPanel';
+import RefreshBudgetView from './RefreshBudgetView';
+import ContractRenewalsView from './ContractRenewalsView';
+import ServiceOpportunityView from './ServiceOpportunityView';
+import RiskBadge from './RiskBadge';
+import RiskSummary from './RiskSummary';
+import WarrantySummary from './WarrantySummary';
+import ReplacementPlanView from './ReplacementPlanView';
+import SuccessorCatalogPanel from './SuccessorCatalogPanel';
 
 /**
  * DESIGN SYSTEM GUIDE
@@ -38,6 +50,172 @@ import { Upload, FileText, AlertCircle, CheckCircle, TrendingUp, Shield, Lightbu
  * Equal margins throughout for visual balance
  */
 
+// Status text shown for each job state reported by the worker
+const JOB_STAGE_LABELS = {
+  queued: 'Waiting in queue...',
+  parsing: 'Reading file...',
+  normalizing: 'Mapping columns...',
+  analyzing: 'Analyzing inventory...'
+};
+
+// Cisco EoX milestones on a normalized row, in bulletin order
+const ROW_MILESTONES = [
+  { field: 'eol_announcement', short: 'EoL' },
+  { field: 'end_of_sale', short: 'EoS' },
+  { field: 'end_of_sw_maintenance', short: 'EoSWM' },
+  { field: 'end_of_vuln_support', short: 'EoVSS' },
+  { field: 'last_day_support', short: 'LDOS' }
+];
+
+const DEFAULT_LIFECYCLE_WINDOWS = [12, 24, 36];
+
+// Optional upload settings; a blank value leaves the server default in place
+const DEFAULT_ANALYSIS_OPTIONS = {
+  lifecycleWindows: '',
+  riskWeights: '',
+  expiringDays: '',
+  fiscalCalendar: '',
+  fiscalYearStartMonth: ''
+};
+
+// Fiscal calendars the backend accepts; a start month only applies to the customer calendar
+const FISCAL_CALENDAR_OPTIONS = [
+  { value: '', label: 'Server default' },
+  { value: 'calendar', label: 'Calendar year' },
+  { value: 'cisco', label: 'Cisco fiscal year (August - July)' },
+  { value: 'customer', label: 'Customer fiscal year' }
+];
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Pill colours of the support coverage states the backend assigns to each row
+const COVERAGE_STYLES = {
+  Active: 'bg-green-100 text-green-800',
+  Expiring: 'bg-yellow-100 text-yellow-800',
+  'Warranty Only': 'bg-blue-100 text-blue-800',
+  Expired: 'bg-red-100 text-red-800',
+  'Not Coverable': 'bg-gray-200 text-gray-800',
+  Unknown: 'bg-gray-100 text-gray-600'
+};
+
+// Line item table and analytics views of a file with a parent/child hierarchy
+const RESULT_VIEWS = [
+  { key: 'devices', label: 'Devices' },
+  { key: 'line_items', label: 'All Line Items' }
+];
+
+// Swap in one row per top-level device, with its components' value rolled up, and the device analytics
+const resultsForView = (results, view) => {
+  const detailed = results?.detailed;
+  if (view !== 'devices' || !detailed?.summary?.device_view) return results;
+  return {
+    ...results,
+    detailed: {
+      ...detailed,
+      products: (detailed.products || [])
+        .filter(product => product.is_device !== false)
+        .map(product => ({
+          ...product,
+          total_value: product.rollup_value ?? product.total_value,
+          list_price: product.rollup_list_price ?? product.list_price
+        })),
+      summary: { ...detailed.summary.device_view, hierarchy: detailed.summary.hierarchy }
+    }
+  };
+};
+
+// Site names repeat across buildings, so the option shows the address and ID too
+const siteLabel = (site) => [
+  site.site_name,
+  [site.address, site.city].filter(Boolean).join(', '),
+  site.site_id && `#${site.site_id}`
+].filter(Boolean).join(' - ');
+
+// How a row's category was decided, shown next to its confidence
+const CATEGORY_SOURCE_NOTES = {
+  override: 'Set by an analyst for this customer',
+  rule: 'Matched a classification rule',
+  file: 'Category column from the file, outside the category tree',
+  none: 'No rule matched'
+};
+
+const confidenceStyle = (confidence) => {
+  if (confidence >= 80) return 'bg-green-100 text-green-800';
+  if (confidence >= 50) return 'bg-yellow-100 text-yellow-800';
+  return 'bg-gray-100 text-gray-600';
+};
+
+// Dates the customer's file did not supply - shown in italics with where they came from
+const DATE_SOURCE_NOTES = {
+  catalog: 'From the EoX catalog, not the customer file',
+  fiscal_period: 'Estimated from the fiscal quarter in the file'
+};
+
+const dateCellProps = (item, field) => {
+  const note = DATE_SOURCE_NOTES[item.date_sources?.[field]];
+  return note
+    ? { className: 'px-4 py-3 text-sm text-center italic', style: { color: '#008080' }, title: note }
+    : { className: 'px-4 py-3 text-sm text-center text-gray-700' };
+};
+
+// Earliest milestone of a row that is still ahead, e.g. { short: 'LDOS', date: '2026-10-31' }
+const nextRowMilestone = (item, currentDate = new Date()) => {
+  let next = null;
+  ROW_MILESTONES.forEach(({ field, short }) => {
+    const value = item[field];
+    if (!value || value === '-') return;
+    const date = new Date(value);
+    if (isNaN(date.getTime()) || date <= currentDate) return;
+    if (!next || date < next.time) next = { short, date: value, time: date };
+  });
+  return next;
+};
+
+// Sort keys of the line item table - dates sort chronologically, blanks last
+const dateValue = (value) => {
+  if (!value || value === '-') return null;
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+
+const SORT_ACCESSORS = {
+  product_id: item => (item.product_id && item.product_id !== '-' ? item.product_id : null),
+  qty: item => parseInt(item.qty) || 0,
+  end_of_sale: item => dateValue(item.end_of_sale),
+  last_day_support: item => dateValue(item.last_day_support),
+  risk_score: item => (typeof item.risk_score === 'number' ? item.risk_score : null)
+};
+
+const sortItems = (items, { key, direction }) => {
+  if (!key) return items;
+  const accessor = SORT_ACCESSORS[key];
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...items].sort((a, b) => {
+    const left = accessor(a);
+    const right = accessor(b);
+    if (left === right) return 0;
+    if (left === null) return 1;
+    if (right === null) return -1;
+    return (left < right ? -1 : 1) * sign;
+  });
+};
+
+const SortableHeader = ({ label, sortKey, sortConfig, onSort, align = 'left' }) => {
+  const active = sortConfig.key === sortKey;
+  return (
+    <th
+      className={`px-4 py-3 text-${align} text-xs font-bold uppercase`}
+      style={{ color: '#002D62' }}
+      aria-sort={active ? (sortConfig.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+    >
+      <button onClick={() => onSort(sortKey)} className="uppercase font-bold hover:underline">
+        {label}{active ? (sortConfig.direction === 'asc' ? ' ▲' : ' ▼') : ''}
+      </button>
+    </th>
+  );
+};
+
 const LifecyclePage = () => {
   const [phase1Results, setPhase1Results] = useState(null);
   const [isLoadingResults, setIsLoadingResults] = useState(false);
@@ -49,8 +227,10 @@ const LifecyclePage = () => {
   const [formData, setFormData] = useState({
     customerName: ''
   });
+  const [analysisOptions, setAnalysisOptions] = useState(DEFAULT_ANALYSIS_OPTIONS);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const fileInputRef = useRef(null);
+  const jobTrackerRef = useRef(null);
 
   // Additional state for backend integration
   const [isAnalyzing, setIsAnalyzing] = useState(false);
@@ -60,6 +240,34 @@ const LifecyclePage = () => {
   const [analysisResults, setAnalysisResults] = useState(null);
   const [dataRows, setDataRows] = useState(null);
 
+  // Column mapping step (runs before Phase 1)
+  const [mappingPreview, setMappingPreview] = useState(null);
+  const [columnMapping, setColumnMapping] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [jobProgress, setJobProgress] = useState(null);
+
+  // Line item table sort - no key keeps file order
+  const [resultsSort, setResultsSort] = useState({ key: null, direction: 'desc' });
+
+  // Devices or all line items - only offered when the file links components to their device
+  const [resultsView, setResultsView] = useState('line_items');
+  const viewResults = React.useMemo(() => resultsForView(phase1Results, resultsView), [phase1Results, resultsView]);
+
+  // Install site the line item table is narrowed to - empty shows every site
+  const [resultsSite, setResultsSite] = useState('');
+
+  // Phase 2 refresh budget forecast
+  const [phase2Forecast, setPhase2Forecast] = useState(null);
+  const [forecastOptions, setForecastOptions] = useState({});
+  const [isForecasting, setIsForecasting] = useState(false);
+  const [forecastError, setForecastError] = useState(null);
+
+  // Phase 3 replacement plan
+  const [phase3Plan, setPhase3Plan] = useState(null);
+  const [planScope, setPlanScope] = useState('eol');
+  const [isPlanning, setIsPlanning] = useState(false);
+  const [planError, setPlanError] = useState(null);
+
   const phases = [
     { id: 1, name: 'Phase 1', icon: FileText },
     { id: 2, name: 'Phase 2', icon: TrendingUp },
@@ -95,16 +303,231 @@ const LifecyclePage = () => {
     }
   };
 
+  const clearMappingStep = () => {
+    setMappingPreview(null);
+    setColumnMapping(null);
+  };
+
+  // Ask the backend for detected headers and a suggested column mapping
+  const runMappingPreview = async (sheetName) => {
+    setIsPreviewing(true);
+    setAnalysisError(null);
+
+    try {
+      const formDataToSend = new FormData();
+      formDataToSend.append('file', uploadedFile);
+      formDataToSend.append('customerName', formData.customerName || '');
+      if (sheetName) {
+        formDataToSend.append('sheetName', sheetName);
+      }
+
+      const response = await fetch('/api/phase1/preview', {
+        method: 'POST',
+        body: formDataToSend
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.details || data.error || `Server error: ${response.status}`);
+      }
+
+      setMappingPreview(data);
+      setColumnMapping(data.mapping);
+      setDataRows(data.row_count);
+    } catch (error) {
+      console.error('Preview error:', error);
+      setAnalysisError('Could not read file columns: ' + error.message);
+      clearMappingStep();
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  // Save the current mapping as a named profile for later uploads
+  const saveMappingProfile = async ({ name, sourceSystem }) => {
+    const response = await fetch('/api/phase1/mapping-profiles', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name,
+        source_system: sourceSystem || null,
+        customer_name: formData.customerName || null,
+        headers: mappingPreview.headers,
+        mapping: columnMapping
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error((data.details && data.details.join ? data.details.join(', ') : data.details) || data.error || 'Could not save profile');
+    }
+    return data;
+  };
+
+  const confirmMapping = async () => {
+    await runPhase1Analysis();
+    clearMappingStep();
+  };
+
+  const stopJobTracking = () => {
+    if (jobTrackerRef.current) {
+      jobTrackerRef.current();
+      jobTrackerRef.current = null;
+    }
+  };
+
+  // Load the finished job (findings, row counts) and show its results
+  const finishPhase1 = async (jobId) => {
+    try {
+      const statusRes = await fetch(`/api/phase1/status/${jobId}`);
+      if (!statusRes.ok) {
+        throw new Error('Status check failed');
+      }
+      const status = await statusRes.json();
+
+      setCompletedPhases(prev => (prev.includes(1) ? prev : [...prev, 1]));
+      setActivePhase(1);
+      setIsAnalyzing(false);
+      setAnalysisStatus('');
+      setJobProgress(null);
+      setDataRows(status.rows_uploaded || status.rows_processed);
+      
+      setPhase1Results(status);
+      
+      if (status.results) {
+        setAnalysisResults(status.results);
+      }
+      
+      fetchDetailedResults(jobId);
+    } catch (error) {
+      setIsAnalyzing(false);
+      setAnalysisError('Failed to load results: ' + error.message);
+    }
+  };
+
+  // Reopen a finished job from the history panel into the Phase 1 results view
+  const openPreviousJob = (job) => {
+    stopJobTracking();
+    clearMappingStep();
+    setAnalysisError(null);
+    setAnalysisResults(null);
+    setPhase1Results(null);
+    clearPhase2();
+    clearPhase3();
+    setCompletedPhases([]);
+    setAnalysisJobId(job.job_id);
+    setFormData(prev => ({ ...prev, customerName: job.customer_name || '' }));
+    finishPhase1(job.job_id);
+  };
+
+  // Apply an update from the progress stream (or the polling fallback)
+  const applyJobStatus = (jobId, status) => {
+    if (status.status === 'completed' || status.status === 'complete') {
+      stopJobTracking();
+      finishPhase1(jobId);
+    } else if (status.status === 'failed' || status.status === 'error') {
+      stopJobTracking();
+      setIsAnalyzing(false);
+      setAnalysisStatus('');
+      setJobProgress(null);
+      setAnalysisError(status.error || 'Analysis failed');
+    } else if (status.status === 'cancelled') {
+      stopJobTracking();
+      setIsAnalyzing(false);
+      setAnalysisStatus('');
+      setJobProgress(null);
+    } else {
+      setJobProgress(status);
+      const label = JOB_STAGE_LABELS[status.status] || 'Processing file...';
+      setAnalysisStatus(`${label} (${status.progress || 0}%)`);
+    }
+  };
+
+  const pollJobStatus = (jobId) => {
+    const checkStatus = setInterval(async () => {
+      try {
+        const statusRes = await fetch(`/api/phase1/status/${jobId}`);
+        if (!statusRes.ok) {
+          throw new Error('Status check failed');
+        }
+        applyJobStatus(jobId, await statusRes.json());
+      } catch (error) {
+        stopJobTracking();
+        setIsAnalyzing(false);
+        setJobProgress(null);
+        setAnalysisError('Failed to check status: ' + error.message);
+      }
+    }, 2000);
+    jobTrackerRef.current = () => clearInterval(checkStatus);
+  };
+
+  // Follow a job over Server-Sent Events, falling back to polling when the stream is unavailable
+  const trackJob = (jobId) => {
+    stopJobTracking();
+    if (typeof EventSource === 'undefined') {
+      pollJobStatus(jobId);
+      return;
+    }
+
+    const source = new EventSource(`/api/phase1/events/${jobId}`);
+    source.addEventListener('progress', (event) => {
+      applyJobStatus(jobId, JSON.parse(event.data));
+    });
+    source.onerror = () => {
+      // EventSource retries dropped connections itself; CLOSED means it gave up
+      if (source.readyState === EventSource.CLOSED) {
+        stopJobTracking();
+        pollJobStatus(jobId);
+      }
+    };
+    jobTrackerRef.current = () => source.close();
+  };
+
+  const cancelAnalysis = async () => {
+    if (!analysisJobId) return;
+    stopJobTracking();
+    try {
+      const response = await fetch(`/api/phase1/cancel/${analysisJobId}`, { method: 'POST' });
+      if (!response.ok && response.status !== 409) {
+        throw new Error(`Server error: ${response.status}`);
+      }
+      setAnalysisError('Analysis cancelled');
+    } catch (error) {
+      setAnalysisError('Failed to cancel analysis: ' + error.message);
+    } finally {
+      setIsAnalyzing(false);
+      setAnalysisStatus('');
+      setJobProgress(null);
+    }
+  };
+
   // Backend API integration for Phase 1
   const runPhase1Analysis = async () => {
     setIsAnalyzing(true);
     setAnalysisStatus('Uploading file...');
     setAnalysisError(null);
+    setAnalysisJobId(null);
+    clearPhase2();
+    clearPhase3();
+    setCompletedPhases(prev => prev.filter(id => id !== 2 && id !== 3));
     
     try {
       const formDataToSend = new FormData();
       formDataToSend.append('file', uploadedFile);
       formDataToSend.append('customerName', formData.customerName || 'Unknown Customer');
+      if (columnMapping) {
+        formDataToSend.append('columnMapping', JSON.stringify(columnMapping));
+      }
+      if (mappingPreview && mappingPreview.sheet_name) {
+        formDataToSend.append('sheetName', mappingPreview.sheet_name);
+      }
+      if (mappingPreview && mappingPreview.matched_profile) {
+        formDataToSend.append('profileId', mappingPreview.matched_profile.profile_id);
+      }
+      Object.entries(analysisOptions).forEach(([name, value]) => {
+        if (String(value).trim()) {
+          formDataToSend.append(name, String(value).trim());
+        }
+      });
 
       const response = await fetch('/api/phase1/upload', {
         method: 'POST',
@@ -137,55 +560,9 @@ const LifecyclePage = () => {
       }
       
       setAnalysisJobId(jobId);
-      setDataRows(data.rows_uploaded || 1247);
-      setAnalysisStatus('Processing file...');
-      
-      // Poll for status
-      // Poll for status
-      const checkStatus = setInterval(async () => {
-        try {
-          const statusRes = await fetch(`/api/phase1/status/${jobId}`);
-          
-          if (!statusRes.ok) {
-            clearInterval(checkStatus);
-            throw new Error('Status check failed');
-          }
-          
-          const status = await statusRes.json();
-          
-          if (status.status === 'completed' || status.status === 'complete') {
-            clearInterval(checkStatus);
-            setCompletedPhases(prev => [...prev, 1]);
-            setActivePhase(1);
-            setIsAnalyzing(false);
-            setAnalysisStatus('');
-            
-            setPhase1Results(status);
-            
-            if (status.results) {
-              setAnalysisResults(status.results);
-            }
-            
-            fetchDetailedResults(jobId);
-          } else if (status.status === 'failed' || status.status === 'error') {
-            clearInterval(checkStatus);
-            setIsAnalyzing(false);
-            setAnalysisError(status.error || 'Analysis failed');
-          }
-        } catch (error) {  // THIS CATCH BLOCK MIGHT BE MISSING
-          clearInterval(checkStatus);
-          setIsAnalyzing(false);
-          setAnalysisError('Failed to check status: ' + error.message);
-        }
-      }, 2000);
-      
-      setTimeout(() => {
-        clearInterval(checkStatus);
-        if (isAnalyzing) {
-          setIsAnalyzing(false);
-          setAnalysisError('Analysis timed out. Please try again.');
-        }
-      }, 60000);
+      setAnalysisStatus(JOB_STAGE_LABELS.queued);
+      setJobProgress({ job_id: jobId, status: 'queued', progress: 0, warnings: [] });
+      trackJob(jobId);
       
     } catch (error) {
       console.error('Phase 1 error:', error);
@@ -194,53 +571,6 @@ const LifecyclePage = () => {
     }
   };
 
-  const normalizeSupport = (value) => {
-    if (!value || value === '-') return '-';
-    const lowerValue = value.toString().toLowerCase().trim();
-    
-    // Priority checks for specific values
-    if (lowerValue === 'covered') {
-      return 'Active';
-    }
-    
-    if (lowerValue === 'not covered' || lowerValue === 'notcovered') {
-      return 'Expired';
-    }
-    
-    if (lowerValue === 'active' || 
-        lowerValue === 'yes' ||
-        lowerValue === 'y' ||
-        lowerValue === 'maintenance' ||
-        lowerValue === 'under support' ||
-        lowerValue === 'supported') {
-      return 'Active';
-    }
-    
-    if (lowerValue.includes('covered') && 
-        !lowerValue.includes('not') && 
-        !lowerValue.includes('no ')) {
-      return 'Active';
-    }
-    
-    if (lowerValue.includes('active') && 
-        !lowerValue.includes('inactive') &&
-        !lowerValue.includes('not')) {
-      return 'Active';
-    }
-    
-    if (lowerValue.includes('not covered') || 
-        lowerValue.includes('no coverage') || 
-        lowerValue.includes('expired') ||
-        lowerValue === 'no' ||
-        lowerValue === 'n' ||
-        lowerValue === 'none' ||
-        lowerValue === 'ended') {
-      return 'Expired';
-    }
-    
-    return value;
-  };
-
   const fetchDetailedResults = async (jobId) => {
     try {
       setIsLoadingResults(true);
@@ -263,17 +593,7 @@ const LifecyclePage = () => {
             ...product,
             category: product.category || product['Business Entity'] || product.business_entity || '-',
             description: product.description || product['Product Description'] || product.product_description || '-',
-            support_coverage: normalizeSupport(
-              product.support_coverage || 
-              product.Coverage || 
-              product.coverage || 
-              product['Support Coverage'] || 
-              product['Covered line status'] || 
-              product['Covered Line Status'] || 
-              product.covered_line_status || 
-              product.CoveredLineStatus ||
-              '-'
-            ),
+            support_coverage: product.support_coverage || 'Unknown',
             end_of_sale: product.end_of_sale || 
                          product['End of Product Sale'] || 
                          product.end_of_product_sale || 
@@ -300,10 +620,20 @@ const LifecyclePage = () => {
         });
       }
       
+      // Product-level view is optional - the line items still render without it
+      let productView = null;
+      const productsResponse = await fetch(`/api/phase1/products/${jobId}`);
+      if (productsResponse.ok) {
+        productView = await productsResponse.json();
+      } else {
+        console.error('Product summary not available:', productsResponse.status);
+      }
+      
       setPhase1Results(prevResults => {
         const newResults = {
           ...prevResults,
-          detailed: detailedData
+          detailed: detailedData,
+          productView
         };
         console.log('Updated phase1Results:', newResults);
         return newResults;
@@ -342,6 +672,109 @@ const LifecyclePage = () => {
     }
   };
 
+  const clearPhase2 = () => {
+    setPhase2Forecast(null);
+    setForecastOptions({});
+    setForecastError(null);
+  };
+
+  // Phase 2 - refresh budget for the current job; resolves to an error message when it failed
+  const loadRefreshForecast = async (changes = {}) => {
+    if (!analysisJobId) return 'No completed Phase 1 job';
+    const options = { ...forecastOptions, ...changes };
+    setIsForecasting(true);
+    setForecastError(null);
+    try {
+      const params = new URLSearchParams(options);
+      const response = await fetch(`/api/phase2/forecast/${analysisJobId}?${params.toString()}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error((Array.isArray(data.details) && data.details.join(', ')) || data.error || `Server error: ${response.status}`);
+      }
+      setForecastOptions(options);
+      setPhase2Forecast(data);
+      return null;
+    } catch (error) {
+      console.error('Refresh forecast error:', error);
+      setForecastError(error.message);
+      return error.message;
+    } finally {
+      setIsForecasting(false);
+    }
+  };
+
+  const clearPhase3 = () => {
+    setPhase3Plan(null);
+    setPlanScope('eol');
+    setPlanError(null);
+  };
+
+  // Phase 3 - replacement plan for the current job; resolves to an error message when it failed
+  const loadReplacementPlan = async (scope = planScope) => {
+    if (!analysisJobId) return 'No completed Phase 1 job';
+    setIsPlanning(true);
+    setPlanError(null);
+    try {
+      const response = await fetch(`/api/phase3/plan/${analysisJobId}?scope=${scope}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error((Array.isArray(data.details) && data.details.join(', ')) || data.error || `Server error: ${response.status}`);
+      }
+      setPlanScope(scope);
+      setPhase3Plan(data);
+      return null;
+    } catch (error) {
+      console.error('Replacement plan error:', error);
+      setPlanError(error.message);
+      return error.message;
+    } finally {
+      setIsPlanning(false);
+    }
+  };
+
+  // Save a catalog successor from the plan, then rebuild the plan around it
+  const saveCatalogSuccessor = async (productId, entry) => {
+    try {
+      const response = await fetch(`/api/phase3/catalog/${encodeURIComponent(productId)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(entry)
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error((Array.isArray(data.details) && data.details.join(', ')) || data.error || `Server error: ${response.status}`);
+      }
+    } catch (error) {
+      return error.message;
+    }
+    await loadReplacementPlan();
+    return null;
+  };
+
+  const downloadBom = async (format) => {
+    if (!analysisJobId) return;
+
+    try {
+      const response = await fetch(`/api/phase3/plan/${analysisJobId}/bom?scope=${planScope}&format=${format}`);
+      if (!response.ok) {
+        throw new Error('BOM export failed');
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `bom_${formData.customerName || 'export'}_${new Date().toISOString().split('T')[0]}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error) {
+      console.error('BOM export failed:', error);
+      alert('BOM export failed. Please try again.');
+    }
+  };
+
   const handlePhaseClick = async (phaseId) => {
     if (phaseId === 4) {
       if (completedPhases.length > 0) {
@@ -369,14 +802,29 @@ const LifecyclePage = () => {
 
     if (!completedPhases.includes(phaseId)) {
       if (phaseId === 1) {
-        await runPhase1Analysis();
+        await runMappingPreview();
+      } else if (phaseId === 2) {
+        setIsAnalyzing(true);
+        setAnalysisError(null);
+        const forecastFailure = await loadRefreshForecast();
+        if (forecastFailure) {
+          setAnalysisError(`Phase 2 failed: ${forecastFailure}`);
+        } else {
+          setCompletedPhases(prev => (prev.includes(2) ? prev : [...prev, 2]));
+          setActivePhase(2);
+        }
+        setIsAnalyzing(false);
       } else {
         setIsAnalyzing(true);
-        setTimeout(() => {
-          setCompletedPhases(prev => [...prev, phaseId]);
-          setActivePhase(phaseId);
-          setIsAnalyzing(false);
-        }, 500);
+        setAnalysisError(null);
+        const planFailure = await loadReplacementPlan();
+        if (planFailure) {
+          setAnalysisError(`Phase 3 failed: ${planFailure}`);
+        } else {
+          setCompletedPhases(prev => (prev.includes(3) ? prev : [...prev, 3]));
+          setActivePhase(3);
+        }
+        setIsAnalyzing(false);
       }
     } else {
       setActivePhase(phaseId);
@@ -384,16 +832,22 @@ const LifecyclePage = () => {
   };
 
   const handleReset = () => {
+    stopJobTracking();
     setActivePhase(null);
     setCompletedPhases([]);
     setUploadedFile(null);
     setFormData({ customerName: '' });
+    setAnalysisOptions(DEFAULT_ANALYSIS_OPTIONS);
     setMobileMenuOpen(false);
     setAnalysisJobId(null);
     setAnalysisStatus('');
     setAnalysisError(null);
     setAnalysisResults(null);
     setDataRows(null);
+    setJobProgress(null);
+    clearPhase2();
+    clearPhase3();
+    clearMappingStep();
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
@@ -436,11 +890,32 @@ const LifecyclePage = () => {
       }
     }, [searchTerm, products]);
     
-    const totalItems = searchResults.length;
+    // Site filter lives in LifecyclePage too; a site from an earlier file is ignored
+    const sites = summary.sites?.sites || [];
+    const selectedSite = sites.find(site => site.key === resultsSite) || null;
+    const filteredResults = selectedSite
+      ? searchResults.filter(item => item.site_key === selectedSite.key)
+      : searchResults;
+    const isFiltered = Boolean(searchTerm || selectedSite);
+
+    // Sort order lives in LifecyclePage so it survives re-renders of the page
+    const sortConfig = resultsSort;
+    const sortedResults = sortItems(filteredResults, sortConfig);
+
+    // First click sorts descending (riskiest, largest, latest first), the next one flips it
+    const handleSort = (key) => {
+      setResultsSort(prev => ({
+        key,
+        direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc'
+      }));
+      setCurrentPage(1);
+    };
+
+    const totalItems = sortedResults.length;
     const totalPages = Math.ceil(totalItems / itemsPerPage);
     const startIndex = (currentPage - 1) * itemsPerPage;
     const endIndex = Math.min(startIndex + itemsPerPage, totalItems);
-    const currentItems = searchResults.slice(startIndex, endIndex);
+    const currentItems = sortedResults.slice(startIndex, endIndex);
     
     // EXPORT FUNCTIONS
     const exportToCSV = (data, filename) => {
@@ -448,7 +923,8 @@ const LifecyclePage = () => {
       const headers = [
         'ID', 'Manufacturer', 'Category', 'Asset Type', 'Type', 
         'Product ID', 'Description', 'Ship Date', 'Quantity', 
-        'Support Coverage', 'End of Sale', 'Last Support'
+        'Support Coverage', 'EoL Announcement', 'End of Sale', 'End of SW Maintenance',
+        'End of Vulnerability Support', 'Last Support', 'Risk Score', 'Risk Level', 'Risk Reasons'
       ];
       
       // Convert data to CSV format
@@ -465,8 +941,14 @@ const LifecyclePage = () => {
           item.ship_date || '-',
           item.qty || 0,
           item.support_coverage || '-',
+          item.eol_announcement || '-',
           item.end_of_sale || '-',
-          item.last_day_support || '-'
+          item.end_of_sw_maintenance || '-',
+          item.end_of_vuln_support || '-',
+          item.last_day_support || '-',
+          item.risk_score ?? '',
+          item.risk_level || '',
+          `"${(item.risk_reasons || '').replace(/"/g, '""')}"`
         ].join(','))
       ].join('\n');
       
@@ -483,7 +965,7 @@ const LifecyclePage = () => {
     };
     
     const handleExportClick = (format, type = 'all') => {
-      const dataToExport = type === 'filtered' ? searchResults : products;
+      const dataToExport = type === 'filtered' ? sortedResults : sortItems(products, sortConfig);
       const filePrefix = type === 'filtered' ? 'phase1_filtered' : 'phase1_all';
       const filename = `${filePrefix}_${new Date().toISOString().split('T')[0]}.csv`;
       
@@ -784,14 +1266,21 @@ const LifecyclePage = () => {
 
     // Lifecycle Status Component
     const LifecycleStatus = ({ data, analytics }) => {
+      const windows = analytics?.windows || analytics?.lifecycleWindows || DEFAULT_LIFECYCLE_WINDOWS;
+      const [windowMonths, setWindowMonths] = useState(windows[0]);
+
       const lifecycleData = React.useMemo(() => {
-        if (analytics?.lifecycle) {
-          return Object.entries(analytics.lifecycle).map(([category, stats]) => ({
+        const lifecycle = analytics?.lifecycle || analytics?.lifecycleByCategory;
+        if (lifecycle) {
+          return Object.entries(lifecycle).map(([category, stats]) => ({
             category,
             totalQty: stats.totalQty || 0,
+            eolAnnounced: stats.eolAnnounced || 0,
             endOfSale: stats.endOfSale || 0,
+            endOfSWMaintenance: stats.endOfSWMaintenance || 0,
             endOfSWVuln: stats.endOfSWVuln || 0,
-            lastDaySupport: stats.lastDaySupport || 0
+            lastDaySupport: stats.lastDaySupport || 0,
+            ldosUpcoming: stats.milestones?.ldos?.upcoming || {}
           }));
         }
         
@@ -803,7 +1292,9 @@ const LifecyclePage = () => {
           if (!categories[cat]) {
             categories[cat] = {
               totalQty: 0,
+              eolAnnounced: 0,
               endOfSale: 0,
+              endOfSWMaintenance: 0,
               endOfSWVuln: 0,
               lastDaySupport: 0
             };
@@ -832,18 +1323,30 @@ const LifecyclePage = () => {
         
         return Object.entries(categories).map(([category, stats]) => ({
           category,
-          totalQty: stats.totalQty,
-          endOfSale: stats.endOfSale,
-          endOfSWVuln: stats.endOfSWVuln,
-          lastDaySupport: stats.lastDaySupport
+          ...stats,
+          ldosUpcoming: {}
         }));
       }, [data, analytics]);
 
       return (
         <div className="bg-white rounded-lg shadow-sm p-6 mt-6">
-          <h3 className="text-lg font-bold uppercase mb-4" style={{ color: '#002D62' }}>
-            LIFECYCLE STATUS BY CATEGORY
-          </h3>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-bold uppercase" style={{ color: '#002D62' }}>
+              LIFECYCLE STATUS BY CATEGORY
+            </h3>
+            <label className="flex items-center gap-2 text-xs font-bold uppercase" style={{ color: '#002D62' }}>
+              LDOS within
+              <select
+                value={windowMonths}
+                onChange={(e) => setWindowMonths(Number(e.target.value))}
+                className="px-2 py-1 text-sm font-normal border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+              >
+                {windows.map(months => (
+                  <option key={months} value={months}>{months} months</option>
+                ))}
+              </select>
+            </label>
+          </div>
           <div className="overflow-x-auto">
             <table className="w-full text-sm">
               <thead>
@@ -854,15 +1357,24 @@ const LifecyclePage = () => {
                   <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>
                     Total Qty
                   </th>
+                  <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>
+                    EoL Announced
+                  </th>
                   <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>
                     End of Sale
                   </th>
+                  <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>
+                    End of SW Maint
+                  </th>
                   <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>
                     End of SW Vuln
                   </th>
                   <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>
                     Last Day Support
                   </th>
+                  <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>
+                    LDOS ≤ {windowMonths} Mo
+                  </th>
                 </tr>
               </thead>
               <tbody>
@@ -874,6 +1386,13 @@ const LifecyclePage = () => {
                     <td className="px-4 py-3 text-center font-medium">
                       {row.totalQty.toLocaleString()}
                     </td>
+                    <td className="px-4 py-3 text-center">
+                      {row.eolAnnounced > 0 && (
+                        <span className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-600 font-medium">
+                          {row.eolAnnounced}
+                        </span>
+                      )}
+                    </td>
                     <td className="px-4 py-3 text-center">
                       {row.endOfSale > 0 && (
                         <span className="px-2 py-1 text-xs rounded-full bg-gray-100 text-gray-600 font-medium">
@@ -881,6 +1400,14 @@ const LifecyclePage = () => {
                         </span>
                       )}
                     </td>
+                    <td className="px-4 py-3 text-center">
+                      {row.endOfSWMaintenance > 0 && (
+                        <span className="px-2 py-1 text-xs rounded-full font-medium"
+                          style={{ backgroundColor: '#FEF3C7', color: '#92400E' }}>
+                          {row.endOfSWMaintenance}
+                        </span>
+                      )}
+                    </td>
                     <td className="px-4 py-3 text-center">
                       {row.endOfSWVuln > 0 && (
                         <span className="px-2 py-1 text-xs rounded-full font-medium"
@@ -896,6 +1423,14 @@ const LifecyclePage = () => {
                         </span>
                       )}
                     </td>
+                    <td className="px-4 py-3 text-center">
+                      {row.ldosUpcoming[windowMonths] > 0 && (
+                        <span className="px-2 py-1 text-xs rounded-full font-medium"
+                          style={{ backgroundColor: '#CCE6E6', color: '#005959' }}>
+                          {row.ldosUpcoming[windowMonths]}
+                        </span>
+                      )}
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -905,13 +1440,40 @@ const LifecyclePage = () => {
       );
     };
     
+    const summaryWindows = summary.lifecycleWindows || DEFAULT_LIFECYCLE_WINDOWS;
+    const ldosUpcoming = summary.lifecycleMilestones?.ldos?.upcoming || {};
+    const ldosByQuarter = summary.lifecycleMilestones?.ldos?.by_fiscal_quarter || [];
+
     return (
       <div className="space-y-6">
+        {summary.hierarchy?.components > 0 && (
+          <div className="flex items-center justify-between bg-white rounded-lg p-3 shadow-sm border border-gray-200">
+            <div className="text-xs text-gray-600">
+              {summary.hierarchy.devices.toLocaleString()} devices with {summary.hierarchy.components.toLocaleString()} installed
+              components across {summary.hierarchy.line_items.toLocaleString()} line items
+            </div>
+            <div className="inline-flex rounded border border-gray-300 overflow-hidden">
+              {RESULT_VIEWS.map(view => (
+                <button
+                  key={view.key}
+                  onClick={() => setResultsView(view.key)}
+                  className={`px-3 py-1 text-xs font-bold uppercase ${
+                    resultsView === view.key ? 'text-white' : 'text-gray-700 bg-white hover:bg-gray-50'
+                  }`}
+                  style={resultsView === view.key ? { backgroundColor: '#008080' } : undefined}
+                >
+                  {view.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Summary Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
           <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
             <div className="text-xs font-bold uppercase mb-1" style={{ color: '#002D62' }}>
-              TOTAL ITEMS
+              {resultsView === 'devices' && summary.hierarchy?.components > 0 ? 'TOTAL DEVICES' : 'TOTAL ITEMS'}
             </div>
             <div className="text-2xl font-bold" style={{ color: '#008080' }}>
               {summary.total_items || 0}
@@ -928,6 +1490,14 @@ const LifecyclePage = () => {
             <div className="text-xs" style={{ color: '#6B7280' }}>
               {summary.total_items > 0 ? Math.round((summary.active_support / summary.total_items) * 100) : 0}%
             </div>
+            {summary.coverage && (
+              <div className="text-xs mt-1" style={{ color: '#6B7280' }}>
+                {summary.coverage
+                  .filter(entry => entry.state !== 'Active' && entry.lines > 0)
+                  .map(entry => `${entry.lines} ${entry.state.toLowerCase()}`)
+                  .join(' · ')}
+              </div>
+            )}
           </div>
           
           <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
@@ -956,6 +1526,26 @@ const LifecyclePage = () => {
               {summary.total_last_day_support || 0}
             </div>
           </div>
+
+          <div
+            className="bg-white rounded-lg p-4 shadow-sm border border-gray-200"
+            title={ldosByQuarter.length > 0
+              ? `LDOS by fiscal quarter${summary.fiscalCalendar ? ` (${summary.fiscalCalendar.label})` : ''}: ` +
+                ldosByQuarter.map(entry => `${entry.period} ${entry.count}`).join(', ')
+              : undefined}
+          >
+            <div className="text-xs font-bold uppercase mb-1" style={{ color: '#002D62' }}>
+              LDOS NEXT {summaryWindows[0]} MO
+            </div>
+            <div className="text-2xl font-bold" style={{ color: '#008080' }}>
+              {ldosUpcoming[summaryWindows[0]] || 0}
+            </div>
+            {summaryWindows.length > 1 && (
+              <div className="text-xs" style={{ color: '#6B7280' }}>
+                {summaryWindows.slice(1).map(months => `${ldosUpcoming[months] || 0} in ${months} mo`).join(' · ')}
+              </div>
+            )}
+          </div>
         </div>
         
         {/* Analytics Components Grid */}
@@ -970,6 +1560,18 @@ const LifecyclePage = () => {
         
         <LifecycleStatus data={products} analytics={analytics} />
 
+        {analytics.risk && <RiskSummary risk={analytics.risk} />}
+
+        {analytics.warranty && <WarrantySummary warranty={analytics.warranty} />}
+
+        {results.productView && (
+          <ProductSummaryTable
+            products={results.productView.products}
+            summary={results.productView.summary}
+            isLoading={isLoadingResults}
+          />
+        )}
+
         {/* Data Table with Search and Export */}
         <div className="bg-white rounded-lg shadow-sm overflow-hidden">
           <div className="px-6 py-4 border-b border-gray-200">
@@ -980,6 +1582,24 @@ const LifecyclePage = () => {
               </h3>
               
               <div className="flex flex-col sm:flex-row items-start sm:items-center gap-3 w-full lg:w-auto">
+                {/* Install site filter - only for files with more than one site */}
+                {sites.length > 1 && (
+                  <select
+                    value={selectedSite ? selectedSite.key : ''}
+                    onChange={(e) => setResultsSite(e.target.value)}
+                    className="w-full sm:w-64 px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:border-transparent"
+                    style={{ focusRingColor: '#008080' }}
+                    aria-label="Filter by install site"
+                  >
+                    <option value="">All sites ({sites.length})</option>
+                    {sites.map(site => (
+                      <option key={site.key} value={site.key}>
+                        {siteLabel(site)} ({site.lines})
+                      </option>
+                    ))}
+                  </select>
+                )}
+
                 {/* Search Input */}
                 <div className="relative w-full sm:w-64">
                   <input
@@ -1026,12 +1646,12 @@ const LifecyclePage = () => {
                         >
                           Export All ({products.length} items)
                         </button>
-                        {searchTerm && (
+                        {isFiltered && (
                           <button
                             onClick={() => handleExportClick('csv', 'filtered')}
                             className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
                           >
-                            Export Filtered ({searchResults.length} items)
+                            Export Filtered ({sortedResults.length} items)
                           </button>
                         )}
                       </div>
@@ -1064,7 +1684,32 @@ const LifecyclePage = () => {
             {/* Search Results Count */}
             {searchTerm && (
               <div className="mt-3 text-sm" style={{ color: '#6B7280' }}>
-                Found <span className="font-bold" style={{ color: '#002D62' }}>{searchResults.length}</span> items matching "{searchTerm}"
+                Found <span className="font-bold" style={{ color: '#002D62' }}>{sortedResults.length}</span> items matching "{searchTerm}"
+                {selectedSite && ` at ${selectedSite.site_name}`}
+              </div>
+            )}
+
+            {/* Selected site at a glance - refresh covers LDOS passed or within the nearest window */}
+            {selectedSite && (
+              <div className="mt-3 flex flex-wrap gap-x-6 gap-y-1 text-sm" style={{ color: '#6B7280' }}>
+                <span>
+                  <span className="font-bold" style={{ color: '#002D62' }}>{selectedSite.devices.toLocaleString()}</span> devices,{' '}
+                  {selectedSite.quantity.toLocaleString()} units
+                </span>
+                <span>
+                  Coverage <span className="font-bold" style={{ color: '#002D62' }}>{selectedSite.coverage_pct}%</span>
+                </span>
+                <span>
+                  Past or within {summary.sites.horizon_months} months of LDOS{' '}
+                  <span className="font-bold" style={{ color: '#002D62' }}>{selectedSite.ldos_exposure_pct}%</span>
+                </span>
+                <span>
+                  Refresh cost{' '}
+                  <span className="font-bold" style={{ color: '#002D62' }}>
+                    ${Math.round(selectedSite.refresh_cost).toLocaleString()}
+                  </span>
+                  {selectedSite.unpriced_refresh_lines > 0 && ` (${selectedSite.unpriced_refresh_lines} lines unpriced)`}
+                </span>
               </div>
             )}
           </div>
@@ -1082,35 +1727,44 @@ const LifecyclePage = () => {
                   <th className="px-4 py-3 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>
                     Type
                   </th>
-                  <th className="px-4 py-3 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>
-                    Product ID
-                  </th>
+                  <SortableHeader label="Product ID" sortKey="product_id" sortConfig={sortConfig} onSort={handleSort} />
                   <th className="px-4 py-3 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>
                     Description
                   </th>
-                  <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>
-                    Qty
-                  </th>
+                  <SortableHeader label="Qty" sortKey="qty" sortConfig={sortConfig} onSort={handleSort} align="center" />
                   <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>
                     Support
                   </th>
+                  <SortableHeader label="End of Sale" sortKey="end_of_sale" sortConfig={sortConfig} onSort={handleSort} align="center" />
+                  <SortableHeader label="Last Support" sortKey="last_day_support" sortConfig={sortConfig} onSort={handleSort} align="center" />
                   <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>
-                    End of Sale
-                  </th>
-                  <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>
-                    Last Support
+                    Next Milestone
                   </th>
+                  <SortableHeader label="Risk" sortKey="risk_score" sortConfig={sortConfig} onSort={handleSort} align="center" />
                 </tr>
               </thead>
               <tbody>
                 {currentItems.length > 0 ? (
                   currentItems.map((product, index) => (
                     <tr key={startIndex + index} className="border-b border-gray-100 hover:bg-gray-50 transition-colors">
-                      <td className="px-4 py-3 text-sm text-gray-900">
+                      <td
+                        className="px-4 py-3 text-sm text-gray-900"
+                        title={product.mfg_confidence > 0 && product.mfg_confidence < 100
+                          ? `Identified by manufacturer rules (${product.mfg_confidence}% confidence)`
+                          : undefined}
+                      >
                         {product.mfg || '-'}
                       </td>
                       <td className="px-4 py-3 text-sm text-gray-700">
                         {product.category || '-'}
+                        {product.category_confidence !== undefined && (
+                          <span
+                            className={`ml-2 inline-flex px-1.5 py-0.5 text-xs rounded ${confidenceStyle(product.category_confidence)}`}
+                            title={CATEGORY_SOURCE_NOTES[product.category_source]}
+                          >
+                            {product.category_confidence}%
+                          </span>
+                        )}
                       </td>
                       <td className="px-4 py-3 text-sm text-gray-700">
                         {product.type || '-'}
@@ -1123,29 +1777,41 @@ const LifecyclePage = () => {
                       </td>
                       <td className="px-4 py-3 text-sm text-center font-medium text-gray-900">
                         {product.qty || 0}
+                        {resultsView === 'devices' && product.component_count > 0 && (
+                          <div className="text-xs font-normal text-gray-500" title={`${product.rollup_qty} units including components`}>
+                            +{product.component_count} components
+                          </div>
+                        )}
                       </td>
                       <td className="px-4 py-3 text-center">
                         <span className={`inline-flex px-2 py-1 text-xs rounded-full ${
-                          product.support_coverage === 'Active' 
-                            ? 'bg-green-100 text-green-800' 
-                            : 'bg-gray-100 text-gray-600'
+                          COVERAGE_STYLES[product.support_coverage] || COVERAGE_STYLES.Unknown
                         }`}>
                           {product.support_coverage || '-'}
                         </span>
                       </td>
-                      <td className="px-4 py-3 text-sm text-center text-gray-700">
+                      <td {...dateCellProps(product, 'end_of_sale')}>
                         {product.end_of_sale || '-'}
                       </td>
-                      <td className="px-4 py-3 text-sm text-center text-gray-700">
+                      <td {...dateCellProps(product, 'last_day_support')}>
                         {product.last_day_support || '-'}
                       </td>
+                      <td className="px-4 py-3 text-sm text-center text-gray-700">
+                        {(() => {
+                          const next = nextRowMilestone(product);
+                          return next ? `${next.short} ${next.date}` : '-';
+                        })()}
+                      </td>
+                      <td className="px-4 py-3 text-center">
+                        <RiskBadge score={product.risk_score} level={product.risk_level} reasons={product.risk_reasons} />
+                      </td>
                     </tr>
                   ))
                 ) : (
                   <tr>
-                    <td colSpan="9" className="px-6 py-8 text-center text-sm text-gray-500">
+                    <td colSpan="11" className="px-6 py-8 text-center text-sm text-gray-500">
                       {isLoadingResults ? 'Loading results...' : 
-                       searchTerm ? 'No items match your search criteria' : 'No data available'}
+                       isFiltered ? 'No items match your search criteria' : 'No data available'}
                     </td>
                   </tr>
                 )}
@@ -1154,11 +1820,11 @@ const LifecyclePage = () => {
           </div>
           
           {/* Pagination Controls */}
-          {searchResults.length > 0 && (
+          {sortedResults.length > 0 && (
             <div className="px-6 py-4 border-t border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
               <div className="flex flex-col sm:flex-row justify-between items-center gap-4">
                 <div className="text-sm text-gray-600">
-                  Showing {startIndex + 1}-{endIndex} of {totalItems} {searchTerm ? 'filtered' : ''} items
+                  Showing {startIndex + 1}-{endIndex} of {totalItems} {isFiltered ? 'filtered' : ''} items
                 </div>
                 
                 <div className="flex items-center gap-2">
@@ -1384,6 +2050,9 @@ const LifecyclePage = () => {
                           setAnalysisResults(null);
                           setAnalysisJobId(null);
                           setDataRows(null);
+                          clearPhase2();
+                          clearPhase3();
+                          clearMappingStep();
                         }}
                         className="flex-shrink-0 ml-2 text-gray-400 hover:text-red-500 transition-colors"
                         aria-label="Remove file"
@@ -1424,8 +2093,23 @@ const LifecyclePage = () => {
                     </p>
                   )}
                   {isAnalyzing && (
+                    <div className="flex items-center justify-between mt-1">
+                      <p className="text-xs text-teal-600" role="status">
+                        {analysisStatus}
+                      </p>
+                      {analysisJobId && (
+                        <button
+                          onClick={cancelAnalysis}
+                          className="text-xs text-gray-500 underline hover:text-gray-700"
+                        >
+                          Cancel
+                        </button>
+                      )}
+                    </div>
+                  )}
+                  {isPreviewing && (
                     <p className="text-xs text-teal-600 mt-1" role="status">
-                      {analysisStatus}
+                      Reading file columns...
                     </p>
                   )}
                   {analysisError && (
@@ -1468,6 +2152,105 @@ const LifecyclePage = () => {
                   </div>
                 </div>
               </div>
+
+              <details className="mt-4 bg-gray-50 rounded-lg px-4 py-3 border border-gray-200">
+                <summary className="text-xs font-bold uppercase cursor-pointer" style={{ color: '#002D62' }}>
+                  Analysis Options
+                </summary>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+                  <div>
+                    <label htmlFor="lifecycleWindows" className="block text-xs font-bold uppercase mb-2" style={{ color: '#002D62' }}>
+                      Look-ahead Windows (months)
+                    </label>
+                    <input
+                      id="lifecycleWindows"
+                      type="text"
+                      value={analysisOptions.lifecycleWindows}
+                      onChange={(e) => setAnalysisOptions({ ...analysisOptions, lifecycleWindows: e.target.value })}
+                      placeholder={DEFAULT_LIFECYCLE_WINDOWS.join(',')}
+                      disabled={isAnalyzing}
+                      className="w-full px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Comma-separated months between 1 and 120 for approaching milestones
+                    </p>
+                  </div>
+                  <div>
+                    <label htmlFor="riskWeights" className="block text-xs font-bold uppercase mb-2" style={{ color: '#002D62' }}>
+                      Risk Weights
+                    </label>
+                    <input
+                      id="riskWeights"
+                      type="text"
+                      value={analysisOptions.riskWeights}
+                      onChange={(e) => setAnalysisOptions({ ...analysisOptions, riskWeights: e.target.value })}
+                      placeholder="ldos:30,eovss:20,coverage:20,warranty:5,criticality:15,age:10"
+                      disabled={isAnalyzing}
+                      className="w-full px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Relative weight per risk factor; factors left out keep their default
+                    </p>
+                  </div>
+                  <div>
+                    <label htmlFor="expiringDays" className="block text-xs font-bold uppercase mb-2" style={{ color: '#002D62' }}>
+                      Expiring Window (days)
+                    </label>
+                    <input
+                      id="expiringDays"
+                      type="number"
+                      min="1"
+                      max="730"
+                      value={analysisOptions.expiringDays}
+                      onChange={(e) => setAnalysisOptions({ ...analysisOptions, expiringDays: e.target.value })}
+                      placeholder="90"
+                      disabled={isAnalyzing}
+                      className="w-full px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500 focus:border-teal-500"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Contracts and warranties ending within this many days count as Expiring
+                    </p>
+                  </div>
+                  <div>
+                    <label htmlFor="fiscalCalendar" className="block text-xs font-bold uppercase mb-2" style={{ color: '#002D62' }}>
+                      Fiscal Calendar
+                    </label>
+                    <div className="flex gap-2">
+                      <select
+                        id="fiscalCalendar"
+                        value={analysisOptions.fiscalCalendar}
+                        onChange={(e) => setAnalysisOptions({
+                          ...analysisOptions,
+                          fiscalCalendar: e.target.value,
+                          fiscalYearStartMonth: e.target.value === 'customer' ? analysisOptions.fiscalYearStartMonth : ''
+                        })}
+                        disabled={isAnalyzing}
+                        className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500 focus:border-teal-500"
+                      >
+                        {FISCAL_CALENDAR_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      <select
+                        id="fiscalYearStartMonth"
+                        aria-label="Fiscal year start month"
+                        value={analysisOptions.fiscalYearStartMonth}
+                        onChange={(e) => setAnalysisOptions({ ...analysisOptions, fiscalYearStartMonth: e.target.value })}
+                        disabled={isAnalyzing || analysisOptions.fiscalCalendar !== 'customer'}
+                        className="w-36 px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500 focus:border-teal-500"
+                      >
+                        <option value="">Start month</option>
+                        {MONTH_NAMES.map((name, index) => (
+                          <option key={name} value={index + 1}>{name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Buckets milestones, renewals and the budget forecast by fiscal period
+                    </p>
+                  </div>
+                </div>
+              </details>
             </div>
           </section>
 
@@ -1510,7 +2293,7 @@ const LifecyclePage = () => {
                           : isActive ? '#008080' : undefined,
                         color: (isExport && completedPhases.length === 3) || isActive ? 'white' : undefined
                       }}
-                      disabled={isAnalyzing || (isExport ? completedPhases.length !== 3 : (!uploadedFile || !formData.customerName || (phase.id > 1 && !completedPhases.includes(phase.id - 1))))}
+                      disabled={isAnalyzing || isPreviewing || (isExport ? completedPhases.length !== 3 : (!uploadedFile || !formData.customerName || (phase.id > 1 && !completedPhases.includes(phase.id - 1))))}
                       aria-pressed={isActive && !isExport ? 'true' : undefined}
                       aria-label={`${phase.name} ${
                         isActive && !isExport ? '(active)' : 
@@ -1558,6 +2341,9 @@ const LifecyclePage = () => {
                                 {item}
                               </li>
                             ))}
+                            {analysisResults.opportunities.length === 0 && (
+                              <li className="text-sm text-gray-500">Nothing above the reporting thresholds</li>
+                            )}
                           </ul>
                         </div>
                       )}
@@ -1577,6 +2363,9 @@ const LifecyclePage = () => {
                                 {item}
                               </li>
                             ))}
+                            {analysisResults.risks.length === 0 && (
+                              <li className="text-sm text-gray-500">Nothing above the reporting thresholds</li>
+                            )}
                           </ul>
                         </div>
                       )}
@@ -1596,6 +2385,9 @@ const LifecyclePage = () => {
                                 {item}
                               </li>
                             ))}
+                            {analysisResults.findings.length === 0 && (
+                              <li className="text-sm text-gray-500">Nothing above the reporting thresholds</li>
+                            )}
                           </ul>
                         </div>
                       )}
@@ -1608,14 +2400,16 @@ const LifecyclePage = () => {
                         PHASE 1 ANALYTICS VISUALIZATION
                       </h3>
                       
-                      {isAnalyzing ? (
+                      {isAnalyzing && jobProgress ? (
+                        <JobProgressBar progress={jobProgress} onCancel={cancelAnalysis} />
+                      ) : isAnalyzing ? (
                         <div className="flex flex-col items-center justify-center py-12">
                           <div className="animate-spin rounded-full h-12 w-12 border-4 border-gray-200" 
                                style={{ borderTopColor: '#008080' }}></div>
-                          <p className="mt-4 text-sm text-gray-600">Processing your data...</p>
+                          <p className="mt-4 text-sm text-gray-600">Uploading your file...</p>
                         </div>
                       ) : phase1Results ? (
-                        <Phase1ResultsTable results={phase1Results} isLoadingResults={isLoadingResults} />
+                        <Phase1ResultsTable results={viewResults} isLoadingResults={isLoadingResults} />
                       ) : (
                         <div className="text-center py-12 text-gray-500">
                           <FileText size={48} className="mx-auto mb-4 opacity-50" />
@@ -1623,6 +2417,35 @@ const LifecyclePage = () => {
                         </div>
                       )}
                     </div>
+                  ) : activePhase === 2 ? (
+                    <div className="border rounded-lg p-6" style={{ backgroundColor: '#F8F8F8' }}>
+                      <h3 className="text-lg font-bold uppercase mb-4" style={{ color: '#002D62' }}>
+                        PHASE 2 REFRESH FORECAST
+                      </h3>
+                      <RefreshBudgetView
+                        forecast={phase2Forecast}
+                        isLoading={isForecasting}
+                        error={forecastError}
+                        onChangeAssumptions={loadRefreshForecast}
+                      />
+                      <ServiceOpportunityView jobId={analysisJobId} />
+                      <ContractRenewalsView jobId={analysisJobId} />
+                    </div>
+                  ) : activePhase === 3 ? (
+                    <div className="border rounded-lg p-6" style={{ backgroundColor: '#F8F8F8' }}>
+                      <h3 className="text-lg font-bold uppercase mb-4" style={{ color: '#002D62' }}>
+                        PHASE 3 REPLACEMENT PLAN
+                      </h3>
+                      <ReplacementPlanView
+                        plan={phase3Plan}
+                        isLoading={isPlanning}
+                        error={planError}
+                        onChangeScope={loadReplacementPlan}
+                        onDownloadBom={downloadBom}
+                        onSaveSuccessor={saveCatalogSuccessor}
+                      />
+                      <SuccessorCatalogPanel onChange={() => loadReplacementPlan()} />
+                    </div>
                   ) : (
                     <div 
                       className="border-2 border-dashed border-gray-300 rounded-lg p-8 bg-gray-50"
@@ -1640,18 +2463,34 @@ const LifecyclePage = () => {
                     </div>
                   )}
                 </>
+              ) : isAnalyzing && jobProgress ? (
+                <JobProgressBar progress={jobProgress} onCancel={cancelAnalysis} />
+              ) : mappingPreview ? (
+                <ColumnMappingStep
+                  preview={mappingPreview}
+                  mapping={columnMapping || {}}
+                  onMappingChange={setColumnMapping}
+                  onSheetChange={(sheetName) => runMappingPreview(sheetName)}
+                  onConfirm={confirmMapping}
+                  onCancel={clearMappingStep}
+                  onSaveProfile={saveMappingProfile}
+                  isBusy={isPreviewing || isAnalyzing}
+                />
               ) : (
-                <div className="flex items-center justify-center h-48 border-2 border-dashed border-gray-200 rounded-lg">
-                  <div className="text-center">
-                    <FileText size={48} className="mx-auto mb-4 text-gray-400" />
-                    <p className="text-gray-600 mb-2">No analysis results yet</p>
-                    <p className="text-sm text-gray-500">
-                      {!uploadedFile 
-                        ? 'Upload a file to begin'
-                        : 'Click a Phase button above to run analysis'}
-                    </p>
+                <>
+                  <div className="flex items-center justify-center h-48 border-2 border-dashed border-gray-200 rounded-lg">
+                    <div className="text-center">
+                      <FileText size={48} className="mx-auto mb-4 text-gray-400" />
+                      <p className="text-gray-600 mb-2">No analysis results yet</p>
+                      <p className="text-sm text-gray-500">
+                        {!uploadedFile 
+                          ? 'Upload a file to begin'
+                          : 'Click a Phase button above to run analysis'}
+                      </p>
+                    </div>
                   </div>
-                </div>
+                  <PreviousAnalysesPanel onOpen={openPreviousJob} isBusy={isAnalyzing || isPreviewing} />
+                </>
               )}
             </div>
           </section>
@@ -0,0 +1,268 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ArrowRightLeft, Clock, RefreshCw, Search } from 'lucide-react';
+import JobComparisonView from './JobComparisonView';
+
+/**
+ * History of Phase 1 jobs with filters for customer/filename, status and
+ * upload date. Finished jobs can be reopened straight into the results view,
+ * or two of them compared month over month.
+ */
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'All statuses' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'queued,parsing,normalizing,analyzing', label: 'In progress' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+const STATUS_STYLES = {
+  completed: { backgroundColor: '#CCE6E6', color: '#005959' },
+  failed: { backgroundColor: '#FEE2E2', color: '#991B1B' },
+  cancelled: { backgroundColor: '#F3F4F6', color: '#4B5563' }
+};
+const IN_PROGRESS_STYLE = { backgroundColor: '#FEF3C7', color: '#92400E' };
+
+const PAGE_SIZE = 10;
+
+const formatDate = (value) => {
+  if (!value) return '-';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? '-' : date.toLocaleString();
+};
+
+const PreviousAnalysesPanel = ({ onOpen, isBusy }) => {
+  const [filters, setFilters] = useState({ q: '', status: '', from: '', to: '' });
+  const [jobs, setJobs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedJobs, setSelectedJobs] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+
+  const loadJobs = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
+      const response = await fetch(`/api/phase1/jobs?${params.toString()}`);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error((data.details && data.details.join(', ')) || data.error || `Server error: ${response.status}`);
+      }
+      const data = await response.json();
+      setJobs(data.jobs || []);
+      setTotal(data.pagination ? data.pagination.total : 0);
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters, offset]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setOffset(0);
+  };
+
+  // Keep at most two jobs selected, dropping the oldest pick
+  const toggleSelected = (jobId) => {
+    setSelectedJobs(prev => (prev.includes(jobId)
+      ? prev.filter(id => id !== jobId)
+      : [...prev, jobId].slice(-2)));
+  };
+
+  const compareSelected = async () => {
+    setIsComparing(true);
+    setError(null);
+    try {
+      const [base, current] = selectedJobs;
+      const response = await fetch(`/api/phase1/jobs/compare?base=${base}&current=${current}`);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error((Array.isArray(data.details) && data.details.join(', ')) || data.error || `Server error: ${response.status}`);
+      }
+      setComparison(data);
+    } catch (compareError) {
+      setError(compareError.message);
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  return (
+    <div className="border rounded-lg p-6 mt-6" style={{ backgroundColor: '#F8F8F8' }}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="flex items-center text-lg font-bold uppercase" style={{ color: '#002D62' }}>
+          <Clock size={20} className="mr-2" style={{ color: '#008080' }} />
+          PREVIOUS ANALYSES
+        </h3>
+        <div className="flex items-center gap-3">
+          <button
+            onClick={compareSelected}
+            disabled={selectedJobs.length !== 2 || isComparing}
+            className="flex items-center gap-1 px-3 py-1 text-xs font-medium text-white rounded transition-all hover:opacity-90 disabled:opacity-50"
+            style={{ backgroundColor: '#002D62' }}
+            title="Select two completed analyses to compare"
+          >
+            <ArrowRightLeft size={14} />
+            {isComparing ? 'Comparing...' : `Compare (${selectedJobs.length}/2)`}
+          </button>
+          <button
+            onClick={loadJobs}
+            disabled={isLoading}
+            className="text-gray-500 hover:text-gray-700 disabled:opacity-50"
+            aria-label="Refresh previous analyses"
+          >
+            <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-2 mb-4">
+        <div className="relative md:col-span-2">
+          <Search size={14} className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            value={filters.q}
+            onChange={(e) => updateFilter('q', e.target.value)}
+            placeholder="Customer or file name..."
+            className="w-full pl-7 pr-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+            aria-label="Search by customer or file name"
+          />
+        </div>
+        <select
+          value={filters.status}
+          onChange={(e) => updateFilter('status', e.target.value)}
+          className="px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+          aria-label="Filter by status"
+        >
+          {STATUS_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <div className="flex gap-1">
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            className="w-1/2 px-2 py-2 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+            aria-label="Uploaded from"
+          />
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            className="w-1/2 px-2 py-2 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+            aria-label="Uploaded to"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <p className="text-xs text-red-600 mb-3" role="alert">{error}</p>
+      )}
+
+      <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
+              <th className="px-4 py-3"></th>
+              <th className="px-4 py-3 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Customer</th>
+              <th className="px-4 py-3 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>File</th>
+              <th className="px-4 py-3 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Uploaded</th>
+              <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Rows</th>
+              <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Status</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {jobs.length > 0 ? (
+              jobs.map(job => (
+                <tr key={job.job_id} className="border-b border-gray-100 hover:bg-gray-50 transition-colors">
+                  <td className="pl-4 py-3">
+                    {job.status === 'completed' && (
+                      <input
+                        type="checkbox"
+                        checked={selectedJobs.includes(job.job_id)}
+                        onChange={() => toggleSelected(job.job_id)}
+                        aria-label={`Select ${job.filename || job.customer_name} for comparison`}
+                      />
+                    )}
+                  </td>
+                  <td className="px-4 py-3 font-medium" style={{ color: '#002D62' }}>{job.customer_name}</td>
+                  <td className="px-4 py-3 text-gray-700">{job.filename || '-'}</td>
+                  <td className="px-4 py-3 text-gray-700">{formatDate(job.created_at)}</td>
+                  <td className="px-4 py-3 text-center text-gray-700">{(job.rows_processed || 0).toLocaleString()}</td>
+                  <td className="px-4 py-3 text-center">
+                    <span
+                      className="inline-flex px-2 py-1 text-xs rounded-full font-medium capitalize"
+                      style={STATUS_STYLES[job.status] || IN_PROGRESS_STYLE}
+                    >
+                      {job.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    {job.status === 'completed' && (
+                      <button
+                        onClick={() => onOpen(job)}
+                        disabled={isBusy}
+                        className="px-3 py-1 text-xs font-medium text-white rounded transition-all hover:opacity-90 disabled:opacity-50"
+                        style={{ backgroundColor: '#008080' }}
+                      >
+                        Open
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="7" className="px-6 py-8 text-center text-sm text-gray-500">
+                  {isLoading ? 'Loading analyses...' : 'No analyses found'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {total > PAGE_SIZE && (
+        <div className="flex justify-between items-center mt-3 text-sm text-gray-600">
+          <span>
+            {offset + 1}-{Math.min(offset + PAGE_SIZE, total)} of {total}
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+              disabled={offset === 0}
+              className="px-3 py-1 rounded bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              disabled={offset + PAGE_SIZE >= total}
+              className="px-3 py-1 rounded bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      <JobComparisonView comparison={comparison} onClose={() => setComparison(null)} />
+    </div>
+  );
+};
+
+export default PreviousAnalysesPanel;
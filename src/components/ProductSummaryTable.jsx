@@ -0,0 +1,180 @@
+import React, { useMemo, useState } from 'react';
+import { X } from 'lucide-react';
+
+/**
+ * Product-level view of a Phase 1 job: one row per product ID with the
+ * quantity bought per year, the lifecycle status of the product and the
+ * share of its line items that are under an active support contract.
+ */
+
+const LIFECYCLE_STYLES = {
+  'End of Support': { backgroundColor: '#FEE2E2', color: '#991B1B' },
+  'End of Vulnerability Support': { backgroundColor: '#FEE2E2', color: '#991B1B' },
+  'End of SW Maintenance': { backgroundColor: '#FEF3C7', color: '#92400E' },
+  'End of Sale': { backgroundColor: '#FEF3C7', color: '#92400E' },
+  'EoL Announced': { backgroundColor: '#F3F4F6', color: '#4B5563' },
+  Current: { backgroundColor: '#CCE6E6', color: '#005959' }
+};
+
+const PAGE_SIZE = 25;
+
+const PurchaseYears = ({ years }) => {
+  const entries = Object.entries(years || {}).sort(([a], [b]) => a.localeCompare(b));
+  if (entries.length === 0) return <span className="text-gray-400">-</span>;
+
+  const max = Math.max(...entries.map(([, qty]) => Number(qty) || 0), 1);
+  return (
+    <div className="flex items-end gap-1 h-8" aria-label="Quantity by purchase year">
+      {entries.map(([year, qty]) => (
+        <div
+          key={year}
+          className="w-3 rounded-t"
+          style={{ height: `${Math.max((Number(qty) / max) * 100, 8)}%`, backgroundColor: year === 'Unknown' ? '#D1D5DB' : '#008080' }}
+          title={`${year}: ${qty}`}
+        />
+      ))}
+    </div>
+  );
+};
+
+const ProductSummaryTable = ({ products = [], summary = {}, isLoading }) => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [page, setPage] = useState(1);
+
+  const filtered = useMemo(() => {
+    const search = searchTerm.trim().toLowerCase();
+    if (!search) return products;
+    return products.filter(product =>
+      String(product.product_id || '').toLowerCase().includes(search) ||
+      String(product.description || '').toLowerCase().includes(search)
+    );
+  }, [products, searchTerm]);
+
+  const totalPages = Math.max(Math.ceil(filtered.length / PAGE_SIZE), 1);
+  const currentPage = Math.min(page, totalPages);
+  const pageItems = filtered.slice((currentPage - 1) * PAGE_SIZE, currentPage * PAGE_SIZE);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center gap-4">
+          <div>
+            <h3 className="text-lg font-bold uppercase" style={{ color: '#002D62' }}>
+              PRODUCT SUMMARY
+            </h3>
+            <p className="text-xs text-gray-600 mt-1">
+              {summary.unique_products || 0} products · {summary.eos_products || 0} end of support ·{' '}
+              {summary.end_of_vuln_support_products || 0} end of vulnerability support ·{' '}
+              {summary.end_of_sw_maintenance_products || 0} end of SW maintenance ·{' '}
+              {summary.end_of_sale_products || 0} end of sale · {summary.eol_announced_products || 0} EoL announced
+            </p>
+          </div>
+
+          <div className="relative w-full sm:w-64">
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={(e) => { setSearchTerm(e.target.value); setPage(1); }}
+              placeholder="Search Product ID or Description..."
+              className="w-full px-3 py-2 pr-8 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+            />
+            {searchTerm && (
+              <button
+                onClick={() => setSearchTerm('')}
+                className="absolute right-2 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                aria-label="Clear search"
+              >
+                <X size={16} />
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
+              <th className="px-4 py-3 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Product ID</th>
+              <th className="px-4 py-3 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Description</th>
+              <th className="px-4 py-3 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Category</th>
+              <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Qty</th>
+              <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Purchased</th>
+              <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Support</th>
+              <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Lifecycle</th>
+              <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Last Support</th>
+              <th className="px-4 py-3 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Next Milestone</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pageItems.length > 0 ? (
+              pageItems.map(product => (
+                <tr key={product.product_id} className="border-b border-gray-100 hover:bg-gray-50 transition-colors">
+                  <td className="px-4 py-3 font-medium text-gray-900">{product.product_id}</td>
+                  <td className="px-4 py-3 text-gray-700">{product.description || '-'}</td>
+                  <td className="px-4 py-3 text-gray-700">{product.business_entity || product.product_category || '-'}</td>
+                  <td className="px-4 py-3 text-center font-medium text-gray-900">
+                    {(product.total_quantity || 0).toLocaleString()}
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="flex justify-center">
+                      <PurchaseYears years={product.purchase_dates} />
+                    </div>
+                  </td>
+                  <td className="px-4 py-3 text-center text-gray-700">
+                    {Math.round(product.support_coverage_percent || 0)}%
+                  </td>
+                  <td className="px-4 py-3 text-center">
+                    <span
+                      className="inline-flex px-2 py-1 text-xs rounded-full font-medium"
+                      style={LIFECYCLE_STYLES[product.lifecycle_status] || LIFECYCLE_STYLES.Current}
+                    >
+                      {product.lifecycle_status || 'Current'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-center text-gray-700">{product.last_day_of_support_date || '-'}</td>
+                  <td className="px-4 py-3 text-center text-gray-700">
+                    {product.next_milestone ? `${product.next_milestone} ${product.next_milestone_date}` : '-'}
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="9" className="px-6 py-8 text-center text-sm text-gray-500">
+                  {isLoading ? 'Loading products...' :
+                   searchTerm ? 'No products match your search criteria' : 'No product data available'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {filtered.length > PAGE_SIZE && (
+        <div className="px-6 py-4 border-t border-gray-200 flex justify-between items-center" style={{ backgroundColor: '#F9FAFB' }}>
+          <div className="text-sm text-gray-600">
+            Page {currentPage} of {totalPages} · {filtered.length} products
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setPage(currentPage - 1)}
+              disabled={currentPage === 1}
+              className="px-3 py-1 text-sm rounded bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(currentPage + 1)}
+              disabled={currentPage === totalPages}
+              className="px-3 py-1 text-sm rounded bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductSummaryTable;
@@ -0,0 +1,253 @@
+import React, { useMemo, useState } from 'react';
+import { AlertCircle, TrendingUp } from 'lucide-react';
+
+/**
+ * Phase 2 refresh budget: replacement spend per fiscal year, stacked by
+ * category, install site or manufacturer, with the forecast assumptions
+ * editable in place.
+ */
+
+const DIMENSIONS = [
+  { key: 'by_category', label: 'Category' },
+  { key: 'by_site', label: 'Site' },
+  { key: 'by_manufacturer', label: 'Manufacturer' }
+];
+
+const POLICY_OPTIONS = [
+  { value: 'ldos', label: 'At LDOS (age when unknown)' },
+  { value: 'age', label: 'By replacement age' },
+  { value: 'earliest', label: 'LDOS or age, whichever first' }
+];
+
+const CALENDAR_OPTIONS = [
+  { value: 'calendar', label: 'Calendar year' },
+  { value: 'cisco', label: 'Cisco FY (Aug-Jul)' },
+  { value: 'customer', label: 'Customer FY' }
+];
+
+const SERIES_COLORS = ['#002D62', '#008080', '#4F7CAC', '#66B2B2', '#9CA3AF'];
+const OTHER_COLOR = '#D1D5DB';
+const MAX_SERIES = SERIES_COLORS.length;
+
+const formatMoney = (value) => {
+  const amount = Number(value) || 0;
+  if (Math.abs(amount) >= 1000000) return `$${(amount / 1000000).toFixed(1)}M`;
+  if (Math.abs(amount) >= 1000) return `$${Math.round(amount / 1000).toLocaleString()}K`;
+  return `$${Math.round(amount).toLocaleString()}`;
+};
+
+// Largest groups get their own colour, the rest are folded into "Other"
+const buildSeries = (groups, fiscalYears) => {
+  const top = groups.slice(0, MAX_SERIES).map((group, index) => ({ ...group, color: SERIES_COLORS[index] }));
+  const rest = groups.slice(MAX_SERIES);
+  if (rest.length === 0) return top;
+
+  const other = { name: `Other (${rest.length})`, color: OTHER_COLOR, by_year: {}, total: 0 };
+  fiscalYears.forEach(year => {
+    other.by_year[year] = rest.reduce((sum, group) => sum + (group.by_year[year] || 0), 0);
+  });
+  other.total = rest.reduce((sum, group) => sum + group.total, 0);
+  return [...top, other];
+};
+
+const RefreshBudgetView = ({ forecast, isLoading, error, onChangeAssumptions }) => {
+  const [dimension, setDimension] = useState(DIMENSIONS[0].key);
+
+  const fiscalYears = forecast ? forecast.fiscal_years : [];
+  const series = useMemo(
+    () => (forecast ? buildSeries(forecast[dimension] || [], forecast.fiscal_years) : []),
+    [forecast, dimension]
+  );
+
+  if (!forecast) {
+    return (
+      <div className="text-center py-12 text-gray-500">
+        {error ? (
+          <p className="text-sm text-red-600" role="alert">{error}</p>
+        ) : (
+          <>
+            <TrendingUp size={48} className="mx-auto mb-4 opacity-50" />
+            <p>{isLoading ? 'Building refresh forecast...' : 'Run Phase 2 to forecast refresh spend'}</p>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  const { assumptions, totals } = forecast;
+  const maxYearTotal = Math.max(...fiscalYears.map(year => totals.by_year[year] || 0), 1);
+  const dimensionLabel = DIMENSIONS.find(d => d.key === dimension).label;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex flex-col lg:flex-row justify-between gap-4 mb-2">
+          <div>
+            <h3 className="text-lg font-bold uppercase" style={{ color: '#002D62' }}>
+              {assumptions.years}-YEAR REFRESH BUDGET
+            </h3>
+            <p className="text-xs text-gray-600 mt-1">
+              {assumptions.policy_description}
+              {assumptions.fiscal_calendar && ` · ${assumptions.fiscal_calendar.label}`}
+            </p>
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <select
+              value={assumptions.policy}
+              onChange={(e) => onChangeAssumptions({ policy: e.target.value })}
+              disabled={isLoading}
+              className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+              aria-label="Replacement policy"
+            >
+              {POLICY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={assumptions.fiscal_calendar ? assumptions.fiscal_calendar.name : 'calendar'}
+              onChange={(e) => onChangeAssumptions({ calendar: e.target.value })}
+              disabled={isLoading}
+              className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+              aria-label="Fiscal calendar"
+            >
+              {CALENDAR_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <label className="flex items-center gap-1 text-xs text-gray-600">
+              Replace after
+              <input
+                type="number"
+                min="1"
+                max="20"
+                value={assumptions.lifespan_years}
+                onChange={(e) => e.target.value && onChangeAssumptions({ lifespan: e.target.value })}
+                disabled={isLoading}
+                className="w-14 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+              />
+              years
+            </label>
+          </div>
+        </div>
+
+        {error && <p className="text-xs text-red-600 mb-2" role="alert">{error}</p>}
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 my-4">
+          <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+            <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>Forecast spend</p>
+            <p className="text-2xl font-bold" style={{ color: '#008080' }}>{formatMoney(totals.total)}</p>
+            <p className="text-xs text-gray-500">{totals.quantity.toLocaleString()} units</p>
+          </div>
+          <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+            <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>Already overdue</p>
+            <p className="text-2xl font-bold" style={{ color: '#008080' }}>{formatMoney(forecast.overdue.value)}</p>
+            <p className="text-xs text-gray-500">{forecast.overdue.count.toLocaleString()} lines in FY{assumptions.start_year}</p>
+          </div>
+          <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+            <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>Beyond FY{fiscalYears[fiscalYears.length - 1]}</p>
+            <p className="text-2xl font-bold" style={{ color: '#008080' }}>{formatMoney(forecast.beyond_horizon.value)}</p>
+            <p className="text-xs text-gray-500">{forecast.beyond_horizon.count.toLocaleString()} lines</p>
+          </div>
+          <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+            <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>Unscheduled</p>
+            <p className="text-2xl font-bold" style={{ color: '#008080' }}>{forecast.unscheduled.count.toLocaleString()}</p>
+            <p className="text-xs text-gray-500">lines without LDOS or ship date</p>
+          </div>
+        </div>
+
+        {forecast.unpriced.count > 0 && (
+          <p className="flex items-center text-xs px-3 py-1 mb-4 rounded" style={{ backgroundColor: '#FEF3C7', color: '#92400E' }}>
+            <AlertCircle size={12} className="mr-2 flex-shrink-0" />
+            {forecast.unpriced.count.toLocaleString()} scheduled lines have no list price and add nothing to the forecast
+          </p>
+        )}
+
+        <div className="flex gap-2 mb-4" role="tablist">
+          {DIMENSIONS.map(option => (
+            <button
+              key={option.key}
+              role="tab"
+              aria-selected={dimension === option.key}
+              onClick={() => setDimension(option.key)}
+              className="px-3 py-1 text-xs font-medium rounded-full border transition-all"
+              style={dimension === option.key
+                ? { backgroundColor: '#008080', borderColor: '#008080', color: '#FFFFFF' }
+                : { borderColor: '#D1D5DB', color: '#374151' }}
+            >
+              By {option.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Stacked bars - one per fiscal year */}
+        <div className="flex items-end gap-4 h-64 px-2 border-b border-gray-200" aria-label={`Refresh spend per fiscal year by ${dimensionLabel}`}>
+          {fiscalYears.map(year => (
+            <div key={year} className="flex-1 flex flex-col items-center justify-end h-full">
+              <span className="text-xs font-medium mb-1" style={{ color: '#002D62' }}>
+                {formatMoney(totals.by_year[year])}
+              </span>
+              <div
+                className="w-full max-w-[4rem] flex flex-col-reverse rounded-t overflow-hidden"
+                style={{ height: `${((totals.by_year[year] || 0) / maxYearTotal) * 85}%` }}
+              >
+                {series.map(group => (
+                  <div
+                    key={group.name}
+                    style={{
+                      height: totals.by_year[year] > 0 ? `${((group.by_year[year] || 0) / totals.by_year[year]) * 100}%` : 0,
+                      backgroundColor: group.color
+                    }}
+                    title={`${group.name} FY${year}: ${formatMoney(group.by_year[year])}`}
+                  />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-4 px-2 mt-2">
+          {fiscalYears.map(year => (
+            <span key={year} className="flex-1 text-center text-xs text-gray-600">FY{year}</span>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap gap-4 mt-4">
+          {series.map(group => (
+            <span key={group.name} className="flex items-center text-xs text-gray-700">
+              <span className="w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: group.color }} />
+              {group.name}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
+              <th className="px-4 py-3 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>{dimensionLabel}</th>
+              {fiscalYears.map(year => (
+                <th key={year} className="px-4 py-3 text-right text-xs font-bold uppercase" style={{ color: '#002D62' }}>FY{year}</th>
+              ))}
+              <th className="px-4 py-3 text-right text-xs font-bold uppercase" style={{ color: '#002D62' }}>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {(forecast[dimension] || []).map(group => (
+              <tr key={group.name} className="border-b border-gray-100 hover:bg-gray-50 transition-colors">
+                <td className="px-4 py-2 font-medium" style={{ color: '#002D62' }}>{group.name}</td>
+                {fiscalYears.map(year => (
+                  <td key={year} className="px-4 py-2 text-right text-gray-700">
+                    {group.by_year[year] ? formatMoney(group.by_year[year]) : '-'}
+                  </td>
+                ))}
+                <td className="px-4 py-2 text-right font-medium text-gray-900">{formatMoney(group.total)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default RefreshBudgetView;
@@ -0,0 +1,304 @@
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle, Download, Plus } from 'lucide-react';
+
+/**
+ * Phase 3 replacement plan: the recommended successor and estimated cost of
+ * every asset in scope, the products still missing a successor (which can be
+ * added to the catalog in place), and the bill of materials for a quote.
+ */
+
+const SCOPE_OPTIONS = [
+  { value: 'eol', label: 'Assets past an EoX milestone' },
+  { value: 'all', label: 'All assets' }
+];
+
+const VIEWS = [
+  { key: 'bom', label: 'Bill of materials' },
+  { key: 'items', label: 'Per asset' },
+  { key: 'unmatched', label: 'No known successor' }
+];
+
+const SOURCE_LABELS = {
+  catalog: 'Catalog',
+  report: 'Report',
+  installed: 'Installed price',
+  mixed: 'Catalog + installed'
+};
+
+const MAX_LISTED_ROWS = 100;
+
+const formatMoney = (value) => (value === null || value === undefined
+  ? '-'
+  : `$${Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+
+const HeaderCell = ({ children, align = 'left' }) => (
+  <th className={`px-4 py-3 text-${align} text-xs font-bold uppercase`} style={{ color: '#002D62' }}>{children}</th>
+);
+
+// Inline form that saves a catalog successor for one unmatched Product ID
+const AddSuccessorForm = ({ productId, onSave }) => {
+  const [successor, setSuccessor] = useState('');
+  const [price, setPrice] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const save = async () => {
+    setIsSaving(true);
+    setError(null);
+    const failure = await onSave(productId, { successor_product_id: successor, unit_list_price: price });
+    if (failure) {
+      setError(failure);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <input
+        type="text"
+        value={successor}
+        onChange={(e) => setSuccessor(e.target.value)}
+        placeholder="Successor PID"
+        className="w-40 px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+        aria-label={`Successor for ${productId}`}
+      />
+      <input
+        type="number"
+        min="0"
+        step="0.01"
+        value={price}
+        onChange={(e) => setPrice(e.target.value)}
+        placeholder="Unit list price"
+        className="w-28 px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+        aria-label={`Unit list price for ${productId}`}
+      />
+      <button
+        onClick={save}
+        disabled={!successor.trim() || isSaving}
+        className="flex items-center gap-1 px-2 py-1 text-xs font-medium text-white rounded transition-all hover:opacity-90 disabled:opacity-50"
+        style={{ backgroundColor: '#008080' }}
+      >
+        <Plus size={12} />
+        {isSaving ? 'Saving...' : 'Add'}
+      </button>
+      {error && <span className="text-xs text-red-600" role="alert">{error}</span>}
+    </div>
+  );
+};
+
+const ReplacementPlanView = ({ plan, isLoading, error, onChangeScope, onDownloadBom, onSaveSuccessor }) => {
+  const [view, setView] = useState(VIEWS[0].key);
+
+  if (!plan) {
+    return (
+      <div className="text-center py-12 text-gray-500">
+        {error ? (
+          <p className="text-sm text-red-600" role="alert">{error}</p>
+        ) : (
+          <>
+            <CheckCircle size={48} className="mx-auto mb-4 opacity-50" />
+            <p>{isLoading ? 'Building replacement plan...' : 'Run Phase 3 to plan replacements'}</p>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  const { summary } = plan;
+  const counts = { bom: plan.bom.length, items: plan.items.length, unmatched: plan.unmatched.length };
+  const rows = plan[view] || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex flex-col lg:flex-row justify-between gap-4 mb-2">
+          <div>
+            <h3 className="text-lg font-bold uppercase" style={{ color: '#002D62' }}>REPLACEMENT PLAN</h3>
+            <p className="text-xs text-gray-600 mt-1">{plan.scope_description}</p>
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <select
+              value={plan.scope}
+              onChange={(e) => onChangeScope(e.target.value)}
+              disabled={isLoading}
+              className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+              aria-label="Plan scope"
+            >
+              {SCOPE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {['csv', 'xlsx'].map(format => (
+              <button
+                key={format}
+                onClick={() => onDownloadBom(format)}
+                disabled={isLoading || plan.bom.length === 0}
+                className="flex items-center gap-1 px-3 py-1 text-xs font-medium text-white rounded transition-all hover:opacity-90 disabled:opacity-50"
+                style={{ backgroundColor: '#002D62' }}
+              >
+                <Download size={14} />
+                BOM {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error && <p className="text-xs text-red-600 mb-2" role="alert">{error}</p>}
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 my-4">
+          <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+            <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>Assets in scope</p>
+            <p className="text-2xl font-bold" style={{ color: '#008080' }}>{summary.quantity.toLocaleString()}</p>
+            <p className="text-xs text-gray-500">{summary.lines.toLocaleString()} lines</p>
+          </div>
+          <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+            <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>With successor</p>
+            <p className="text-2xl font-bold" style={{ color: '#008080' }}>{summary.with_successor_quantity.toLocaleString()}</p>
+            <p className="text-xs text-gray-500">
+              {summary.by_source.catalog.toLocaleString()} from catalog · {summary.by_source.report.toLocaleString()} from report
+            </p>
+          </div>
+          <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+            <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>No known successor</p>
+            <p className="text-2xl font-bold" style={{ color: '#008080' }}>{summary.without_successor_quantity.toLocaleString()}</p>
+            <p className="text-xs text-gray-500">{plan.unmatched.length.toLocaleString()} products</p>
+          </div>
+          <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+            <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>Estimated cost</p>
+            <p className="text-2xl font-bold" style={{ color: '#008080' }}>{formatMoney(summary.estimated_cost)}</p>
+            <p className="text-xs text-gray-500">list price</p>
+          </div>
+        </div>
+
+        {(summary.unpriced > 0 || summary.priced_from.installed > 0) && (
+          <p className="flex items-center text-xs px-3 py-1 mb-4 rounded" style={{ backgroundColor: '#FEF3C7', color: '#92400E' }}>
+            <AlertCircle size={12} className="mr-2 flex-shrink-0" />
+            {summary.priced_from.installed.toLocaleString()} lines are estimated at the installed list price
+            {summary.unpriced > 0 && `, ${summary.unpriced.toLocaleString()} have no price at all`}
+            . Add catalog prices for a firm quote.
+          </p>
+        )}
+
+        <div className="flex gap-2" role="tablist">
+          {VIEWS.map(option => (
+            <button
+              key={option.key}
+              role="tab"
+              aria-selected={view === option.key}
+              onClick={() => setView(option.key)}
+              className="px-3 py-1 text-xs font-medium rounded-full border transition-all"
+              style={view === option.key
+                ? { backgroundColor: '#008080', borderColor: '#008080', color: '#FFFFFF' }
+                : { borderColor: '#D1D5DB', color: '#374151' }}
+            >
+              {option.label} ({counts[option.key].toLocaleString()})
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
+              {view === 'bom' && (
+                <>
+                  <HeaderCell>Line</HeaderCell>
+                  <HeaderCell>Part Number</HeaderCell>
+                  <HeaderCell>Replaces</HeaderCell>
+                  <HeaderCell align="center">Qty</HeaderCell>
+                  <HeaderCell align="center">Unpriced</HeaderCell>
+                  <HeaderCell align="right">Unit List</HeaderCell>
+                  <HeaderCell align="right">Extended List</HeaderCell>
+                  <HeaderCell>Price Source</HeaderCell>
+                </>
+              )}
+              {view === 'items' && (
+                <>
+                  <HeaderCell>Installed PID</HeaderCell>
+                  <HeaderCell>Site</HeaderCell>
+                  <HeaderCell>Status</HeaderCell>
+                  <HeaderCell>Successor</HeaderCell>
+                  <HeaderCell align="center">Qty</HeaderCell>
+                  <HeaderCell align="right">Est. Cost</HeaderCell>
+                  <HeaderCell>Source</HeaderCell>
+                </>
+              )}
+              {view === 'unmatched' && (
+                <>
+                  <HeaderCell>Product ID</HeaderCell>
+                  <HeaderCell>Description</HeaderCell>
+                  <HeaderCell>Status</HeaderCell>
+                  <HeaderCell align="center">Qty</HeaderCell>
+                  <HeaderCell>Add to catalog</HeaderCell>
+                </>
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan="8" className="px-6 py-6 text-center text-sm text-gray-500">Nothing to show</td>
+              </tr>
+            )}
+            {view === 'bom' && rows.slice(0, MAX_LISTED_ROWS).map(line => (
+              <tr key={line.part_number} className="border-b border-gray-100 hover:bg-gray-50 transition-colors">
+                <td className="px-4 py-2 text-gray-500">{line.line}</td>
+                <td className="px-4 py-2 font-medium" style={{ color: '#002D62' }}>
+                  {line.part_number}
+                  {line.description && <span className="block text-xs font-normal text-gray-500">{line.description}</span>}
+                </td>
+                <td className="px-4 py-2 text-xs text-gray-700">{line.replaces}</td>
+                <td className="px-4 py-2 text-center text-gray-700">{line.quantity.toLocaleString()}</td>
+                <td className="px-4 py-2 text-center text-gray-500">{line.unpriced_quantity > 0 ? line.unpriced_quantity.toLocaleString() : '-'}</td>
+                <td className="px-4 py-2 text-right text-gray-700">{formatMoney(line.unit_list_price)}</td>
+                <td className="px-4 py-2 text-right font-medium text-gray-900">{formatMoney(line.extended_list_price)}</td>
+                <td className="px-4 py-2 text-xs text-gray-600">{SOURCE_LABELS[line.price_source] || 'Unpriced'}</td>
+              </tr>
+            ))}
+            {view === 'items' && rows.slice(0, MAX_LISTED_ROWS).map((item, index) => (
+              <tr key={`${item.instance_id}-${item.serial_number}-${index}`} className="border-b border-gray-100 hover:bg-gray-50 transition-colors">
+                <td className="px-4 py-2 font-medium" style={{ color: '#002D62' }}>
+                  {item.product_id}
+                  <span className="block text-xs font-normal text-gray-500">{item.serial_number}</span>
+                </td>
+                <td className="px-4 py-2 text-xs text-gray-700">{item.install_site}</td>
+                <td className="px-4 py-2 text-xs text-gray-700">{item.lifecycle_status}</td>
+                <td className="px-4 py-2 text-gray-900">
+                  {item.successor_product_id}
+                  {item.alternatives.length > 0 && (
+                    <span className="block text-xs text-gray-500">or {item.alternatives.join(', ')}</span>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-center text-gray-700">{item.quantity}</td>
+                <td className="px-4 py-2 text-right text-gray-900">{formatMoney(item.estimated_cost)}</td>
+                <td className="px-4 py-2 text-xs text-gray-600">
+                  {SOURCE_LABELS[item.successor_source]}
+                  {item.price_source && item.price_source !== item.successor_source && ` · ${SOURCE_LABELS[item.price_source]}`}
+                </td>
+              </tr>
+            ))}
+            {view === 'unmatched' && rows.slice(0, MAX_LISTED_ROWS).map(product => (
+              <tr key={product.product_id} className="border-b border-gray-100 hover:bg-gray-50 transition-colors">
+                <td className="px-4 py-2 font-medium" style={{ color: '#002D62' }}>{product.product_id}</td>
+                <td className="px-4 py-2 text-xs text-gray-700">{product.description}</td>
+                <td className="px-4 py-2 text-xs text-gray-700">{product.lifecycle_status}</td>
+                <td className="px-4 py-2 text-center text-gray-700">{product.quantity.toLocaleString()}</td>
+                <td className="px-4 py-2">
+                  <AddSuccessorForm productId={product.product_id} onSave={onSaveSuccessor} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length > MAX_LISTED_ROWS && (
+          <p className="px-4 py-2 text-xs text-gray-500">
+            Showing {MAX_LISTED_ROWS} of {rows.length.toLocaleString()} rows - download the BOM for the full list
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReplacementPlanView;
@@ -0,0 +1,27 @@
+import React from 'react';
+
+/**
+ * Risk score pill coloured by risk level; hovering shows what drives the score.
+ */
+
+const RISK_LEVEL_STYLES = {
+  Critical: { backgroundColor: '#FEE2E2', color: '#991B1B' },
+  High: { backgroundColor: '#FFEDD5', color: '#9A3412' },
+  Medium: { backgroundColor: '#FEF3C7', color: '#92400E' },
+  Low: { backgroundColor: '#CCE6E6', color: '#005959' }
+};
+
+const RiskBadge = ({ score, level, reasons }) => {
+  if (typeof score !== 'number') return <span className="text-gray-400">-</span>;
+  return (
+    <span
+      className="inline-flex px-2 py-1 text-xs font-medium rounded-full whitespace-nowrap"
+      style={RISK_LEVEL_STYLES[level] || RISK_LEVEL_STYLES.Low}
+      title={reasons ? `${level}: ${reasons}` : level}
+    >
+      {score} · {level}
+    </span>
+  );
+};
+
+export default RiskBadge;
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { Shield } from 'lucide-react';
+import RiskBadge from './RiskBadge';
+
+/**
+ * Risk rollups of a Phase 1 job: the overall score, how assets spread over
+ * the risk levels, and the riskiest categories, sites and manufacturers with
+ * the factors driving them.
+ */
+
+const DIMENSIONS = [
+  { key: 'by_category', label: 'Category' },
+  { key: 'by_site', label: 'Site' },
+  { key: 'by_manufacturer', label: 'Manufacturer' }
+];
+
+const LEVEL_COLORS = {
+  Critical: '#B91C1C',
+  High: '#EA580C',
+  Medium: '#D97706',
+  Low: '#008080'
+};
+
+const MAX_GROUPS = 10;
+
+const RiskSummary = ({ risk }) => {
+  const [dimension, setDimension] = useState(DIMENSIONS[0].key);
+
+  const distribution = risk.distribution || {};
+  const scoredLines = Object.values(distribution).reduce((sum, count) => sum + count, 0);
+  const groups = risk[dimension] || [];
+  const dimensionLabel = DIMENSIONS.find(d => d.key === dimension).label;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex flex-col md:flex-row justify-between gap-4 mb-4">
+        <div>
+          <h3 className="flex items-center text-lg font-bold uppercase" style={{ color: '#002D62' }}>
+            <Shield size={20} className="mr-2" style={{ color: '#008080' }} />
+            RISK SCORE
+          </h3>
+          <p className="text-xs text-gray-600 mt-1">{risk.explanation}</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <span className="text-3xl font-bold" style={{ color: LEVEL_COLORS[risk.level] }}>{risk.score}</span>
+          <span className="text-sm text-gray-600">/ 100 · {risk.level}</span>
+        </div>
+      </div>
+
+      {scoredLines > 0 && (
+        <>
+          <div className="flex h-3 rounded-full overflow-hidden mb-2" aria-label="Line items per risk level">
+            {Object.entries(distribution).map(([level, count]) => (
+              <div
+                key={level}
+                style={{ width: `${(count / scoredLines) * 100}%`, backgroundColor: LEVEL_COLORS[level] }}
+                title={`${level}: ${count} line items`}
+              />
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-4 mb-4">
+            {Object.entries(distribution).map(([level, count]) => (
+              <span key={level} className="flex items-center text-xs text-gray-700">
+                <span className="w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: LEVEL_COLORS[level] }} />
+                {level} {count.toLocaleString()}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+
+      <div className="flex gap-2 mb-3" role="tablist">
+        {DIMENSIONS.map(option => (
+          <button
+            key={option.key}
+            role="tab"
+            aria-selected={dimension === option.key}
+            onClick={() => setDimension(option.key)}
+            className="px-3 py-1 text-xs font-medium rounded-full border transition-all"
+            style={dimension === option.key
+              ? { backgroundColor: '#008080', borderColor: '#008080', color: '#FFFFFF' }
+              : { borderColor: '#D1D5DB', color: '#374151' }}
+          >
+            By {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
+              <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>{dimensionLabel}</th>
+              <th className="px-4 py-2 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Qty</th>
+              <th className="px-4 py-2 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Risk</th>
+              <th className="px-4 py-2 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Highest</th>
+              <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Why</th>
+            </tr>
+          </thead>
+          <tbody>
+            {groups.slice(0, MAX_GROUPS).map(group => (
+              <tr key={group.name} className="border-b border-gray-100">
+                <td className="px-4 py-2 font-medium" style={{ color: '#002D62' }}>{group.name}</td>
+                <td className="px-4 py-2 text-center text-gray-700">{group.quantity.toLocaleString()}</td>
+                <td className="px-4 py-2 text-center">
+                  <RiskBadge score={group.score} level={group.level} reasons={group.explanation} />
+                </td>
+                <td className="px-4 py-2 text-center text-gray-700">{group.max_score}</td>
+                <td className="px-4 py-2 text-xs text-gray-600">{group.explanation}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {groups.length > MAX_GROUPS && (
+          <p className="px-4 py-2 text-xs text-gray-500">
+            Showing the {MAX_GROUPS} riskiest of {groups.length.toLocaleString()} groups
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RiskSummary;
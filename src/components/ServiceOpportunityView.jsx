@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, Download, ShieldCheck } from 'lucide-react';
+
+/**
+ * Uncovered installed base as a sales opportunity: assets still supported
+ * that can be put under contract, priced from the source file's service
+ * list prices, and assets past LDOS that need replacing instead.
+ */
+
+const SECTIONS = [
+  { key: 'coverable', label: 'Eligible for coverage' },
+  { key: 'replace', label: 'Past LDOS - replace' }
+];
+
+const DIMENSIONS = [
+  { key: 'by_site', label: 'Site' },
+  { key: 'by_category', label: 'Category' },
+  { key: 'by_product_family', label: 'Product Family' }
+];
+
+const formatMoney = (value) => {
+  const amount = Number(value) || 0;
+  if (Math.abs(amount) >= 1000000) return `$${(amount / 1000000).toFixed(1)}M`;
+  if (Math.abs(amount) >= 1000) return `$${Math.round(amount / 1000).toLocaleString()}K`;
+  return `$${Math.round(amount).toLocaleString()}`;
+};
+
+const ServiceOpportunityView = ({ jobId }) => {
+  const [opportunity, setOpportunity] = useState(null);
+  const [section, setSection] = useState(SECTIONS[0].key);
+  const [dimension, setDimension] = useState(DIMENSIONS[0].key);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!jobId) return;
+    let cancelled = false;
+    const loadOpportunity = async () => {
+      setError(null);
+      try {
+        const response = await fetch(`/api/phase2/opportunity/${jobId}`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `Server error: ${response.status}`);
+        if (!cancelled) setOpportunity(data);
+      } catch (loadError) {
+        if (!cancelled) setError(loadError.message);
+      }
+    };
+    loadOpportunity();
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId]);
+
+  if (!opportunity) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm p-6 mt-6 text-center text-gray-500">
+        {error
+          ? <p className="text-sm text-red-600" role="alert">{error}</p>
+          : <p className="text-sm">Loading service opportunity...</p>}
+      </div>
+    );
+  }
+
+  const { summary } = opportunity;
+  const groups = opportunity[section][dimension].slice(0, 15);
+  const valueKey = section === 'coverable' ? 'service_value' : 'installed_list_value';
+  const maxValue = Math.max(...groups.map(group => group[valueKey]), 1);
+  const dimensionLabel = DIMENSIONS.find(d => d.key === dimension).label;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 mt-6">
+      <div className="flex flex-col lg:flex-row justify-between gap-4 mb-4">
+        <div>
+          <h3 className="flex items-center text-lg font-bold uppercase" style={{ color: '#002D62' }}>
+            <ShieldCheck size={20} className="mr-2" style={{ color: '#008080' }} />
+            SERVICE OPPORTUNITY
+          </h3>
+          <p className="text-xs text-gray-600 mt-1">
+            {summary.uncovered_lines.toLocaleString()} line items ({summary.uncovered_quantity.toLocaleString()} units) without active coverage
+          </p>
+        </div>
+        <div className="flex items-center gap-2 self-start">
+          {['csv', 'xlsx'].map(format => (
+            <a
+              key={format}
+              href={`/api/phase2/opportunity/${jobId}/export?format=${format}`}
+              className="flex items-center gap-1 px-3 py-1 text-xs font-medium rounded border transition-all hover:bg-gray-50"
+              style={{ borderColor: '#D1D5DB', color: '#374151' }}
+            >
+              <Download size={14} />
+              {format.toUpperCase()}
+            </a>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+          <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>Coverable</p>
+          <p className="text-2xl font-bold" style={{ color: '#008080' }}>{summary.coverable.quantity.toLocaleString()}</p>
+          <p className="text-xs text-gray-500">units in {summary.coverable.lines.toLocaleString()} lines</p>
+        </div>
+        <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+          <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>Service list value</p>
+          <p className="text-2xl font-bold" style={{ color: '#008080' }}>{formatMoney(summary.coverable.service_value)}</p>
+          <p className="text-xs text-gray-500">
+            {Object.entries(summary.priced_from).map(([source, priced]) => `${priced.lines} at ${source.toLowerCase()}`).join(', ')}
+          </p>
+        </div>
+        <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+          <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>Replace instead</p>
+          <p className="text-2xl font-bold" style={{ color: '#008080' }}>{summary.replace.quantity.toLocaleString()}</p>
+          <p className="text-xs text-gray-500">units past LDOS, {formatMoney(summary.replace.installed_list_value)} installed list</p>
+        </div>
+        <div className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+          <p className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>Installed list</p>
+          <p className="text-2xl font-bold" style={{ color: '#008080' }}>{formatMoney(summary.coverable.installed_list_value)}</p>
+          <p className="text-xs text-gray-500">of coverable hardware</p>
+        </div>
+      </div>
+
+      {summary.coverable.unpriced_lines > 0 && (
+        <p className="flex items-center text-xs px-3 py-1 mb-4 rounded" style={{ backgroundColor: '#FEF3C7', color: '#92400E' }}>
+          <AlertCircle size={12} className="mr-2 flex-shrink-0" />
+          {summary.coverable.unpriced_lines.toLocaleString()} coverable lines have no service list price in the file - the value above leaves them out
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <div className="flex rounded border border-gray-300 overflow-hidden" role="tablist">
+          {SECTIONS.map(option => (
+            <button
+              key={option.key}
+              onClick={() => setSection(option.key)}
+              className="px-3 py-1 text-xs font-medium transition-colors"
+              style={section === option.key ? { backgroundColor: '#008080', color: 'white' } : { color: '#374151' }}
+              role="tab"
+              aria-selected={section === option.key}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <select
+          value={dimension}
+          onChange={(e) => setDimension(e.target.value)}
+          className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+          aria-label="Group opportunity by"
+        >
+          {DIMENSIONS.map(option => (
+            <option key={option.key} value={option.key}>By {option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="rounded-lg overflow-x-auto border border-gray-100">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
+              <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>{dimensionLabel}</th>
+              <th className="px-4 py-2 text-right text-xs font-bold uppercase" style={{ color: '#002D62' }}>Lines</th>
+              <th className="px-4 py-2 text-right text-xs font-bold uppercase" style={{ color: '#002D62' }}>Qty</th>
+              <th className="px-4 py-2 text-left text-xs font-bold uppercase w-1/3" style={{ color: '#002D62' }}>
+                {section === 'coverable' ? 'Service List Value' : 'Installed List Value'}
+              </th>
+              <th className="px-4 py-2 text-right text-xs font-bold uppercase" style={{ color: '#002D62' }}>Unpriced</th>
+            </tr>
+          </thead>
+          <tbody>
+            {groups.length > 0 ? groups.map(group => (
+              <tr key={group.name} className="border-b border-gray-100">
+                <td className="px-4 py-2 font-medium" style={{ color: '#002D62' }}>{group.name}</td>
+                <td className="px-4 py-2 text-right text-gray-700">{group.lines.toLocaleString()}</td>
+                <td className="px-4 py-2 text-right text-gray-700">{group.quantity.toLocaleString()}</td>
+                <td className="px-4 py-2">
+                  <div className="flex items-center gap-2">
+                    <div className="flex-1 h-3 rounded bg-gray-100 overflow-hidden">
+                      <div
+                        className="h-3 rounded"
+                        style={{ width: `${(group[valueKey] / maxValue) * 100}%`, backgroundColor: '#008080' }}
+                      />
+                    </div>
+                    <span className="text-xs text-gray-700 w-16 text-right">{formatMoney(group[valueKey])}</span>
+                  </div>
+                </td>
+                <td className="px-4 py-2 text-right text-gray-500">{group.unpriced_lines.toLocaleString()}</td>
+              </tr>
+            )) : (
+              <tr>
+                <td colSpan="5" className="px-6 py-6 text-center text-sm text-gray-500">
+                  {section === 'coverable' ? 'Every supported asset is already covered' : 'No uncovered assets past LDOS'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ServiceOpportunityView;
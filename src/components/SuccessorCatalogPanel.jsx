@@ -0,0 +1,205 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { BookOpen, Download, Search, Trash2, Upload } from 'lucide-react';
+
+/**
+ * Local successor catalog: which PID replaces an end-of-life Product ID and
+ * at what list price. Entries can be searched, removed, bulk imported from a
+ * CSV/Excel file and exported in the same format.
+ */
+
+const PAGE_SIZE = 25;
+
+const readError = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  return (Array.isArray(data.details) && data.details.join(', ')) || data.error || `Server error: ${response.status}`;
+};
+
+const SuccessorCatalogPanel = ({ onChange }) => {
+  const [search, setSearch] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const importInputRef = useRef(null);
+
+  const loadEntries = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+      if (search) params.append('search', search);
+      const response = await fetch(`/api/phase3/catalog?${params.toString()}`);
+      if (!response.ok) throw new Error(await readError(response));
+      const data = await response.json();
+      setEntries(data.entries || []);
+      setTotal(data.total || 0);
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [search, offset]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const deleteEntry = async (productId) => {
+    setError(null);
+    try {
+      const response = await fetch(`/api/phase3/catalog/${encodeURIComponent(productId)}`, { method: 'DELETE' });
+      if (!response.ok) throw new Error(await readError(response));
+      await loadEntries();
+      onChange();
+    } catch (deleteError) {
+      setError(deleteError.message);
+    }
+  };
+
+  const importFile = async (file) => {
+    setError(null);
+    setNotice(null);
+    try {
+      const body = new FormData();
+      body.append('file', file);
+      const response = await fetch('/api/phase3/catalog/import', { method: 'POST', body });
+      if (!response.ok) throw new Error(await readError(response));
+      const data = await response.json();
+      setNotice(`Imported ${data.imported}: ${data.created} new, ${data.updated} updated`);
+      setOffset(0);
+      await loadEntries();
+      onChange();
+    } catch (importError) {
+      setError(`Import failed: ${importError.message}`);
+    } finally {
+      if (importInputRef.current) importInputRef.current.value = '';
+    }
+  };
+
+  return (
+    <div className="border rounded-lg p-6 mt-6 bg-white">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 mb-4">
+        <h3 className="flex items-center text-lg font-bold uppercase" style={{ color: '#002D62' }}>
+          <BookOpen size={20} className="mr-2" style={{ color: '#008080' }} />
+          SUCCESSOR CATALOG
+          <span className="ml-2 text-xs font-normal text-gray-500 normal-case">({total.toLocaleString()} entries)</span>
+        </h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="relative">
+            <Search size={14} className="absolute left-2 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => {
+                setSearch(e.target.value);
+                setOffset(0);
+              }}
+              placeholder="Search PIDs"
+              className="pl-7 pr-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+              aria-label="Search successor catalog"
+            />
+          </div>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".csv,.xlsx,.xls"
+            className="hidden"
+            onChange={(e) => e.target.files[0] && importFile(e.target.files[0])}
+          />
+          <button
+            onClick={() => importInputRef.current && importInputRef.current.click()}
+            className="flex items-center gap-1 px-3 py-1 text-xs font-medium text-white rounded transition-all hover:opacity-90"
+            style={{ backgroundColor: '#008080' }}
+            title="CSV or Excel with Product ID, Successor Product ID, Successor Description, Unit List Price and Notes columns"
+          >
+            <Upload size={14} />
+            Import
+          </button>
+          <a
+            href="/api/phase3/catalog/export"
+            className="flex items-center gap-1 px-3 py-1 text-xs font-medium rounded border transition-all hover:bg-gray-50"
+            style={{ borderColor: '#D1D5DB', color: '#374151' }}
+          >
+            <Download size={14} />
+            Export
+          </a>
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-600 mb-2" role="alert">{error}</p>}
+      {notice && <p className="text-xs mb-2" style={{ color: '#005959' }}>{notice}</p>}
+
+      <div className="rounded-lg overflow-x-auto border border-gray-100">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
+              <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Product ID</th>
+              <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Successor</th>
+              <th className="px-4 py-2 text-right text-xs font-bold uppercase" style={{ color: '#002D62' }}>Unit List</th>
+              <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Notes</th>
+              <th className="px-4 py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {entries.length > 0 ? entries.map(entry => (
+              <tr key={entry.product_id} className="border-b border-gray-100">
+                <td className="px-4 py-2 font-medium" style={{ color: '#002D62' }}>{entry.product_id}</td>
+                <td className="px-4 py-2 text-gray-900">
+                  {entry.successor_product_id}
+                  {entry.successor_description && (
+                    <span className="block text-xs text-gray-500">{entry.successor_description}</span>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-right text-gray-700">
+                  {entry.unit_list_price !== null ? `$${entry.unit_list_price.toLocaleString()}` : '-'}
+                </td>
+                <td className="px-4 py-2 text-xs text-gray-600">{entry.notes}</td>
+                <td className="px-4 py-2 text-right">
+                  <button
+                    onClick={() => deleteEntry(entry.product_id)}
+                    className="text-gray-400 hover:text-red-500 transition-colors"
+                    aria-label={`Remove ${entry.product_id} from catalog`}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </td>
+              </tr>
+            )) : (
+              <tr>
+                <td colSpan="5" className="px-6 py-6 text-center text-sm text-gray-500">
+                  {isLoading ? 'Loading catalog...' : 'No catalog entries yet - import a file or add successors from the plan'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {total > PAGE_SIZE && (
+        <div className="flex items-center justify-between mt-3 text-xs text-gray-600">
+          <span>{offset + 1}-{Math.min(offset + PAGE_SIZE, total)} of {total.toLocaleString()}</span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+              disabled={offset === 0 || isLoading}
+              className="px-2 py-1 border border-gray-300 rounded disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setOffset(offset + PAGE_SIZE)}
+              disabled={offset + PAGE_SIZE >= total || isLoading}
+              className="px-2 py-1 border border-gray-300 rounded disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SuccessorCatalogPanel;
@@ -0,0 +1,101 @@
+import React from 'react';
+import { ShieldCheck } from 'lucide-react';
+
+/**
+ * Warranty coverage of a Phase 1 job: assets protected by warranty alone,
+ * warranties about to end, and contract spend during warranty.
+ */
+
+const MAX_TYPES = 8;
+
+const formatCurrency = (value) => `$${Math.round(value || 0).toLocaleString()}`;
+
+const WarrantySummary = ({ warranty }) => {
+  const summary = warranty.summary || {};
+  const byType = (warranty.by_type || []).filter(entry => entry.type !== 'Unknown');
+  const expiringSoon = warranty.expiring_soon || [];
+
+  const cards = [
+    { label: 'Warranty In Force', value: (summary.active || 0) + (summary.expiring || 0), note: `${summary.expired || 0} expired` },
+    { label: 'Warranty Only', value: summary.warranty_only || 0, note: 'No active contract' },
+    { label: `Ending in ${warranty.expiring_days} Days`, value: summary.expiring || 0, note: 'Line items' },
+    { label: 'Contract Overlap', value: summary.overlap || 0, note: `${formatCurrency(summary.overlap_spend)} contract spend` }
+  ];
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <h3 className="flex items-center text-lg font-bold uppercase mb-4" style={{ color: '#002D62' }}>
+        <ShieldCheck size={20} className="mr-2" style={{ color: '#008080' }} />
+        WARRANTY
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        {cards.map(card => (
+          <div key={card.label} className="rounded-lg p-4" style={{ backgroundColor: '#F8F8F8' }}>
+            <p className="text-xs font-medium uppercase text-gray-600">{card.label}</p>
+            <p className="text-2xl font-bold" style={{ color: '#002D62' }}>{card.value.toLocaleString()}</p>
+            <p className="text-xs text-gray-500">{card.note}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="overflow-x-auto">
+          <h4 className="text-sm font-bold uppercase mb-2" style={{ color: '#002D62' }}>By Warranty Type</h4>
+          {byType.length === 0 ? (
+            <p className="text-xs text-gray-500">The file has no warranty types</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
+                  <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Type</th>
+                  <th className="px-4 py-2 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Lines</th>
+                  <th className="px-4 py-2 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>In Force</th>
+                </tr>
+              </thead>
+              <tbody>
+                {byType.slice(0, MAX_TYPES).map(entry => (
+                  <tr key={entry.type} className="border-b border-gray-100">
+                    <td className="px-4 py-2 font-medium" style={{ color: '#002D62' }}>{entry.type}</td>
+                    <td className="px-4 py-2 text-center text-gray-700">{entry.lines.toLocaleString()}</td>
+                    <td className="px-4 py-2 text-center text-gray-700">{entry.in_force.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="overflow-x-auto">
+          <h4 className="text-sm font-bold uppercase mb-2" style={{ color: '#002D62' }}>Ending Soonest</h4>
+          {expiringSoon.length === 0 ? (
+            <p className="text-xs text-gray-500">No warranty ends in the next {warranty.expiring_days} days</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200" style={{ backgroundColor: '#F9FAFB' }}>
+                  <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Product</th>
+                  <th className="px-4 py-2 text-left text-xs font-bold uppercase" style={{ color: '#002D62' }}>Serial</th>
+                  <th className="px-4 py-2 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Ends</th>
+                  <th className="px-4 py-2 text-center text-xs font-bold uppercase" style={{ color: '#002D62' }}>Coverage</th>
+                </tr>
+              </thead>
+              <tbody>
+                {expiringSoon.map(item => (
+                  <tr key={item.id} className="border-b border-gray-100">
+                    <td className="px-4 py-2 font-medium" style={{ color: '#002D62' }}>{item.product_id || '-'}</td>
+                    <td className="px-4 py-2 text-gray-700">{item.serial_number || '-'}</td>
+                    <td className="px-4 py-2 text-center text-gray-700">{item.warranty_end_date}</td>
+                    <td className="px-4 py-2 text-center text-gray-700">{item.support_coverage || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WarrantySummary;